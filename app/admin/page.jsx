@@ -0,0 +1,32 @@
+/**
+ * Admin Page — /admin
+ *
+ * Share link management: create expiring client links (optionally locked
+ * to a date range) and revoke them. Below that, pick which GHL custom
+ * fields each client reports on. Admin only.
+ */
+
+import ShareLinkManager from "@/components/ShareLinkManager";
+import DimensionManager from "@/components/DimensionManager";
+import { getLocations, toPublicLocation } from "@/lib/locations";
+import { requirePageSession } from "@/lib/auth";
+
+export const metadata = {
+  title: "Admin | Client Reporting Dashboard",
+};
+
+// Registry, links and dimensions change at runtime — render on every request
+export const dynamic = "force-dynamic";
+
+export default function AdminPage() {
+  requirePageSession("/admin");
+
+  const clients = getLocations().map(toPublicLocation);
+
+  return (
+    <>
+      <ShareLinkManager clients={clients} />
+      <DimensionManager clients={clients} />
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+/**
+ * Agency Portfolio Page — /agency
+ *
+ * Account-manager view listing every client location side by side.
+ * Data is fetched client-side from /api/portfolio. Admin only.
+ */
+
+import PortfolioOverview from "@/components/PortfolioOverview";
+import { requirePageSession } from "@/lib/auth";
+
+export const metadata = {
+  title: "Agency Portfolio | Client Reporting Dashboard",
+};
+
+// Branding comes from runtime env — don't bake it in at build time
+export const dynamic = "force-dynamic";
+
+export default function AgencyPage() {
+  requirePageSession("/agency");
+
+  return (
+    <PortfolioOverview
+      agencyName={process.env.AGENCY_NAME}
+      logoUrl={process.env.AGENCY_LOGO_URL}
+    />
+  );
+}
@@ -0,0 +1,24 @@
+/**
+ * API Route: /api/appointments
+ *
+ * Appointments booked in the selected period across the location's
+ * calendars, counted by their current GHL status. Returns:
+ * - Booked, confirmed, showed, no-show and cancelled counts
+ * - Show rate: showed / (showed + no-shows)
+ * - Bookings per calendar and per lead source (of the booked contact),
+ *   each with its own status counts and show rate
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js; ?tag matches the booked contact's tags and ?rep
+ * the appointment's assigned user.
+ */
+
+import { sectionRoute } from "@/lib/clientRoute";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export const GET = sectionRoute("appointments", {
+  route: "/api/appointments",
+  error: "Failed to fetch appointments",
+});
@@ -0,0 +1,30 @@
+/**
+ * API Route: /api/auth/login
+ *
+ * POST { password } — signs agency staff in with ADMIN_PASSWORD and sets
+ * an admin session cookie.
+ */
+
+import { NextResponse } from "next/server";
+import { checkAdminPassword, adminSession, setSessionCookie } from "@/lib/auth";
+
+export async function POST(request) {
+  try {
+    const { password } = await request.json().catch(() => ({}));
+
+    if (!checkAdminPassword(password)) {
+      return NextResponse.json(
+        { error: "Invalid password" },
+        { status: 401 }
+      );
+    }
+
+    return setSessionCookie(NextResponse.json({ ok: true }), adminSession());
+  } catch (error) {
+    console.error("[/api/auth/login] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to sign in", details: error.message },
+      { status: 500 }
+    );
+  }
+}
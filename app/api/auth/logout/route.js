@@ -0,0 +1,12 @@
+/**
+ * API Route: /api/auth/logout
+ *
+ * POST — clears the session cookie (admin or viewer).
+ */
+
+import { NextResponse } from "next/server";
+import { clearSessionCookie } from "@/lib/auth";
+
+export async function POST() {
+  return clearSessionCookie(NextResponse.json({ ok: true }));
+}
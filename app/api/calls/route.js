@@ -0,0 +1,26 @@
+/**
+ * API Route: /api/calls
+ *
+ * Call reporting from the call messages (TYPE_CALL) in GoHighLevel
+ * conversation history, with each call's direction, status and duration.
+ * Returns, for calls placed or received in the selected period:
+ * - Total, inbound and outbound calls
+ * - Answered vs. missed inbound calls and the answer rate
+ * - Average talk time of connected calls (ms)
+ * - Missed calls not returned with an outbound call within an hour,
+ *   newest first, with how long the callback took
+ * - A heatmap of call volume by weekday and hour of day
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
+ */
+
+import { sectionRoute } from "@/lib/clientRoute";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export const GET = sectionRoute("calls", {
+  route: "/api/calls",
+  error: "Failed to fetch calls",
+});
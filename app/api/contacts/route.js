@@ -3,62 +3,28 @@
  *
  * Fetches contacts from GoHighLevel and returns:
  * - Total contact count
- * - New contacts added in the last 30 days
- * - Breakdown by lead source (for pie chart)
- * - Most recent 10 contacts (for table display)
+ * - New contacts added in the selected period
+ * - Breakdown by lead source for new contacts (for pie chart)
+ * - Per-source leads, opportunities, won deals and win rate, with
+ *   opportunities joined to their contact's source via contactId
+ * - The location's reporting dimensions (lead source plus the custom
+ *   fields configured on /admin), with new leads or opportunities and
+ *   won revenue per value of each
+ * - New contacts by UTM medium → campaign → content, for first-touch
+ *   (attributionSource) and last-touch (lastAttributionSource) attribution
+ * - Most recent 10 new contacts (for table display), including their
+ *   first and last attribution touch
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
  */
 
-import { NextResponse } from "next/server";
-import { getContacts } from "@/lib/ghl";
-import { isWithinDays, groupBy } from "@/lib/formatters";
+import { sectionRoute } from "@/lib/clientRoute";
 
 // Force dynamic rendering — never cache at build time
 export const dynamic = "force-dynamic";
 
-export async function GET() {
-  try {
-    // Fetch all contacts from GHL for this location
-    const contacts = await getContacts();
-
-    // Count contacts added in the last 30 days
-    const newThisMonth = contacts.filter((c) =>
-      isWithinDays(c.dateAdded, 30)
-    ).length;
-
-    // Group contacts by their source field for lead source chart
-    const bySource = groupBy(contacts, "source");
-    const sourceBreakdown = Object.entries(bySource).map(
-      ([source, items]) => ({
-        name: source,
-        value: items.length,
-      })
-    );
-
-    // Get the 10 most recently added contacts for the table
-    const recentContacts = contacts
-      .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
-      .slice(0, 10)
-      .map((c) => ({
-        id: c.id,
-        name: `${c.firstName || ""} ${c.lastName || ""}`.trim() || "Unknown",
-        email: c.email || "N/A",
-        phone: c.phone || "N/A",
-        source: c.source || "Unknown",
-        dateAdded: c.dateAdded,
-        tags: c.tags || [],
-      }));
-
-    return NextResponse.json({
-      total: contacts.length,
-      newThisMonth,
-      sourceBreakdown,
-      recentContacts,
-    });
-  } catch (error) {
-    console.error("[/api/contacts] Error:", error.message);
-    return NextResponse.json(
-      { error: "Failed to fetch contacts", details: error.message },
-      { status: 500 }
-    );
-  }
-}
+export const GET = sectionRoute("contacts", {
+  route: "/api/contacts",
+  error: "Failed to fetch contacts",
+});
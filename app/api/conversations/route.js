@@ -1,57 +1,28 @@
 /**
  * API Route: /api/conversations
  *
- * Fetches conversation threads from GoHighLevel and returns:
- * - Total conversation count
+ * Fetches conversation threads and their message history from
+ * GoHighLevel and returns, for conversations active in the selected
+ * period:
+ * - Active conversation count
  * - Open vs. closed breakdown
- * - Response rate (conversations with at least one reply / total)
- * - Recent conversations list
+ * - Response rate: of the conversations where the lead wrote in the
+ *   period, the share the business replied to
+ * - Median and 90th percentile first-response time (ms), and the share
+ *   answered within 5 minutes, 1 hour and 24 hours
+ * - Volume, open count and response rate per channel (SMS, email,
+ *   calls, social, WhatsApp, ...)
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
  */
 
-import { NextResponse } from "next/server";
-import { getConversations } from "@/lib/ghl";
-import { isWithinDays } from "@/lib/formatters";
+import { sectionRoute } from "@/lib/clientRoute";
 
 // Force dynamic rendering — never cache at build time
 export const dynamic = "force-dynamic";
 
-export async function GET() {
-  try {
-    // Fetch all conversations from GHL
-    const conversations = await getConversations();
-
-    // Count open vs. closed conversations
-    // GHL uses "read" status field — unread implies open/active
-    const openCount = conversations.filter(
-      (c) => c.unreadCount > 0 || c.status === "open"
-    ).length;
-    const closedCount = conversations.length - openCount;
-
-    // Count conversations from the last 30 days
-    const recentCount = conversations.filter((c) =>
-      isWithinDays(c.lastMessageDate || c.dateAdded, 30)
-    ).length;
-
-    // Response rate: conversations where the business sent at least one reply
-    // GHL tracks lastMessageType — "TYPE_OUTBOUND" means the business replied
-    const withReply = conversations.filter(
-      (c) => c.lastMessageType === "TYPE_OUTBOUND"
-    ).length;
-    const responseRate =
-      conversations.length > 0 ? withReply / conversations.length : 0;
-
-    return NextResponse.json({
-      total: conversations.length,
-      openCount,
-      closedCount,
-      recentCount,
-      responseRate,
-    });
-  } catch (error) {
-    console.error("[/api/conversations] Error:", error.message);
-    return NextResponse.json(
-      { error: "Failed to fetch conversations", details: error.message },
-      { status: 500 }
-    );
-  }
-}
+export const GET = sectionRoute("conversations", {
+  route: "/api/conversations",
+  error: "Failed to fetch conversations",
+});
@@ -0,0 +1,112 @@
+/**
+ * API Route: /api/dimensions
+ *
+ * Admin-only configuration of a client's reporting dimensions — the GHL
+ * custom fields the dashboard can group and filter by:
+ * - GET ?client=<slug>              → the location's contact and
+ *                                     opportunity custom fields, and the
+ *                                     IDs currently selected
+ * - PUT { client, fieldIds: [...] } → replace the selection (same shape back)
+ *
+ * Lead source is always available and isn't part of the selection.
+ */
+
+import { NextResponse } from "next/server";
+import { authorizeRequest } from "@/lib/auth";
+import { getLocation } from "@/lib/locations";
+import { getCustomFields } from "@/lib/ghl";
+import { getDimensionFieldIds, setDimensionFieldIds } from "@/lib/dimensionConfig";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+const MODELS = ["contact", "opportunity"];
+
+// Custom fields that can become dimensions, sorted for the picker
+async function listFields(location, options) {
+  const fields = await getCustomFields(location, options);
+  return fields
+    .filter((field) => MODELS.includes(field.model))
+    .map(({ id, name, fieldKey, model, dataType }) => ({ id, name, fieldKey, model, dataType }))
+    .sort((a, b) => a.model.localeCompare(b.model) || a.name.localeCompare(b.name));
+}
+
+function unauthorized(access) {
+  return NextResponse.json(
+    { error: "Unauthorized", details: access.error },
+    { status: access.status }
+  );
+}
+
+function unknownClient(slug) {
+  return NextResponse.json(
+    { error: "Invalid client", details: `Unknown client "${slug}"` },
+    { status: 400 }
+  );
+}
+
+export async function GET(request) {
+  try {
+    const access = authorizeRequest(request);
+    if (access.error) return unauthorized(access);
+
+    const slug = request.nextUrl.searchParams.get("client");
+    const location = slug && getLocation(slug);
+    if (!location) return unknownClient(slug);
+
+    const refresh = request.nextUrl.searchParams.get("refresh") === "1";
+
+    return NextResponse.json({
+      client: slug,
+      fields: await listFields(location, { refresh }),
+      selected: getDimensionFieldIds(slug),
+    });
+  } catch (error) {
+    console.error("[/api/dimensions] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to fetch custom fields", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const access = authorizeRequest(request);
+    if (access.error) return unauthorized(access);
+
+    const body = await request.json().catch(() => ({}));
+    const location = body.client && getLocation(body.client);
+    if (!location) return unknownClient(body.client);
+
+    if (!Array.isArray(body.fieldIds)) {
+      return NextResponse.json(
+        { error: "Invalid dimensions", details: "fieldIds must be an array" },
+        { status: 400 }
+      );
+    }
+
+    // Only accept fields that exist on the location right now
+    const fields = await listFields(location, { refresh: true });
+    const known = new Set(fields.map((field) => field.id));
+    const unknown = body.fieldIds.filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: "Invalid dimensions", details: `Unknown custom field "${unknown[0]}"` },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      client: body.client,
+      fields,
+      selected: setDimensionFieldIds(body.client, body.fieldIds),
+    });
+  } catch (error) {
+    console.error("[/api/dimensions] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to save dimensions", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * API Route: /api/portfolio
+ *
+ * Agency-wide overview: one row per registered client location with
+ * leads, new leads, pipeline value, win rate and response rate, their
+ * change vs the previous period, a new-leads sparkline trend and flags
+ * for KPIs that dropped sharply.
+ *
+ * Query params:
+ * - ?range=week|month|quarter or ?from=yyyy-MM-dd&to=yyyy-MM-dd
+ * - ?refresh=1 to bypass the GHL response cache
+ *
+ * Admin only.
+ */
+
+import { NextResponse } from "next/server";
+import { buildPortfolio } from "@/lib/portfolio";
+import { authorizeRequest } from "@/lib/auth";
+import {
+  parseDateRange,
+  getPreviousPeriod,
+  serializePeriod,
+} from "@/lib/dateRange";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl;
+
+  // Resolve the reporting period from the query string (each client's
+  // row counts days in its own time zone; meta uses the server's)
+  const period = parseDateRange(searchParams);
+  if (period.error) {
+    return NextResponse.json(
+      { error: "Invalid date range", details: period.error },
+      { status: 400 }
+    );
+  }
+  const previousPeriod = getPreviousPeriod(period);
+
+  try {
+    // The cross-client view is for agency staff only
+    const access = authorizeRequest(request);
+    if (access.error) {
+      return NextResponse.json(
+        { error: "Unauthorized", details: access.error },
+        { status: access.status }
+      );
+    }
+
+    // ?refresh=1 bypasses the GHL response cache ("Refresh now")
+    const refresh = searchParams.get("refresh") === "1";
+
+    const clients = await buildPortfolio(
+      (timeZone) => parseDateRange(searchParams, timeZone),
+      { refresh }
+    );
+
+    return NextResponse.json({
+      clients,
+      meta: {
+        generatedAt: new Date().toISOString(),
+        period: serializePeriod(period),
+        previousPeriod: serializePeriod(previousPeriod),
+        agencyName: process.env.AGENCY_NAME,
+      },
+    });
+  } catch (error) {
+    console.error("[/api/portfolio] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to fetch portfolio", details: error.message },
+      { status: 500 }
+    );
+  }
+}
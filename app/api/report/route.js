@@ -0,0 +1,66 @@
+/**
+ * API Route: /api/report
+ *
+ * Renders the branded PDF report (components/ReportDocument.jsx) on the
+ * server with @react-pdf/renderer and streams it back as a download.
+ * The dashboard's Export PDF button uses it, and so can scheduled jobs
+ * holding a share token — no browser needed.
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js and reports on the same data as /api/summary.
+ */
+
+import { Readable } from "stream";
+import { createElement } from "react";
+import { renderToStream } from "@react-pdf/renderer";
+import { format } from "date-fns";
+import ReportDocument from "@/components/ReportDocument";
+import { clientRoute } from "@/lib/clientRoute";
+import { loadSummary } from "@/lib/summary";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+// Header values must be Latin-1, so the file name goes in twice: reduced
+// to ASCII for filename=, and exact (UTF-8, percent-encoded per RFC 5987)
+// for filename*=, which browsers prefer
+function contentDisposition(fileName) {
+  const ascii = fileName
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/-{2,}/g, "-");
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*!]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+export const GET = clientRoute(
+  { route: "/api/report", error: "Failed to generate report" },
+  async ({ location, period, refresh, filters, lockedRange }) => {
+    // Links locked to a date range get no previous-period comparison
+    const data = await loadSummary(location, { period, filters, refresh, lockedRange });
+
+    // ── PDF Response ────────────────────────────────────
+    const pdf = await renderToStream(
+      createElement(ReportDocument, {
+        data,
+        agencyName: data.meta.agencyName,
+        clientName: data.meta.clientName,
+      })
+    );
+    const fileName = `${location.clientName.replace(/\s+/g, "-")}-Report-${format(
+      new Date(),
+      "yyyy-MM-dd"
+    )}.pdf`;
+
+    return new Response(Readable.toWeb(pdf), {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": contentDisposition(fileName),
+      },
+    });
+  }
+);
@@ -0,0 +1,23 @@
+/**
+ * API Route: /api/reps
+ *
+ * Sales rep leaderboard for the selected period, from the GHL users
+ * endpoint and each record's assignedTo. Per rep:
+ * - Opportunities created or closed in the period, won count and value,
+ *   and win rate
+ * - Active conversations, how many are open, and response rate
+ * Unassigned work is listed as its own row.
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
+ */
+
+import { sectionRoute } from "@/lib/clientRoute";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export const GET = sectionRoute("reps", {
+  route: "/api/reps",
+  error: "Failed to fetch sales rep leaderboard",
+});
@@ -0,0 +1,37 @@
+/**
+ * API Route: /api/share-links/[id]
+ *
+ * DELETE — revokes a share link (admin only). Any viewer session opened
+ * from the link stops working immediately.
+ */
+
+import { NextResponse } from "next/server";
+import { authorizeRequest, revokeShareLink } from "@/lib/auth";
+
+export async function DELETE(request, { params }) {
+  try {
+    const access = authorizeRequest(request);
+    if (access.error) {
+      return NextResponse.json(
+        { error: "Unauthorized", details: access.error },
+        { status: access.status }
+      );
+    }
+
+    const link = revokeShareLink(params.id);
+    if (!link) {
+      return NextResponse.json(
+        { error: "Share link not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ link });
+  } catch (error) {
+    console.error("[/api/share-links/[id]] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to revoke share link", details: error.message },
+      { status: 500 }
+    );
+  }
+}
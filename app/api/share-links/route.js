@@ -0,0 +1,111 @@
+/**
+ * API Route: /api/share-links
+ *
+ * Admin-only management of client share links:
+ * - GET  → every issued link with its status (active / expired / revoked)
+ * - POST { client, from?, to?, expiresInDays?, label? } → new link + URL
+ *
+ * The signed token is only returned once, at creation time.
+ */
+
+import { NextResponse } from "next/server";
+import {
+  authorizeRequest,
+  listShareLinks,
+  createShareLink,
+} from "@/lib/auth";
+import { getLocation } from "@/lib/locations";
+import { resolveDateRange } from "@/lib/dateRange";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+// Derive a display status from a stored link
+function withStatus(link) {
+  let status = "active";
+  if (link.revokedAt) status = "revoked";
+  else if (new Date(link.expiresAt) <= new Date()) status = "expired";
+  return { ...link, status };
+}
+
+export async function GET(request) {
+  try {
+    const access = authorizeRequest(request);
+    if (access.error) {
+      return NextResponse.json(
+        { error: "Unauthorized", details: access.error },
+        { status: access.status }
+      );
+    }
+
+    return NextResponse.json({ links: listShareLinks().map(withStatus) });
+  } catch (error) {
+    console.error("[/api/share-links] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to list share links", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const access = authorizeRequest(request);
+    if (access.error) {
+      return NextResponse.json(
+        { error: "Unauthorized", details: access.error },
+        { status: access.status }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    if (!body.client || !getLocation(body.client)) {
+      return NextResponse.json(
+        { error: "Invalid share link", details: `Unknown client "${body.client}"` },
+        { status: 400 }
+      );
+    }
+
+    // An optional date scope needs both ends and must be a valid range
+    if (body.from || body.to) {
+      const range = resolveDateRange({ range: "custom", from: body.from, to: body.to });
+      if (range.error) {
+        return NextResponse.json(
+          { error: "Invalid share link", details: range.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    // The lifetime defaults to DEFAULT_LINK_DAYS, but must be whole days
+    // in the future when given (the form sends it as a string)
+    const hasLifetime = ![undefined, null, ""].includes(body.expiresInDays);
+    const days = Number(body.expiresInDays);
+    if (hasLifetime && !(Number.isInteger(days) && days > 0)) {
+      return NextResponse.json(
+        {
+          error: "Invalid share link",
+          details: "expiresInDays must be a positive whole number of days",
+        },
+        { status: 400 }
+      );
+    }
+
+    const { link, token } = createShareLink(body);
+
+    return NextResponse.json(
+      {
+        link: withStatus(link),
+        url: `${request.nextUrl.origin}/s/${token}`,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("[/api/share-links] Error:", error.message);
+    return NextResponse.json(
+      { error: "Failed to create share link", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * API Route: /api/speed-to-lead
+ *
+ * How fast new leads get contacted: each contact added in the selected
+ * period is joined to the first outbound message or call in its
+ * conversations (from GHL message history). Returns:
+ * - New leads, how many were contacted and the share
+ * - Median time from contact creation to first outbound touch (ms)
+ * - Leads per speed bucket (under 5 min … over 24 hours)
+ * - Leads never contacted, longest waiting first
+ * - A daily trend of leads, contacted leads and median speed
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
+ */
+
+import { sectionRoute } from "@/lib/clientRoute";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export const GET = sectionRoute("speedToLead", {
+  route: "/api/speed-to-lead",
+  error: "Failed to fetch speed to lead",
+});
@@ -0,0 +1,24 @@
+/**
+ * API Route: /api/velocity
+ *
+ * How fast deals move through the pipeline, for the selected period:
+ * - Average days to close for deals won in the period
+ * - Sales velocity: new opportunities × win rate × avg deal size ÷ days
+ *   to close, i.e. expected revenue per day (plus the inputs, so the
+ *   figure can be explained)
+ * - Average age of open deals in each pipeline stage, as of the end of
+ *   the period
+ *
+ * Takes the per-client query params and access rules of
+ * lib/clientRoute.js.
+ */
+
+import { sectionRoute } from "@/lib/clientRoute";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export const GET = sectionRoute("velocity", {
+  route: "/api/velocity",
+  error: "Failed to fetch sales velocity",
+});
@@ -0,0 +1,43 @@
+/**
+ * Client Dashboard Page — /c/[slug]
+ *
+ * Looks up the client in the location registry on the server and renders
+ * the dashboard with that client's branding. Unknown slugs return a 404.
+ * Only public fields are passed down; API credentials stay server-side.
+ *
+ * Requires an admin session or a viewer session for this client (opened
+ * via a share link). Range-locked links pin the dashboard to their range.
+ */
+
+import { notFound } from "next/navigation";
+import Dashboard from "@/components/Dashboard";
+import { getLocation, toPublicLocation } from "@/lib/locations";
+import { requirePageSession } from "@/lib/auth";
+
+// Registry can change at runtime — resolve the client on every request
+export const dynamic = "force-dynamic";
+
+export function generateMetadata({ params }) {
+  const location = getLocation(params.slug);
+  return {
+    title: location
+      ? `${location.clientName} | Client Reporting Dashboard`
+      : "Client Reporting Dashboard",
+  };
+}
+
+export default function ClientDashboardPage({ params }) {
+  const session = requirePageSession(`/c/${params.slug}`, {
+    client: params.slug,
+  });
+
+  const location = getLocation(params.slug);
+  if (!location) notFound();
+
+  const lockedRange =
+    session.from && session.to ? { from: session.from, to: session.to } : null;
+
+  return (
+    <Dashboard client={toPublicLocation(location)} lockedRange={lockedRange} />
+  );
+}
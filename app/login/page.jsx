@@ -0,0 +1,33 @@
+/**
+ * Login Page — /login
+ *
+ * Agency staff sign in here with ADMIN_PASSWORD. Clients never need it:
+ * they arrive through share links, and land here only when a link is
+ * invalid, expired or revoked.
+ */
+
+import LoginForm from "@/components/LoginForm";
+
+export const metadata = {
+  title: "Sign In | Client Reporting Dashboard",
+};
+
+// Only allow same-site paths as the post-login destination. Resolving
+// against a placeholder origin catches what browsers would treat as
+// another host, e.g. "//evil.com" or "/\evil.com"
+const PLACEHOLDER_ORIGIN = "http://localhost";
+
+function safeNext(next) {
+  if (typeof next !== "string" || !next.startsWith("/")) return "/";
+  const url = new URL(next, PLACEHOLDER_ORIGIN);
+  return url.origin === PLACEHOLDER_ORIGIN ? url.pathname + url.search + url.hash : "/";
+}
+
+export default function LoginPage({ searchParams }) {
+  return (
+    <LoginForm
+      next={safeNext(searchParams.next)}
+      linkError={searchParams.error === "link"}
+    />
+  );
+}
@@ -0,0 +1,26 @@
+/**
+ * Share Link Handler: /s/[token]
+ *
+ * Verifies a client share link and exchanges it for a viewer session
+ * cookie, then redirects to that client's dashboard. Invalid, expired or
+ * revoked links are sent to /login with an explanation.
+ */
+
+import { NextResponse } from "next/server";
+import { verifyShareToken, viewerSession, setSessionCookie } from "@/lib/auth";
+
+// Force dynamic rendering — never cache at build time
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params }) {
+  const share = verifyShareToken(params.token);
+
+  if (!share) {
+    return NextResponse.redirect(new URL("/login?error=link", request.url));
+  }
+
+  const response = NextResponse.redirect(
+    new URL(`/c/${share.client}`, request.url)
+  );
+  return setSessionCookie(response, viewerSession(share));
+}
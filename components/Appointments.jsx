@@ -0,0 +1,150 @@
+"use client";
+
+/**
+ * Appointments — Calendar bookings and how they turned out
+ *
+ * Displays:
+ * - Appointments booked in the period, with how many are confirmed,
+ *   showed, no-showed or were cancelled, and the show rate
+ * - A stacked bar per calendar: showed, no-shows, cancelled and the
+ *   rest (still upcoming or unconfirmed)
+ * - A table of bookings and show rate per lead source
+ *
+ * Props:
+ *   appointments (object) - From /api/summary appointments:
+ *                           { booked, confirmed, showed, noShow, cancelled,
+ *                             showRate, byCalendar: [...], bySource: [...] }
+ *                           where each breakdown row is { id, name, booked,
+ *                           confirmed, showed, noShow, cancelled, showRate }
+ */
+
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { formatNumber, formatPercent } from "@/lib/formatters";
+
+// Stack segments, bottom to top
+const SEGMENTS = [
+  { key: "showed", label: "Showed", color: "#10b981" },
+  { key: "noShow", label: "No-Show", color: "#ef4444" },
+  { key: "cancelled", label: "Cancelled", color: "#9ca3af" },
+  { key: "pending", label: "Upcoming / Unconfirmed", color: "#0ea5e9" },
+];
+
+const TOOLTIP_STYLE = {
+  backgroundColor: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
+};
+
+const AXIS_PROPS = {
+  tick: { fontSize: 12, fill: "#6b7280" },
+  axisLine: { stroke: "#e5e7eb" },
+};
+
+export default function Appointments({ appointments }) {
+  const {
+    booked = 0,
+    confirmed = 0,
+    showed = 0,
+    noShow = 0,
+    cancelled = 0,
+    showRate = 0,
+    byCalendar = [],
+    bySource = [],
+  } = appointments || {};
+
+  const stats = [
+    { label: "Booked", value: formatNumber(booked) },
+    { label: "Confirmed", value: formatNumber(confirmed) },
+    { label: "Showed", value: formatNumber(showed) },
+    { label: "No-Shows", value: formatNumber(noShow) },
+    { label: "Cancelled", value: formatNumber(cancelled) },
+    { label: "Show Rate", value: formatPercent(showRate) },
+  ];
+  const chartData = byCalendar.map((calendar) => ({
+    ...calendar,
+    pending: calendar.booked - calendar.showed - calendar.noShow - calendar.cancelled,
+  }));
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Appointments</h3>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-6 gap-3 mb-6">
+        {stats.map((stat) => (
+          <div key={stat.label} className="p-3 bg-gray-50 rounded-lg text-center">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-xl font-bold text-gray-900">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {booked === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No appointments booked in this period
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {/* ── Outcomes per calendar ── */}
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="name" {...AXIS_PROPS} />
+              <YAxis allowDecimals={false} {...AXIS_PROPS} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {SEGMENTS.map((segment, i) => (
+                <Bar
+                  key={segment.key}
+                  dataKey={segment.key}
+                  name={segment.label}
+                  stackId="calendar"
+                  fill={segment.color}
+                  maxBarSize={60}
+                  radius={i === SEGMENTS.length - 1 ? [6, 6, 0, 0] : undefined}
+                />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+
+          {/* ── Bookings per lead source ── */}
+          <div className="overflow-x-auto scrollbar-thin">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-gray-500">
+                  <th className="py-3 px-4 font-medium text-left">Source</th>
+                  <th className="py-3 px-4 font-medium text-right">Booked</th>
+                  <th className="py-3 px-4 font-medium text-right">Showed</th>
+                  <th className="py-3 px-4 font-medium text-right">No-Shows</th>
+                  <th className="py-3 px-4 font-medium text-right">Show Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bySource.map((source) => (
+                  <tr key={source.id} className="border-b border-gray-50 hover:bg-gray-50 transition-colors">
+                    <td className="py-3 px-4 font-medium text-gray-900">{source.name}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">{source.booked}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">{source.showed}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">{source.noShow}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">
+                      {formatPercent(source.showRate)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,34 +6,106 @@
  * Features:
  * - Agency logo loaded from AGENCY_LOGO_URL (falls back to text)
  * - Agency name and client name display
- * - Date range selector: This Week / This Month / This Quarter
+ * - Date range selector: This Week / This Month / This Quarter / Custom
+ * - Custom range date picker (from/to) applied on submit
+ * - Optional "Refresh now" button that bypasses the server cache
+ * - Optional tag filter: pick tags to scope every metric to contacts
+ *   carrying all of them; active tags show as removable chips
+ * - Active dimension filters (set by clicking chart segments) show as
+ *   removable "Name: value" chips
+ * - Optional sales rep selector to scope every metric to one rep
  * - Responsive: stacks vertically on mobile
  *
  * Props:
  *   agencyName  (string) - From env or API
  *   clientName  (string) - From env, API, or URL param
  *   logoUrl     (string) - Agency logo URL
- *   dateRange   (string) - Current selection ("week" | "month" | "quarter")
- *   onDateRangeChange (fn) - Callback when date range changes
+ *   dateRange   (object) - Current selection: { range, from, to }
+ *                          range is "week" | "month" | "quarter" | "custom",
+ *                          from/to are yyyy-MM-dd strings for custom ranges
+ *   onDateRangeChange (fn) - Callback with the new { range, from, to }
+ *   rangeLocked (bool)   - Show the custom range as fixed text instead of
+ *                          the selector (range-restricted share links)
+ *   onRefresh   (fn)     - Callback for "Refresh now" (button hidden if absent)
+ *   refreshing  (bool)   - Whether a refresh is in progress
+ *   tags        (array)  - Tags available to filter by (filter hidden if
+ *                          empty and nothing is selected)
+ *   selectedTags (array) - Active tag filter
+ *   onTagsChange (fn)    - Callback with the new list of selected tags
+ *   dimensionFilters (array) - Active dimension filters: [{ key, name, value }]
+ *   onRemoveDimensionFilter (fn) - Called with the { key, value } to remove
+ *   reps        (array)  - Reps to filter by: [{ id, name }] (selector
+ *                          hidden if empty)
+ *   selectedRep (string) - Active rep filter (user ID), or null for all
+ *   onRepChange (fn)     - Callback with the new rep ID (or null)
  */
 
 import { useState } from "react";
 import clsx from "clsx";
+import { toDayString } from "@/lib/dateRange";
+import { formatDate } from "@/lib/formatters";
 
 const DATE_RANGES = [
   { value: "week", label: "This Week" },
   { value: "month", label: "This Month" },
   { value: "quarter", label: "This Quarter" },
+  { value: "custom", label: "Custom" },
 ];
 
 export default function BrandingHeader({
   agencyName = "Agency",
   clientName = "Client",
   logoUrl,
-  dateRange = "month",
+  dateRange = { range: "month" },
   onDateRangeChange,
+  rangeLocked = false,
+  onRefresh,
+  refreshing = false,
+  tags = [],
+  selectedTags = [],
+  onTagsChange,
+  dimensionFilters = [],
+  onRemoveDimensionFilter,
+  reps = [],
+  selectedRep = null,
+  onRepChange,
 }) {
   const [imgError, setImgError] = useState(false);
+  const [showTags, setShowTags] = useState(false);
+
+  const toggleTag = (tag) =>
+    onTagsChange?.(
+      selectedTags.includes(tag)
+        ? selectedTags.filter((t) => t !== tag)
+        : [...selectedTags, tag]
+    );
+  const showTagFilter = Boolean(onTagsChange) && (tags.length > 0 || selectedTags.length > 0);
+
+  // ── Custom range picker state ─────────────────────────
+  // Defaults to the last 30 days until the user picks dates
+  const today = new Date();
+  const [showPicker, setShowPicker] = useState(false);
+  const [customFrom, setCustomFrom] = useState(
+    dateRange.from || toDayString(new Date(today.getTime() - 30 * 86400000))
+  );
+  const [customTo, setCustomTo] = useState(dateRange.to || toDayString(today));
+
+  // Preset buttons apply immediately; "Custom" opens the picker
+  const handleRangeClick = (value) => {
+    if (value === "custom") {
+      setShowPicker((open) => !open);
+      return;
+    }
+    setShowPicker(false);
+    onDateRangeChange?.({ range: value });
+  };
+
+  const handleApplyCustom = (e) => {
+    e.preventDefault();
+    if (!customFrom || !customTo || customFrom > customTo) return;
+    setShowPicker(false);
+    onDateRangeChange?.({ range: "custom", from: customFrom, to: customTo });
+  };
 
   return (
     <header className="bg-white border-b border-gray-100 px-6 py-4">
@@ -67,24 +139,192 @@ export default function BrandingHeader({
           </div>
         </div>
 
-        {/* Right side: Date range selector */}
-        <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
-          {DATE_RANGES.map((range) => (
+        {/* Right side: refresh button, rep and tag filters, date range controls */}
+        <div className="flex items-center gap-3">
+          {/* Refresh now — refetches live data from GHL */}
+          {onRefresh && (
             <button
-              key={range.value}
-              onClick={() => onDateRangeChange?.(range.value)}
+              onClick={onRefresh}
+              disabled={refreshing}
+              className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {refreshing ? "Refreshing..." : "Refresh now"}
+            </button>
+          )}
+
+          {/* Sales rep filter */}
+          {onRepChange && (reps.length > 0 || selectedRep) && (
+            <select
+              value={selectedRep || ""}
+              onChange={(e) => onRepChange(e.target.value || null)}
+              aria-label="Sales rep"
               className={clsx(
-                "px-3 py-1.5 text-sm rounded-md transition-all",
-                dateRange === range.value
-                  ? "bg-white text-gray-900 shadow-sm font-medium"
-                  : "text-gray-500 hover:text-gray-700"
+                "px-3 py-1.5 text-sm rounded-lg border transition-colors",
+                selectedRep
+                  ? "border-brand-200 bg-brand-50 text-brand-700"
+                  : "border-gray-200 text-gray-600 bg-white"
               )}
             >
-              {range.label}
-            </button>
-          ))}
+              <option value="">All reps</option>
+              {reps.map((rep) => (
+                <option key={rep.id} value={rep.id}>
+                  {rep.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {/* Tag filter — checklist popover */}
+          {showTagFilter && (
+            <div className="relative">
+              <button
+                onClick={() => setShowTags((open) => !open)}
+                className={clsx(
+                  "px-3 py-1.5 text-sm rounded-lg border transition-colors",
+                  selectedTags.length > 0
+                    ? "border-brand-200 bg-brand-50 text-brand-700"
+                    : "border-gray-200 text-gray-600 hover:bg-gray-50"
+                )}
+              >
+                Tags{selectedTags.length > 0 && ` (${selectedTags.length})`}
+              </button>
+
+              {showTags && (
+                <div className="absolute right-0 mt-2 z-40 bg-white border border-gray-100 rounded-lg shadow-lg p-2 w-56">
+                  <ul className="max-h-64 overflow-y-auto scrollbar-thin">
+                    {[...new Set([...selectedTags, ...tags])].map((tag) => (
+                      <li key={tag}>
+                        <label className="flex items-center gap-2 px-2 py-1.5 text-sm text-gray-700 rounded-md hover:bg-gray-50 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedTags.includes(tag)}
+                            onChange={() => toggleTag(tag)}
+                          />
+                          <span className="truncate">{tag}</span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                  {selectedTags.length > 0 && (
+                    <button
+                      onClick={() => onTagsChange([])}
+                      className="w-full mt-2 pt-2 border-t border-gray-100 text-sm text-gray-500 hover:text-gray-900"
+                    >
+                      Clear tags
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Fixed range label, or the date range selector */}
+          {rangeLocked ? (
+            <div className="text-sm text-gray-500 bg-gray-100 rounded-lg px-3 py-2">
+              {formatDate(dateRange.from)} – {formatDate(dateRange.to)}
+            </div>
+          ) : (
+            <div className="relative">
+              <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+                {DATE_RANGES.map((range) => (
+                  <button
+                    key={range.value}
+                    onClick={() => handleRangeClick(range.value)}
+                    className={clsx(
+                      "px-3 py-1.5 text-sm rounded-md transition-all",
+                      dateRange.range === range.value
+                        ? "bg-white text-gray-900 shadow-sm font-medium"
+                        : "text-gray-500 hover:text-gray-700"
+                    )}
+                  >
+                    {range.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Custom range popover with from/to date inputs */}
+              {showPicker && (
+                <form
+                  onSubmit={handleApplyCustom}
+                  className="absolute right-0 mt-2 z-40 bg-white border border-gray-100 rounded-lg shadow-lg p-4 flex flex-col gap-3 w-64"
+                >
+                  <label className="text-xs font-medium text-gray-500">
+                    From
+                    <input
+                      type="date"
+                      value={customFrom}
+                      max={customTo}
+                      onChange={(e) => setCustomFrom(e.target.value)}
+                      className="mt-1 w-full border border-gray-200 rounded-md px-2 py-1.5 text-sm text-gray-900"
+                    />
+                  </label>
+                  <label className="text-xs font-medium text-gray-500">
+                    To
+                    <input
+                      type="date"
+                      value={customTo}
+                      min={customFrom}
+                      onChange={(e) => setCustomTo(e.target.value)}
+                      className="mt-1 w-full border border-gray-200 rounded-md px-2 py-1.5 text-sm text-gray-900"
+                    />
+                  </label>
+                  <button
+                    type="submit"
+                    disabled={!customFrom || !customTo || customFrom > customTo}
+                    className="px-3 py-1.5 text-sm bg-brand-600 text-white rounded-md hover:bg-brand-700 transition-colors disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
         </div>
       </div>
+
+      {/* Active tag filter chips */}
+      {selectedTags.length > 0 && (
+        <div className="max-w-7xl mx-auto flex flex-wrap items-center gap-2 mt-3 text-sm">
+          <span className="text-gray-500">Only contacts tagged</span>
+          {selectedTags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-brand-50 text-brand-700"
+            >
+              {tag}
+              <button
+                onClick={() => toggleTag(tag)}
+                aria-label={`Remove ${tag} filter`}
+                className="text-brand-500 hover:text-brand-700"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Active dimension filter chips */}
+      {dimensionFilters.length > 0 && (
+        <div className="max-w-7xl mx-auto flex flex-wrap items-center gap-2 mt-3 text-sm">
+          <span className="text-gray-500">Only where</span>
+          {dimensionFilters.map(({ key, name, value }) => (
+            <span
+              key={`${key}:${value}`}
+              className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-brand-50 text-brand-700"
+            >
+              {name}: {value}
+              <button
+                onClick={() => onRemoveDimensionFilter?.({ key, value })}
+                aria-label={`Remove ${name}: ${value} filter`}
+                className="text-brand-500 hover:text-brand-700"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
     </header>
   );
 }
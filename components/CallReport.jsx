@@ -0,0 +1,146 @@
+"use client";
+
+/**
+ * CallReport — Phone call volume, outcomes and missed calls
+ *
+ * Displays:
+ * - Calls in the period (inbound / outbound), the inbound answer rate,
+ *   missed calls, average talk time, and missed calls nobody returned
+ *   within an hour
+ * - A heatmap of call volume by weekday and hour of day (client's time zone)
+ * - The missed calls without a callback in the hour, newest first
+ *
+ * Props:
+ *   calls (object) - From /api/summary calls:
+ *                    { total, inbound, outbound, answered, missed, answerRate,
+ *                      avgTalkTimeMs, missedWithoutCallback,
+ *                      unreturned: [{ id, name, phone, calledAt, callbackMs }],
+ *                      heatmap: [{ day: "Mon", hours: [24 counts] }] }
+ */
+
+import { format, parseISO } from "date-fns";
+import { formatDuration, formatNumber, formatPercent } from "@/lib/formatters";
+
+// Unreturned calls listed before "+N more"
+const MAX_CALLS = 10;
+
+// Hour columns labelled on the heatmap
+const HOUR_LABELS = { 0: "12a", 6: "6a", 12: "12p", 18: "6p" };
+
+export default function CallReport({ calls }) {
+  const {
+    total = 0,
+    inbound = 0,
+    outbound = 0,
+    missed = 0,
+    answerRate = 0,
+    avgTalkTimeMs = null,
+    missedWithoutCallback = 0,
+    unreturned = [],
+    heatmap = [],
+  } = calls || {};
+
+  const stats = [
+    { label: "Calls", value: formatNumber(total), detail: `${inbound} in · ${outbound} out` },
+    { label: "Answer Rate", value: formatPercent(answerRate) },
+    { label: "Missed", value: formatNumber(missed) },
+    { label: "Avg. Talk Time", value: formatDuration(avgTalkTimeMs) },
+    { label: "No Callback in 1h", value: formatNumber(missedWithoutCallback) },
+  ];
+  const busiest = Math.max(0, ...heatmap.flatMap((row) => row.hours));
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Calls</h3>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-5 gap-3 mb-6">
+        {stats.map((stat) => (
+          <div key={stat.label} className="p-3 bg-gray-50 rounded-lg text-center">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-xl font-bold text-gray-900">{stat.value}</p>
+            {stat.detail && <p className="text-xs text-gray-400">{stat.detail}</p>}
+          </div>
+        ))}
+      </div>
+
+      {total === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No calls in this period
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {/* ── Volume by weekday and hour ── */}
+          <div className="overflow-x-auto scrollbar-thin">
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+              <tbody>
+                {heatmap.map((row) => (
+                  <tr key={row.day}>
+                    <th className="pr-2 font-medium text-gray-500 text-left">{row.day}</th>
+                    {row.hours.map((count, hour) => (
+                      <td
+                        key={hour}
+                        title={`${row.day} ${hour}:00 — ${count} call${count === 1 ? "" : "s"}`}
+                        className="w-4 h-4 rounded-sm bg-gray-100"
+                        style={
+                          count > 0
+                            ? { backgroundColor: `rgba(14, 165, 233, ${0.15 + 0.85 * (count / busiest)})` }
+                            : undefined
+                        }
+                      />
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <th />
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <td key={hour} className="text-gray-400">
+                      {HOUR_LABELS[hour] || ""}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {/* ── Missed calls nobody returned in time ── */}
+          {unreturned.length === 0 ? (
+            <div className="flex items-center justify-center text-gray-400 text-sm">
+              Every missed call was returned within an hour
+            </div>
+          ) : (
+            <div className="overflow-x-auto scrollbar-thin">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-100 text-gray-500">
+                    <th className="py-3 px-4 font-medium text-left">Missed Caller</th>
+                    <th className="py-3 px-4 font-medium text-left">Called</th>
+                    <th className="py-3 px-4 font-medium text-right">Callback</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {unreturned.slice(0, MAX_CALLS).map((call) => (
+                    <tr key={call.id} className="border-b border-gray-50 hover:bg-gray-50 transition-colors">
+                      <td className="py-3 px-4">
+                        <p className="font-medium text-gray-900">{call.name}</p>
+                        <p className="text-xs text-gray-400">{call.phone}</p>
+                      </td>
+                      <td className="py-3 px-4 text-gray-600">{format(parseISO(call.calledAt), "MMM d, h:mm a")}</td>
+                      <td className="py-3 px-4 text-right font-medium text-amber-600">
+                        {call.callbackMs === null ? "Never" : `After ${formatDuration(call.callbackMs)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {unreturned.length > MAX_CALLS && (
+                <p className="text-xs text-gray-400 mt-3">
+                  +{unreturned.length - MAX_CALLS} more unreturned calls
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
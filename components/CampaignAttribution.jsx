@@ -0,0 +1,127 @@
+"use client";
+
+/**
+ * CampaignAttribution — New leads by UTM medium, campaign and content
+ *
+ * Displays:
+ * - A first-touch / last-touch toggle
+ * - One bar per medium; click a bar to drill into its campaigns, then
+ *   into their content
+ * - Breadcrumbs to step back up
+ *
+ * Props:
+ *   attribution (object) - From /api/summary contacts.attribution:
+ *                          { firstTouch: [node], lastTouch: [node] } where
+ *                          node = { name, leads, children?: [node] }
+ */
+
+import { useState } from "react";
+import ToggleGroup from "@/components/ToggleGroup";
+import { formatPercent, getChartColor } from "@/lib/formatters";
+
+const MODELS = [
+  { value: "firstTouch", label: "First touch" },
+  { value: "lastTouch", label: "Last touch" },
+];
+
+// What each drill-down level groups by
+const LEVEL_LABELS = ["Medium", "Campaign", "Content"];
+
+export default function CampaignAttribution({ attribution = {} }) {
+  const [model, setModel] = useState("firstTouch");
+  const [path, setPath] = useState([]); // Names drilled into, top-down
+
+  // Walk the drill-down path; stop where the current model has no match
+  const trail = [];
+  let nodes = attribution[model] || [];
+  for (const name of path) {
+    const node = nodes.find((n) => n.name === name);
+    if (!node?.children) break;
+    trail.push(node);
+    nodes = node.children;
+  }
+
+  const total = nodes.reduce((sum, n) => sum + n.leads, 0);
+  const max = Math.max(0, ...nodes.map((n) => n.leads));
+
+  return (
+    <div className="dashboard-card">
+      <div className="flex items-center justify-between flex-wrap mb-4 gap-3">
+        <h3 className="text-lg font-semibold text-gray-900">
+          Campaign Attribution
+        </h3>
+        <ToggleGroup options={MODELS} value={model} onChange={setModel} />
+      </div>
+
+      {/* Breadcrumbs: "All mediums › cpc › brand" */}
+      <div className="flex flex-wrap items-center gap-1 text-sm mb-3">
+        <button
+          onClick={() => setPath([])}
+          className={trail.length ? "text-brand-600 hover:underline" : "text-gray-900 font-medium"}
+        >
+          All mediums
+        </button>
+        {trail.map((node, i) => (
+          <span key={node.name} className="flex items-center gap-1">
+            <span className="text-gray-300">›</span>
+            <button
+              onClick={() => setPath(trail.slice(0, i + 1).map((n) => n.name))}
+              className={
+                i < trail.length - 1
+                  ? "text-brand-600 hover:underline"
+                  : "text-gray-900 font-medium"
+              }
+            >
+              {node.name}
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {/* One bar per medium / campaign / content */}
+      {nodes.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No attribution data available
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 uppercase tracking-wide mb-2">
+            {LEVEL_LABELS[trail.length]}
+          </p>
+          <ul className="space-y-2">
+            {nodes.map((node, index) => (
+              <li key={node.name}>
+                <button
+                  onClick={() => node.children && setPath([...trail.map((n) => n.name), node.name])}
+                  disabled={!node.children}
+                  className="w-full text-left group disabled:cursor-default"
+                >
+                  <div className="flex justify-between text-sm gap-2">
+                    <span className="text-gray-700 truncate group-enabled:group-hover:text-brand-600">
+                      {node.name}
+                    </span>
+                    <span className="shrink-0 text-gray-900 font-medium">
+                      {node.leads}{" "}
+                      <span className="text-gray-400 font-normal">
+                        ({formatPercent(total > 0 ? node.leads / total : 0)})
+                      </span>
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                    <div
+                      className="h-full rounded-full"
+                      style={{
+                        width: `${max > 0 ? (node.leads / max) * 100 : 0}%`,
+                        backgroundColor: getChartColor(index),
+                      }}
+                    />
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
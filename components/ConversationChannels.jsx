@@ -0,0 +1,124 @@
+"use client";
+
+/**
+ * ConversationChannels — Conversation volume and response rate by channel
+ *
+ * Displays:
+ * - A stacked bar per channel (SMS, Email, Calls, Facebook, ...): answered
+ *   conversations on the bottom, ones still waiting for a reply above
+ *   them, and ones the lead didn't write in (nothing to answer) on top
+ * - A table with each channel's share of conversations, open count and
+ *   response rate
+ *
+ * Props:
+ *   channels (array) - From /api/summary conversations.channels:
+ *                      [{ name, conversations, open, answered, unanswered,
+ *                         responseRate }]
+ */
+
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { formatPercent } from "@/lib/formatters";
+
+// Stack segments, bottom to top
+const SEGMENTS = [
+  { key: "answered", label: "Answered", color: "#10b981" },
+  { key: "unanswered", label: "Awaiting Reply", color: "#f59e0b" },
+  { key: "noReplyNeeded", label: "No Reply Needed", color: "#d1d5db" },
+];
+
+const TOOLTIP_STYLE = {
+  backgroundColor: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
+};
+
+const AXIS_PROPS = {
+  tick: { fontSize: 12, fill: "#6b7280" },
+  axisLine: { stroke: "#e5e7eb" },
+};
+
+export default function ConversationChannels({ channels = [] }) {
+  const total = channels.reduce((sum, channel) => sum + channel.conversations, 0);
+  const chartData = channels.map((channel) => ({
+    ...channel,
+    noReplyNeeded: channel.conversations - channel.answered - channel.unanswered,
+  }));
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Conversation Channels
+      </h3>
+
+      {channels.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No conversations in this period
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {/* ── Answered vs. waiting, per channel ── */}
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="name" {...AXIS_PROPS} />
+              <YAxis allowDecimals={false} {...AXIS_PROPS} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {SEGMENTS.map((segment, i) => (
+                <Bar
+                  key={segment.key}
+                  dataKey={segment.key}
+                  name={segment.label}
+                  stackId="channel"
+                  fill={segment.color}
+                  maxBarSize={60}
+                  radius={i === SEGMENTS.length - 1 ? [6, 6, 0, 0] : undefined}
+                />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+
+          {/* ── Channel table ── */}
+          <div className="overflow-x-auto scrollbar-thin">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-gray-500">
+                  <th className="py-3 px-4 font-medium text-left">Channel</th>
+                  <th className="py-3 px-4 font-medium text-right">Conversations</th>
+                  <th className="py-3 px-4 font-medium text-right">Share</th>
+                  <th className="py-3 px-4 font-medium text-right">Open</th>
+                  <th className="py-3 px-4 font-medium text-right">Response Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {channels.map((channel) => (
+                  <tr key={channel.name} className="border-b border-gray-50 hover:bg-gray-50 transition-colors">
+                    <td className="py-3 px-4 font-medium text-gray-900">{channel.name}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">{channel.conversations}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">
+                      {formatPercent(total > 0 ? channel.conversations / total : 0)}
+                    </td>
+                    <td className="py-3 px-4 text-right text-gray-600">{channel.open}</td>
+                    <td className="py-3 px-4 text-right text-gray-600">
+                      {formatPercent(channel.responseRate)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
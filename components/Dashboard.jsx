@@ -0,0 +1,387 @@
+"use client";
+
+/**
+ * Dashboard — the primary view that clients see
+ *
+ * Rendered by /c/[slug] (and / in single-location deployments). It:
+ * 1. Fetches unified data from /api/summary for the client, date range
+ *    and filters (tags, dimension values, sales rep)
+ * 2. Shows a loading skeleton while data loads
+ * 3. Renders a responsive grid of KPI cards, charts, and tables
+ * 4. Includes the BrandingHeader and ExportButton
+ *
+ * Layout:
+ *   ┌──────────────────────────────────────────┐
+ *   │ BrandingHeader (logo, name, date range)  │
+ *   ├────────┬────────┬────────┬───────────────┤
+ *   │ Leads  │Pipeline│Win Rate│ Conversations │  ← MetricCards
+ *   ├────────┴────────┼────────┴───────────────┤
+ *   │ PipelineChart   │ PipelineFunnel         │  ← Pipeline row
+ *   ├────────────┬────┴───────┬────────────────┤
+ *   │ LeadSource │ Conversion │ SalesVelocity  │
+ *   ├────────────┴────────────┴─┬──────────────┤
+ *   │ Quick Stats               │ TagBreakdown │
+ *   ├───────────────────────────┼──────────────┤
+ *   │ LeadSourcePerformance     │ Campaign     │
+ *   │ (sortable table)          │ Attribution  │
+ *   ├──────────────┬────────────┴──────────────┤
+ *   │ Response     │ ConversationChannels      │
+ *   │ Times        │ (chart + table)           │
+ *   ├──────────────┴───────────────────────────┤
+ *   │ CallReport (stats, heatmap, unreturned)  │
+ *   ├──────────────────────────────────────────┤
+ *   │ SpeedToLead (buckets, trend, uncontacted)│
+ *   ├──────────────────────────────────────────┤
+ *   │ Appointments (calendars, sources)        │
+ *   ├──────────────────────────────────────────┤
+ *   │ RepLeaderboard (full width table)        │
+ *   ├──────────────────────────────────────────┤
+ *   │ RecentContacts (full width table)        │  ← Table
+ *   └──────────────────────────────────────────┘
+ *   [Export PDF button — fixed bottom right]
+ *
+ * Props:
+ *   client      (object) - Public location info from lib/locations.js:
+ *                          { slug, clientName, agencyName, logoUrl }
+ *   lockedRange (object) - Optional { from, to } (yyyy-MM-dd) the viewer's
+ *                          share link is restricted to; hides the selector
+ */
+
+import { useState, useEffect } from "react";
+import MetricCard from "@/components/MetricCard";
+import PipelineChart from "@/components/PipelineChart";
+import PipelineFunnel from "@/components/PipelineFunnel";
+import LeadSourceChart from "@/components/LeadSourceChart";
+import LeadSourcePerformance from "@/components/LeadSourcePerformance";
+import CampaignAttribution from "@/components/CampaignAttribution";
+import RecentContacts from "@/components/RecentContacts";
+import ConversionRate from "@/components/ConversionRate";
+import SalesVelocity from "@/components/SalesVelocity";
+import BrandingHeader from "@/components/BrandingHeader";
+import TagBreakdown from "@/components/TagBreakdown";
+import RepLeaderboard from "@/components/RepLeaderboard";
+import ConversationChannels from "@/components/ConversationChannels";
+import ResponseTimes from "@/components/ResponseTimes";
+import CallReport from "@/components/CallReport";
+import SpeedToLead from "@/components/SpeedToLead";
+import Appointments from "@/components/Appointments";
+import ExportButton from "@/components/ExportButton";
+import { getMetric, readMetric, formatMetric } from "@/lib/metrics";
+import { toQueryString } from "@/lib/dateRange";
+import { toFilterQuery, normalizeTag } from "@/lib/filters";
+
+// Headline KPI cards (labels and formatting come from lib/metrics.js)
+const KPI_CARDS = [
+  { id: "newLeads", icon: "U", color: "blue" },
+  { id: "pipelineValue", icon: "$", color: "emerald" },
+  { id: "winRate", icon: "T", color: "amber" },
+  { id: "conversations", icon: "C", color: "violet" },
+];
+
+// Metrics shown in the Quick Stats panel
+const QUICK_STATS = [
+  "totalContacts",
+  "openConversations",
+  "responseRate",
+  "opportunityCount",
+  "avgDealSize",
+  "closedConversations",
+];
+
+export default function Dashboard({ client, lockedRange = null }) {
+  // ── State ───────────────────────────────────────────
+  const [data, setData] = useState(null);         // API response
+  const [loading, setLoading] = useState(true);    // Loading state
+  const [error, setError] = useState(null);        // Error state
+  const [refreshing, setRefreshing] = useState(false); // "Refresh now" state
+  const [dateRange, setDateRange] = useState(
+    lockedRange ? { range: "custom", ...lockedRange } : { range: "month" }
+  ); // Date filter
+  const [tags, setTags] = useState([]);            // Tag filter
+  const [dimensionFilters, setDimensionFilters] = useState([]); // [{ key, value }]
+  const [rep, setRep] = useState(null);            // Sales rep filter (user ID)
+
+  // Client, period and filters on screen — shared by the summary
+  // request and the PDF export
+  const filterQuery = toFilterQuery({ tags, dimensions: dimensionFilters, rep });
+  const viewQuery =
+    `client=${encodeURIComponent(client.slug)}&${toQueryString(dateRange)}` +
+    (filterQuery ? `&${filterQuery}` : "");
+
+  // ── Fetch summary data ──────────────────────────────
+  // refresh: true bypasses the server cache and keeps the current
+  // dashboard on screen instead of showing the loading skeleton
+  async function fetchSummary({ refresh = false } = {}) {
+    try {
+      if (refresh) setRefreshing(true);
+      else setLoading(true);
+      setError(null);
+      const res = await fetch(
+        `/api/summary?${viewQuery}` + (refresh ? "&refresh=1" : "")
+      );
+      if (!res.ok) throw new Error(`API returned ${res.status}`);
+      const json = await res.json();
+      setData(json);
+    } catch (err) {
+      console.error("Failed to fetch dashboard data:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchSummary();
+  }, [client.slug, dateRange, tags, dimensionFilters, rep]); // Re-fetch when client, range or filters change
+
+  // Clicking a tag in a widget adds it to the filter, or removes it again
+  const toggleTag = (tag) => {
+    const name = normalizeTag(tag);
+    setTags((current) =>
+      current.includes(name) ? current.filter((t) => t !== name) : [...current, name]
+    );
+  };
+
+  // Clicking a chart segment adds its value to the filter, or removes it again
+  const toggleDimensionFilter = (key, value) => {
+    setDimensionFilters((current) =>
+      current.some((f) => f.key === key && f.value === value)
+        ? current.filter((f) => !(f.key === key && f.value === value))
+        : [...current, { key, value }]
+    );
+  };
+
+  // ── Loading Skeleton ────────────────────────────────
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        {/* Skeleton header */}
+        <div className="bg-white border-b border-gray-100 px-6 py-4">
+          <div className="max-w-7xl mx-auto flex items-center gap-4">
+            <div className="skeleton w-10 h-10 rounded-lg" />
+            <div>
+              <div className="skeleton w-40 h-5 mb-2" />
+              <div className="skeleton w-56 h-4" />
+            </div>
+          </div>
+        </div>
+
+        {/* Skeleton body */}
+        <div className="max-w-7xl mx-auto p-6 space-y-6">
+          {/* Metric cards skeleton */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="dashboard-card">
+                <div className="skeleton w-24 h-4 mb-3" />
+                <div className="skeleton w-20 h-8 mb-2" />
+                <div className="skeleton w-32 h-3" />
+              </div>
+            ))}
+          </div>
+
+          {/* Charts skeleton */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="dashboard-card">
+              <div className="skeleton w-40 h-5 mb-4" />
+              <div className="skeleton w-full h-64" />
+            </div>
+            <div className="dashboard-card">
+              <div className="skeleton w-32 h-5 mb-4" />
+              <div className="skeleton w-full h-64" />
+            </div>
+          </div>
+
+          {/* Table skeleton */}
+          <div className="dashboard-card">
+            <div className="skeleton w-40 h-5 mb-4" />
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="skeleton w-full h-10 mb-2" />
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Error State ─────────────────────────────────────
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-5xl mb-4">!</div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">
+            Unable to Load Dashboard
+          </h2>
+          <p className="text-gray-500 mb-6">{error}</p>
+          <button
+            onClick={() => setDateRange((d) => ({ ...d }))} // Trigger re-fetch
+            className="px-4 py-2 bg-brand-600 text-white rounded-lg hover:bg-brand-700 transition-colors"
+          >
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Extract data for components ─────────────────────
+  const {
+    contacts,
+    opportunities,
+    velocity,
+    conversations,
+    calls,
+    speedToLead,
+    appointments,
+    reps,
+    comparison,
+    meta,
+  } = data || {};
+  const dimensionNames = Object.fromEntries(
+    (contacts?.dimensions || []).map((d) => [d.key, d.name])
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Branded header with agency logo and date range */}
+      <BrandingHeader
+        agencyName={client.agencyName || meta?.agencyName || "Agency"}
+        clientName={client.clientName || meta?.clientName || "Client"}
+        logoUrl={client.logoUrl}
+        dateRange={dateRange}
+        onDateRangeChange={setDateRange}
+        rangeLocked={Boolean(lockedRange)}
+        onRefresh={() => fetchSummary({ refresh: true })}
+        refreshing={refreshing}
+        tags={contacts?.availableTags || []}
+        selectedTags={tags}
+        onTagsChange={setTags}
+        dimensionFilters={dimensionFilters.map((f) => ({
+          ...f,
+          name: dimensionNames[f.key] || f.key,
+        }))}
+        onRemoveDimensionFilter={({ key, value }) => toggleDimensionFilter(key, value)}
+        reps={(reps?.leaderboard || []).filter((r) => r.id)}
+        selectedRep={rep}
+        onRepChange={setRep}
+      />
+
+      {/* Dashboard content */}
+      <main className="max-w-7xl mx-auto p-6 space-y-6">
+        {/* ── Row 1: KPI Metric Cards ──────────────── */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {KPI_CARDS.map(({ id, icon, color }) => (
+            <MetricCard
+              key={id}
+              title={getMetric(id).label}
+              value={formatMetric(id, readMetric(data, id))}
+              change={comparison?.[id]?.change}
+              previousValue={formatMetric(id, comparison?.[id]?.previous)}
+              icon={icon}
+              color={color}
+            />
+          ))}
+        </div>
+
+        {/* ── Row 2: Pipeline Stages and Funnel ────── */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <PipelineChart pipelines={opportunities?.pipelineBreakdown || []} />
+          <PipelineFunnel funnels={opportunities?.funnel || []} />
+        </div>
+
+        {/* ── Row 3: Lead Sources, Conversion, Velocity */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <LeadSourceChart
+            dimensions={contacts?.dimensions || []}
+            breakdowns={contacts?.dimensionBreakdown || {}}
+            onSegmentClick={toggleDimensionFilter}
+          />
+          <ConversionRate
+            winRate={opportunities?.winRate || 0}
+            wonCount={opportunities?.wonCount || 0}
+            lostCount={opportunities?.lostCount || 0}
+            avgDealSize={opportunities?.avgDealSize || 0}
+          />
+          <SalesVelocity velocity={velocity} />
+        </div>
+
+        {/* ── Row 4: Quick Stats and Tags ─────────── */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Additional metrics summary */}
+          <div className="lg:col-span-2 dashboard-card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              Quick Stats
+            </h3>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              {QUICK_STATS.map((id) => (
+                <div key={id} className="p-4 bg-gray-50 rounded-lg">
+                  <p className="text-sm text-gray-500">{getMetric(id).label}</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {formatMetric(id, readMetric(data, id))}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+          <TagBreakdown
+            tags={contacts?.tagBreakdown || []}
+            total={contacts?.newInPeriod || 0}
+            selectedTags={tags}
+            onTagClick={toggleTag}
+          />
+        </div>
+
+        {/* ── Row 5: Source Performance and Campaigns */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <LeadSourcePerformance sources={contacts?.sourcePerformance || []} />
+          </div>
+          <CampaignAttribution attribution={contacts?.attribution} />
+        </div>
+
+        {/* ── Row 6: Response Times and Channels ──── */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <ResponseTimes
+            responseRate={conversations?.responseRate || 0}
+            medianResponseMs={conversations?.medianResponseMs ?? null}
+            p90ResponseMs={conversations?.p90ResponseMs ?? null}
+            answeredWithin={conversations?.answeredWithin || []}
+          />
+          <div className="lg:col-span-2">
+            <ConversationChannels channels={conversations?.channels || []} />
+          </div>
+        </div>
+
+        {/* ── Row 7: Calls ─────────────────────────── */}
+        <CallReport calls={calls} />
+
+        {/* ── Row 8: Speed to Lead ─────────────────── */}
+        <SpeedToLead speedToLead={speedToLead} />
+
+        {/* ── Row 9: Appointments ──────────────────── */}
+        <Appointments appointments={appointments} />
+
+        {/* ── Row 10: Sales Rep Leaderboard ────────── */}
+        <RepLeaderboard
+          reps={reps?.leaderboard || []}
+          selectedRep={rep}
+          onRepClick={(id) => setRep((current) => (current === id ? null : id))}
+        />
+
+        {/* ── Row 11: Recent Contacts Table ────────── */}
+        <RecentContacts
+          contacts={contacts?.recentContacts || []}
+          onTagClick={toggleTag}
+        />
+      </main>
+
+      {/* Fixed PDF export button */}
+      <ExportButton
+        data={data}
+        query={viewQuery}
+        clientName={client.clientName || meta?.clientName || "Client"}
+      />
+    </div>
+  );
+}
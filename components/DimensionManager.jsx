@@ -0,0 +1,166 @@
+"use client";
+
+/**
+ * DimensionManager — Admin panel for a client's reporting dimensions
+ *
+ * Features:
+ * - Pick a client to load its GHL contact and opportunity custom fields
+ * - Tick the fields the dashboard should group and filter by (lead
+ *   source is always available)
+ * - Save replaces the client's selection
+ *
+ * Props:
+ *   clients (array) - Public locations: [{ slug, clientName }, ...]
+ */
+
+import { useState, useEffect } from "react";
+
+const MODEL_LABELS = {
+  contact: "Contact fields",
+  opportunity: "Opportunity fields",
+};
+
+const INPUT_CLASS =
+  "mt-1 w-full border border-gray-200 rounded-lg px-3 py-2 text-sm text-gray-900";
+
+export default function DimensionManager({ clients = [] }) {
+  // ── State ───────────────────────────────────────────
+  const [client, setClient] = useState(clients[0]?.slug || "");
+  const [fields, setFields] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ── API helpers ─────────────────────────────────────
+  async function request(url, options) {
+    const res = await fetch(url, options);
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.details || json.error || `API returned ${res.status}`);
+    return json;
+  }
+
+  useEffect(() => {
+    if (!client) return;
+    setLoading(true);
+    setError(null);
+    setSaved(false);
+    request(`/api/dimensions?client=${encodeURIComponent(client)}`)
+      .then((json) => {
+        setFields(json.fields);
+        setSelected(json.selected);
+      })
+      .catch((err) => {
+        setFields([]);
+        setSelected([]);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [client]);
+
+  const toggleField = (id) => {
+    setSaved(false);
+    setSelected((current) =>
+      current.includes(id) ? current.filter((f) => f !== id) : [...current, id]
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const json = await request("/api/dimensions", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ client, fieldIds: selected }),
+      });
+      setFields(json.fields);
+      setSelected(json.selected);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="max-w-5xl mx-auto px-6 pb-6">
+      <div className="dashboard-card space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Reporting Dimensions</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Custom fields the client&apos;s dashboard can group charts and filter by,
+            alongside lead source.
+          </p>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 bg-red-50 rounded-lg p-3">{error}</p>
+        )}
+
+        <label className="block text-sm font-medium text-gray-500 max-w-sm">
+          Client
+          <select value={client} onChange={(e) => setClient(e.target.value)} className={INPUT_CLASS}>
+            {clients.map((c) => (
+              <option key={c.slug} value={c.slug}>
+                {c.clientName}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {/* ── Field checklist, grouped by model ───────── */}
+        {loading ? (
+          <p className="text-sm text-gray-400">Loading custom fields…</p>
+        ) : fields.length === 0 ? (
+          <p className="text-sm text-gray-400">This client has no custom fields</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {Object.entries(MODEL_LABELS).map(([model, label]) => {
+              const modelFields = fields.filter((field) => field.model === model);
+              if (modelFields.length === 0) return null;
+              return (
+                <fieldset key={model}>
+                  <legend className="text-xs text-gray-500 uppercase tracking-wide mb-2">
+                    {label}
+                  </legend>
+                  <ul className="space-y-1.5">
+                    {modelFields.map((field) => (
+                      <li key={field.id}>
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(field.id)}
+                            onChange={() => toggleField(field.id)}
+                            className="rounded border-gray-300 text-brand-600"
+                          />
+                          {field.name}
+                          {field.fieldKey && (
+                            <span className="text-xs text-gray-400 font-mono">{field.fieldKey}</span>
+                          )}
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </fieldset>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleSave}
+            disabled={!client || loading || saving}
+            className="px-4 py-2 bg-brand-600 text-white rounded-lg hover:bg-brand-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving…" : "Save Dimensions"}
+          </button>
+          {saved && <span className="text-sm text-emerald-600">Saved</span>}
+        </div>
+      </div>
+    </section>
+  );
+}
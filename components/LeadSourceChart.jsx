@@ -8,10 +8,22 @@
  * - Legend showing source names and percentages
  * - Hover tooltip with exact count
  *
+ * A "Group by" selector swaps lead source for any other configured
+ * reporting dimension (e.g. a "Service Type" custom field); opportunity
+ * dimensions count opportunities instead of leads. A toggle switches
+ * between that count and won revenue, and each value keeps its color in
+ * both modes. Clicking a segment filters the dashboard by it.
+ *
  * Props:
- *   data (array) - [{ name: "Facebook", value: 45 }, ...]
+ *   dimensions     (array)  - From /api/summary contacts.dimensions:
+ *                             [{ key: "source", name: "Source", model: "contact" }]
+ *   breakdowns     (object) - From /api/summary contacts.dimensionBreakdown:
+ *                             { [key]: [{ name, value, won, wonValue }] }
+ *   onSegmentClick (fn)     - Called with (dimensionKey, value) (segments
+ *                             not clickable if absent)
  */
 
+import { useState } from "react";
 import {
   PieChart,
   Pie,
@@ -20,7 +32,10 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
-import { getChartColor } from "@/lib/formatters";
+import ToggleGroup from "@/components/ToggleGroup";
+import { formatCurrency, getChartColor } from "@/lib/formatters";
+
+const SOURCE_KEY = "source";
 
 // Custom legend renderer showing colored dots + source name + percentage
 function CustomLegend({ payload, totalValue }) {
@@ -48,66 +63,117 @@ function CustomLegend({ payload, totalValue }) {
   );
 }
 
-export default function LeadSourceChart({ data = [] }) {
+export default function LeadSourceChart({ dimensions = [], breakdowns = {}, onSegmentClick }) {
+  const [groupBy, setGroupBy] = useState(SOURCE_KEY);
+  const [mode, setMode] = useState("count");
+
+  // Fall back to lead source if the selected dimension is no longer configured
+  const dimension =
+    dimensions.find((d) => d.key === groupBy) ||
+    dimensions.find((d) => d.key === SOURCE_KEY) || { key: SOURCE_KEY, model: "contact" };
+  const rows = breakdowns[dimension.key] || [];
+  const isOpportunity = dimension.model === "opportunity";
+  const showRevenue = mode === "revenue";
+
+  const modes = [
+    { value: "count", label: isOpportunity ? "Opportunities" : "Leads" },
+    { value: "revenue", label: "Revenue" },
+  ];
+
+  // Count (or won value) per value, leaving out empty segments
+  const chartData = showRevenue
+    ? rows
+        .filter((row) => row.wonValue > 0)
+        .map((row) => ({ name: row.name, value: row.wonValue, won: row.won }))
+    : rows.filter((row) => row.value > 0);
+
+  // Stable color per value across both modes
+  const colorOf = (name) => getChartColor(rows.findIndex((row) => row.name === name));
+
   // Calculate total for percentage labels
-  const totalValue = data.reduce((sum, d) => sum + d.value, 0);
+  const totalValue = chartData.reduce((sum, d) => sum + d.value, 0);
 
-  // Show placeholder if no data
-  if (data.length === 0) {
-    return (
-      <div className="dashboard-card">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">
-          Lead Sources
+  return (
+    <div className="dashboard-card">
+      <div className="flex items-center justify-between flex-wrap mb-4 gap-3">
+        <h3 className="text-lg font-semibold text-gray-900">
+          {dimension.key === SOURCE_KEY ? "Lead Sources" : dimension.name}
         </h3>
-        <div className="h-64 flex items-center justify-center text-gray-400">
-          No lead source data available
+
+        <div className="flex items-center gap-2">
+          {/* Group by any configured dimension */}
+          {dimensions.length > 1 && (
+            <select
+              value={dimension.key}
+              onChange={(e) => setGroupBy(e.target.value)}
+              aria-label="Group by"
+              className="text-sm border border-gray-200 rounded-lg px-2 py-1.5 bg-white text-gray-700"
+            >
+              {dimensions.map((d) => (
+                <option key={d.key} value={d.key}>
+                  {d.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <ToggleGroup options={modes} value={mode} onChange={setMode} />
         </div>
       </div>
-    );
-  }
-
-  return (
-    <div className="dashboard-card">
-      <h3 className="text-lg font-semibold text-gray-900 mb-4">
-        Lead Sources
-      </h3>
 
-      <ResponsiveContainer width="100%" height={300}>
-        <PieChart>
-          <Pie
-            data={data}
-            cx="50%"
-            cy="50%"
-            innerRadius={60}   // Donut style for modern look
-            outerRadius={100}
-            paddingAngle={2}   // Small gap between segments
-            dataKey="value"
-            nameKey="name"
-            stroke="none"
-          >
-            {/* Color each segment from our palette */}
-            {data.map((_, index) => (
-              <Cell key={index} fill={getChartColor(index)} />
-            ))}
-          </Pie>
+      {/* Show placeholder if no data */}
+      {chartData.length === 0 ? (
+        <div className="h-64 flex items-center justify-center text-gray-400">
+          {showRevenue
+            ? "No revenue attributed in this period"
+            : `No ${isOpportunity ? "opportunity" : "lead"} data available`}
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <PieChart>
+            <Pie
+              data={chartData}
+              cx="50%"
+              cy="50%"
+              innerRadius={60}   // Donut style for modern look
+              outerRadius={100}
+              paddingAngle={2}   // Small gap between segments
+              dataKey="value"
+              nameKey="name"
+              stroke="none"
+              onClick={(entry) => onSegmentClick?.(dimension.key, entry.name)}
+            >
+              {/* Color each segment from our palette */}
+              {chartData.map((segment) => (
+                <Cell
+                  key={segment.name}
+                  fill={colorOf(segment.name)}
+                  cursor={onSegmentClick ? "pointer" : undefined}
+                />
+              ))}
+            </Pie>
 
-          {/* Tooltip showing exact count on hover */}
-          <Tooltip
-            contentStyle={{
-              backgroundColor: "#fff",
-              border: "1px solid #e5e7eb",
-              borderRadius: "8px",
-              boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
-            }}
-            formatter={(value, name) => [`${value} contacts`, name]}
-          />
+            {/* Tooltip showing exact count (or revenue) on hover */}
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "#fff",
+                border: "1px solid #e5e7eb",
+                borderRadius: "8px",
+                boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
+              }}
+              formatter={(value, name, entry) =>
+                showRevenue
+                  ? [`${formatCurrency(value)} from ${entry.payload.won} won`, name]
+                  : [`${value} ${isOpportunity ? "opportunities" : "contacts"}`, name]
+              }
+            />
 
-          {/* Custom legend with percentages */}
-          <Legend
-            content={<CustomLegend totalValue={totalValue} />}
-          />
-        </PieChart>
-      </ResponsiveContainer>
+            {/* Custom legend with percentages */}
+            <Legend
+              content={<CustomLegend totalValue={totalValue} />}
+            />
+          </PieChart>
+        </ResponsiveContainer>
+      )}
     </div>
   );
 }
@@ -0,0 +1,162 @@
+"use client";
+
+/**
+ * LeadSourcePerformance — Sortable table of what each lead source produces
+ *
+ * Features:
+ * - Column headers: Source, Leads, Opportunities, Won, Won Value, Win Rate
+ * - Click any column header to sort (asc/desc toggle); starts on won
+ *   value, highest first
+ * - Totals row across all sources
+ * - Responsive: horizontal scroll on small screens
+ *
+ * Props:
+ *   sources (array) - From /api/summary contacts.sourcePerformance:
+ *                     [{ name, leads, opportunities, won, lost, wonValue, winRate }]
+ */
+
+import { useState, useMemo } from "react";
+import clsx from "clsx";
+import { formatCurrency, formatPercent } from "@/lib/formatters";
+
+// Column definitions for the table (numeric columns sort high-to-low first)
+const COLUMNS = [
+  { key: "name", label: "Source" },
+  { key: "leads", label: "Leads", numeric: true },
+  { key: "opportunities", label: "Opportunities", numeric: true },
+  { key: "won", label: "Won", numeric: true },
+  { key: "wonValue", label: "Won Value", numeric: true, format: formatCurrency },
+  { key: "winRate", label: "Win Rate", numeric: true, format: formatPercent },
+];
+
+export default function LeadSourcePerformance({ sources = [] }) {
+  // ── Sort state ────────────────────────────────────────
+  const [sortKey, setSortKey] = useState("wonValue");
+  const [sortDir, setSortDir] = useState("desc"); // "asc" or "desc"
+
+  // Handle column header click to toggle sort
+  const handleSort = (col) => {
+    if (sortKey === col.key) {
+      // Same column clicked — toggle direction
+      setSortDir((d) => (d === "asc" ? "desc" : "asc"));
+    } else {
+      // New column — numbers start with the biggest, text with A
+      setSortKey(col.key);
+      setSortDir(col.numeric ? "desc" : "asc");
+    }
+  };
+
+  // Sort sources by the selected column
+  const sorted = useMemo(() => {
+    return [...sources].sort((a, b) => {
+      const cmp =
+        sortKey === "name"
+          ? String(a.name).localeCompare(String(b.name))
+          : a[sortKey] - b[sortKey];
+      return sortDir === "asc" ? cmp : -cmp;
+    });
+  }, [sources, sortKey, sortDir]);
+
+  // Totals across every source (win rate from the summed counts)
+  const totals = sources.reduce(
+    (sum, s) => ({
+      leads: sum.leads + s.leads,
+      opportunities: sum.opportunities + s.opportunities,
+      won: sum.won + s.won,
+      lost: sum.lost + s.lost,
+      wonValue: sum.wonValue + s.wonValue,
+    }),
+    { leads: 0, opportunities: 0, won: 0, lost: 0, wonValue: 0 }
+  );
+  const totalClosed = totals.won + totals.lost;
+
+  const formatCell = (col, value) => (col.format ? col.format(value) : value);
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Lead Source Performance
+      </h3>
+
+      {/* Horizontal scroll wrapper for mobile responsiveness */}
+      <div className="overflow-x-auto scrollbar-thin">
+        <table className="w-full text-sm">
+          {/* Column headers — clickable for sorting */}
+          <thead>
+            <tr className="border-b border-gray-100">
+              {COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  onClick={() => handleSort(col)}
+                  className={clsx(
+                    "py-3 px-4 font-medium text-gray-500",
+                    "cursor-pointer hover:text-gray-900 select-none",
+                    "transition-colors",
+                    col.numeric ? "text-right" : "text-left"
+                  )}
+                >
+                  {col.label}
+                  {/* Sort indicator arrow */}
+                  {sortKey === col.key && (
+                    <span className="ml-1">
+                      {sortDir === "asc" ? "↑" : "↓"}
+                    </span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+
+          {/* Table body — one row per source */}
+          <tbody>
+            {sorted.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={COLUMNS.length}
+                  className="text-center py-8 text-gray-400"
+                >
+                  No lead source data available
+                </td>
+              </tr>
+            ) : (
+              sorted.map((source) => (
+                <tr
+                  key={source.name}
+                  className="border-b border-gray-50 hover:bg-gray-50 transition-colors"
+                >
+                  {COLUMNS.map((col) => (
+                    <td
+                      key={col.key}
+                      className={clsx(
+                        "py-3 px-4",
+                        col.numeric ? "text-right text-gray-600" : "font-medium text-gray-900"
+                      )}
+                    >
+                      {formatCell(col, source[col.key])}
+                    </td>
+                  ))}
+                </tr>
+              ))
+            )}
+          </tbody>
+
+          {/* Totals row */}
+          {sorted.length > 1 && (
+            <tfoot>
+              <tr className="font-semibold text-gray-900">
+                <td className="py-3 px-4">Total</td>
+                <td className="py-3 px-4 text-right">{totals.leads}</td>
+                <td className="py-3 px-4 text-right">{totals.opportunities}</td>
+                <td className="py-3 px-4 text-right">{totals.won}</td>
+                <td className="py-3 px-4 text-right">{formatCurrency(totals.wonValue)}</td>
+                <td className="py-3 px-4 text-right">
+                  {formatPercent(totalClosed > 0 ? totals.won / totalClosed : 0)}
+                </td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+}
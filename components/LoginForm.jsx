@@ -0,0 +1,83 @@
+"use client";
+
+/**
+ * LoginForm — Admin password sign-in
+ *
+ * Posts the password to /api/auth/login and, on success, navigates to
+ * the page the visitor originally requested.
+ *
+ * Props:
+ *   next      (string) - Path to open after signing in
+ *   linkError (bool)   - Show the "share link no longer valid" notice
+ */
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+export default function LoginForm({ next = "/", linkError = false }) {
+  const router = useRouter();
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password }),
+      });
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json.error || `API returned ${res.status}`);
+      }
+      router.replace(next);
+      router.refresh();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="dashboard-card w-full max-w-sm">
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Sign In</h1>
+
+        {/* Explain why a client ended up here */}
+        {linkError && (
+          <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+            This dashboard link is invalid, expired or has been revoked.
+            Please ask your agency for a new link.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <label className="block text-sm font-medium text-gray-500">
+            Admin password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+              className="mt-1 w-full border border-gray-200 rounded-lg px-3 py-2 text-gray-900"
+            />
+          </label>
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={loading || !password}
+            className="w-full px-4 py-2 bg-brand-600 text-white rounded-lg hover:bg-brand-700 transition-colors disabled:opacity-50"
+          >
+            {loading ? "Signing in..." : "Sign In"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -7,13 +7,15 @@
  * - Icon and title
  * - Large formatted value
  * - Percentage change with up/down trend indicator
+ * - Hover tooltip with the current and previous period values
  *
  * Props:
- *   title    (string) - Metric label (e.g., "Total Leads")
- *   value    (string) - Formatted display value (e.g., "$45.2K")
- *   change   (number) - Decimal change (e.g., 0.12 for +12%)
- *   icon     (string) - Emoji or icon character
- *   color    (string) - Tailwind color class (e.g., "blue", "emerald")
+ *   title         (string) - Metric label (e.g., "Total Leads")
+ *   value         (string) - Formatted display value (e.g., "$45.2K")
+ *   change        (number) - Decimal change (e.g., 0.12 for +12%)
+ *   previousValue (string) - Formatted value for the previous period
+ *   icon          (string) - Emoji or icon character
+ *   color         (string) - Tailwind color class (e.g., "blue", "emerald")
  */
 
 import clsx from "clsx";
@@ -26,7 +28,14 @@ const colorMap = {
   violet: { bg: "bg-violet-50", text: "text-violet-600", border: "border-violet-200" },
 };
 
-export default function MetricCard({ title, value, change, icon, color = "blue" }) {
+export default function MetricCard({
+  title,
+  value,
+  change,
+  previousValue,
+  icon,
+  color = "blue",
+}) {
   const colors = colorMap[color] || colorMap.blue;
 
   // Determine if the change is positive, negative, or neutral
@@ -56,7 +65,7 @@ export default function MetricCard({ title, value, change, icon, color = "blue"
 
       {/* Change indicator (shown only if change is provided) */}
       {changeDisplay && (
-        <div className="flex items-center gap-1 text-sm">
+        <div className="relative group flex items-center gap-1 text-sm">
           {/* Trend arrow */}
           <span
             className={clsx(
@@ -69,6 +78,19 @@ export default function MetricCard({ title, value, change, icon, color = "blue"
             {isPositive ? "↑" : isNegative ? "↓" : "→"} {changeDisplay}
           </span>
           <span className="text-gray-400">vs last period</span>
+
+          {/* Tooltip with both absolute values */}
+          {previousValue !== undefined && (
+            <div className="absolute left-0 top-full mt-2 z-20 hidden group-hover:block whitespace-nowrap rounded-lg bg-gray-900 px-3 py-2 text-xs text-white shadow-lg">
+              <p>
+                This period: <span className="font-semibold">{value}</span>
+              </p>
+              <p>
+                Previous period:{" "}
+                <span className="font-semibold">{previousValue}</span>
+              </p>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -1,18 +1,27 @@
 "use client";
 
 /**
- * PipelineChart — Bar chart showing opportunity counts per pipeline stage
+ * PipelineChart — Opportunities per pipeline stage, by count or value
  *
- * Uses recharts BarChart with:
- * - X-axis: pipeline stage names
- * - Y-axis: number of opportunities in each stage
- * - Color gradient per bar for visual distinction
- * - Responsive container that adapts to parent width
+ * A toggle switches the bars between opportunity count and summed
+ * monetary value (currency-formatted axis); tooltips always show the
+ * count, total value and average deal size.
+ *
+ * Uses recharts BarChart with two views, picked from a selector:
+ * - One pipeline: a bar per stage, in the pipeline's stage order
+ * - All pipelines: one stacked bar per pipeline, segmented by stage
+ *   (segments are colored by stage order, so "first stage" is the same
+ *   color in every pipeline)
+ *
+ * Defaults to the single pipeline when there is only one.
  *
  * Props:
- *   data (array) - [{ name: "Stage Name", value: 12 }, ...]
+ *   pipelines (array) - From /api/summary opportunities.pipelineBreakdown:
+ *                       [{ id, name, total, totalValue,
+ *                          stages: [{ id, name, value, totalValue, avgValue }] }]
  */
 
+import { useState } from "react";
 import {
   BarChart,
   Bar,
@@ -23,70 +32,159 @@ import {
   ResponsiveContainer,
   Cell,
 } from "recharts";
-import { getChartColor } from "@/lib/formatters";
-
-export default function PipelineChart({ data = [] }) {
-  // Show placeholder if no data
-  if (data.length === 0) {
-    return (
-      <div className="dashboard-card">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+import ToggleGroup from "@/components/ToggleGroup";
+import { formatCurrency, getChartColor } from "@/lib/formatters";
+
+const ALL = "all";
+
+// What the bars measure: stage field plotted in the single-pipeline view
+const MODES = [
+  { value: "count", label: "Count", field: "value" },
+  { value: "value", label: "Value", field: "totalValue" },
+];
+
+// Selector value for a pipeline (the "Unknown" group has no ID)
+const keyOf = (pipeline) => pipeline.id ?? "unknown";
+
+// Shared tooltip look
+const TOOLTIP_STYLE = {
+  backgroundColor: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
+};
+
+const AXIS_PROPS = {
+  tick: { fontSize: 12, fill: "#6b7280" },
+  axisLine: { stroke: "#e5e7eb" },
+};
+
+/**
+ * Rows for the stacked view: one per pipeline, with the chosen measure of
+ * its n-th stage under `s<n>` and the stages alongside for the tooltip.
+ * Stages a pipeline doesn't have are null so the tooltip skips them.
+ */
+function toStackedData(pipelines, stageCount, field) {
+  return pipelines.map((pipeline) => {
+    const row = { name: pipeline.name, stages: pipeline.stages };
+    for (let i = 0; i < stageCount; i++) {
+      row[`s${i}`] = pipeline.stages[i] ? pipeline.stages[i][field] : null;
+    }
+    return row;
+  });
+}
+
+// Tooltip line for a stage: count, total value and average deal size
+const describeStage = (stage) => [
+  `${stage.value} opportunities · ${formatCurrency(stage.totalValue)} ` +
+    `(avg ${formatCurrency(stage.avgValue)})`,
+  stage.name,
+];
+
+export default function PipelineChart({ pipelines = [] }) {
+  const [selected, setSelected] = useState(ALL);
+  const [mode, setMode] = useState("count");
+  const { field } = MODES.find((m) => m.value === mode);
+
+  // A single pipeline needs no "all" view; fall back if the selection vanished
+  const pipeline =
+    pipelines.length === 1
+      ? pipelines[0]
+      : pipelines.find((p) => keyOf(p) === selected);
+  const stageCount = Math.max(0, ...pipelines.map((p) => p.stages.length));
+  const isEmpty = pipeline ? pipeline.total === 0 : pipelines.every((p) => p.total === 0);
+
+  // Value mode plots dollars, so the axis needs currency ticks
+  const yAxisProps =
+    mode === "value"
+      ? { tickFormatter: formatCurrency, width: 64 }
+      : { allowDecimals: false };
+
+  return (
+    <div className="dashboard-card">
+      <div className="flex items-center justify-between flex-wrap mb-4 gap-3">
+        <h3 className="text-lg font-semibold text-gray-900">
           Pipeline Overview
         </h3>
-        <div className="h-64 flex items-center justify-center text-gray-400">
-          No pipeline data available
+
+        <div className="flex items-center gap-2">
+          {/* Count / value toggle */}
+          <ToggleGroup options={MODES} value={mode} onChange={setMode} />
+
+          {/* Pipeline selector (only when there's more than one) */}
+          {pipelines.length > 1 && (
+            <select
+              value={pipeline ? keyOf(pipeline) : ALL}
+              onChange={(e) => setSelected(e.target.value)}
+              className="text-sm border border-gray-200 rounded-lg px-2 py-1.5 text-gray-700"
+            >
+              <option value={ALL}>All pipelines</option>
+              {pipelines.map((p) => (
+                <option key={keyOf(p)} value={keyOf(p)}>
+                  {p.name} ({p.total})
+                </option>
+              ))}
+            </select>
+          )}
         </div>
       </div>
-    );
-  }
 
-  return (
-    <div className="dashboard-card">
-      <h3 className="text-lg font-semibold text-gray-900 mb-4">
-        Pipeline Overview
-      </h3>
-
-      {/* ResponsiveContainer makes the chart fill its parent width */}
-      <ResponsiveContainer width="100%" height={300}>
-        <BarChart
-          data={data}
-          margin={{ top: 5, right: 20, left: 0, bottom: 5 }}
-        >
-          {/* Light grid lines for readability */}
-          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-
-          {/* Stage names on X-axis, rotated if long */}
-          <XAxis
-            dataKey="name"
-            tick={{ fontSize: 12, fill: "#6b7280" }}
-            axisLine={{ stroke: "#e5e7eb" }}
-          />
-
-          {/* Opportunity count on Y-axis */}
-          <YAxis
-            tick={{ fontSize: 12, fill: "#6b7280" }}
-            axisLine={{ stroke: "#e5e7eb" }}
-          />
-
-          {/* Hover tooltip with count */}
-          <Tooltip
-            contentStyle={{
-              backgroundColor: "#fff",
-              border: "1px solid #e5e7eb",
-              borderRadius: "8px",
-              boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
-            }}
-            formatter={(value) => [`${value} opportunities`, "Count"]}
-          />
-
-          {/* Bars with individual colors per stage */}
-          <Bar dataKey="value" radius={[6, 6, 0, 0]} maxBarSize={60}>
-            {data.map((_, index) => (
-              <Cell key={index} fill={getChartColor(index)} />
-            ))}
-          </Bar>
-        </BarChart>
-      </ResponsiveContainer>
+      {/* Placeholder when there's nothing to chart */}
+      {isEmpty ? (
+        <div className="h-64 flex items-center justify-center text-gray-400">
+          No pipeline data available
+        </div>
+      ) : (
+        /* ResponsiveContainer makes the chart fill its parent width */
+        <ResponsiveContainer width="100%" height={300}>
+          {pipeline ? (
+            // ── Single pipeline: one bar per stage ─────
+            <BarChart
+              data={pipeline.stages}
+              margin={{ top: 5, right: 20, left: 0, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="name" {...AXIS_PROPS} />
+              <YAxis {...yAxisProps} {...AXIS_PROPS} />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(value, key, entry) => describeStage(entry.payload)}
+              />
+              {/* Bars with individual colors per stage */}
+              <Bar dataKey={field} radius={[6, 6, 0, 0]} maxBarSize={60}>
+                {pipeline.stages.map((_, index) => (
+                  <Cell key={index} fill={getChartColor(index)} />
+                ))}
+              </Bar>
+            </BarChart>
+          ) : (
+            // ── All pipelines: stacked by stage order ──
+            <BarChart
+              data={toStackedData(pipelines, stageCount, field)}
+              margin={{ top: 5, right: 20, left: 0, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="name" {...AXIS_PROPS} />
+              <YAxis {...yAxisProps} {...AXIS_PROPS} />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(value, key, entry) =>
+                  describeStage(entry.payload.stages[Number(String(entry.dataKey).slice(1))])
+                }
+              />
+              {Array.from({ length: stageCount }, (_, i) => (
+                <Bar
+                  key={i}
+                  dataKey={`s${i}`}
+                  stackId="stages"
+                  fill={getChartColor(i)}
+                  maxBarSize={60}
+                />
+              ))}
+            </BarChart>
+          )}
+        </ResponsiveContainer>
+      )}
     </div>
   );
 }
@@ -0,0 +1,109 @@
+"use client";
+
+/**
+ * PipelineFunnel — Where deals leak between pipeline stages
+ *
+ * For one pipeline at a time, shows each stage as a bar sized by how many
+ * opportunities reached it, with:
+ * - Opportunity count and value carried at each step
+ * - Conversion % from the previous step (drops below 50% are highlighted)
+ * - A final "Won" step
+ *
+ * A selector switches pipelines when there is more than one; it starts on
+ * the busiest pipeline.
+ *
+ * Props:
+ *   funnels (array) - From /api/summary opportunities.funnel:
+ *                     [{ id, name, steps: [{ id, name, reached, value, conversion }] }]
+ */
+
+import { useState } from "react";
+import clsx from "clsx";
+import { formatCurrency, formatPercent, getChartColor } from "@/lib/formatters";
+
+// Step-to-step conversion below this is flagged as a leak
+const LEAK_THRESHOLD = 0.5;
+
+export default function PipelineFunnel({ funnels = [] }) {
+  const [selected, setSelected] = useState(null);
+
+  // Default to the pipeline with the most opportunities entering it
+  const busiest = [...funnels].sort(
+    (a, b) => (b.steps[0]?.reached || 0) - (a.steps[0]?.reached || 0)
+  )[0];
+  const funnel = funnels.find((f) => f.id === selected) || busiest;
+  const top = funnel?.steps[0]?.reached || 0;
+
+  return (
+    <div className="dashboard-card">
+      <div className="flex items-center justify-between mb-4 gap-3">
+        <h3 className="text-lg font-semibold text-gray-900">Pipeline Funnel</h3>
+
+        {/* Pipeline selector (only when there's more than one) */}
+        {funnels.length > 1 && (
+          <select
+            value={funnel.id}
+            onChange={(e) => setSelected(e.target.value)}
+            className="text-sm border border-gray-200 rounded-lg px-2 py-1.5 text-gray-700"
+          >
+            {funnels.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Placeholder when nothing entered the funnel */}
+      {top === 0 ? (
+        <div className="h-64 flex items-center justify-center text-gray-400">
+          No pipeline data available
+        </div>
+      ) : (
+        <ol className="space-y-1">
+          {funnel.steps.map((step, index) => (
+            <li key={step.id}>
+              {/* Conversion from the previous step */}
+              {step.conversion !== null && (
+                <p
+                  className={clsx(
+                    "text-xs pl-2 py-0.5",
+                    step.conversion < LEAK_THRESHOLD
+                      ? "text-red-500 font-medium"
+                      : "text-gray-400"
+                  )}
+                >
+                  ↓ {formatPercent(step.conversion)}
+                </p>
+              )}
+
+              <div className="flex items-center gap-3">
+                <div className="w-28 shrink-0 text-sm text-gray-600 truncate" title={step.name}>
+                  {step.name}
+                </div>
+
+                {/* Bar width relative to the first step */}
+                <div className="flex-1 h-7 bg-gray-50 rounded-md overflow-hidden">
+                  <div
+                    className="h-full rounded-md transition-all duration-700 ease-out"
+                    style={{
+                      width: `${Math.max((step.reached / top) * 100, 1)}%`,
+                      backgroundColor:
+                        step.id === "won" ? "#10b981" : getChartColor(index),
+                    }}
+                  />
+                </div>
+
+                <div className="w-24 shrink-0 text-right">
+                  <p className="text-sm font-semibold text-gray-900">{step.reached}</p>
+                  <p className="text-xs text-gray-500">{formatCurrency(step.value)}</p>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
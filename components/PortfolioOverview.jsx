@@ -0,0 +1,136 @@
+"use client";
+
+/**
+ * PortfolioOverview — Agency view rolling up every client location
+ *
+ * Fetches /api/portfolio for the selected date range and renders:
+ * - BrandingHeader with the shared date range selector
+ * - Summary cards (clients, total new leads, total pipeline, flagged)
+ * - PortfolioTable with one sortable row per client
+ *
+ * Props:
+ *   agencyName (string) - Agency display name
+ *   logoUrl    (string) - Agency logo URL
+ */
+
+import { useState, useEffect } from "react";
+import BrandingHeader from "@/components/BrandingHeader";
+import MetricCard from "@/components/MetricCard";
+import PortfolioTable from "@/components/PortfolioTable";
+import { formatCurrency, formatNumber } from "@/lib/formatters";
+import { toQueryString } from "@/lib/dateRange";
+
+export default function PortfolioOverview({ agencyName, logoUrl }) {
+  // ── State ───────────────────────────────────────────
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [dateRange, setDateRange] = useState({ range: "month" });
+
+  // ── Fetch portfolio (refresh: true bypasses the server cache) ──
+  async function fetchPortfolio({ refresh = false } = {}) {
+    try {
+      if (refresh) setRefreshing(true);
+      else setLoading(true);
+      setError(null);
+      const res = await fetch(
+        `/api/portfolio?${toQueryString(dateRange)}` +
+          (refresh ? "&refresh=1" : "")
+      );
+      if (!res.ok) throw new Error(`API returned ${res.status}`);
+      setData(await res.json());
+    } catch (err) {
+      console.error("Failed to fetch portfolio:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }
+
+  // Re-fetch whenever the date range changes
+  useEffect(() => {
+    fetchPortfolio();
+  }, [dateRange]);
+
+  const clients = data?.clients || [];
+  const loaded = clients.filter((c) => !c.error);
+  const flaggedCount = loaded.filter((c) => c.dropped.length > 0).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <BrandingHeader
+        agencyName={agencyName || "Agency"}
+        clientName="All Clients"
+        logoUrl={logoUrl}
+        dateRange={dateRange}
+        onDateRangeChange={setDateRange}
+        onRefresh={() => fetchPortfolio({ refresh: true })}
+        refreshing={refreshing}
+      />
+
+      <main className="max-w-7xl mx-auto p-6 space-y-6">
+        {loading ? (
+          // ── Loading Skeleton ─────────────────────────
+          <div className="dashboard-card">
+            <div className="skeleton w-40 h-5 mb-4" />
+            {[...Array(6)].map((_, i) => (
+              <div key={i} className="skeleton w-full h-10 mb-2" />
+            ))}
+          </div>
+        ) : error ? (
+          // ── Error State ──────────────────────────────
+          <div className="dashboard-card text-center py-12">
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">
+              Unable to Load Portfolio
+            </h2>
+            <p className="text-gray-500 mb-6">{error}</p>
+            <button
+              onClick={() => setDateRange((d) => ({ ...d }))} // Trigger re-fetch
+              className="px-4 py-2 bg-brand-600 text-white rounded-lg hover:bg-brand-700 transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* ── Portfolio totals ─────────────────── */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <MetricCard
+                title="Clients"
+                value={formatNumber(clients.length)}
+                icon="#"
+                color="blue"
+              />
+              <MetricCard
+                title="New Leads"
+                value={formatNumber(
+                  loaded.reduce((sum, c) => sum + c.newLeads, 0)
+                )}
+                icon="U"
+                color="emerald"
+              />
+              <MetricCard
+                title="Pipeline Value"
+                value={formatCurrency(
+                  loaded.reduce((sum, c) => sum + c.pipelineValue, 0)
+                )}
+                icon="$"
+                color="amber"
+              />
+              <MetricCard
+                title="Needs Attention"
+                value={formatNumber(flaggedCount)}
+                icon="!"
+                color="violet"
+              />
+            </div>
+
+            <PortfolioTable clients={clients} />
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
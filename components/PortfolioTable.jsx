@@ -0,0 +1,183 @@
+"use client";
+
+/**
+ * PortfolioTable — Sortable agency overview of every client location
+ *
+ * Features:
+ * - One row per client: leads, new leads, pipeline value, win rate,
+ *   response rate and a new-leads sparkline
+ * - Click any column header to sort (asc/desc toggle)
+ * - KPIs that dropped sharply vs the previous period are highlighted,
+ *   and the row is flagged
+ * - Clients that failed to load show their error instead of metrics
+ *
+ * Props:
+ *   clients (array) - Rows from /api/portfolio
+ */
+
+import { useState, useMemo } from "react";
+import Link from "next/link";
+import clsx from "clsx";
+import Sparkline from "@/components/Sparkline";
+import {
+  formatCurrency,
+  formatNumber,
+  formatPercent,
+} from "@/lib/formatters";
+
+// Column definitions: key into the row, label, formatter
+const COLUMNS = [
+  { key: "clientName", label: "Client" },
+  { key: "leads", label: "Leads", format: formatNumber },
+  { key: "newLeads", label: "New Leads", format: formatNumber },
+  { key: "pipelineValue", label: "Pipeline Value", format: formatCurrency },
+  { key: "winRate", label: "Win Rate", format: formatPercent },
+  { key: "responseRate", label: "Response Rate", format: formatPercent },
+];
+
+export default function PortfolioTable({ clients = [] }) {
+  // ── Sort state ────────────────────────────────────────
+  const [sortKey, setSortKey] = useState("clientName");
+  const [sortDir, setSortDir] = useState("asc"); // "asc" or "desc"
+
+  // Handle column header click to toggle sort
+  const handleSort = (key) => {
+    if (sortKey === key) {
+      setSortDir((d) => (d === "asc" ? "desc" : "asc"));
+    } else {
+      // Metrics are most useful largest-first; names A→Z
+      setSortKey(key);
+      setSortDir(key === "clientName" ? "asc" : "desc");
+    }
+  };
+
+  // Sort rows by the selected column; rows that failed always go last
+  const sorted = useMemo(() => {
+    return [...clients].sort((a, b) => {
+      if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+      const aVal = a[sortKey];
+      const bVal = b[sortKey];
+      const cmp =
+        typeof aVal === "number"
+          ? aVal - bVal
+          : String(aVal).localeCompare(String(bVal));
+      return sortDir === "asc" ? cmp : -cmp;
+    });
+  }, [clients, sortKey, sortDir]);
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Client Portfolio
+      </h3>
+
+      <div className="overflow-x-auto scrollbar-thin">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-100">
+              {COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  onClick={() => handleSort(col.key)}
+                  className={clsx(
+                    "text-left py-3 px-4 font-medium text-gray-500",
+                    "cursor-pointer hover:text-gray-900 select-none",
+                    "transition-colors whitespace-nowrap"
+                  )}
+                >
+                  {col.label}
+                  {sortKey === col.key && (
+                    <span className="ml-1">
+                      {sortDir === "asc" ? "↑" : "↓"}
+                    </span>
+                  )}
+                </th>
+              ))}
+              <th className="text-left py-3 px-4 font-medium text-gray-500">
+                Trend
+              </th>
+            </tr>
+          </thead>
+
+          <tbody>
+            {sorted.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={COLUMNS.length + 1}
+                  className="text-center py-8 text-gray-400"
+                >
+                  No clients configured
+                </td>
+              </tr>
+            ) : (
+              sorted.map((row) => (
+                <tr
+                  key={row.client}
+                  className={clsx(
+                    "border-b border-gray-50 hover:bg-gray-50 transition-colors",
+                    row.dropped?.length > 0 && "bg-red-50/40"
+                  )}
+                >
+                  {/* Client name links to that client's dashboard */}
+                  <td className="py-3 px-4 font-medium text-gray-900 whitespace-nowrap">
+                    <Link href={`/c/${row.client}`} className="hover:text-brand-600">
+                      {row.clientName}
+                    </Link>
+                    {row.dropped?.length > 0 && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-600">
+                        ↓ Dropped
+                      </span>
+                    )}
+                  </td>
+
+                  {row.error ? (
+                    <td
+                      colSpan={COLUMNS.length}
+                      className="py-3 px-4 text-red-500"
+                    >
+                      Failed to load: {row.error}
+                    </td>
+                  ) : (
+                    <>
+                      {COLUMNS.slice(1).map((col) => {
+                        const change = row.comparison?.[col.key]?.change;
+                        const isDropped = row.dropped.includes(col.key);
+                        return (
+                          <td
+                            key={col.key}
+                            className="py-3 px-4 text-gray-600 whitespace-nowrap"
+                          >
+                            {col.format(row[col.key])}
+                            {/* Change vs previous period, where we track one */}
+                            {change !== undefined && (
+                              <span
+                                className={clsx(
+                                  "ml-1.5 text-xs",
+                                  isDropped
+                                    ? "text-red-500 font-medium"
+                                    : change > 0
+                                      ? "text-emerald-600"
+                                      : "text-gray-400"
+                                )}
+                              >
+                                {change > 0 ? "+" : ""}
+                                {(change * 100).toFixed(0)}%
+                              </span>
+                            )}
+                          </td>
+                        );
+                      })}
+                      <td className="py-3 px-4">
+                        <Sparkline data={row.trend} />
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
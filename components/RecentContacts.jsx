@@ -4,13 +4,15 @@
  * RecentContacts — Sortable table of the latest contacts
  *
  * Features:
- * - Column headers: Name, Email, Phone, Source, Date Added
+ * - Column headers: Name, Email, Phone, Source, Tags, Date Added
+ * - Tags shown as chips; clicking one filters the dashboard by it
  * - Click any column header to sort (asc/desc toggle)
  * - Paginated: 10 rows per page with prev/next buttons
  * - Responsive: horizontal scroll on small screens
  *
  * Props:
- *   contacts (array) - [{ id, name, email, phone, source, dateAdded }, ...]
+ *   contacts   (array) - [{ id, name, email, phone, source, tags, dateAdded }, ...]
+ *   onTagClick (fn)    - Called with a tag name (chips not clickable if absent)
  */
 
 import { useState, useMemo } from "react";
@@ -23,12 +25,13 @@ const COLUMNS = [
   { key: "email", label: "Email" },
   { key: "phone", label: "Phone" },
   { key: "source", label: "Source" },
+  { key: "tags", label: "Tags" },
   { key: "dateAdded", label: "Date Added" },
 ];
 
 const PAGE_SIZE = 10;
 
-export default function RecentContacts({ contacts = [] }) {
+export default function RecentContacts({ contacts = [], onTagClick }) {
   // ── Sort state ────────────────────────────────────────
   const [sortKey, setSortKey] = useState("dateAdded");
   const [sortDir, setSortDir] = useState("desc"); // "asc" or "desc"
@@ -125,6 +128,21 @@ export default function RecentContacts({ contacts = [] }) {
                       {contact.source}
                     </span>
                   </td>
+                  <td className="py-3 px-4">
+                    {/* Tag chips */}
+                    <div className="flex flex-wrap gap-1">
+                      {(contact.tags || []).map((tag) => (
+                        <button
+                          key={tag}
+                          onClick={() => onTagClick?.(tag)}
+                          disabled={!onTagClick}
+                          className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-violet-50 text-violet-700 enabled:hover:bg-violet-100 disabled:cursor-default"
+                        >
+                          {tag}
+                        </button>
+                      ))}
+                    </div>
+                  </td>
                   <td className="py-3 px-4 text-gray-500">
                     {formatDate(contact.dateAdded)}
                   </td>
@@ -0,0 +1,155 @@
+"use client";
+
+/**
+ * RepLeaderboard — Sortable table of what each sales rep owns and closes
+ *
+ * Features:
+ * - Column headers: Rep, Opportunities, Won, Won Value, Win Rate,
+ *   Conversations, Open, Response Rate
+ * - Click any column header to sort (asc/desc toggle); starts on won
+ *   value, highest first
+ * - Click a rep's name to filter the whole dashboard to them (again to
+ *   clear); the selected rep is highlighted
+ * - Responsive: horizontal scroll on small screens
+ *
+ * Props:
+ *   reps        (array)  - From /api/summary reps.leaderboard:
+ *                          [{ id, name, opportunities, won, lost, wonValue, winRate,
+ *                             conversations, openConversations, responseRate }]
+ *                          (id is null for the "Unassigned" row)
+ *   selectedRep (string) - Active rep filter (user ID)
+ *   onRepClick  (fn)     - Called with a rep's user ID (names not clickable if absent)
+ */
+
+import { useState, useMemo } from "react";
+import clsx from "clsx";
+import { formatCurrency, formatPercent } from "@/lib/formatters";
+
+// Column definitions for the table (numeric columns sort high-to-low first)
+const COLUMNS = [
+  { key: "name", label: "Rep" },
+  { key: "opportunities", label: "Opportunities", numeric: true },
+  { key: "won", label: "Won", numeric: true },
+  { key: "wonValue", label: "Won Value", numeric: true, format: formatCurrency },
+  { key: "winRate", label: "Win Rate", numeric: true, format: formatPercent },
+  { key: "conversations", label: "Conversations", numeric: true },
+  { key: "openConversations", label: "Open", numeric: true },
+  { key: "responseRate", label: "Response Rate", numeric: true, format: formatPercent },
+];
+
+export default function RepLeaderboard({ reps = [], selectedRep = null, onRepClick }) {
+  // ── Sort state ────────────────────────────────────────
+  const [sortKey, setSortKey] = useState("wonValue");
+  const [sortDir, setSortDir] = useState("desc"); // "asc" or "desc"
+
+  // Handle column header click to toggle sort
+  const handleSort = (col) => {
+    if (sortKey === col.key) {
+      // Same column clicked — toggle direction
+      setSortDir((d) => (d === "asc" ? "desc" : "asc"));
+    } else {
+      // New column — numbers start with the biggest, text with A
+      setSortKey(col.key);
+      setSortDir(col.numeric ? "desc" : "asc");
+    }
+  };
+
+  // Sort reps by the selected column
+  const sorted = useMemo(() => {
+    return [...reps].sort((a, b) => {
+      const cmp =
+        sortKey === "name"
+          ? String(a.name).localeCompare(String(b.name))
+          : a[sortKey] - b[sortKey];
+      return sortDir === "asc" ? cmp : -cmp;
+    });
+  }, [reps, sortKey, sortDir]);
+
+  const formatCell = (col, value) => (col.format ? col.format(value) : value);
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Sales Rep Leaderboard
+      </h3>
+
+      {/* Horizontal scroll wrapper for mobile responsiveness */}
+      <div className="overflow-x-auto scrollbar-thin">
+        <table className="w-full text-sm">
+          {/* Column headers — clickable for sorting */}
+          <thead>
+            <tr className="border-b border-gray-100">
+              {COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  onClick={() => handleSort(col)}
+                  className={clsx(
+                    "py-3 px-4 font-medium text-gray-500",
+                    "cursor-pointer hover:text-gray-900 select-none",
+                    "transition-colors",
+                    col.numeric ? "text-right" : "text-left"
+                  )}
+                >
+                  {col.label}
+                  {/* Sort indicator arrow */}
+                  {sortKey === col.key && (
+                    <span className="ml-1">
+                      {sortDir === "asc" ? "↑" : "↓"}
+                    </span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+
+          {/* Table body — one row per rep */}
+          <tbody>
+            {sorted.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={COLUMNS.length}
+                  className="text-center py-8 text-gray-400"
+                >
+                  No sales rep data available
+                </td>
+              </tr>
+            ) : (
+              sorted.map((rep) => (
+                <tr
+                  key={rep.id ?? "unassigned"}
+                  className={clsx(
+                    "border-b border-gray-50 transition-colors",
+                    rep.id && rep.id === selectedRep ? "bg-brand-50" : "hover:bg-gray-50"
+                  )}
+                >
+                  {COLUMNS.map((col) =>
+                    col.key === "name" ? (
+                      <td key={col.key} className="py-3 px-4 font-medium text-gray-900">
+                        {/* Unassigned work can't be filtered to */}
+                        <button
+                          onClick={() => onRepClick?.(rep.id)}
+                          disabled={!onRepClick || !rep.id}
+                          title={rep.id === selectedRep ? "Show all reps" : "Filter by this rep"}
+                          className={clsx(
+                            "text-left disabled:cursor-default",
+                            rep.id ? "enabled:hover:text-brand-600" : "text-gray-500 italic"
+                          )}
+                        >
+                          {rep.name}
+                        </button>
+                      </td>
+                    ) : (
+                      <td key={col.key} className="py-3 px-4 text-right text-gray-600">
+                        {formatCell(col, rep[col.key])}
+                      </td>
+                    )
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,419 @@
+/**
+ * ReportDocument — The branded PDF performance report
+ *
+ * Rendered server-side by /api/report with @react-pdf/renderer. Contains:
+ * - Agency name + client name header, with the period and active filters
+ * - KPI metrics summary
+ * - Per-pipeline stage, funnel, lead source, campaign and sales rep tables
+ * - Conversation, call, speed-to-lead and appointment summaries
+ * - Generated date and branding footer
+ *
+ * Props:
+ *   data        (object) - The full summary payload (see /api/summary)
+ *   agencyName  (string) - Agency name for branding
+ *   clientName  (string) - Client name for the report title
+ */
+
+import { Document, Page, Text, View, StyleSheet } from "@react-pdf/renderer";
+import { format } from "date-fns";
+import { getMetric, readMetric, formatMetric } from "@/lib/metrics";
+import { formatCurrency, formatPercent } from "@/lib/formatters";
+
+// ── PDF Styles ────────────────────────────────────────
+// @react-pdf/renderer uses its own style system (similar to React Native)
+const styles = StyleSheet.create({
+  page: {
+    padding: 40,
+    fontSize: 10,
+    fontFamily: "Helvetica",
+    color: "#1f2937",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 30,
+    paddingBottom: 15,
+    borderBottomWidth: 2,
+    borderBottomColor: "#3b82f6",
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: "Helvetica-Bold",
+    color: "#111827",
+  },
+  subtitle: {
+    fontSize: 12,
+    color: "#6b7280",
+    marginTop: 4,
+  },
+  dateText: {
+    fontSize: 10,
+    color: "#9ca3af",
+    textAlign: "right",
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontFamily: "Helvetica-Bold",
+    color: "#111827",
+    marginTop: 20,
+    marginBottom: 10,
+    paddingBottom: 5,
+    borderBottomWidth: 1,
+    borderBottomColor: "#e5e7eb",
+  },
+  metricsRow: {
+    flexDirection: "row",
+    gap: 12,
+    marginBottom: 20,
+  },
+  metricBox: {
+    flex: 1,
+    padding: 12,
+    backgroundColor: "#f9fafb",
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  metricLabel: {
+    fontSize: 9,
+    color: "#6b7280",
+    marginBottom: 4,
+    textTransform: "uppercase",
+  },
+  metricValue: {
+    fontSize: 18,
+    fontFamily: "Helvetica-Bold",
+    color: "#111827",
+  },
+  table: {
+    marginTop: 8,
+  },
+  tableHeader: {
+    flexDirection: "row",
+    backgroundColor: "#f3f4f6",
+    padding: 8,
+    borderRadius: 4,
+  },
+  tableRow: {
+    flexDirection: "row",
+    padding: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f3f4f6",
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 9,
+  },
+  tableCellHeader: {
+    flex: 1,
+    fontSize: 9,
+    fontFamily: "Helvetica-Bold",
+    color: "#374151",
+  },
+  footer: {
+    position: "absolute",
+    bottom: 30,
+    left: 40,
+    right: 40,
+    textAlign: "center",
+    fontSize: 8,
+    color: "#9ca3af",
+    borderTopWidth: 1,
+    borderTopColor: "#e5e7eb",
+    paddingTop: 10,
+  },
+});
+
+// ── Report Metrics ────────────────────────────────────
+// Labels and formatting come from the shared definitions in lib/metrics.js
+const KEY_METRICS = ["totalContacts", "newLeads", "pipelineValue", "winRate"];
+const VELOCITY_METRICS = ["salesVelocity", "avgDaysToClose", "avgDealSize"];
+const CONVERSATION_METRICS = [
+  "conversations",
+  "openConversations",
+  "responseRate",
+  "medianFirstResponse",
+  "p90FirstResponse",
+];
+const CALL_METRICS = [
+  "totalCalls",
+  "callAnswerRate",
+  "missedCalls",
+  "avgTalkTime",
+  "missedWithoutCallback",
+];
+const SPEED_TO_LEAD_METRICS = ["contactedLeads", "leadContactRate", "medianSpeedToLead"];
+const APPOINTMENT_METRICS = [
+  "appointmentsBooked",
+  "appointmentsShowed",
+  "appointmentsNoShow",
+  "appointmentsCancelled",
+  "showRate",
+];
+
+// A row of labelled metric boxes
+function MetricsRow({ data, ids }) {
+  return (
+    <View style={styles.metricsRow}>
+      {ids.map((id) => (
+        <View key={id} style={styles.metricBox}>
+          <Text style={styles.metricLabel}>{getMetric(id).label}</Text>
+          <Text style={styles.metricValue}>
+            {formatMetric(id, readMetric(data, id))}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// ── PDF Document Component ────────────────────────────
+export default function ReportDocument({ data, agencyName, clientName }) {
+  const now = format(new Date(), "MMMM d, yyyy");
+  const contacts = data?.contacts || {};
+  const opps = data?.opportunities || {};
+  const period = data?.meta?.period;
+  const tags = data?.meta?.filters?.tags || [];
+  const dimensionNames = Object.fromEntries(
+    (contacts.dimensions || []).map((d) => [d.key, d.name])
+  );
+  const reps = data?.reps?.leaderboard || [];
+  const channels = data?.conversations?.channels || [];
+  const speedBuckets = data?.speedToLead?.buckets || [];
+  const calendars = data?.appointments?.byCalendar || [];
+  const repFilter = data?.meta?.filters?.rep;
+  const dimensionFilters = (data?.meta?.filters?.dimensions || []).map(
+    ({ key, value }) => `${dimensionNames[key] || key}: ${value}`
+  );
+
+  return (
+    <Document>
+      <Page size="A4" style={styles.page}>
+        {/* Header with agency name and date */}
+        <View style={styles.header}>
+          <View>
+            <Text style={styles.title}>{agencyName}</Text>
+            <Text style={styles.subtitle}>
+              Performance Report for {clientName}
+            </Text>
+          </View>
+          <View>
+            <Text style={styles.dateText}>Generated: {now}</Text>
+            {period && (
+              <Text style={styles.dateText}>
+                Period: {format(new Date(period.from), "MMM d, yyyy")} –{" "}
+                {format(new Date(period.to), "MMM d, yyyy")}
+              </Text>
+            )}
+            {tags.length > 0 && (
+              <Text style={styles.dateText}>Tags: {tags.join(", ")}</Text>
+            )}
+            {dimensionFilters.length > 0 && (
+              <Text style={styles.dateText}>Filters: {dimensionFilters.join(", ")}</Text>
+            )}
+            {repFilter && (
+              <Text style={styles.dateText}>
+                Rep: {reps.find((rep) => rep.id === repFilter)?.name || repFilter}
+              </Text>
+            )}
+          </View>
+        </View>
+
+        {/* KPI Metrics Row */}
+        <Text style={styles.sectionTitle}>Key Metrics</Text>
+        <MetricsRow data={data} ids={KEY_METRICS} />
+
+        {/* Pipeline Stages Table */}
+        <Text style={styles.sectionTitle}>Pipeline Breakdown</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Pipeline</Text>
+            <Text style={styles.tableCellHeader}>Stage</Text>
+            <Text style={styles.tableCellHeader}>Opportunities</Text>
+            <Text style={styles.tableCellHeader}>Value</Text>
+          </View>
+          {/* Stages in pipeline order; pipelines without activity are left out */}
+          {(opps.pipelineBreakdown || [])
+            .filter((pipeline) => pipeline.total > 0)
+            .flatMap((pipeline) =>
+              pipeline.stages.map((stage, i) => (
+                <View key={`${pipeline.id}-${i}`} style={styles.tableRow}>
+                  <Text style={styles.tableCell}>{i === 0 ? pipeline.name : ""}</Text>
+                  <Text style={styles.tableCell}>{stage.name}</Text>
+                  <Text style={styles.tableCell}>{stage.value}</Text>
+                  <Text style={styles.tableCell}>{formatCurrency(stage.totalValue)}</Text>
+                </View>
+              ))
+            )}
+        </View>
+
+        {/* Pipeline Funnel Table */}
+        <Text style={styles.sectionTitle}>Pipeline Funnel</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Pipeline</Text>
+            <Text style={styles.tableCellHeader}>Step</Text>
+            <Text style={styles.tableCellHeader}>Reached</Text>
+            <Text style={styles.tableCellHeader}>Value</Text>
+            <Text style={styles.tableCellHeader}>Conversion</Text>
+          </View>
+          {(opps.funnel || [])
+            .filter((funnel) => funnel.steps[0]?.reached > 0)
+            .flatMap((funnel) =>
+              funnel.steps.map((step, i) => (
+                <View key={`${funnel.id}-${step.id}`} style={styles.tableRow}>
+                  <Text style={styles.tableCell}>{i === 0 ? funnel.name : ""}</Text>
+                  <Text style={styles.tableCell}>{step.name}</Text>
+                  <Text style={styles.tableCell}>{step.reached}</Text>
+                  <Text style={styles.tableCell}>{formatCurrency(step.value)}</Text>
+                  <Text style={styles.tableCell}>
+                    {step.conversion === null ? "—" : formatPercent(step.conversion)}
+                  </Text>
+                </View>
+              ))
+            )}
+        </View>
+
+        {/* Sales Velocity Summary */}
+        <Text style={styles.sectionTitle}>Sales Velocity</Text>
+        <MetricsRow data={data} ids={VELOCITY_METRICS} />
+
+        {/* Lead Sources Table */}
+        <Text style={styles.sectionTitle}>Lead Sources</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Source</Text>
+            <Text style={styles.tableCellHeader}>Leads</Text>
+            <Text style={styles.tableCellHeader}>Opportunities</Text>
+            <Text style={styles.tableCellHeader}>Won</Text>
+            <Text style={styles.tableCellHeader}>Won Value</Text>
+            <Text style={styles.tableCellHeader}>Win Rate</Text>
+          </View>
+          {(contacts.sourcePerformance || []).map((source, i) => (
+            <View key={i} style={styles.tableRow}>
+              <Text style={styles.tableCell}>{source.name}</Text>
+              <Text style={styles.tableCell}>{source.leads}</Text>
+              <Text style={styles.tableCell}>{source.opportunities}</Text>
+              <Text style={styles.tableCell}>{source.won}</Text>
+              <Text style={styles.tableCell}>{formatCurrency(source.wonValue)}</Text>
+              <Text style={styles.tableCell}>{formatPercent(source.winRate)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Campaign Attribution Table (first touch, medium → campaign) */}
+        <Text style={styles.sectionTitle}>Campaigns (First Touch)</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Medium</Text>
+            <Text style={styles.tableCellHeader}>Campaign</Text>
+            <Text style={styles.tableCellHeader}>Leads</Text>
+          </View>
+          {(contacts.attribution?.firstTouch || []).flatMap((medium) =>
+            medium.children.map((campaign, i) => (
+              <View key={`${medium.name}-${campaign.name}`} style={styles.tableRow}>
+                <Text style={styles.tableCell}>{i === 0 ? medium.name : ""}</Text>
+                <Text style={styles.tableCell}>{campaign.name}</Text>
+                <Text style={styles.tableCell}>{campaign.leads}</Text>
+              </View>
+            ))
+          )}
+        </View>
+
+        {/* Sales Rep Table (reps with activity in the period) */}
+        <Text style={styles.sectionTitle}>Sales Reps</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Rep</Text>
+            <Text style={styles.tableCellHeader}>Opportunities</Text>
+            <Text style={styles.tableCellHeader}>Won</Text>
+            <Text style={styles.tableCellHeader}>Won Value</Text>
+            <Text style={styles.tableCellHeader}>Win Rate</Text>
+            <Text style={styles.tableCellHeader}>Response Rate</Text>
+          </View>
+          {reps
+            .filter((rep) => rep.opportunities > 0 || rep.conversations > 0)
+            .map((rep) => (
+              <View key={rep.id ?? "unassigned"} style={styles.tableRow}>
+                <Text style={styles.tableCell}>{rep.name}</Text>
+                <Text style={styles.tableCell}>{rep.opportunities}</Text>
+                <Text style={styles.tableCell}>{rep.won}</Text>
+                <Text style={styles.tableCell}>{formatCurrency(rep.wonValue)}</Text>
+                <Text style={styles.tableCell}>{formatPercent(rep.winRate)}</Text>
+                <Text style={styles.tableCell}>{formatPercent(rep.responseRate)}</Text>
+              </View>
+            ))}
+        </View>
+
+        {/* Conversations Summary */}
+        <Text style={styles.sectionTitle}>Conversations</Text>
+        <MetricsRow data={data} ids={CONVERSATION_METRICS} />
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Channel</Text>
+            <Text style={styles.tableCellHeader}>Conversations</Text>
+            <Text style={styles.tableCellHeader}>Open</Text>
+            <Text style={styles.tableCellHeader}>Response Rate</Text>
+          </View>
+          {channels.map((channel) => (
+            <View key={channel.name} style={styles.tableRow}>
+              <Text style={styles.tableCell}>{channel.name}</Text>
+              <Text style={styles.tableCell}>{channel.conversations}</Text>
+              <Text style={styles.tableCell}>{channel.open}</Text>
+              <Text style={styles.tableCell}>{formatPercent(channel.responseRate)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Calls */}
+        <Text style={styles.sectionTitle}>Calls</Text>
+        <MetricsRow data={data} ids={CALL_METRICS} />
+
+        {/* Speed to Lead */}
+        <Text style={styles.sectionTitle}>Speed to Lead</Text>
+        <MetricsRow data={data} ids={SPEED_TO_LEAD_METRICS} />
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>First Contact</Text>
+            <Text style={styles.tableCellHeader}>Leads</Text>
+            <Text style={styles.tableCellHeader}>Share</Text>
+          </View>
+          {speedBuckets.map((bucket) => (
+            <View key={bucket.label} style={styles.tableRow}>
+              <Text style={styles.tableCell}>{bucket.label}</Text>
+              <Text style={styles.tableCell}>{bucket.count}</Text>
+              <Text style={styles.tableCell}>{formatPercent(bucket.share)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Appointments */}
+        <Text style={styles.sectionTitle}>Appointments</Text>
+        <MetricsRow data={data} ids={APPOINTMENT_METRICS} />
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.tableCellHeader}>Calendar</Text>
+            <Text style={styles.tableCellHeader}>Booked</Text>
+            <Text style={styles.tableCellHeader}>Showed</Text>
+            <Text style={styles.tableCellHeader}>No-Shows</Text>
+            <Text style={styles.tableCellHeader}>Show Rate</Text>
+          </View>
+          {calendars.map((calendar) => (
+            <View key={calendar.id} style={styles.tableRow}>
+              <Text style={styles.tableCell}>{calendar.name}</Text>
+              <Text style={styles.tableCell}>{calendar.booked}</Text>
+              <Text style={styles.tableCell}>{calendar.showed}</Text>
+              <Text style={styles.tableCell}>{calendar.noShow}</Text>
+              <Text style={styles.tableCell}>{formatPercent(calendar.showRate)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Footer */}
+        <Text style={styles.footer}>
+          {agencyName} | Confidential Report | Generated on {now}
+        </Text>
+      </Page>
+    </Document>
+  );
+}
@@ -0,0 +1,66 @@
+"use client";
+
+/**
+ * ResponseTimes — How quickly leads get a reply, from message history
+ *
+ * Displays:
+ * - Response rate: of the conversations where the lead wrote in the
+ *   period, the share the business replied to
+ * - Median and 90th percentile time to the first reply
+ * - Bars for the share answered within 5 minutes, 1 hour and 24 hours
+ *
+ * Props:
+ *   responseRate     (number) - 0–1
+ *   medianResponseMs (number) - Median first-response time (null if none)
+ *   p90ResponseMs    (number) - 90th percentile first-response time (null if none)
+ *   answeredWithin   (array)  - From /api/summary conversations.answeredWithin:
+ *                               [{ label: "5 minutes", ms, share }, ...]
+ */
+
+import { formatDuration, formatPercent } from "@/lib/formatters";
+
+export default function ResponseTimes({
+  responseRate = 0,
+  medianResponseMs = null,
+  p90ResponseMs = null,
+  answeredWithin = [],
+}) {
+  const stats = [
+    { label: "Response Rate", value: formatPercent(responseRate) },
+    { label: "Median Reply", value: formatDuration(medianResponseMs) },
+    { label: "90th Percentile", value: formatDuration(p90ResponseMs) },
+  ];
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Response Times</h3>
+
+      <div className="grid grid-cols-3 gap-3 mb-6">
+        {stats.map((stat) => (
+          <div key={stat.label} className="p-3 bg-gray-50 rounded-lg text-center">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-xl font-bold text-gray-900">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Share of conversations answered within each target */}
+      <ul className="space-y-3">
+        {answeredWithin.map((target) => (
+          <li key={target.label}>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-700">Answered within {target.label}</span>
+              <span className="text-gray-900 font-medium">{formatPercent(target.share)}</span>
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+              <div
+                className="h-full rounded-full bg-emerald-500"
+                style={{ width: `${Math.min(target.share, 1) * 100}%` }}
+              />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+"use client";
+
+/**
+ * SalesVelocity — How fast the pipeline turns into revenue
+ *
+ * Displays:
+ * - Sales velocity (expected revenue per day) with the formula inputs:
+ *   new opportunities × win rate × avg deal size ÷ days to close
+ * - Average age of open deals in each stage of a pipeline, with the
+ *   stalest stage highlighted
+ *
+ * A selector switches pipelines when there is more than one; it starts on
+ * the pipeline with the most open deals.
+ *
+ * Props:
+ *   velocity (object) - From /api/summary velocity:
+ *                       { salesVelocity, opportunities, winRate, avgDealSize,
+ *                         avgDaysToClose,
+ *                         stageAging: [{ id, name, stages: [{ id, name, open, avgDays }] }] }
+ */
+
+import { useState } from "react";
+import clsx from "clsx";
+import { formatCurrency, formatPercent, formatDays } from "@/lib/formatters";
+
+const openCount = (pipeline) => pipeline.stages.reduce((sum, s) => sum + s.open, 0);
+
+export default function SalesVelocity({ velocity = {} }) {
+  const {
+    salesVelocity = 0,
+    opportunities = 0,
+    winRate = 0,
+    avgDealSize = 0,
+    avgDaysToClose = 0,
+    stageAging = [],
+  } = velocity;
+  const [selected, setSelected] = useState(null);
+
+  const busiest = [...stageAging].sort((a, b) => openCount(b) - openCount(a))[0];
+  const pipeline = stageAging.find((p) => p.id === selected) || busiest;
+  const maxDays = Math.max(0, ...(pipeline?.stages || []).map((s) => s.avgDays));
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Sales Velocity
+      </h3>
+
+      {/* Headline figure and its inputs */}
+      <div className="text-center mb-4">
+        <p className="text-3xl font-bold text-gray-900">
+          {formatCurrency(salesVelocity)}
+          <span className="text-base font-medium text-gray-500"> / day</span>
+        </p>
+        <p className="text-xs text-gray-500 mt-1">
+          {opportunities} opps × {formatPercent(winRate)} ×{" "}
+          {formatCurrency(avgDealSize)} ÷ {formatDays(avgDaysToClose)}
+        </p>
+      </div>
+
+      <div className="flex justify-between items-center pt-3 border-t border-gray-100 mb-3 gap-2">
+        <p className="text-sm font-medium text-gray-700">Time in stage</p>
+
+        {/* Pipeline selector (only when there's more than one) */}
+        {stageAging.length > 1 && (
+          <select
+            value={pipeline.id}
+            onChange={(e) => setSelected(e.target.value)}
+            className="text-xs border border-gray-200 rounded-lg px-2 py-1 text-gray-700 max-w-[50%]"
+          >
+            {stageAging.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Average age of open deals per stage */}
+      {!pipeline || openCount(pipeline) === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-4">No open deals</p>
+      ) : (
+        <ul className="space-y-2">
+          {pipeline.stages.map((stage) => (
+            <li key={stage.id} className="text-sm">
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-600 truncate" title={stage.name}>
+                  {stage.name}
+                  <span className="text-gray-400"> ({stage.open})</span>
+                </span>
+                <span
+                  className={clsx(
+                    "shrink-0",
+                    stage.avgDays > 0 && stage.avgDays === maxDays
+                      ? "text-red-500 font-medium"
+                      : "text-gray-900"
+                  )}
+                >
+                  {stage.open > 0 ? formatDays(stage.avgDays) : "—"}
+                </span>
+              </div>
+              <div className="h-1.5 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                <div
+                  className="h-full bg-amber-400 rounded-full"
+                  style={{ width: `${maxDays > 0 ? (stage.avgDays / maxDays) * 100 : 0}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
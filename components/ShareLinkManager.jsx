@@ -0,0 +1,256 @@
+"use client";
+
+/**
+ * ShareLinkManager — Admin screen for client share links
+ *
+ * Features:
+ * - Create a link for a client, with an expiry and an optional fixed
+ *   date range; the URL is shown once, ready to copy
+ * - Table of every issued link with its status (active/expired/revoked)
+ * - Revoke button, which also ends sessions opened from that link
+ * - Sign out
+ *
+ * Props:
+ *   clients (array) - Public locations: [{ slug, clientName }, ...]
+ */
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import clsx from "clsx";
+import { formatDate } from "@/lib/formatters";
+
+// Badge colors per link status
+const STATUS_STYLES = {
+  active: "bg-emerald-50 text-emerald-700",
+  expired: "bg-gray-100 text-gray-500",
+  revoked: "bg-red-50 text-red-600",
+};
+
+const INPUT_CLASS =
+  "mt-1 w-full border border-gray-200 rounded-lg px-3 py-2 text-sm text-gray-900";
+
+export default function ShareLinkManager({ clients = [] }) {
+  const router = useRouter();
+
+  // ── State ───────────────────────────────────────────
+  const [links, setLinks] = useState([]);
+  const [error, setError] = useState(null);
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [form, setForm] = useState({
+    client: clients[0]?.slug || "",
+    label: "",
+    expiresInDays: 30,
+    from: "",
+    to: "",
+  });
+
+  const clientNames = Object.fromEntries(
+    clients.map((c) => [c.slug, c.clientName])
+  );
+
+  // ── API helpers ─────────────────────────────────────
+  async function request(url, options) {
+    const res = await fetch(url, options);
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.details || json.error || `API returned ${res.status}`);
+    return json;
+  }
+
+  async function loadLinks() {
+    try {
+      const json = await request("/api/share-links");
+      setLinks(json.links);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  useEffect(() => {
+    loadLinks();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const json = await request("/api/share-links", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      setCreatedUrl(json.url);
+      loadLinks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!confirm("Revoke this link? Anyone using it will lose access.")) return;
+    setError(null);
+    try {
+      await request(`/api/share-links/${id}`, { method: "DELETE" });
+      loadLinks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    router.replace("/login");
+  };
+
+  const updateForm = (key) => (e) =>
+    setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  return (
+    <main className="max-w-5xl mx-auto p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-gray-900">Share Links</h1>
+        <button
+          onClick={handleSignOut}
+          className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+        >
+          Sign out
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 bg-red-50 rounded-lg p-3">{error}</p>
+      )}
+
+      {/* ── Create link form ──────────────────────── */}
+      <form onSubmit={handleCreate} className="dashboard-card space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">New Link</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+          <label className="text-sm font-medium text-gray-500 lg:col-span-2">
+            Client
+            <select value={form.client} onChange={updateForm("client")} className={INPUT_CLASS}>
+              {clients.map((c) => (
+                <option key={c.slug} value={c.slug}>
+                  {c.clientName}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm font-medium text-gray-500 lg:col-span-2">
+            Label (optional)
+            <input
+              type="text"
+              value={form.label}
+              onChange={updateForm("label")}
+              placeholder="e.g. Sent to owner"
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-500">
+            Expires in (days)
+            <input
+              type="number"
+              min={1}
+              value={form.expiresInDays}
+              onChange={updateForm("expiresInDays")}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-500">
+            Lock range from (optional)
+            <input type="date" value={form.from} onChange={updateForm("from")} className={INPUT_CLASS} />
+          </label>
+          <label className="text-sm font-medium text-gray-500">
+            Lock range to (optional)
+            <input type="date" value={form.to} onChange={updateForm("to")} className={INPUT_CLASS} />
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={!form.client}
+          className="px-4 py-2 bg-brand-600 text-white rounded-lg hover:bg-brand-700 transition-colors disabled:opacity-50"
+        >
+          Create Link
+        </button>
+
+        {/* The token is only returned once — show it for copying */}
+        {createdUrl && (
+          <div className="p-3 bg-brand-50 rounded-lg text-sm">
+            <p className="text-gray-600 mb-1">
+              Copy this link now — it won&apos;t be shown again:
+            </p>
+            <input
+              readOnly
+              value={createdUrl}
+              onFocus={(e) => e.target.select()}
+              className="w-full font-mono text-xs bg-white border border-brand-200 rounded px-2 py-1.5"
+            />
+          </div>
+        )}
+      </form>
+
+      {/* ── Issued links table ────────────────────── */}
+      <div className="dashboard-card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Issued Links</h3>
+        <div className="overflow-x-auto scrollbar-thin">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-left text-gray-500">
+                <th className="py-3 px-4 font-medium">Client</th>
+                <th className="py-3 px-4 font-medium">Label</th>
+                <th className="py-3 px-4 font-medium">Date Range</th>
+                <th className="py-3 px-4 font-medium">Created</th>
+                <th className="py-3 px-4 font-medium">Expires</th>
+                <th className="py-3 px-4 font-medium">Status</th>
+                <th className="py-3 px-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {links.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="text-center py-8 text-gray-400">
+                    No share links issued yet
+                  </td>
+                </tr>
+              ) : (
+                links.map((link) => (
+                  <tr key={link.id} className="border-b border-gray-50">
+                    <td className="py-3 px-4 font-medium text-gray-900">
+                      {clientNames[link.client] || link.client}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600">{link.label || "—"}</td>
+                    <td className="py-3 px-4 text-gray-600">
+                      {link.from
+                        ? `${formatDate(link.from)} – ${formatDate(link.to)}`
+                        : "Any"}
+                    </td>
+                    <td className="py-3 px-4 text-gray-500">{formatDate(link.createdAt)}</td>
+                    <td className="py-3 px-4 text-gray-500">{formatDate(link.expiresAt)}</td>
+                    <td className="py-3 px-4">
+                      <span
+                        className={clsx(
+                          "inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize",
+                          STATUS_STYLES[link.status]
+                        )}
+                      >
+                        {link.status}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      {link.status === "active" && (
+                        <button
+                          onClick={() => handleRevoke(link.id)}
+                          className="text-sm text-red-500 hover:text-red-700"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </main>
+  );
+}
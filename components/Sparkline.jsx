@@ -0,0 +1,32 @@
+"use client";
+
+/**
+ * Sparkline — Tiny trend line for table cells
+ *
+ * Uses a fixed-size recharts LineChart with no axes, grid or tooltip.
+ *
+ * Props:
+ *   data  (array)  - Numeric series, e.g. [3, 5, 2, 8]
+ *   color (string) - Line color (defaults to the first chart color)
+ */
+
+import { LineChart, Line } from "recharts";
+import { getChartColor } from "@/lib/formatters";
+
+export default function Sparkline({ data = [], color = getChartColor(0) }) {
+  // recharts expects objects, not a plain number array
+  const points = data.map((value, index) => ({ index, value }));
+
+  return (
+    <LineChart width={96} height={28} data={points}>
+      <Line
+        type="monotone"
+        dataKey="value"
+        stroke={color}
+        strokeWidth={2}
+        dot={false}
+        isAnimationActive={false}
+      />
+    </LineChart>
+  );
+}
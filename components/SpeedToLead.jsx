@@ -0,0 +1,193 @@
+"use client";
+
+/**
+ * SpeedToLead — How fast new leads get their first outbound touch
+ *
+ * Displays:
+ * - Median time from a lead being added to the first outbound message
+ *   or call, how many leads were contacted, and how many never were
+ * - Leads per speed bucket (under 5 min … over 24 hours)
+ * - A daily trend: new leads per day, stacked contacted vs. not yet
+ *   contacted, with the day's median speed in the tooltip
+ * - The leads still never contacted, longest waiting first
+ *
+ * Props:
+ *   speedToLead (object) - From /api/summary speedToLead:
+ *                          { leads, contacted, contactRate, medianMs,
+ *                            buckets: [{ label, count, share }],
+ *                            neverContacted: [{ id, name, source, assignedTo,
+ *                                               dateAdded, waitingMs }],
+ *                            trend: [{ date, leads, contacted, medianMs }] }
+ */
+
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { format, parseISO } from "date-fns";
+import { formatDate, formatDuration, formatPercent } from "@/lib/formatters";
+
+// Never-contacted leads listed before "+N more"
+const MAX_LEADS = 10;
+
+const TOOLTIP_STYLE = {
+  backgroundColor: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  boxShadow: "0 4px 6px -1px rgba(0,0,0,0.1)",
+};
+
+const AXIS_PROPS = {
+  tick: { fontSize: 12, fill: "#6b7280" },
+  axisLine: { stroke: "#e5e7eb" },
+};
+
+// Tooltip for a trend day
+function TrendTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const day = payload[0].payload;
+  return (
+    <div style={TOOLTIP_STYLE} className="px-3 py-2 text-sm">
+      <p className="font-medium text-gray-900">{format(parseISO(day.date), "MMM d, yyyy")}</p>
+      <p className="text-gray-600">
+        {day.contacted} of {day.leads} leads contacted
+      </p>
+      <p className="text-gray-600">Median: {formatDuration(day.medianMs)}</p>
+    </div>
+  );
+}
+
+export default function SpeedToLead({ speedToLead }) {
+  const {
+    leads = 0,
+    contacted = 0,
+    contactRate = 0,
+    medianMs = null,
+    buckets = [],
+    neverContacted = [],
+    trend = [],
+  } = speedToLead || {};
+
+  const stats = [
+    { label: "Median Speed to Lead", value: formatDuration(medianMs) },
+    { label: "Leads Contacted", value: `${contacted} of ${leads}`, detail: formatPercent(contactRate) },
+    { label: "Never Contacted", value: neverContacted.length },
+  ];
+  const trendData = trend.map((day) => ({ ...day, waiting: day.leads - day.contacted }));
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Speed to Lead</h3>
+
+      {leads === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No new leads in this period
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {stats.map((stat) => (
+              <div key={stat.label} className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500">{stat.label}</p>
+                <p className="text-xl font-bold text-gray-900">
+                  {stat.value}
+                  {stat.detail && (
+                    <span className="ml-2 text-sm font-normal text-gray-400">{stat.detail}</span>
+                  )}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* ── Distribution ── */}
+            <ul className="space-y-3">
+              {buckets.map((bucket) => (
+                <li key={bucket.label}>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-700">{bucket.label}</span>
+                    <span className="text-gray-900 font-medium">
+                      {bucket.count}{" "}
+                      <span className="text-gray-400 font-normal">({formatPercent(bucket.share)})</span>
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                    <div
+                      className="h-full rounded-full bg-sky-500"
+                      style={{ width: `${Math.min(bucket.share, 1) * 100}%` }}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {/* ── Daily trend ── */}
+            <div className="lg:col-span-2">
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={trendData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="date"
+                    tickFormatter={(date) => format(parseISO(date), "MMM d")}
+                    minTickGap={20}
+                    {...AXIS_PROPS}
+                  />
+                  <YAxis allowDecimals={false} {...AXIS_PROPS} />
+                  <Tooltip content={<TrendTooltip />} />
+                  <Bar dataKey="contacted" stackId="leads" fill="#0ea5e9" maxBarSize={24} />
+                  <Bar
+                    dataKey="waiting"
+                    stackId="leads"
+                    fill="#f59e0b"
+                    maxBarSize={24}
+                    radius={[4, 4, 0, 0]}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* ── Leads still waiting for a first touch ── */}
+          {neverContacted.length > 0 && (
+            <div className="overflow-x-auto scrollbar-thin">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-100 text-gray-500">
+                    <th className="py-3 px-4 font-medium text-left">Never Contacted</th>
+                    <th className="py-3 px-4 font-medium text-left">Source</th>
+                    <th className="py-3 px-4 font-medium text-left">Rep</th>
+                    <th className="py-3 px-4 font-medium text-left">Added</th>
+                    <th className="py-3 px-4 font-medium text-right">Waiting</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {neverContacted.slice(0, MAX_LEADS).map((lead) => (
+                    <tr key={lead.id} className="border-b border-gray-50 hover:bg-gray-50 transition-colors">
+                      <td className="py-3 px-4 font-medium text-gray-900">{lead.name}</td>
+                      <td className="py-3 px-4 text-gray-600">{lead.source}</td>
+                      <td className="py-3 px-4 text-gray-600">{lead.assignedTo || "Unassigned"}</td>
+                      <td className="py-3 px-4 text-gray-600">{formatDate(lead.dateAdded)}</td>
+                      <td className="py-3 px-4 text-right text-amber-600 font-medium">
+                        {formatDuration(lead.waitingMs)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {neverContacted.length > MAX_LEADS && (
+                <p className="text-xs text-gray-400 mt-3">
+                  +{neverContacted.length - MAX_LEADS} more leads never contacted
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+"use client";
+
+/**
+ * TagBreakdown — Most common tags on new contacts
+ *
+ * Displays:
+ * - The top tags with a bar showing their share of new leads (a contact
+ *   with several tags counts towards each)
+ * - Click a tag to add or remove it from the dashboard tag filter
+ *
+ * Props:
+ *   tags         (array)  - From /api/summary contacts.tagBreakdown:
+ *                           [{ name: "hot-lead", value: 12 }, ...]
+ *   total        (number) - New leads in the period (for percentages)
+ *   selectedTags (array)  - Active tag filter (highlighted)
+ *   onTagClick   (fn)     - Called with a tag name (tags not clickable if absent)
+ */
+
+import clsx from "clsx";
+import { formatPercent } from "@/lib/formatters";
+
+const MAX_TAGS = 10;
+
+export default function TagBreakdown({ tags = [], total = 0, selectedTags = [], onTagClick }) {
+  const shown = tags.slice(0, MAX_TAGS);
+
+  return (
+    <div className="dashboard-card">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Tags</h3>
+
+      {shown.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-gray-400">
+          No tagged contacts in this period
+        </div>
+      ) : (
+        <ul className="space-y-2">
+          {shown.map((tag) => {
+            const share = total > 0 ? tag.value / total : 0;
+            const selected = selectedTags.includes(tag.name);
+            return (
+              <li key={tag.name}>
+                <button
+                  onClick={() => onTagClick?.(tag.name)}
+                  disabled={!onTagClick}
+                  title={selected ? "Remove from filter" : "Filter by this tag"}
+                  className="w-full text-left group disabled:cursor-default"
+                >
+                  <div className="flex justify-between text-sm gap-2">
+                    <span
+                      className={clsx(
+                        "truncate",
+                        selected ? "text-brand-700 font-medium" : "text-gray-700 group-enabled:group-hover:text-brand-600"
+                      )}
+                    >
+                      {tag.name}
+                    </span>
+                    <span className="shrink-0 text-gray-900 font-medium">
+                      {tag.value}{" "}
+                      <span className="text-gray-400 font-normal">({formatPercent(share)})</span>
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                    <div
+                      className="h-full rounded-full bg-violet-400"
+                      style={{ width: `${Math.min(share, 1) * 100}%` }}
+                    />
+                  </div>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {tags.length > MAX_TAGS && (
+        <p className="text-xs text-gray-400 mt-3">
+          +{tags.length - MAX_TAGS} more tags
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+"use client";
+
+/**
+ * ToggleGroup — Small segmented control for switching a widget's view
+ *
+ * Styled like the BrandingHeader date range buttons.
+ *
+ * Props:
+ *   options  (array)  - [{ value, label }]
+ *   value    (string) - Currently selected option value
+ *   onChange (fn)     - Called with the clicked option's value
+ */
+
+import clsx from "clsx";
+
+export default function ToggleGroup({ options, value, onChange }) {
+  return (
+    <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className={clsx(
+            "px-3 py-1 text-sm rounded-md transition-all",
+            value === option.value
+              ? "bg-white text-gray-900 shadow-sm font-medium"
+              : "text-gray-500 hover:text-gray-700"
+          )}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
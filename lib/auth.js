@@ -0,0 +1,333 @@
+/**
+ * Access Control: Signed Share Links and Sessions
+ *
+ * Clients view their dashboard through expiring share links
+ * (/s/<token>). A share token is an HMAC-signed payload scoped to one
+ * client location and, optionally, a fixed date range. Opening the link
+ * exchanges it for a viewer session cookie with the same scope.
+ *
+ * Agency staff sign in with ADMIN_PASSWORD for an admin session, which
+ * can see every client, the /agency portfolio and the /admin screen where
+ * links are created and revoked.
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ * signed with AUTH_SECRET. Issued links are recorded in a JSON file
+ * (default: data/share-links.json, override with SHARE_LINKS_FILE) so
+ * they can be listed and revoked; revoking a link also ends any viewer
+ * session created from it.
+ *
+ * Server-only: never import this from a client component.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { cookies } from "next/headers";
+import { redirect, notFound } from "next/navigation";
+import { resolveDateRange } from "@/lib/dateRange";
+
+export const SESSION_COOKIE = "ghl_session";
+
+// Admin sessions last a working day
+const ADMIN_SESSION_SECONDS = 12 * 60 * 60;
+
+// Share links default to 30 days when no expiry is given
+export const DEFAULT_LINK_DAYS = 30;
+
+// ── Token Signing ─────────────────────────────────────
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error("AUTH_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+/**
+ * Sign a payload into a token. `exp` (epoch seconds) is required.
+ */
+export function signToken(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * Returns the payload, or null if the token is malformed, forged or expired.
+ */
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [data, signature] = token.split(".");
+  if (!data || !signature) return null;
+
+  // Constant-time comparison so signatures can't be guessed byte by byte
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString());
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// ── Share Link Store ──────────────────────────────────
+
+function getStorePath() {
+  return path.resolve(
+    process.cwd(),
+    process.env.SHARE_LINKS_FILE || "data/share-links.json"
+  );
+}
+
+function readLinks() {
+  const storePath = getStorePath();
+  if (!fs.existsSync(storePath)) return [];
+  return JSON.parse(fs.readFileSync(storePath, "utf8")).links || [];
+}
+
+function writeLinks(links) {
+  const storePath = getStorePath();
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify({ links }, null, 2));
+}
+
+/**
+ * List every issued share link, newest first.
+ */
+export function listShareLinks() {
+  return readLinks().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Issue a new share link for a client.
+ *
+ * @param {object} options
+ * @param {string} options.client       - Location slug the link grants access to
+ * @param {string} [options.from]       - Optional fixed range start (yyyy-MM-dd)
+ * @param {string} [options.to]         - Optional fixed range end (yyyy-MM-dd)
+ * @param {number} [options.expiresInDays] - Link lifetime (default 30)
+ * @param {string} [options.label]      - Admin-facing note (e.g. recipient)
+ * @returns {{ link: object, token: string }}
+ */
+export function createShareLink({ client, from, to, expiresInDays, label }) {
+  const days = Number(expiresInDays) || DEFAULT_LINK_DAYS;
+  const now = Date.now();
+  const link = {
+    id: crypto.randomUUID(),
+    client,
+    from: from || null,
+    to: to || null,
+    label: label || "",
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + days * 86400000).toISOString(),
+    revokedAt: null,
+  };
+
+  writeLinks([...readLinks(), link]);
+
+  const token = signToken({
+    typ: "share",
+    lid: link.id,
+    client: link.client,
+    from: link.from,
+    to: link.to,
+    exp: Math.floor(new Date(link.expiresAt).getTime() / 1000),
+  });
+  return { link, token };
+}
+
+/**
+ * Revoke a share link. Returns the updated link, or null if not found.
+ */
+export function revokeShareLink(id) {
+  const links = readLinks();
+  const link = links.find((l) => l.id === id);
+  if (!link) return null;
+  if (!link.revokedAt) {
+    link.revokedAt = new Date().toISOString();
+    writeLinks(links);
+  }
+  return link;
+}
+
+function isLinkActive(linkId) {
+  const link = readLinks().find((l) => l.id === linkId);
+  return Boolean(link && !link.revokedAt);
+}
+
+/**
+ * Verify a share token and confirm its link hasn't been revoked.
+ * Returns the token payload or null.
+ */
+export function verifyShareToken(token) {
+  const payload = verifyToken(token);
+  if (payload?.typ !== "share" || !isLinkActive(payload.lid)) return null;
+  return payload;
+}
+
+// ── Sessions ──────────────────────────────────────────
+
+/**
+ * Build an admin session payload.
+ */
+export function adminSession() {
+  return {
+    role: "admin",
+    exp: Math.floor(Date.now() / 1000) + ADMIN_SESSION_SECONDS,
+  };
+}
+
+/**
+ * Build a viewer session payload from a verified share token payload.
+ * The session carries the same scope and expiry as the link.
+ */
+export function viewerSession(share) {
+  return {
+    role: "viewer",
+    lid: share.lid,
+    client: share.client,
+    from: share.from,
+    to: share.to,
+    exp: share.exp,
+  };
+}
+
+/**
+ * Check a password against ADMIN_PASSWORD in constant time.
+ */
+export function checkAdminPassword(password) {
+  const expected = process.env.ADMIN_PASSWORD;
+  if (!expected || typeof password !== "string") return false;
+  // Hash both sides so lengths match for timingSafeEqual
+  const a = crypto.createHash("sha256").update(password).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the current session from a cookie store (request.cookies or
+ * next/headers cookies()). Returns the session payload or null.
+ */
+export function getSession(cookieStore) {
+  const payload = verifyToken(cookieStore.get(SESSION_COOKIE)?.value);
+  if (payload?.typ !== "session") return null;
+  // Viewer sessions end as soon as their share link is revoked
+  if (payload.role === "viewer" && !isLinkActive(payload.lid)) return null;
+  return payload;
+}
+
+/**
+ * Sign a session payload into the session cookie on a response.
+ * The cookie expires together with the session.
+ */
+export function setSessionCookie(response, session) {
+  response.cookies.set(SESSION_COOKIE, signToken({ typ: "session", ...session }), {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    expires: new Date(session.exp * 1000),
+  });
+  return response;
+}
+
+/**
+ * Remove the session cookie from a response (sign out).
+ */
+export function clearSessionCookie(response) {
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
+
+// ── Authorization ─────────────────────────────────────
+
+/**
+ * Get the locked date range of a viewer session, as a resolved period
+ * with days in `timeZone` (the client location's, see resolveDateRange).
+ * Returns null when the session isn't range-restricted.
+ */
+export function getSessionRange(session, timeZone = null) {
+  if (!session?.from || !session?.to) return null;
+  return resolveDateRange({
+    range: "custom",
+    from: session.from,
+    to: session.to,
+    timeZone,
+  });
+}
+
+/**
+ * Check whether a session may view a client (and optionally a period).
+ *
+ * @param {object|null} session - From getSession()
+ * @param {object} [scope]
+ * @param {string} [scope.client] - Location slug; omit for admin-only resources
+ * @param {object} [scope.period] - Resolved period being requested
+ * @returns {{ session: object } | { error: string, status: number }}
+ */
+export function authorize(session, { client, period } = {}) {
+  if (!session) {
+    return { error: "Authentication required", status: 401 };
+  }
+  if (session.role === "admin") return { session };
+
+  if (!client || session.client !== client) {
+    return { error: "Not authorized for this client", status: 403 };
+  }
+
+  const allowed = getSessionRange(session, period?.timeZone);
+  if (allowed && period && (period.from < allowed.from || period.to > allowed.to)) {
+    return { error: "Date range is outside this link's scope", status: 403 };
+  }
+
+  return { session };
+}
+
+/**
+ * Authorize an API request via its session cookie, or a share token sent
+ * as "Authorization: Bearer <token>" for programmatic access.
+ */
+export function authorizeRequest(request, scope) {
+  let session = getSession(request.cookies);
+
+  if (!session) {
+    const bearer = request.headers.get("authorization")?.match(/^Bearer (.+)$/);
+    const share = bearer && verifyShareToken(bearer[1]);
+    if (share) session = viewerSession(share);
+  }
+
+  return authorize(session, scope);
+}
+
+/**
+ * Guard a server-rendered page. Unauthenticated visitors are sent to
+ * /login (returning to `nextPath` afterwards); sessions without access
+ * get a 404 so other clients' slugs aren't revealed.
+ *
+ * @returns {object} The session payload
+ */
+export function requirePageSession(nextPath, scope) {
+  const access = authorize(getSession(cookies()), scope);
+  if (access.status === 401) {
+    redirect(`/login?next=${encodeURIComponent(nextPath)}`);
+  }
+  if (access.error) notFound();
+  return access.session;
+}
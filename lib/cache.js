@@ -0,0 +1,111 @@
+/**
+ * In-Memory Response Cache (stale-while-revalidate)
+ *
+ * Keeps the results of expensive async calls (full GHL paginations) in
+ * process memory:
+ * - Fresh entries (younger than ttlMs) are returned as-is
+ * - Stale entries (younger than ttlMs + staleMs) are returned immediately
+ *   while a background fetch refreshes them
+ * - Older or missing entries are fetched and awaited
+ *
+ * Concurrent callers for the same key share one in-flight fetch, so two
+ * routes loading at once never duplicate a pagination run.
+ *
+ * Entries too old to be served are deleted by a sweep that runs at most
+ * once per ttlMs, so keys nobody asks for again (e.g. the message history
+ * of a conversation that went quiet) don't stay in memory forever.
+ */
+
+/**
+ * Create a cache instance.
+ *
+ * @param {object} options
+ * @param {number} options.ttlMs   - How long an entry is fresh (0 disables caching)
+ * @param {number} options.staleMs - How long past ttlMs a stale entry may be served
+ */
+export function createCache({ ttlMs, staleMs }) {
+  // key → { value, fetchedAt, inflight }
+  const entries = new Map();
+  let lastSweep = Date.now();
+
+  const isExpired = (entry, now) =>
+    !entry.inflight && now - (entry.fetchedAt ?? -Infinity) > ttlMs + staleMs;
+
+  // Delete every expired entry, at most once per ttlMs
+  function sweep() {
+    const now = Date.now();
+    if (now - lastSweep < ttlMs) return;
+    lastSweep = now;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) entries.delete(key);
+    }
+  }
+
+  // Start (or join) the fetch for a key, storing the result on success
+  function load(key, fetcher) {
+    const entry = entries.get(key) || {};
+    if (entry.inflight) return entry.inflight;
+
+    entry.inflight = fetcher()
+      .then((value) => {
+        entry.value = value;
+        entry.fetchedAt = Date.now();
+        return value;
+      })
+      .finally(() => {
+        entry.inflight = null;
+        // A first fetch that failed leaves nothing worth keeping
+        if (entry.fetchedAt === undefined && entries.get(key) === entry) {
+          entries.delete(key);
+        }
+      });
+
+    entries.set(key, entry);
+    return entry.inflight;
+  }
+
+  return {
+    /**
+     * Get a value, fetching it if needed.
+     *
+     * @param {string}   key              - Cache key
+     * @param {Function} fetcher          - async () => value
+     * @param {object}   [options]
+     * @param {boolean}  [options.refresh] - Skip cached values and refetch
+     */
+    async get(key, fetcher, { refresh = false } = {}) {
+      if (ttlMs <= 0) return fetcher();
+      sweep();
+
+      const entry = entries.get(key);
+      const age = entry?.fetchedAt ? Date.now() - entry.fetchedAt : Infinity;
+
+      if (refresh || age > ttlMs + staleMs) {
+        return load(key, fetcher);
+      }
+
+      if (age > ttlMs) {
+        // Serve stale now; refresh in the background (errors keep the old value)
+        load(key, fetcher).catch((error) => {
+          console.error(`[cache] Background refresh failed for ${key}:`, error.message);
+        });
+      }
+
+      return entry.value;
+    },
+
+    /**
+     * Number of entries held (fresh, stale or in flight).
+     */
+    get size() {
+      return entries.size;
+    },
+
+    /**
+     * Drop every cached entry (in-flight fetches still complete).
+     */
+    clear() {
+      entries.clear();
+    },
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Per-Client API Route Handlers
+ *
+ * Every route that reports on one client location (/api/summary,
+ * /api/report and the per-section routes) handles a request the same way:
+ * 1. Resolve the reporting period in the client's time zone (400 if
+ *    invalid)
+ * 2. Check the caller may read the client in ?client=<slug> and the
+ *    period (admin session, or a viewer session/share token for the
+ *    client) — before revealing whether the slug is registered
+ * 3. Report an unknown slug (404)
+ * 4. Read ?refresh=1, the ?tag / ?dim / ?rep segment filters and the
+ *    date range a viewer's share link is locked to
+ * 5. Build the response; unexpected errors become a logged 500
+ *
+ * clientRoute() does steps 1-4 and 5's error handling around a custom
+ * handler; sectionRoute() is the whole GET handler of a route returning
+ * one SECTIONS entry of lib/metrics.js.
+ *
+ * Query params every such route takes:
+ * - ?client=<slug> (optional when only one location is configured)
+ * - ?range=week|month|quarter or ?from=yyyy-MM-dd&to=yyyy-MM-dd, with
+ *   days in the client's time zone
+ * - ?refresh=1 to bypass the GHL response cache
+ * - ?tag=<tag> (repeatable) to only count contacts carrying every tag,
+ *   and their opportunities and conversations
+ * - ?dim=<key>:<value> (repeatable) to narrow to records with that
+ *   reporting dimension value (see lib/filters.js)
+ * - ?rep=<userId> to narrow to records assigned to one sales rep
+ *
+ * Requests need an admin session, or a viewer session or share token
+ * ("Authorization: Bearer <token>") for the client.
+ */
+
+import { NextResponse } from "next/server";
+import { resolveLocation } from "@/lib/locations";
+import { authorizeRequest, getSessionRange } from "@/lib/auth";
+import { parseDateRange, serializePeriod } from "@/lib/dateRange";
+import { fetchLocationData } from "@/lib/summary";
+import { parseFilters } from "@/lib/filters";
+import { scopeToPeriod, buildSection, getSectionMetrics, getSources } from "@/lib/metrics";
+
+/**
+ * Wrap a per-client GET handler.
+ *
+ * @param {object}   options
+ * @param {string}   options.route - Route path for error logs, e.g. "/api/summary"
+ * @param {string}   options.error - Error message of the 500 response
+ * @param {Function} handler       - async ({ request, location, period, access,
+ *                                   refresh, filters, lockedRange }) => Response
+ * @returns {Function} The route's GET handler
+ */
+export function clientRoute({ route, error: failure }, handler) {
+  return async function GET(request) {
+    const { searchParams } = request.nextUrl;
+
+    try {
+      // Resolve which client sub-account this request reports on
+      const location = resolveLocation(searchParams);
+
+      // Resolve the reporting period from the query string, with days
+      // starting at midnight in the client's time zone
+      const period = parseDateRange(searchParams, location.timeZone);
+      if (period.error) {
+        return NextResponse.json(
+          { error: "Invalid date range", details: period.error },
+          { status: 400 }
+        );
+      }
+
+      // Only admins and viewers holding a link for this client may read it.
+      // Checked before reporting an unknown client, so callers without
+      // access can't probe which slugs are registered (as on /c/[slug])
+      const access = authorizeRequest(request, {
+        client: location.slug ?? searchParams.get("client"),
+        period,
+      });
+      if (access.error) {
+        return NextResponse.json(
+          { error: "Unauthorized", details: access.error },
+          { status: access.status }
+        );
+      }
+
+      if (location.error) {
+        return NextResponse.json(
+          { error: "Invalid client", details: location.error },
+          { status: location.status }
+        );
+      }
+
+      return await handler({
+        request,
+        location,
+        period,
+        access,
+        // ?refresh=1 bypasses the GHL response cache ("Refresh now")
+        refresh: searchParams.get("refresh") === "1",
+        // ?tag=..., ?dim=... and ?rep=... narrow every metric to a segment
+        filters: parseFilters(searchParams),
+        // Resolved range of a range-locked share link, else null
+        lockedRange: getSessionRange(access.session, location.timeZone),
+      });
+    } catch (error) {
+      console.error(`[${route}] Error:`, error.message);
+      return NextResponse.json(
+        { error: failure, details: error.message },
+        { status: 500 }
+      );
+    }
+  };
+}
+
+/**
+ * GET handler returning one response section for the period, fetching
+ * only the data sources its metrics need (message history and
+ * appointments from the start of the period).
+ *
+ * @param {string} section - Key of SECTIONS in lib/metrics.js
+ * @param {object} options - { route, error }, see clientRoute()
+ */
+export function sectionRoute(section, options) {
+  return clientRoute(options, async ({ location, period, refresh, filters, lockedRange }) => {
+    const raw = await fetchLocationData(
+      location,
+      { refresh, since: period.from },
+      getSources(getSectionMetrics(section)),
+      filters
+    );
+
+    return NextResponse.json({
+      ...buildSection(section, scopeToPeriod(raw, period, { lockedRange })),
+      period: serializePeriod(period),
+    });
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Async Concurrency Helpers
+ *
+ * Small utilities for fanning out GHL requests without overwhelming the
+ * API or letting one slow call hold up everything else.
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight at once.
+ * Results keep the same order as the input.
+ *
+ * @param {Array}    items - Items to process
+ * @param {number}   limit - Max concurrent calls (>= 1)
+ * @param {Function} fn    - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  // Each worker pulls the next unclaimed item until none are left
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Reject if a promise doesn't settle within `ms` milliseconds.
+ * The underlying work isn't cancelled — its result is just ignored.
+ */
+export function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,335 @@
+/**
+ * Reporting Period Helpers
+ *
+ * Resolves the dashboard's date range selection into a concrete
+ * { from, to } window, and checks whether GHL timestamps fall inside it.
+ * Shared by the API routes (server) and the dashboard page (client).
+ *
+ * Supported selections:
+ * - "week"    → start of this week (Monday) until now
+ * - "month"   → start of this month until now
+ * - "quarter" → start of this quarter until now
+ * - "custom"  → explicit from/to dates (yyyy-MM-dd, both inclusive)
+ *
+ * Days, weeks and months start at midnight in the client location's time
+ * zone when one is given (an IANA name such as "America/Chicago"), or the
+ * server's (browser's, on the client) otherwise. The zone is kept on the
+ * period as `timeZone` so previous periods and daily buckets follow it.
+ */
+
+import {
+  format,
+  parseISO,
+  isValid,
+  startOfDay,
+  endOfDay,
+  startOfWeek,
+  startOfMonth,
+  startOfQuarter,
+  subWeeks,
+  subMonths,
+  subQuarters,
+  eachDayOfInterval,
+} from "date-fns";
+
+export const DATE_RANGES = ["week", "month", "quarter", "custom"];
+
+export const DEFAULT_DATE_RANGE = "month";
+
+// Compute the start of a preset range relative to "now"
+const RANGE_STARTS = {
+  week: (now) => startOfWeek(now, { weekStartsOn: 1 }),
+  month: (now) => startOfMonth(now),
+  quarter: (now) => startOfQuarter(now),
+};
+
+/**
+ * Parse a yyyy-MM-dd string into a Date, or null if invalid.
+ */
+function parseDay(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = parseISO(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Resolve a range selection into a concrete period.
+ *
+ * @param {object} options
+ * @param {string} [options.range]    - "week" | "month" | "quarter" | "custom"
+ * @param {string} [options.from]     - Custom start date (yyyy-MM-dd)
+ * @param {string} [options.to]       - Custom end date (yyyy-MM-dd)
+ * @param {string} [options.timeZone] - IANA zone the days are counted in
+ * @param {Date}   [now]              - Reference time (defaults to current time)
+ * @returns {{ range: string, from: Date, to: Date, timeZone: string|null }
+ *   | { error: string }}
+ */
+export function resolveDateRange(
+  { range, from, to, timeZone = null } = {},
+  now = new Date()
+) {
+  // Explicit dates imply a custom range
+  const selected = range || (from || to ? "custom" : DEFAULT_DATE_RANGE);
+
+  if (!DATE_RANGES.includes(selected)) {
+    return { error: `Unknown range "${selected}"` };
+  }
+
+  if (selected === "custom") {
+    const fromDate = parseDay(from);
+    const toDate = parseDay(to);
+    if (!fromDate || !toDate) {
+      return { error: "Custom range requires from and to dates (yyyy-MM-dd)" };
+    }
+    if (fromDate > toDate) {
+      return { error: "The from date must be on or before the to date" };
+    }
+    return {
+      range: "custom",
+      from: fromWallClock(startOfDay(fromDate), timeZone),
+      to: fromWallClock(endOfDay(toDate), timeZone),
+      timeZone,
+    };
+  }
+
+  return {
+    range: selected,
+    from: fromWallClock(RANGE_STARTS[selected](toWallClock(now, timeZone)), timeZone),
+    to: now,
+    timeZone,
+  };
+}
+
+/**
+ * Resolve the period from a request's query string, in a location's time
+ * zone (see resolveDateRange).
+ * Accepts ?range=week|month|quarter or ?from=yyyy-MM-dd&to=yyyy-MM-dd
+ */
+export function parseDateRange(searchParams, timeZone = null) {
+  return resolveDateRange({
+    range: searchParams.get("range") || undefined,
+    from: searchParams.get("from") || undefined,
+    to: searchParams.get("to") || undefined,
+    timeZone,
+  });
+}
+
+// Shift a preset range back by one unit to get the previous period
+const RANGE_SHIFTS = {
+  week: (date) => subWeeks(date, 1),
+  month: (date) => subMonths(date, 1),
+  quarter: (date) => subQuarters(date, 1),
+};
+
+/**
+ * Get the equivalent previous period for comparisons.
+ *
+ * Presets compare like-for-like elapsed time: "this month" on the 19th
+ * compares against the 1st–19th of last month. Custom ranges compare
+ * against a window of the same length ending just before `from`.
+ */
+export function getPreviousPeriod(period) {
+  const { range, timeZone = null } = period;
+  const shift = RANGE_SHIFTS[range];
+  if (shift) {
+    // Shift the location's calendar dates, not the instants
+    const shiftInZone = (date) =>
+      fromWallClock(shift(toWallClock(date, timeZone)), timeZone);
+    return { range, from: shiftInZone(period.from), to: shiftInZone(period.to), timeZone };
+  }
+
+  const length = period.to.getTime() - period.from.getTime();
+  const to = new Date(period.from.getTime() - 1);
+  return { range, from: new Date(to.getTime() - length), to, timeZone };
+}
+
+/**
+ * Split a period into `count` equal consecutive sub-periods.
+ * Used for sparkline trends (e.g. 8 buckets across "this quarter").
+ */
+export function splitPeriod(period, count) {
+  const start = period.from.getTime();
+  const step = (period.to.getTime() - start) / count;
+  return Array.from({ length: count }, (_, i) => ({
+    range: period.range,
+    from: new Date(start + step * i),
+    // Sub-periods are inclusive, so end each one just before the next starts
+    to: new Date(i === count - 1 ? period.to.getTime() : start + step * (i + 1) - 1),
+  }));
+}
+
+/**
+ * The days a period covers in its time zone, as yyyy-MM-dd strings (the
+ * same days getZonedTime() reports for timestamps in the period).
+ */
+export function eachDay(period) {
+  const { timeZone = null } = period;
+  return eachDayOfInterval({
+    start: toWallClock(period.from, timeZone),
+    end: toWallClock(period.to, timeZone),
+  }).map(toDayString);
+}
+
+/**
+ * Check if a timestamp falls within the period (inclusive).
+ * Accepts ISO strings or epoch milliseconds (conversations use the latter).
+ */
+export function isWithinRange(timestamp, period) {
+  if (!timestamp) return false;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return false;
+  return date >= period.from && date <= period.to;
+}
+
+/**
+ * Serialize a period for API responses.
+ */
+export function serializePeriod(period) {
+  return {
+    range: period.range,
+    from: period.from.toISOString(),
+    to: period.to.toISOString(),
+  };
+}
+
+/**
+ * Build the query string the dashboard sends to /api/* for a selection.
+ * e.g. { range: "custom", from: "2024-01-01", to: "2024-01-31" }
+ *      → "from=2024-01-01&to=2024-01-31"
+ */
+export function toQueryString({ range, from, to }) {
+  const params = new URLSearchParams();
+  if (range === "custom") {
+    params.set("from", from);
+    params.set("to", to);
+  } else {
+    params.set("range", range || DEFAULT_DATE_RANGE);
+  }
+  return params.toString();
+}
+
+/**
+ * Format a Date as yyyy-MM-dd (the value format of <input type="date">).
+ */
+export function toDayString(date) {
+  return format(date, "yyyy-MM-dd");
+}
+
+// Weekday names from Intl, Monday first (as in the dashboard's week)
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+// One formatter per IANA time zone (they are costly to create)
+const zoneFormats = new Map();
+
+function getZoneFormat(timeZone) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return zoneFormats.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone name Intl understands.
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getZoneFormat(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A timestamp's date and time fields in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getZoneFormat(timeZone)
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+// How far a time zone's clock is ahead of UTC at an instant, in ms
+function getZoneOffset(time, timeZone) {
+  const p = getZonedParts(new Date(time), timeZone);
+  const wholeSeconds = Math.floor(time / 1000) * 1000;
+  return (
+    Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds
+  );
+}
+
+/**
+ * The wall-clock time in a time zone at an instant, as a Date whose local
+ * fields (getDate(), getHours(), ...) read that time, so date-fns helpers
+ * like startOfMonth() work on the zone's calendar. Returns the date as is
+ * without a time zone.
+ */
+function toWallClock(date, timeZone) {
+  if (!timeZone) return date;
+  const p = getZonedParts(date, timeZone);
+  return new Date(
+    p.year, p.month - 1, p.day, p.hour, p.minute, p.second, date.getMilliseconds()
+  );
+}
+
+/**
+ * The instant a wall-clock time (read from a Date's local fields, as
+ * returned by toWallClock) happens in a time zone. A time skipped by a
+ * daylight saving change comes out an hour off.
+ */
+function fromWallClock(date, timeZone) {
+  if (!timeZone) return date;
+  const asUtc = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+  // The offset can differ either side of a DST change, so take it again
+  // at the first guess
+  const guess = asUtc - getZoneOffset(asUtc, timeZone);
+  return new Date(asUtc - getZoneOffset(guess, timeZone));
+}
+
+/**
+ * The calendar day, weekday and hour of a timestamp as seen in a time
+ * zone (e.g. a location's "America/Chicago"), for bucketing activity the
+ * way the client experiences it. Without a time zone the server's is used.
+ *
+ * @returns {{ day: string, weekday: number, hour: number }} day as
+ *   yyyy-MM-dd, weekday 0 (Monday) – 6 (Sunday), hour 0–23
+ */
+export function getZonedTime(timestamp, timeZone) {
+  const date = new Date(timestamp);
+  if (!timeZone) {
+    return { day: toDayString(date), weekday: (date.getDay() + 6) % 7, hour: date.getHours() };
+  }
+  const { year, month, day, weekday, hour } = getZonedParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return { day: `${year}-${pad(month)}-${pad(day)}`, weekday, hour };
+}
@@ -0,0 +1,80 @@
+/**
+ * Reporting Dimension Configuration
+ *
+ * Which GHL custom fields each client reports on, chosen by an admin on
+ * the /admin screen. Selections are stored as custom field IDs per
+ * location slug in a JSON file (default: data/dimensions.json, override
+ * with DIMENSIONS_FILE) and resolved to named dimensions (see
+ * lib/dimensions.js) through the GHL custom fields endpoint.
+ *
+ * Server-only: never import this from a client component.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getCustomFields } from "@/lib/ghl";
+import { BUILTIN_DIMENSIONS, toDimension } from "@/lib/dimensions";
+
+// ── Dimension Store ───────────────────────────────────
+
+function getStorePath() {
+  return path.resolve(
+    process.cwd(),
+    process.env.DIMENSIONS_FILE || "data/dimensions.json"
+  );
+}
+
+function readStore() {
+  const storePath = getStorePath();
+  if (!fs.existsSync(storePath)) return {};
+  return JSON.parse(fs.readFileSync(storePath, "utf8")).locations || {};
+}
+
+function writeStore(locations) {
+  const storePath = getStorePath();
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify({ locations }, null, 2));
+}
+
+/**
+ * The custom field IDs configured as dimensions for a location slug.
+ */
+export function getDimensionFieldIds(slug) {
+  return readStore()[slug] || [];
+}
+
+/**
+ * Replace the custom field IDs configured for a location slug.
+ * Duplicates and blanks are dropped; an empty list removes the entry.
+ *
+ * @returns {string[]} The stored IDs
+ */
+export function setDimensionFieldIds(slug, fieldIds = []) {
+  const ids = [...new Set(fieldIds.map(String).filter(Boolean))];
+  const locations = readStore();
+  if (ids.length > 0) locations[slug] = ids;
+  else delete locations[slug];
+  writeStore(locations);
+  return ids;
+}
+
+// ── Resolution ────────────────────────────────────────
+
+/**
+ * The reporting dimensions for a location: the built-in ones plus each
+ * configured custom field that still exists in GHL, in configured order.
+ * Custom field definitions are only fetched when something is configured.
+ * Accepts the same { refresh } option as lib/ghl.js.
+ */
+export async function getDimensions(location, options) {
+  const fieldIds = getDimensionFieldIds(location.slug);
+  if (fieldIds.length === 0) return BUILTIN_DIMENSIONS;
+
+  const fields = await getCustomFields(location, options);
+  const byId = new Map(fields.map((field) => [field.id, field]));
+  const custom = fieldIds
+    .filter((id) => byId.has(id))
+    .map((id) => toDimension(byId.get(id)));
+
+  return [...BUILTIN_DIMENSIONS, ...custom];
+}
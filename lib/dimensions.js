@@ -0,0 +1,65 @@
+/**
+ * Reporting Dimensions
+ *
+ * A dimension is a field contacts or opportunities can be grouped and
+ * filtered by:
+ *
+ *   {
+ *     key:   "source",                    // Stable key (?dim=<key>:<value>)
+ *     name:  "Source",                    // Display name
+ *     model: "contact",                   // contact | opportunity
+ *     id:    "kH3x...",                   // GHL custom field ID (custom only)
+ *   }
+ *
+ * Lead source is built in. Admins add custom fields per client on the
+ * admin page (see lib/dimensionConfig.js); a custom dimension's key is its
+ * GHL field ID.
+ *
+ * Pure and client-safe.
+ */
+
+// Label for records with no value, matching groupBy() in lib/formatters.js
+export const UNKNOWN_VALUE = "Unknown";
+
+export const BUILTIN_DIMENSIONS = [
+  { key: "source", name: "Source", model: "contact" },
+];
+
+/**
+ * Turn a GHL custom field definition into a dimension.
+ */
+export function toDimension(field) {
+  return {
+    key: field.id,
+    id: field.id,
+    name: field.name || field.fieldKey || field.id,
+    model: field.model === "opportunity" ? "opportunity" : "contact",
+  };
+}
+
+/**
+ * Find a dimension by key. Returns null if it isn't configured.
+ */
+export function findDimension(dimensions, key) {
+  return dimensions.find((dimension) => dimension.key === key) || null;
+}
+
+/**
+ * A record's value for a dimension, as a display string.
+ * Custom field values live in record.customFields as [{ id, value }]
+ * (contacts) or [{ id, fieldValue }] (opportunities); multi-select values
+ * are joined. Missing values read as "Unknown".
+ */
+export function dimensionValue(record, dimension) {
+  let value;
+  if (dimension.id) {
+    const entry = (record.customFields || []).find((f) => f.id === dimension.id);
+    value = entry?.value ?? entry?.fieldValue;
+  } else {
+    value = record[dimension.key];
+  }
+
+  if (Array.isArray(value)) value = value.join(", ");
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text || UNKNOWN_VALUE;
+}
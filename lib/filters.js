@@ -0,0 +1,167 @@
+/**
+ * Dashboard Filters
+ *
+ * Narrow a location's GHL data down to a segment before any metric is
+ * computed, so every number on the dashboard (and in its PDF) respects
+ * the same selection. The API routes parse filters from the query
+ * string; the dashboard serializes its selection with toFilterQuery().
+ *
+ * Supported filters:
+ * - tag (repeatable) — contacts carrying every selected tag, plus the
+ *   opportunities, conversations and appointments belonging to those
+ *   contacts
+ * - dim=<key>:<value> (repeatable) — records whose reporting dimension
+ *   (see lib/dimensions.js) has one of the selected values; values for
+ *   the same dimension are alternatives, different dimensions must all
+ *   match. Contact dimensions narrow contacts like tags do; opportunity
+ *   dimensions only narrow opportunities. Keys that aren't configured
+ *   for the location are ignored.
+ * - rep=<userId> — contacts, opportunities and conversations assigned to
+ *   that user (each by its own assignedTo), and appointments with that
+ *   user (assignedUserId)
+ *
+ * Pure and client-safe.
+ */
+
+import { dimensionValue, findDimension } from "@/lib/dimensions";
+
+/**
+ * Tags are matched case-insensitively (GHL lowercases them, imports may not).
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Read filters from URL search params.
+ * e.g. ?tag=hot-lead&dim=source:Referral&rep=u1 →
+ *   { tags: ["hot-lead"], dimensions: [{ key: "source", value: "Referral" }], rep: "u1" }
+ */
+export function parseFilters(searchParams) {
+  const tags = [...new Set(searchParams.getAll("tag").map(normalizeTag))].filter(Boolean);
+
+  // Split on the first colon only: values may contain colons
+  const seen = new Set();
+  const dimensions = [];
+  searchParams.getAll("dim").forEach((param) => {
+    const separator = param.indexOf(":");
+    if (separator <= 0) return;
+    const key = param.slice(0, separator).trim();
+    const value = param.slice(separator + 1).trim();
+    if (!key || !value || seen.has(`${key}:${value}`)) return;
+    seen.add(`${key}:${value}`);
+    dimensions.push({ key, value });
+  });
+
+  const rep = searchParams.get("rep")?.trim() || null;
+
+  return { tags, dimensions, rep };
+}
+
+/**
+ * Whether any filter is active.
+ */
+export function hasFilters(filters = {}) {
+  return (
+    (filters.tags?.length || 0) + (filters.dimensions?.length || 0) > 0 ||
+    Boolean(filters.rep)
+  );
+}
+
+/**
+ * The data sources needed to apply a set of filters, on top of whatever
+ * the metrics themselves need (tag filters match on contacts; dimension
+ * filters need the dimension definitions and the records they match;
+ * the rep filter only narrows whatever was fetched).
+ */
+export function getFilterSources(filters = {}) {
+  const sources = [];
+  if (filters.tags?.length) sources.push("contacts");
+  if (filters.dimensions?.length) sources.push("dimensions", "contacts", "opportunities");
+  return [...new Set(sources)];
+}
+
+// Group dimension filters by configured dimension: [{ dimension, values }]
+function resolveDimensionFilters(selected = [], dimensions = []) {
+  const byKey = new Map();
+  selected.forEach(({ key, value }) => {
+    const dimension = findDimension(dimensions, key);
+    if (!dimension) return;
+    if (!byKey.has(key)) byKey.set(key, { dimension, values: new Set() });
+    byKey.get(key).values.add(value);
+  });
+  return [...byKey.values()];
+}
+
+// Whether a record matches every dimension filter
+const matchesDimensions = (record, dimensionFilters) =>
+  dimensionFilters.every(({ dimension, values }) =>
+    values.has(dimensionValue(record, dimension))
+  );
+
+/**
+ * Apply filters to raw GHL data (as returned by fetchLocationData).
+ * Only the sources present are filtered; pipelines and calendars are never
+ * filtered.
+ */
+export function applyFilters(raw, filters = {}) {
+  if (!hasFilters(filters)) return raw;
+
+  const selectedTags = filters.tags || [];
+  const dimensionFilters = resolveDimensionFilters(filters.dimensions, raw.dimensions);
+  const contactFilters = dimensionFilters.filter((f) => f.dimension.model === "contact");
+  const opportunityFilters = dimensionFilters.filter((f) => f.dimension.model === "opportunity");
+
+  const filtered = { ...raw };
+
+  if (selectedTags.length > 0 || contactFilters.length > 0) {
+    const contacts = (raw.contacts || []).filter((contact) => {
+      const tags = (contact.tags || []).map(normalizeTag);
+      return (
+        selectedTags.every((tag) => tags.includes(tag)) &&
+        matchesDimensions(contact, contactFilters)
+      );
+    });
+    const contactIds = new Set(contacts.map((c) => c.id));
+    const belongs = (item) => contactIds.has(item.contactId);
+
+    filtered.contacts = contacts;
+    if (raw.opportunities) filtered.opportunities = raw.opportunities.filter(belongs);
+    if (raw.conversations) filtered.conversations = raw.conversations.filter(belongs);
+    if (raw.appointments) filtered.appointments = raw.appointments.filter(belongs);
+  }
+
+  if (opportunityFilters.length > 0 && filtered.opportunities) {
+    filtered.opportunities = filtered.opportunities.filter((opportunity) =>
+      matchesDimensions(opportunity, opportunityFilters)
+    );
+  }
+
+  if (filters.rep) {
+    const assigned = (item) => item.assignedTo === filters.rep;
+    ["contacts", "opportunities", "conversations"].forEach((source) => {
+      if (filtered[source]) filtered[source] = filtered[source].filter(assigned);
+    });
+    if (filtered.appointments) {
+      filtered.appointments = filtered.appointments.filter(
+        (appointment) => appointment.assignedUserId === filters.rep
+      );
+    }
+  }
+
+  return filtered;
+}
+
+/**
+ * Build the query string the dashboard appends to /api/* for its filters.
+ * e.g. { tags: ["hot", "vip"] } → "tag=hot&tag=vip" (empty when unfiltered)
+ */
+export function toFilterQuery(filters = {}) {
+  const params = new URLSearchParams();
+  (filters.tags || []).forEach((tag) => params.append("tag", tag));
+  (filters.dimensions || []).forEach(({ key, value }) =>
+    params.append("dim", `${key}:${value}`)
+  );
+  if (filters.rep) params.set("rep", filters.rep);
+  return params.toString();
+}
@@ -0,0 +1,523 @@
+/**
+ * Seeded GHL Fixture Generator
+ *
+ * Builds realistic contacts, opportunities, pipelines, conversations,
+ * their messages (calls with their outcome and talk time), and calendars
+ * with their appointments shaped like GHL API v2 responses, for the
+ * GHL_MOCK mode in lib/ghl.js (see lib/ghlMock.js) and for tests.
+ *
+ * Output is fully determined by the options: the same seed, volume and
+ * `now` always produce the same records, so demos are repeatable and tests
+ * can assert exact numbers. Records are related the way GHL relates them —
+ * opportunities, conversations and appointments reference contacts via
+ * contactId, opportunities reference real pipeline stage IDs and
+ * appointments real calendar IDs.
+ *
+ * Edge cases can be dialed in: zero contacts, pipelines with no
+ * opportunities, opportunities without a value, contacts without a source.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Defaults ──────────────────────────────────────────
+
+export const DEFAULT_FIXTURE_OPTIONS = {
+  seed: "demo",
+  contacts: 250, // Total contacts to generate
+  days: 180, // Spread creation dates over this many days before `now`
+  pipelines: 2, // Pipelines that receive opportunities (max 3)
+  emptyPipelines: 0, // Extra pipelines with stages but no opportunities
+  opportunityRate: 0.6, // Share of contacts with an opportunity
+  conversationRate: 0.8, // Share of contacts with a conversation
+};
+
+// ── Seeded random source ──────────────────────────────
+
+// Hash a string seed into a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random helper (mulberry32). `random()` returns [0, 1)
+ * like Math.random; the other helpers build on it.
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    random,
+    int: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    chance: (probability) => random() < probability,
+    pick: (items) => items[Math.floor(random() * items.length)],
+    // Pick from [[value, weight], ...]
+    weighted(entries) {
+      const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+      let roll = random() * total;
+      for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+    // GHL-style 20 character alphanumeric ID
+    id() {
+      const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+      let id = "";
+      for (let i = 0; i < 20; i++) id += chars[Math.floor(random() * chars.length)];
+      return id;
+    },
+  };
+}
+
+// ── Reference data ────────────────────────────────────
+
+const FIRST_NAMES = [
+  "Emma", "Liam", "Olivia", "Noah", "Ava", "Ethan", "Sophia", "Mason",
+  "Mia", "Lucas", "Harper", "James", "Amelia", "Logan", "Ella", "Aiden",
+  "Grace", "Carter", "Chloe", "Owen", "Zoe", "Wyatt", "Nora", "Caleb",
+];
+
+const LAST_NAMES = [
+  "Smith", "Johnson", "Garcia", "Brown", "Miller", "Davis", "Martinez",
+  "Wilson", "Anderson", "Taylor", "Thomas", "Moore", "Jackson", "Martin",
+  "Lee", "Thompson", "White", "Harris", "Clark", "Lewis", "Walker", "Hall",
+];
+
+// [source, weight, utm] — null source exercises the "Unknown" bucket
+const SOURCES = [
+  ["Facebook Ads", 30, { utmSource: "facebook", utmMedium: "paid_social" }],
+  ["Google Ads", 25, { utmSource: "google", utmMedium: "cpc" }],
+  ["Website Form", 15, { utmSource: "website", utmMedium: "organic" }],
+  ["Referral", 10, { utmSource: "referral", utmMedium: "referral" }],
+  ["Organic Search", 10, { utmSource: "google", utmMedium: "organic" }],
+  ["Instagram", 6, { utmSource: "instagram", utmMedium: "paid_social" }],
+  [null, 4, null],
+];
+
+const CAMPAIGNS = ["spring_promo", "summer_special", "brand_awareness", "retargeting"];
+const CONTENTS = ["video_ad", "carousel", "search_text", "lead_form"];
+
+const TAGS = ["new lead", "hot", "cold", "newsletter", "vip", "follow-up", "no-show"];
+
+const USERS = [
+  ["Jordan", "Reyes"],
+  ["Taylor", "Brooks"],
+  ["Morgan", "Patel"],
+  ["Casey", "Nguyen"],
+];
+
+// Pipelines that receive opportunities, in order of use
+const PIPELINE_TEMPLATES = [
+  {
+    name: "Sales Pipeline",
+    stages: ["New Lead", "Contacted", "Appointment Booked", "Proposal Sent", "Negotiation"],
+    valueRange: [500, 15000],
+  },
+  {
+    name: "Referral Pipeline",
+    stages: ["Referral Received", "Consultation", "Quote Sent", "Follow Up"],
+    valueRange: [1000, 25000],
+  },
+  {
+    name: "Reactivation",
+    stages: ["Dormant", "Re-engaged", "Offer Sent"],
+    valueRange: [200, 5000],
+  },
+];
+
+// Custom fields: [name, fieldKey, model, [[option, weight], ...]]
+const CUSTOM_FIELDS = [
+  ["Service Type", "contact.service_type", "contact", [
+    ["Cleaning", 35], ["Whitening", 20], ["Invisalign", 20], ["Implants", 15], ["Emergency", 10],
+  ]],
+  ["Budget Range", "contact.budget_range", "contact", [
+    ["Under $1,000", 40], ["$1,000 - $5,000", 40], ["Over $5,000", 20],
+  ]],
+  ["Deal Type", "opportunity.deal_type", "opportunity", [
+    ["New Business", 60], ["Upsell", 25], ["Renewal", 15],
+  ]],
+];
+
+// Conversation channels as GHL reports them in lastMessageType
+const CHANNELS = [
+  ["TYPE_SMS", 45],
+  ["TYPE_EMAIL", 20],
+  ["TYPE_CALL", 15],
+  ["TYPE_FACEBOOK", 10],
+  ["TYPE_INSTAGRAM", 5],
+  ["TYPE_WEBCHAT", 5],
+  ["TYPE_WHATSAPP", 5],
+];
+
+// The conversation type GHL files each channel's threads under
+const CONVERSATION_TYPES = {
+  TYPE_SMS: "TYPE_PHONE",
+  TYPE_CALL: "TYPE_PHONE",
+  TYPE_EMAIL: "TYPE_EMAIL",
+  TYPE_FACEBOOK: "TYPE_FB_MESSENGER",
+  TYPE_INSTAGRAM: "TYPE_IG_DM",
+  TYPE_WEBCHAT: "TYPE_LIVE_CHAT",
+  TYPE_WHATSAPP: "TYPE_WHATSAPP",
+};
+
+// How long the business takes to first reply to a lead, in minutes
+const REPLY_DELAYS = [
+  [[1, 5], 35],
+  [[5, 60], 30],
+  [[60, 24 * 60], 25],
+  [[24 * 60, 3 * 24 * 60], 10],
+];
+
+// Calendars: [name, weight, duration in minutes]
+const CALENDARS = [
+  ["Free Consultation", 50, 30],
+  ["Discovery Call", 30, 15],
+  ["Treatment Session", 20, 60],
+];
+
+// appointmentStatus once an appointment's time has passed, and before
+const PAST_APPOINTMENT_STATUSES = [
+  ["showed", 60],
+  ["noshow", 20],
+  ["cancelled", 14],
+  ["confirmed", 4],
+  ["invalid", 2],
+];
+const UPCOMING_APPOINTMENT_STATUSES = [
+  ["new", 35],
+  ["confirmed", 55],
+  ["cancelled", 10],
+];
+
+// How calls that didn't connect ended, as GHL reports meta.call.status
+const MISSED_CALL_STATUSES = [
+  ["no-answer", 60],
+  ["voicemail", 30],
+  ["busy", 10],
+];
+
+const MESSAGE_SNIPPETS = [
+  "Hi, I'd like to know more about your pricing",
+  "Can we reschedule to Thursday?",
+  "Thanks! See you then.",
+  "Is this still available?",
+  "Following up on the quote you sent",
+  "What times do you have next week?",
+];
+
+// ── Generator ─────────────────────────────────────────
+
+const toIso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Generate a complete fixture set for one location.
+ *
+ * @param {object} [options] - See DEFAULT_FIXTURE_OPTIONS, plus:
+ * @param {string} [options.locationId] - Stamped on every record
+ * @param {Date}   [options.now]        - Latest possible timestamp (default: now)
+ * @returns {{ users, pipelines, customFields, contacts, opportunities, conversations, messages,
+ *             calendars, appointments }}
+ *   Each list is ordered newest first, like GHL search results; messages
+ *   maps conversation IDs to their message history, and appointments are
+ *   ordered by start time.
+ */
+export function generateFixtures(options = {}) {
+  const config = { ...DEFAULT_FIXTURE_OPTIONS, ...options };
+  const locationId = config.locationId || "mock-location";
+  const now = (config.now || new Date()).getTime();
+  const rng = createRandom(`${config.seed}:${locationId}`);
+
+  // Timestamp `offsetMs` after `from`, never past now
+  const after = (from, offsetMs) => Math.min(now, from + offsetMs);
+
+  // ── Users (sales reps) ──────────────────────────────
+  const users = USERS.map(([firstName, lastName]) => ({
+    id: rng.id(),
+    name: `${firstName} ${lastName}`,
+    firstName,
+    lastName,
+    email: `${firstName.toLowerCase()}@agency.example.com`,
+  }));
+
+  // ── Pipelines ───────────────────────────────────────
+  const activeCount = Math.max(0, Math.min(config.pipelines, PIPELINE_TEMPLATES.length));
+  const templates = PIPELINE_TEMPLATES.slice(0, activeCount);
+  const buildPipeline = (name, stageNames) => ({
+    id: rng.id(),
+    name,
+    locationId,
+    stages: stageNames.map((stageName, position) => ({
+      id: rng.id(),
+      name: stageName,
+      position,
+    })),
+  });
+
+  const activePipelines = templates.map((t) => buildPipeline(t.name, t.stages));
+  const emptyPipelines = Array.from({ length: config.emptyPipelines }, (_, i) =>
+    buildPipeline(`Unused Pipeline ${i + 1}`, ["Stage 1", "Stage 2"])
+  );
+
+  // ── Contacts ────────────────────────────────────────
+  const contacts = Array.from({ length: config.contacts }, (_, i) => {
+    const firstName = rng.pick(FIRST_NAMES);
+    const lastName = rng.pick(LAST_NAMES);
+    const [source, , utm] = rng.weighted(SOURCES.map((s) => [s, s[1]]));
+    const dateAdded = now - Math.floor(rng.random() * config.days * DAY_MS);
+
+    const attribution = utm && {
+      ...utm,
+      utmCampaign: rng.pick(CAMPAIGNS),
+      utmContent: rng.pick(CONTENTS),
+      url: "https://www.example.com/landing",
+    };
+    // Returning contacts sometimes convert on a different touch
+    const lastAttribution =
+      attribution && rng.chance(0.3)
+        ? { ...attribution, utmCampaign: "retargeting", utmContent: rng.pick(CONTENTS) }
+        : attribution;
+
+    return {
+      id: rng.id(),
+      locationId,
+      firstName,
+      lastName,
+      contactName: `${firstName} ${lastName}`.toLowerCase(),
+      email: `${firstName}.${lastName}${i}@example.com`.toLowerCase(),
+      phone: `+1555${String(rng.int(0, 9999999)).padStart(7, "0")}`,
+      type: "lead",
+      source,
+      tags: TAGS.filter(() => rng.chance(0.2)),
+      assignedTo: rng.chance(0.85) ? rng.pick(users).id : null,
+      attributionSource: attribution || null,
+      lastAttributionSource: lastAttribution || null,
+      dateAdded: toIso(dateAdded),
+      dateUpdated: toIso(after(dateAdded, rng.int(0, 14) * DAY_MS)),
+    };
+  });
+
+  // ── Opportunities ───────────────────────────────────
+  const opportunities = [];
+  if (activePipelines.length > 0) {
+    contacts.forEach((contact) => {
+      if (!rng.chance(config.opportunityRate)) return;
+
+      // Earlier pipelines get most of the deals
+      const index = rng.weighted(activePipelines.map((_, i) => [i, activePipelines.length - i]));
+      const pipeline = activePipelines[index];
+      const [minValue, maxValue] = templates[index].valueRange;
+
+      const createdAt = after(new Date(contact.dateAdded).getTime(), rng.int(0, 72) * 60 * 60 * 1000);
+      const status = rng.weighted([["open", 55], ["won", 25], ["lost", 15], ["abandoned", 5]]);
+      const stages = pipeline.stages;
+      const stage =
+        status === "won"
+          ? stages[stages.length - 1]
+          : stages[Math.min(stages.length - 1, Math.floor(rng.random() ** 1.5 * stages.length))];
+
+      const lastStageChangeAt = after(createdAt, rng.int(0, 20) * DAY_MS);
+      const lastStatusChangeAt =
+        status === "open" ? createdAt : after(lastStageChangeAt, rng.int(0, 10) * DAY_MS);
+
+      opportunities.push({
+        id: rng.id(),
+        locationId,
+        name: `${contact.firstName} ${contact.lastName}`,
+        pipelineId: pipeline.id,
+        pipelineStageId: stage.id,
+        status,
+        // Some deals never get a value entered
+        monetaryValue: rng.chance(0.1) ? 0 : Math.round(rng.int(minValue, maxValue) / 50) * 50,
+        source: contact.source,
+        assignedTo: contact.assignedTo,
+        contactId: contact.id,
+        contact: {
+          id: contact.id,
+          name: `${contact.firstName} ${contact.lastName}`,
+          email: contact.email,
+          phone: contact.phone,
+          tags: contact.tags,
+        },
+        createdAt: toIso(createdAt),
+        lastStageChangeAt: toIso(lastStageChangeAt),
+        lastStatusChangeAt: toIso(lastStatusChangeAt),
+        updatedAt: toIso(Math.max(lastStageChangeAt, lastStatusChangeAt)),
+      });
+    });
+  }
+
+  // ── Conversations ───────────────────────────────────
+  const conversations = [];
+  contacts.forEach((contact) => {
+    if (!rng.chance(config.conversationRate)) return;
+
+    const dateAdded = after(new Date(contact.dateAdded).getTime(), rng.int(1, 240) * 60 * 1000);
+    const lastMessageDate = after(dateAdded, rng.int(0, 10 * 24 * 60) * 60 * 1000);
+    const replied = rng.chance(0.7);
+    const id = rng.id();
+    const channel = rng.weighted(CHANNELS);
+
+    conversations.push({
+      id,
+      locationId,
+      contactId: contact.id,
+      fullName: `${contact.firstName} ${contact.lastName}`,
+      contactName: `${contact.firstName} ${contact.lastName}`,
+      email: contact.email,
+      phone: contact.phone,
+      type: CONVERSATION_TYPES[channel],
+      assignedTo: contact.assignedTo,
+      lastMessageType: channel,
+      lastMessageDirection: replied ? "outbound" : "inbound",
+      lastMessageBody: rng.pick(MESSAGE_SNIPPETS),
+      unreadCount: replied ? 0 : rng.int(1, 3),
+      tags: contact.tags,
+      // GHL returns conversation timestamps as epoch milliseconds
+      dateAdded,
+      dateUpdated: lastMessageDate,
+      lastMessageDate,
+    });
+  });
+
+  // ── Custom fields ───────────────────────────────────
+  // Drawn from their own random stream so adding fields doesn't reshuffle
+  // the records above. Some records leave a field blank.
+  const fieldRng = createRandom(`${config.seed}:${locationId}:fields`);
+  const customFields = CUSTOM_FIELDS.map(([name, fieldKey, model, options]) => ({
+    id: fieldRng.id(),
+    name,
+    fieldKey,
+    model,
+    dataType: "SINGLE_OPTIONS",
+    picklistOptions: options.map(([option]) => option),
+    locationId,
+  }));
+  const fillFields = (model, valueKey) => (record) => {
+    record.customFields = customFields
+      .filter((field) => field.model === model && fieldRng.chance(0.85))
+      .map((field) => {
+        const [, , , options] = CUSTOM_FIELDS.find(([name]) => name === field.name);
+        return { id: field.id, [valueKey]: fieldRng.weighted(options) };
+      });
+  };
+  // GHL keys the value as "value" on contacts and "fieldValue" on opportunities
+  contacts.forEach(fillFields("contact", "value"));
+  opportunities.forEach(fillFields("opportunity", "fieldValue"));
+
+  // ── Messages ────────────────────────────────────────
+  // Each thread opens with the lead's message when the conversation was
+  // created and ends with its last message. Some leads wrote back after
+  // being answered, so their thread ends inbound despite the reply. Drawn
+  // from their own random stream, like custom fields.
+  const messageRng = createRandom(`${config.seed}:${locationId}:messages`);
+  const messages = {};
+  conversations.forEach((conversation) => {
+    const start = conversation.dateAdded;
+    const end = conversation.lastMessageDate;
+    const [minDelay, maxDelay] = messageRng.weighted(REPLY_DELAYS);
+    const replyAt = Math.min(end, start + messageRng.int(minDelay, maxDelay) * 60 * 1000);
+
+    const thread = [[start, "inbound"]];
+    if (conversation.lastMessageDirection === "outbound") {
+      thread.push([Math.max(replyAt, start + 1), "outbound"]);
+      if (end > replyAt) thread.push([end, "outbound"]);
+    } else {
+      if (replyAt < end && messageRng.chance(0.4)) thread.push([replyAt, "outbound"]);
+      if (end > start) thread.push([end, "inbound"]);
+    }
+
+    // Newest first, like GHL's messages endpoint
+    messages[conversation.id] = thread.reverse().map(([at, direction]) => {
+      const message = {
+        id: messageRng.id(),
+        conversationId: conversation.id,
+        contactId: conversation.contactId,
+        locationId,
+        messageType: conversation.lastMessageType,
+        direction,
+        status: "delivered",
+        body: messageRng.pick(MESSAGE_SNIPPETS),
+        dateAdded: toIso(at),
+      };
+      if (message.messageType !== "TYPE_CALL") return message;
+
+      // Calls carry their outcome and talk time (seconds) in meta.call
+      const connected = messageRng.chance(direction === "inbound" ? 0.65 : 0.55);
+      const status = connected ? "completed" : messageRng.weighted(MISSED_CALL_STATUSES);
+      const duration = connected ? messageRng.int(20, 900) : 0;
+      return { ...message, body: "", status, meta: { call: { status, duration } } };
+    });
+  });
+
+  // ── Calendars & appointments ────────────────────────
+  // Some leads book a call within a few days of coming in, for a slot up
+  // to two weeks out. Drawn from their own random stream, like messages.
+  const appointmentRng = createRandom(`${config.seed}:${locationId}:appointments`);
+  const calendars = CALENDARS.map(([name, , duration]) => ({
+    id: appointmentRng.id(),
+    locationId,
+    name,
+    slotDuration: duration,
+  }));
+  const appointments = [];
+  contacts.forEach((contact) => {
+    if (!appointmentRng.chance(0.35)) return;
+
+    const calendarIndex = appointmentRng.weighted(CALENDARS.map(([, weight], i) => [i, weight]));
+    const calendar = calendars[calendarIndex];
+    const bookedAt = after(
+      new Date(contact.dateAdded).getTime(),
+      appointmentRng.int(0, 72) * 60 * 60 * 1000
+    );
+    // On the hour, business hours (UTC)
+    const day = Math.floor(bookedAt / DAY_MS) + appointmentRng.int(1, 14);
+    const startTime = day * DAY_MS + appointmentRng.int(9, 16) * 60 * 60 * 1000;
+    const status = appointmentRng.weighted(
+      startTime < now ? PAST_APPOINTMENT_STATUSES : UPCOMING_APPOINTMENT_STATUSES
+    );
+
+    appointments.push({
+      id: appointmentRng.id(),
+      locationId,
+      calendarId: calendar.id,
+      contactId: contact.id,
+      title: `${calendar.name} - ${contact.firstName} ${contact.lastName}`,
+      appointmentStatus: status,
+      assignedUserId: contact.assignedTo,
+      startTime: toIso(startTime),
+      endTime: toIso(startTime + calendar.slotDuration * 60 * 1000),
+      dateAdded: toIso(bookedAt),
+      dateUpdated: toIso(Math.min(now, Math.max(bookedAt, startTime))),
+    });
+  });
+
+  // Newest first, like GHL search results
+  const byNewest = (key) => (a, b) => new Date(b[key]) - new Date(a[key]);
+
+  return {
+    users,
+    pipelines: [...activePipelines, ...emptyPipelines],
+    customFields,
+    contacts: contacts.sort(byNewest("dateAdded")),
+    opportunities: opportunities.sort(byNewest("createdAt")),
+    conversations: conversations.sort(byNewest("lastMessageDate")),
+    messages,
+    calendars,
+    // By start time, like GHL's calendar events endpoint
+    appointments: appointments.sort((a, b) => new Date(a.startTime) - new Date(b.startTime)),
+  };
+}
@@ -10,12 +10,22 @@ import { format, subDays, isAfter, parseISO } from "date-fns";
 // ── Number & Currency Formatting ──────────────────────
 
 /**
- * Format a number as compact currency (e.g., $12.5K, $1.2M)
+ * Format a number as compact currency (e.g., $12.5K, $1.2M, -$950)
+ * Amounts under $1K are rounded to whole dollars; missing values show $0.
  */
 export function formatCurrency(value) {
-  if (value >= 1_000_000) return `$${(value / 1_000_000).toFixed(1)}M`;
-  if (value >= 1_000) return `$${(value / 1_000).toFixed(1)}K`;
-  return `$${value.toLocaleString()}`;
+  const amount = Number(value) || 0;
+  const abs = Math.abs(amount);
+
+  // Thresholds account for rounding, so $999,960 shows as $1.0M
+  // rather than $1000.0K, and $999.60 as $1.0K rather than $1,000
+  let formatted;
+  if (abs >= 999_950) formatted = `$${(abs / 1_000_000).toFixed(1)}M`;
+  else if (abs >= 999.5) formatted = `$${(abs / 1_000).toFixed(1)}K`;
+  else formatted = `$${Math.round(abs).toLocaleString()}`;
+
+  // Sign goes before the symbol; amounts that round to zero get none
+  return amount < 0 && formatted !== "$0" ? `-${formatted}` : formatted;
 }
 
 /**
@@ -25,6 +35,32 @@ export function formatPercent(value) {
   return `${(value * 100).toFixed(1)}%`;
 }
 
+/**
+ * Format a duration in days (e.g., 4.25 → "4.3 days", 1 → "1 day").
+ * Whole numbers drop the decimal.
+ */
+export function formatDays(value) {
+  const days = Math.round((Number(value) || 0) * 10) / 10;
+  return `${days.toLocaleString()} ${days === 1 ? "day" : "days"}`;
+}
+
+/**
+ * Format a duration in milliseconds compactly, in its two largest units
+ * (e.g., 45000 → "45s", 4500000 → "1h 15m", 2 days 3 hours → "2d 3h").
+ * null or undefined means nothing was measured and shows as "—".
+ */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "—";
+  const seconds = Math.round(Number(ms) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
 /**
  * Format a number with locale-aware thousands separator
  */
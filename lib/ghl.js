@@ -10,36 +10,175 @@
  * - Contacts use POST /contacts/search instead of GET /contacts
  * - Opportunities use POST /opportunities/search with body params
  * - Conversations use GET /conversations/search with query params
+ * - Conversation messages use GET /conversations/:conversationId/messages
  * - Pipelines use GET /opportunities/pipelines
+ * - Custom field definitions use GET /locations/:locationId/customFields
+ * - Users use GET /users/ with a locationId query param
+ * - Calendars use GET /calendars/ and their appointments
+ *   GET /calendars/events (one calendar and time window per request)
  * - Required "Version" header for API versioning
+ *
+ * Every exported function takes a location context explicitly
+ * ({ locationId, apiKey }, see lib/locations.js) so one deployment can
+ * report on many client sub-accounts.
+ *
+ * Full fetches are cached in memory per location and endpoint with
+ * stale-while-revalidate (see lib/cache.js). Pass { refresh: true } to
+ * bypass the cache, e.g. for the dashboard's "Refresh now" button.
+ *
+ * Requests are throttled per location to stay under GHL's burst limit,
+ * and 429 / transient gateway / network failures are retried with
+ * exponential backoff that honors Retry-After (see lib/retry.js).
+ *
+ * Set GHL_MOCK=1 to run fully offline against generated fixture data
+ * (see lib/ghlMock.js) — no API key or network needed.
  */
 
 import axios from "axios";
+import { createCache } from "@/lib/cache";
+import { createThrottle } from "@/lib/throttle";
+import { isRetryable, getRetryDelay } from "@/lib/retry";
+import { isMockMode, createMockClient } from "@/lib/ghlMock";
 
-// ── Axios instance configured for GHL API v2 ─────────
-const ghlClient = axios.create({
-  baseURL: process.env.GHL_BASE_URL || "https://services.leadconnectorhq.com",
-  headers: {
-    // Private Integration API key as Bearer token
-    Authorization: `Bearer ${process.env.GHL_API_KEY}`,
-    "Content-Type": "application/json",
-    // Required v2 version header
-    Version: "2021-07-28",
-  },
-  timeout: 15000,
+// ── Response cache ────────────────────────────────────
+// GHL_CACHE_TTL_SECONDS: how long data is served without refetching
+// (0 disables caching). GHL_CACHE_STALE_SECONDS: how much longer stale
+// data may be served while a background refresh runs.
+const responseCache = createCache({
+  ttlMs: Number(process.env.GHL_CACHE_TTL_SECONDS ?? 300) * 1000,
+  staleMs: Number(process.env.GHL_CACHE_STALE_SECONDS ?? 3600) * 1000,
 });
 
-// ── Response interceptor for consistent error handling ─
-ghlClient.interceptors.response.use(
-  (response) => response.data,
-  (error) => {
-    const status = error.response?.status;
-    const message =
-      error.response?.data?.message || error.response?.data?.msg || error.message;
-    console.error(`[GHL API v2 Error] ${status}: ${message}`);
-    throw new Error(`GHL API Error (${status}): ${message}`);
+// ── Rate limiting & retries ───────────────────────────
+// GHL allows a burst of 100 requests per 10 seconds per location.
+// GHL_RATE_LIMIT_MAX / GHL_RATE_LIMIT_INTERVAL_MS tune the throttle;
+// GHL_MAX_RETRIES / GHL_RETRY_BASE_DELAY_MS / GHL_RETRY_MAX_DELAY_MS
+// tune the backoff (see lib/retry.js).
+function getLimits() {
+  return {
+    rateLimitMax: Number(process.env.GHL_RATE_LIMIT_MAX) || 100,
+    rateLimitIntervalMs: Number(process.env.GHL_RATE_LIMIT_INTERVAL_MS) || 10000,
+    maxRetries: Number(process.env.GHL_MAX_RETRIES ?? 4),
+    baseDelayMs: Number(process.env.GHL_RETRY_BASE_DELAY_MS) || 500,
+    maxDelayMs: Number(process.env.GHL_RETRY_MAX_DELAY_MS) || 30000,
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One throttle per location, shared by every client for that location
+const throttles = new Map();
+
+function getThrottle(locationId) {
+  if (!throttles.has(locationId)) {
+    const { rateLimitMax, rateLimitIntervalMs } = getLimits();
+    throttles.set(
+      locationId,
+      createThrottle({ max: rateLimitMax, intervalMs: rateLimitIntervalMs })
+    );
   }
-);
+  return throttles.get(locationId);
+}
+
+// ── Axios instances configured for GHL API v2 ────────
+// One client per location + API key, created lazily and reused
+const ghlClients = new Map();
+// Mock clients (GHL_MOCK=1), one per location so fixtures stay stable
+const mockClients = new Map();
+
+function createClient(location) {
+  const limits = getLimits();
+  const throttle = getThrottle(location.locationId);
+
+  const client = axios.create({
+    baseURL: process.env.GHL_BASE_URL || "https://services.leadconnectorhq.com",
+    headers: {
+      // Private Integration API key as Bearer token
+      Authorization: `Bearer ${location.apiKey}`,
+      "Content-Type": "application/json",
+      // Required v2 version header
+      Version: "2021-07-28",
+    },
+    timeout: 15000,
+  });
+
+  // ── Request interceptor: wait for a throttle slot ────
+  client.interceptors.request.use(async (config) => {
+    await throttle.acquire();
+    return config;
+  });
+
+  // ── Response interceptor: rate-limit headers, retries, errors ─
+  client.interceptors.response.use(
+    (response) => {
+      // GHL reports the remaining burst budget; pause before hitting zero
+      const remaining = response.headers?.["x-ratelimit-remaining"];
+      if (remaining !== undefined && Number(remaining) <= 0) {
+        const interval =
+          Number(response.headers["x-ratelimit-interval-milliseconds"]) ||
+          limits.rateLimitIntervalMs;
+        throttle.pauseUntil(Date.now() + interval);
+      }
+      return response.data;
+    },
+    async (error) => {
+      const config = error.config;
+      const attempt = config?.retryCount || 0;
+
+      // Retry 429s, gateway errors and network failures with backoff
+      // (unless GHL asks for a longer wait than GHL_RETRY_MAX_DELAY_MS)
+      const delay =
+        config && isRetryable(error) && attempt < limits.maxRetries
+          ? getRetryDelay(error, attempt, limits)
+          : null;
+      if (delay !== null) {
+        if (error.response?.status === 429) {
+          // Hold every request for this location, not just this one
+          throttle.pauseUntil(Date.now() + delay);
+        }
+        console.warn(
+          `[GHL API v2] ${error.response?.status || error.code} on ${config.url}, ` +
+            `retry ${attempt + 1}/${limits.maxRetries} in ${delay}ms`
+        );
+        await sleep(delay);
+        return client.request({ ...config, retryCount: attempt + 1 });
+      }
+
+      const status = error.response?.status;
+      const message =
+        error.response?.data?.message || error.response?.data?.msg || error.message;
+      console.error(`[GHL API v2 Error] ${status}: ${message}`);
+      throw new Error(`GHL API Error (${status}): ${message}`);
+    }
+  );
+
+  return client;
+}
+
+/**
+ * Get the axios client for a location, validating the context.
+ */
+function getClient(location) {
+  if (!location?.locationId) {
+    throw new Error("A location context with a locationId is required");
+  }
+  // GHL_MOCK=1 serves generated fixtures instead (see lib/ghlMock.js)
+  if (isMockMode()) {
+    if (!mockClients.has(location.locationId)) {
+      mockClients.set(location.locationId, createMockClient(location));
+    }
+    return mockClients.get(location.locationId);
+  }
+  if (!location.apiKey) {
+    const name = location.slug || location.locationId;
+    throw new Error(`No API key configured for location "${name}"`);
+  }
+  const key = `${location.locationId}:${location.apiKey}`;
+  if (!ghlClients.has(key)) {
+    ghlClients.set(key, createClient(location));
+  }
+  return ghlClients.get(key);
+}
 
 /**
  * Fetch all pages from a paginated GHL v2 POST endpoint.
@@ -47,16 +186,18 @@ ghlClient.interceptors.response.use(
  * v2 search endpoints (contacts, opportunities) use POST with body params.
  * Pagination is page-based: { page: 1, limit: 100 }
  *
+ * @param {object} location - Location context ({ locationId, apiKey })
  * @param {string} endpoint - The API path
  * @param {string} dataKey  - Key in response containing the data array
  * @param {object} body     - Additional POST body params
  * @returns {Array} - All items across all pages
  */
-async function fetchAllPagesPost(endpoint, dataKey, body = {}) {
+async function fetchAllPagesPost(location, endpoint, dataKey, body = {}) {
+  const ghlClient = getClient(location);
   const allItems = [];
   let page = 1;
   let hasMore = true;
-  const locationId = process.env.GHL_LOCATION_ID;
+  const { locationId } = location;
 
   while (hasMore) {
     const requestBody = {
@@ -86,11 +227,12 @@ async function fetchAllPagesPost(endpoint, dataKey, body = {}) {
  * Fetch all pages from a GET endpoint with cursor-based pagination.
  * Used for conversations and other GET-based v2 endpoints.
  */
-async function fetchAllPagesGet(endpoint, dataKey, params = {}) {
+async function fetchAllPagesGet(location, endpoint, dataKey, params = {}) {
+  const ghlClient = getClient(location);
   const allItems = [];
   let startAfterId = null;
   let hasMore = true;
-  const locationId = process.env.GHL_LOCATION_ID;
+  const { locationId } = location;
 
   while (hasMore) {
     const queryParams = {
@@ -118,39 +260,191 @@ async function fetchAllPagesGet(endpoint, dataKey, params = {}) {
   return allItems;
 }
 
+/**
+ * Run a fetch through the response cache, keyed by location and endpoint.
+ */
+function cached(location, endpoint, fetcher, options) {
+  getClient(location); // Validate the location context before keying on it
+  return responseCache.get(`${location.locationId}:${endpoint}`, fetcher, options);
+}
+
 // ── Exported API Functions (v2 endpoints) ─────────────
+// All accept (location, { refresh }) — refresh bypasses the cache.
 
 /**
- * Search contacts for the configured location.
+ * Search contacts for the given location.
  * v2 endpoint: POST /contacts/search
  */
-export async function getContacts() {
-  return fetchAllPagesPost("/contacts/search", "contacts");
+export async function getContacts(location, options) {
+  return cached(
+    location,
+    "/contacts/search",
+    () => fetchAllPagesPost(location, "/contacts/search", "contacts"),
+    options
+  );
 }
 
 /**
  * Search opportunities across all pipelines.
  * v2 endpoint: POST /opportunities/search
  */
-export async function getOpportunities() {
-  return fetchAllPagesPost("/opportunities/search", "opportunities");
+export async function getOpportunities(location, options) {
+  return cached(
+    location,
+    "/opportunities/search",
+    () => fetchAllPagesPost(location, "/opportunities/search", "opportunities"),
+    options
+  );
 }
 
 /**
  * Fetch conversations for the location.
  * v2 endpoint: GET /conversations/search
  */
-export async function getConversations() {
-  return fetchAllPagesGet("/conversations/search", "conversations");
+export async function getConversations(location, options) {
+  return cached(
+    location,
+    "/conversations/search",
+    () => fetchAllPagesGet(location, "/conversations/search", "conversations"),
+    options
+  );
+}
+
+/**
+ * Fetch a conversation's full message history, newest first, as GHL
+ * returns it. Messages carry direction ("inbound" / "outbound"),
+ * messageType (TYPE_SMS, TYPE_CALL, ...) and dateAdded.
+ * v2 endpoint: GET /conversations/:conversationId/messages
+ * (pages with lastMessageId while messages.nextPage is set)
+ */
+export async function getMessages(location, conversationId, options) {
+  const endpoint = `/conversations/${conversationId}/messages`;
+  return cached(
+    location,
+    endpoint,
+    async () => {
+      const ghlClient = getClient(location);
+      const allMessages = [];
+      let lastMessageId = null;
+
+      do {
+        const response = await ghlClient.get(endpoint, {
+          params: { limit: 100, ...(lastMessageId ? { lastMessageId } : {}) },
+        });
+        const page = response.messages?.messages || [];
+        allMessages.push(...page);
+        lastMessageId =
+          response.messages?.nextPage && page.length > 0
+            ? response.messages.lastMessageId || page[page.length - 1].id
+            : null;
+      } while (lastMessageId);
+
+      return allMessages;
+    },
+    options
+  );
 }
 
 /**
  * Fetch all pipelines for the location.
  * v2 endpoint: GET /opportunities/pipelines
  */
-export async function getPipelines() {
-  const response = await ghlClient.get("/opportunities/pipelines", {
-    params: { locationId: process.env.GHL_LOCATION_ID },
-  });
-  return response.pipelines || [];
+export async function getPipelines(location, options) {
+  return cached(
+    location,
+    "/opportunities/pipelines",
+    async () => {
+      const response = await getClient(location).get("/opportunities/pipelines", {
+        params: { locationId: location.locationId },
+      });
+      return response.pipelines || [];
+    },
+    options
+  );
+}
+
+/**
+ * Fetch the contact and opportunity custom field definitions for the
+ * location ({ id, name, fieldKey, dataType, model, picklistOptions }).
+ * Records only carry field IDs; these resolve them to names.
+ * v2 endpoint: GET /locations/:locationId/customFields
+ */
+export async function getCustomFields(location, options) {
+  const endpoint = `/locations/${location.locationId}/customFields`;
+  return cached(
+    location,
+    endpoint,
+    async () => {
+      const response = await getClient(location).get(endpoint, {
+        params: { model: "all" },
+      });
+      return response.customFields || [];
+    },
+    options
+  );
+}
+
+/**
+ * Fetch the location's users (sales reps), which opportunities,
+ * conversations and contacts reference via assignedTo.
+ * v2 endpoint: GET /users/
+ */
+export async function getUsers(location, options) {
+  return cached(
+    location,
+    "/users/",
+    async () => {
+      const response = await getClient(location).get("/users/", {
+        params: { locationId: location.locationId },
+      });
+      return response.users || [];
+    },
+    options
+  );
+}
+
+/**
+ * Fetch the location's calendars ({ id, name, ... }).
+ * v2 endpoint: GET /calendars/
+ */
+export async function getCalendars(location, options) {
+  return cached(
+    location,
+    "/calendars/",
+    async () => {
+      const response = await getClient(location).get("/calendars/", {
+        params: { locationId: location.locationId },
+      });
+      return response.calendars || [];
+    },
+    options
+  );
+}
+
+/**
+ * Fetch a calendar's appointments starting within a time window. Events
+ * carry contactId, assignedUserId, appointmentStatus (new, confirmed,
+ * showed, noshow, cancelled, invalid), startTime and dateAdded.
+ * v2 endpoint: GET /calendars/events (not paginated; the window is
+ * required, as epoch milliseconds)
+ *
+ * @param {object} location   - Location context ({ locationId, apiKey })
+ * @param {string} calendarId - Calendar to read
+ * @param {object} window     - { from: Date, to: Date } on startTime
+ * @param {object} [options]  - { refresh }
+ */
+export async function getCalendarEvents(location, calendarId, { from, to }, options) {
+  const startTime = from.getTime();
+  const endTime = to.getTime();
+  return cached(
+    location,
+    `/calendars/events?calendarId=${calendarId}&startTime=${startTime}&endTime=${endTime}`,
+    async () => {
+      const response = await getClient(location).get("/calendars/events", {
+        params: { locationId: location.locationId, calendarId, startTime, endTime },
+      });
+      return response.events || [];
+    },
+    options
+  );
 }
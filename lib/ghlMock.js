@@ -0,0 +1,182 @@
+/**
+ * Offline Mock GHL API
+ *
+ * With GHL_MOCK=1, lib/ghl.js talks to this in-process stand-in instead
+ * of services.leadconnectorhq.com, so the dashboard can be developed,
+ * demoed and tested without credentials or network access.
+ *
+ * The mock client has the same surface as the real axios client after its
+ * response interceptor ({ get, post } resolving to the response body) and
+ * mimics GHL's pagination:
+ * - POST search endpoints page with { page, limit } and report meta.total
+ * - GET search endpoints page with { limit, startAfterId } and report
+ *   meta.nextPage while more items remain
+ * - Conversation messages page with { limit, lastMessageId } and report
+ *   nextPage / lastMessageId inside the `messages` envelope
+ * - Calendar events are filtered by calendarId and a startTime / endTime
+ *   window (epoch milliseconds) and come back in one response
+ *
+ * Data comes from the seeded generator in lib/fixtures.js, once per
+ * location. Tune it with:
+ *   GHL_MOCK_SEED            - Seed string (default "demo")
+ *   GHL_MOCK_CONTACTS        - Contacts per location (default 250)
+ *   GHL_MOCK_DAYS            - Days of history to spread records over (default 180)
+ *   GHL_MOCK_PIPELINES       - Pipelines with opportunities, 0-3 (default 2)
+ *   GHL_MOCK_EMPTY_PIPELINES - Extra pipelines with no opportunities (default 0)
+ *   GHL_MOCK_LATENCY_MS      - Simulated delay per request (default 0)
+ */
+
+import { generateFixtures, DEFAULT_FIXTURE_OPTIONS } from "@/lib/fixtures";
+
+/**
+ * Check whether mock mode is enabled.
+ */
+export function isMockMode() {
+  return ["1", "true"].includes(String(process.env.GHL_MOCK).toLowerCase());
+}
+
+// Read a numeric env override, falling back to the generator default
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Build generator options from the GHL_MOCK_* env variables.
+ */
+export function getMockOptions() {
+  const d = DEFAULT_FIXTURE_OPTIONS;
+  return {
+    seed: process.env.GHL_MOCK_SEED || d.seed,
+    contacts: envNumber("GHL_MOCK_CONTACTS", d.contacts),
+    days: envNumber("GHL_MOCK_DAYS", d.days),
+    pipelines: envNumber("GHL_MOCK_PIPELINES", d.pipelines),
+    emptyPipelines: envNumber("GHL_MOCK_EMPTY_PIPELINES", d.emptyPipelines),
+  };
+}
+
+// ── Pagination helpers ────────────────────────────────
+
+// POST search: { page, limit } → { [dataKey]: items, meta: { total, ... } }
+function pagePost(items, dataKey, { page = 1, limit = 20 } = {}) {
+  const start = (page - 1) * limit;
+  const pageItems = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+  return {
+    [dataKey]: pageItems,
+    total: items.length,
+    meta: {
+      total: items.length,
+      currentPage: page,
+      nextPage: hasMore ? page + 1 : null,
+      prevPage: page > 1 ? page - 1 : null,
+    },
+  };
+}
+
+// GET search: { limit, startAfterId } → { [dataKey]: items, meta: { total, nextPage } }
+function pageGet(items, dataKey, { limit = 20, startAfterId } = {}) {
+  // An unknown cursor yields an empty page rather than restarting
+  const start = startAfterId
+    ? items.findIndex((item) => item.id === startAfterId) + 1 || items.length
+    : 0;
+  const pageItems = items.slice(start, start + limit);
+  const hasMore = pageItems.length > 0 && start + limit < items.length;
+  return {
+    [dataKey]: pageItems,
+    total: items.length,
+    meta: {
+      total: items.length,
+      nextPage: hasMore ? pageItems[pageItems.length - 1].id : null,
+    },
+  };
+}
+
+// Conversation messages: { limit, lastMessageId } →
+// { messages: { messages: items, nextPage, lastMessageId } }
+function pageMessages(items, { limit = 20, lastMessageId } = {}) {
+  const start = lastMessageId
+    ? items.findIndex((item) => item.id === lastMessageId) + 1 || items.length
+    : 0;
+  const pageItems = items.slice(start, start + limit);
+  return {
+    messages: {
+      messages: pageItems,
+      nextPage: start + limit < items.length,
+      lastMessageId: pageItems.length > 0 ? pageItems[pageItems.length - 1].id : null,
+    },
+  };
+}
+
+// ── Mock client ───────────────────────────────────────
+
+/**
+ * Create a mock client serving generated fixtures for one location.
+ *
+ * @param {object} location  - Location context ({ locationId, ... })
+ * @param {object} [options] - Generator options (default: from env)
+ * @param {number} [latencyMs] - Simulated delay per request
+ */
+export function createMockClient(
+  location,
+  options = getMockOptions(),
+  latencyMs = envNumber("GHL_MOCK_LATENCY_MS", 0)
+) {
+  const data = generateFixtures({ ...options, locationId: location.locationId });
+
+  // Route table: "METHOD endpoint" → (params) => response body
+  const routes = {
+    "POST /contacts/search": (body) => pagePost(data.contacts, "contacts", body),
+    "POST /opportunities/search": (body) =>
+      pagePost(data.opportunities, "opportunities", body),
+    "GET /conversations/search": (params) =>
+      pageGet(data.conversations, "conversations", params),
+    "GET /opportunities/pipelines": () => ({ pipelines: data.pipelines }),
+    "GET /users/": () => ({ users: data.users }),
+    "GET /calendars/": () => ({ calendars: data.calendars }),
+    "GET /calendars/events": ({ calendarId, startTime, endTime }) => ({
+      events: data.appointments.filter((event) => {
+        const start = new Date(event.startTime).getTime();
+        return (
+          event.calendarId === calendarId &&
+          start >= Number(startTime) &&
+          start <= Number(endTime)
+        );
+      }),
+    }),
+    [`GET /locations/${location.locationId}/customFields`]: () => ({
+      customFields: data.customFields,
+    }),
+  };
+
+  // Routes with an ID in the path: [method, pattern, (match, params) => body]
+  const patternRoutes = [
+    [
+      "GET",
+      /^\/conversations\/([^/]+)\/messages$/,
+      ([, conversationId], params) =>
+        pageMessages(data.messages[conversationId] || [], params),
+    ],
+  ];
+
+  async function handle(method, endpoint, params) {
+    if (latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+    const route = routes[`${method} ${endpoint}`];
+    if (route) return route(params || {});
+
+    for (const [routeMethod, pattern, handler] of patternRoutes) {
+      const match = method === routeMethod && endpoint.match(pattern);
+      if (match) return handler(match, params || {});
+    }
+    // Same error shape as the real client's response interceptor
+    throw new Error(`GHL API Error (404): Mock has no route for ${method} ${endpoint}`);
+  }
+
+  return {
+    get: (endpoint, config) => handle("GET", endpoint, config?.params),
+    post: (endpoint, body) => handle("POST", endpoint, body),
+    fixtures: data,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Location Registry
+ *
+ * Maps a client slug (used in URLs like /c/acme-dental) to the GHL
+ * sub-account it reports on: location ID, API credential, client name,
+ * time zone and branding. One deployment can serve every client
+ * sub-account.
+ *
+ * The registry is a JSON file (default: config/locations.json, override
+ * with GHL_LOCATIONS_FILE). See config/locations.example.json.
+ * API keys can be inlined as "apiKey" or, preferably, referenced by env
+ * variable name via "apiKeyEnv" so secrets stay out of the file.
+ *
+ * Without a registry file, a single "default" location is built from the
+ * legacy GHL_LOCATION_ID / GHL_API_KEY / CLIENT_NAME / GHL_TIMEZONE env
+ * variables (or a placeholder location in GHL_MOCK mode).
+ *
+ * Server-only: never import this from a client component.
+ */
+
+import fs from "fs";
+import path from "path";
+import { isMockMode } from "@/lib/ghlMock";
+import { isValidTimeZone } from "@/lib/dateRange";
+
+export const DEFAULT_SLUG = "default";
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function getRegistryPath() {
+  return path.resolve(
+    process.cwd(),
+    process.env.GHL_LOCATIONS_FILE || "config/locations.json"
+  );
+}
+
+/**
+ * Normalize one registry entry into a location context.
+ * Throws on a bad slug, location ID or time zone so problems surface
+ * loudly. A missing API key only fails that location's GHL requests (see
+ * lib/ghl.js), so one misconfigured client doesn't take down every other
+ * one.
+ */
+function toLocation(entry) {
+  if (!entry?.slug || !SLUG_PATTERN.test(entry.slug)) {
+    throw new Error(`Invalid location slug "${entry?.slug}"`);
+  }
+  if (!entry.locationId) {
+    throw new Error(`Location "${entry.slug}" is missing locationId`);
+  }
+
+  const apiKey = entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : entry.apiKey;
+
+  // The client's IANA time zone (as set on the GHL location), used to
+  // bucket activity by their local day and hour; null means the server's
+  const timeZone = entry.timezone || process.env.GHL_TIMEZONE || null;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw new Error(`Location "${entry.slug}" has an invalid timezone "${timeZone}"`);
+  }
+
+  return {
+    slug: entry.slug,
+    locationId: entry.locationId,
+    apiKey: apiKey || null,
+    clientName: entry.clientName || entry.slug,
+    timeZone,
+    branding: {
+      agencyName:
+        entry.branding?.agencyName || process.env.AGENCY_NAME || "Agency",
+      logoUrl: entry.branding?.logoUrl || process.env.AGENCY_LOGO_URL || null,
+    },
+  };
+}
+
+/**
+ * Build the single env-configured location (pre-registry deployments).
+ */
+function getEnvLocation() {
+  // Mock mode works out of the box with no GHL configuration at all
+  const locationId =
+    process.env.GHL_LOCATION_ID || (isMockMode() ? "mock-location" : null);
+  if (!locationId) return null;
+  return toLocation({
+    slug: DEFAULT_SLUG,
+    locationId,
+    apiKey: process.env.GHL_API_KEY,
+    clientName: process.env.CLIENT_NAME,
+  });
+}
+
+/**
+ * Load every configured location.
+ * The file is re-read on each call so edits apply without a restart.
+ */
+export function getLocations() {
+  const registryPath = getRegistryPath();
+
+  if (!fs.existsSync(registryPath)) {
+    const envLocation = getEnvLocation();
+    return envLocation ? [envLocation] : [];
+  }
+
+  const registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  const locations = (registry.locations || []).map(toLocation);
+
+  const slugs = new Set();
+  locations.forEach((location) => {
+    if (slugs.has(location.slug)) {
+      throw new Error(`Duplicate location slug "${location.slug}"`);
+    }
+    slugs.add(location.slug);
+  });
+
+  return locations;
+}
+
+/**
+ * Look up a location by slug. Returns null if it isn't registered.
+ */
+export function getLocation(slug) {
+  return getLocations().find((location) => location.slug === slug) || null;
+}
+
+/**
+ * Resolve the location an API request targets via ?client=<slug>.
+ * The param may be omitted when exactly one location is configured.
+ *
+ * @returns {object} The location, or { error, status } if it can't be resolved
+ */
+export function resolveLocation(searchParams) {
+  const slug = searchParams.get("client");
+
+  if (!slug) {
+    const locations = getLocations();
+    if (locations.length === 1) return locations[0];
+    return { error: "Missing ?client=<slug> parameter", status: 400 };
+  }
+
+  const location = getLocation(slug);
+  if (!location) {
+    return { error: `Unknown client "${slug}"`, status: 404 };
+  }
+  return location;
+}
+
+/**
+ * Strip credentials from a location so it can be passed to the browser.
+ */
+export function toPublicLocation(location) {
+  return {
+    slug: location.slug,
+    clientName: location.clientName,
+    agencyName: location.branding.agencyName,
+    logoUrl: location.branding.logoUrl,
+  };
+}
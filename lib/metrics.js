@@ -0,0 +1,1597 @@
+/**
+ * Metrics Engine
+ *
+ * Every number the dashboard reports is defined once here, as a
+ * declarative metric:
+ *
+ *   {
+ *     id:      "winRate",                 // Stable key used everywhere
+ *     label:   "Win Rate",                // Display name (cards, PDF)
+ *     source:  ["opportunities"],         // GHL data it needs
+ *     compute: (data) => ...,             // Value from period-scoped data
+ *     format:  "percent",                 // number | currency | percent | days | duration | null
+ *   }
+ *
+ * API routes compute sections from these definitions, /api/summary and
+ * the portfolio compare KPIs with them, and the dashboard and PDF export
+ * read labels and formatting from them. Adding a KPI means adding one
+ * definition (and, if it belongs in a response section, one SECTIONS
+ * entry).
+ *
+ * Pure and client-safe: fetching lives in lib/summary.js.
+ */
+
+import {
+  calcChange,
+  formatCurrency,
+  formatPercent,
+  formatNumber,
+  formatDays,
+  formatDuration,
+} from "@/lib/formatters";
+import { isWithinRange, eachDay, getZonedTime } from "@/lib/dateRange";
+import { normalizeTag } from "@/lib/filters";
+import {
+  BUILTIN_DIMENSIONS,
+  UNKNOWN_VALUE,
+  dimensionValue,
+  findDimension,
+} from "@/lib/dimensions";
+
+// ── Period Scoping ────────────────────────────────────
+
+/**
+ * Narrow raw GHL data down to the records relevant to a period:
+ * - contacts added in the period
+ * - opportunities created in the period, or closed (won/lost) in it
+ * - conversations with message activity in the period, each with its
+ *   `firstResponse` in the period when message history was fetched (see
+ *   findFirstResponse)
+ * - appointments booked (dateAdded) in the period, whenever they are
+ *   scheduled for
+ *
+ * The unscoped data (including message histories, by conversation ID)
+ * stays available as `raw` for totals and lookups, and
+ * the period itself as `period` for point-in-time metrics. `timeZone` is
+ * the zone the period's days are counted in (see resolveDateRange), for
+ * metrics that bucket by day or hour.
+ * Missing sources are treated as empty (dimensions default to the
+ * built-in ones).
+ *
+ * With a `lockedRange` (share links locked to a date range) the lookups
+ * in `raw` only see inside it: opportunities created in the range (stage
+ * aging) and messages sent in it (callbacks and speed to lead).
+ */
+export function scopeToPeriod(raw, period, { lockedRange = null } = {}) {
+  const {
+    contacts = [],
+    opportunities = [],
+    conversations = [],
+    pipelines = [],
+    users = [],
+    dimensions = BUILTIN_DIMENSIONS,
+    messages,
+    calendars = [],
+    appointments = [],
+  } = raw;
+
+  const newContacts = contacts.filter((c) =>
+    isWithinRange(c.dateAdded, period)
+  );
+
+  const created = opportunities.filter((o) =>
+    isWithinRange(o.createdAt, period)
+  );
+  // GHL stamps lastStatusChangeAt when an opportunity is won or lost
+  const closed = opportunities.filter(
+    (o) =>
+      (o.status === "won" || o.status === "lost") &&
+      isWithinRange(o.lastStatusChangeAt || o.updatedAt, period)
+  );
+
+  const activeConversations = conversations
+    .filter((c) => isWithinRange(c.lastMessageDate || c.dateAdded, period))
+    .map((c) =>
+      messages?.[c.id]
+        ? { ...c, firstResponse: findFirstResponse(messages[c.id], period) }
+        : c
+    );
+
+  const visible = lockedRange
+    ? {
+        opportunities: opportunities.filter((o) => isWithinRange(o.createdAt, lockedRange)),
+        messages: Object.fromEntries(
+          Object.entries(messages || {}).map(([id, history]) => [
+            id,
+            history.filter((m) => isWithinRange(m.dateAdded, lockedRange)),
+          ])
+        ),
+      }
+    : { opportunities, messages: messages || {} };
+
+  return {
+    period,
+    raw: {
+      contacts,
+      opportunities: visible.opportunities,
+      conversations,
+      messages: visible.messages,
+      pipelines,
+      users,
+      dimensions,
+      calendars,
+      appointments,
+    },
+    newContacts,
+    created,
+    closed,
+    opportunities: [...new Set([...created, ...closed])],
+    conversations: activeConversations,
+    appointments: appointments.filter((a) => isWithinRange(a.dateAdded, period)),
+    timeZone: period.timeZone ?? null,
+  };
+}
+
+/**
+ * The lead's first message in a period and how long the business took to
+ * reply to it, from a conversation's message history. Any later outbound
+ * message counts as the reply, even one sent after the period ended.
+ * Returns null when the lead sent nothing in the period.
+ *
+ * Returns { inboundAt, respondedAt, responseMs } (respondedAt and
+ * responseMs are null while unanswered)
+ */
+export function findFirstResponse(messages, period) {
+  const sorted = [...messages].sort(
+    (a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)
+  );
+  const inbound = sorted.find(
+    (m) => m.direction === "inbound" && isWithinRange(m.dateAdded, period)
+  );
+  if (!inbound) return null;
+
+  const inboundAt = new Date(inbound.dateAdded);
+  const reply = sorted.find(
+    (m) => m.direction === "outbound" && new Date(m.dateAdded) >= inboundAt
+  );
+  const respondedAt = reply ? new Date(reply.dateAdded) : null;
+  return {
+    inboundAt: inboundAt.toISOString(),
+    respondedAt: respondedAt ? respondedAt.toISOString() : null,
+    responseMs: respondedAt ? respondedAt - inboundAt : null,
+  };
+}
+
+// ── Shared Helpers ────────────────────────────────────
+
+// A contact's tags, normalized and de-duplicated
+const tagsOf = (contact) => [...new Set((contact.tags || []).map(normalizeTag))];
+
+const countWhere = (items, predicate) => items.filter(predicate).length;
+
+const sumValue = (opportunities) =>
+  opportunities.reduce((sum, o) => sum + (o.monetaryValue || 0), 0);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between two timestamps (never negative)
+const daysBetween = (from, to) =>
+  Math.max(0, (new Date(to) - new Date(from)) / DAY_MS);
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+const winRateOf = (closed) =>
+  closed.length > 0
+    ? countWhere(closed, (o) => o.status === "won") / closed.length
+    : 0;
+
+// Only opportunities with a monetary value count towards the average
+const avgDealSizeOf = (opportunities) => {
+  const withValue = opportunities.filter((o) => o.monetaryValue > 0);
+  return withValue.length > 0 ? sumValue(withValue) / withValue.length : 0;
+};
+
+// Average days from creation to being won, for deals closed in the period
+const daysToCloseOf = (closed) =>
+  average(
+    closed
+      .filter((o) => o.status === "won")
+      .map((o) => daysBetween(o.createdAt, o.lastStatusChangeAt || o.updatedAt))
+  );
+
+// A GHL user's display name
+const userName = (user) =>
+  user.name || `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.email;
+
+const contactName = (contact) =>
+  `${contact.firstName || ""} ${contact.lastName || ""}`.trim() || "Unknown";
+
+// Unread messages imply the conversation still needs attention
+const isOpenConversation = (c) => c.unreadCount > 0 || c.status === "open";
+
+// With message history (firstResponse is set, see scopeToPeriod) only
+// conversations where the lead wrote in the period await a reply, and
+// they're answered once the business replied. Without it every
+// conversation counts, answered if the last message went out (GHL reports
+// this as lastMessageDirection; older payloads used lastMessageType
+// "TYPE_OUTBOUND").
+const needsReply = (c) => c.firstResponse !== null;
+
+const isAnswered = (c) =>
+  c.firstResponse !== undefined
+    ? Boolean(c.firstResponse?.respondedAt)
+    : c.lastMessageDirection === "outbound" ||
+      c.lastMessageType === "TYPE_OUTBOUND";
+
+const responseRateOf = (conversations) => {
+  const awaiting = conversations.filter(needsReply);
+  return awaiting.length > 0 ? countWhere(awaiting, isAnswered) / awaiting.length : 0;
+};
+
+// First-response times (ms) of the answered conversations with history
+const responseTimesOf = (conversations) =>
+  conversations
+    .filter((c) => c.firstResponse?.respondedAt)
+    .map((c) => c.firstResponse.responseMs);
+
+// Linear-interpolated percentile (0-1) of a list; null when empty
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Response-time targets reported by the answeredWithin metric
+const RESPONSE_TARGETS = [
+  { label: "5 minutes", ms: 5 * 60 * 1000 },
+  { label: "1 hour", ms: 60 * 60 * 1000 },
+  { label: "24 hours", ms: DAY_MS },
+];
+
+// Channel names for GHL message types (lastMessageType) and conversation
+// types (type). Phone threads are SMS unless a message says otherwise.
+const CHANNELS = {
+  TYPE_SMS: "SMS",
+  TYPE_PHONE: "SMS",
+  TYPE_EMAIL: "Email",
+  TYPE_CALL: "Calls",
+  TYPE_FB: "Facebook",
+  TYPE_FACEBOOK: "Facebook",
+  TYPE_FB_MESSENGER: "Facebook",
+  TYPE_IG: "Instagram",
+  TYPE_INSTAGRAM: "Instagram",
+  TYPE_IG_DM: "Instagram",
+  TYPE_WHATSAPP: "WhatsApp",
+  TYPE_GMB: "Google Business",
+  TYPE_WEBCHAT: "Live Chat",
+  TYPE_LIVE_CHAT: "Live Chat",
+};
+
+/**
+ * The channel a conversation happens on: its last message's type, or the
+ * conversation type when that isn't a channel (e.g. the legacy
+ * "TYPE_OUTBOUND"). Anything unrecognised is "Other".
+ */
+export function channelOf(conversation) {
+  return (
+    CHANNELS[conversation.lastMessageType] ||
+    CHANNELS[conversation.type] ||
+    "Other"
+  );
+}
+
+/**
+ * A pipeline's stages sorted by `position` (array order breaks ties and
+ * stands in when GHL omits the position).
+ */
+export function sortStages(stages = []) {
+  return stages
+    .map((stage, i) => ({ ...stage, position: stage.position ?? i }))
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Group opportunities by pipeline, with each pipeline's stages in
+ * `position` order (empty stages included, so the shape of the pipeline
+ * is preserved). Opportunities whose stage no longer exists are counted
+ * under an "Unknown" stage at the end of their pipeline, or under an
+ * "Unknown" pipeline if that is gone too.
+ *
+ * Each stage carries its opportunity count (`value`), the summed
+ * monetaryValue (`totalValue`) and the average deal size (`avgValue`,
+ * over opportunities with a value, like avgDealSize).
+ *
+ * Returns [{ id, name, total, totalValue,
+ *            stages: [{ id, name, value, totalValue, avgValue }] }]
+ */
+export function groupByPipeline(opportunities, pipelines) {
+  const emptyStage = (id, name) => ({ id, name, value: 0, totalValue: 0, valued: 0 });
+
+  const groups = pipelines.map((pipeline) => ({
+    id: pipeline.id,
+    name: pipeline.name,
+    total: 0,
+    totalValue: 0,
+    stages: sortStages(pipeline.stages).map((stage) => emptyStage(stage.id, stage.name)),
+  }));
+  const byId = new Map(groups.map((g) => [g.id, g]));
+
+  opportunities.forEach((opp) => {
+    // Opportunities from deleted pipelines share one "Unknown" group
+    const pipelineId = byId.has(opp.pipelineId) ? opp.pipelineId : null;
+    let group = byId.get(pipelineId);
+    if (!group) {
+      group = { id: null, name: "Unknown", total: 0, totalValue: 0, stages: [] };
+      byId.set(null, group);
+      groups.push(group);
+    }
+
+    let stage = group.stages.find((s) => s.id === opp.pipelineStageId);
+    if (!stage) {
+      stage = group.stages.find((s) => s.id === null);
+      if (!stage) {
+        stage = emptyStage(null, "Unknown");
+        group.stages.push(stage);
+      }
+    }
+
+    const amount = opp.monetaryValue || 0;
+    stage.value++;
+    stage.totalValue += amount;
+    if (amount > 0) stage.valued++;
+    group.total++;
+    group.totalValue += amount;
+  });
+
+  return groups.map((group) => ({
+    ...group,
+    stages: group.stages.map(({ valued, ...stage }) => ({
+      ...stage,
+      avgValue: valued > 0 ? stage.totalValue / valued : 0,
+    })),
+  }));
+}
+
+/**
+ * Build a stage funnel per pipeline. Stages are treated as sequential: an
+ * opportunity currently in stage N has passed through stages 0..N, and a
+ * won opportunity has passed through all of them. A final "Won" step
+ * closes the funnel. Opportunities in unknown stages can't be placed and
+ * are left out.
+ *
+ * Each step reports how many opportunities reached it, the value they
+ * carry and the conversion from the previous step (null for the first).
+ *
+ * Returns [{ id, name, steps: [{ id, name, reached, value, conversion }] }]
+ */
+export function buildFunnel(opportunities, pipelines) {
+  return pipelines.map((pipeline) => {
+    const stages = sortStages(pipeline.stages);
+    const depth = new Map(stages.map((stage, i) => [stage.id, i]));
+    const placed = opportunities.filter(
+      (o) => o.pipelineId === pipeline.id && depth.has(o.pipelineStageId)
+    );
+    const won = placed.filter((o) => o.status === "won");
+
+    const steps = stages.map((stage, i) => {
+      const reached = placed.filter(
+        (o) => o.status === "won" || depth.get(o.pipelineStageId) >= i
+      );
+      return {
+        id: stage.id,
+        name: stage.name,
+        reached: reached.length,
+        value: sumValue(reached),
+      };
+    });
+    steps.push({
+      id: "won",
+      name: "Won",
+      reached: won.length,
+      value: sumValue(won),
+    });
+
+    return {
+      id: pipeline.id,
+      name: pipeline.name,
+      steps: steps.map((step, i) => {
+        const previous = steps[i - 1];
+        if (!previous) return { ...step, conversion: null };
+        return {
+          ...step,
+          conversion: previous.reached > 0 ? step.reached / previous.reached : 0,
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * How long open deals have been sitting in each stage, per pipeline, as
+ * of the end of the period (or now, for periods still running). Age is
+ * measured from the last stage change, or creation for deals that never
+ * moved. Open deals in unknown stages are left out.
+ *
+ * Returns [{ id, name, stages: [{ id, name, open, avgDays }] }]
+ */
+export function buildStageAging(opportunities, pipelines, asOf) {
+  const openDeals = opportunities.filter(
+    (o) => o.status === "open" && new Date(o.createdAt) <= asOf
+  );
+
+  return pipelines.map((pipeline) => ({
+    id: pipeline.id,
+    name: pipeline.name,
+    stages: sortStages(pipeline.stages).map((stage) => {
+      const ages = openDeals
+        .filter((o) => o.pipelineId === pipeline.id && o.pipelineStageId === stage.id)
+        .map((o) => daysBetween(o.lastStageChangeAt || o.createdAt, asOf));
+      return { id: stage.id, name: stage.name, open: ages.length, avgDays: average(ages) };
+    }),
+  }));
+}
+
+/**
+ * Attribute leads and revenue to lead sources. Opportunities are joined
+ * to their contact via `contactId` and credited to the contact's source,
+ * so a deal won this period counts for the source that brought the
+ * contact in, even if that was months ago. Contacts without a source (or
+ * opportunities whose contact can't be found) are reported as "Unknown".
+ *
+ * Win rate is won / (won + lost) for the source's opportunities.
+ * Sorted by won value, then by leads.
+ *
+ * Returns [{ name, leads, opportunities, won, lost, wonValue, winRate }]
+ */
+export function buildSourcePerformance(newContacts, opportunities, allContacts) {
+  const sourceOf = new Map(allContacts.map((c) => [c.id, c.source || "Unknown"]));
+  const rows = new Map();
+  const rowFor = (name) => {
+    if (!rows.has(name)) {
+      rows.set(name, { name, leads: 0, opportunities: 0, won: 0, lost: 0, wonValue: 0 });
+    }
+    return rows.get(name);
+  };
+
+  newContacts.forEach((c) => rowFor(c.source || "Unknown").leads++);
+  opportunities.forEach((o) => {
+    const row = rowFor(sourceOf.get(o.contactId) || "Unknown");
+    row.opportunities++;
+    if (o.status === "lost") row.lost++;
+    if (o.status === "won") {
+      row.won++;
+      row.wonValue += o.monetaryValue || 0;
+    }
+  });
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      winRate: row.won + row.lost > 0 ? row.won / (row.won + row.lost) : 0,
+    }))
+    .sort((a, b) => b.wonValue - a.wonValue || b.leads - a.leads);
+}
+
+/**
+ * Break new business down by a reporting dimension (see lib/dimensions.js).
+ *
+ * For a contact dimension, `value` counts new leads per value and won
+ * deals count for their contact's value (like buildSourcePerformance).
+ * For an opportunity dimension, `value` counts opportunities created in
+ * the period and won deals count for their own value.
+ *
+ * Returns [{ name, value, won, wonValue }], largest first
+ */
+export function buildDimensionBreakdown(dimension, scoped) {
+  const rows = new Map();
+  const rowFor = (name) => {
+    if (!rows.has(name)) rows.set(name, { name, value: 0, won: 0, wonValue: 0 });
+    return rows.get(name);
+  };
+
+  let valueOfDeal;
+  if (dimension.model === "opportunity") {
+    scoped.created.forEach((o) => rowFor(dimensionValue(o, dimension)).value++);
+    valueOfDeal = (o) => dimensionValue(o, dimension);
+  } else {
+    scoped.newContacts.forEach((c) => rowFor(dimensionValue(c, dimension)).value++);
+    const contactsById = new Map(scoped.raw.contacts.map((c) => [c.id, c]));
+    valueOfDeal = (o) => {
+      const contact = contactsById.get(o.contactId);
+      return contact ? dimensionValue(contact, dimension) : UNKNOWN_VALUE;
+    };
+  }
+
+  scoped.opportunities
+    .filter((o) => o.status === "won")
+    .forEach((o) => {
+      const row = rowFor(valueOfDeal(o));
+      row.won++;
+      row.wonValue += o.monetaryValue || 0;
+    });
+
+  return [...rows.values()].sort(
+    (a, b) => b.value - a.value || b.wonValue - a.wonValue || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Rank sales reps by what was assigned to them (assignedTo user ID):
+ * opportunities created or closed in the period, won deals and value,
+ * win rate (won / (won + lost)), and active conversations with how many
+ * are open and the share answered (see responseRate).
+ *
+ * Every user is listed, even without activity. Work assigned to nobody
+ * is reported as "Unassigned" (id null), and work assigned to a user the
+ * location no longer has as "Unknown user", only when there is any.
+ * Sorted by won value, then won count, opportunities and conversations.
+ *
+ * Returns [{ id, name, opportunities, won, lost, wonValue, winRate,
+ *            conversations, openConversations, responseRate }]
+ */
+export function buildRepLeaderboard(opportunities, conversations, users) {
+  const rows = new Map();
+  const addRow = (id, name) =>
+    rows.set(id, {
+      id,
+      name,
+      opportunities: 0,
+      won: 0,
+      lost: 0,
+      wonValue: 0,
+      conversations: 0,
+      openConversations: 0,
+      awaiting: 0,
+      answered: 0,
+    });
+  users.forEach((user) => addRow(user.id, userName(user)));
+  const rowFor = (userId) => {
+    const id = userId || null;
+    if (!rows.has(id)) addRow(id, id ? "Unknown user" : "Unassigned");
+    return rows.get(id);
+  };
+
+  opportunities.forEach((o) => {
+    const row = rowFor(o.assignedTo);
+    row.opportunities++;
+    if (o.status === "lost") row.lost++;
+    if (o.status === "won") {
+      row.won++;
+      row.wonValue += o.monetaryValue || 0;
+    }
+  });
+  conversations.forEach((c) => {
+    const row = rowFor(c.assignedTo);
+    row.conversations++;
+    if (isOpenConversation(c)) row.openConversations++;
+    if (needsReply(c)) row.awaiting++;
+    if (needsReply(c) && isAnswered(c)) row.answered++;
+  });
+
+  return [...rows.values()]
+    .map(({ awaiting, answered, ...row }) => ({
+      ...row,
+      winRate: row.won + row.lost > 0 ? row.won / (row.won + row.lost) : 0,
+      responseRate: awaiting > 0 ? answered / awaiting : 0,
+    }))
+    .sort(
+      (a, b) =>
+        b.wonValue - a.wonValue ||
+        b.won - a.won ||
+        b.opportunities - a.opportunities ||
+        b.conversations - a.conversations
+    );
+}
+
+/**
+ * Split active conversations by channel (see channelOf): how many there
+ * were, how many are still open, and of those awaiting a reply how many
+ * were answered and how many weren't (see responseRate). Sorted by
+ * volume, then name.
+ *
+ * Returns [{ name, conversations, open, answered, unanswered, responseRate }]
+ */
+export function buildChannelBreakdown(conversations) {
+  const rows = new Map();
+  conversations.forEach((c) => {
+    const name = channelOf(c);
+    if (!rows.has(name)) {
+      rows.set(name, { name, conversations: 0, open: 0, answered: 0, unanswered: 0 });
+    }
+    const row = rows.get(name);
+    row.conversations++;
+    if (isOpenConversation(c)) row.open++;
+    if (needsReply(c)) {
+      if (isAnswered(c)) row.answered++;
+      else row.unanswered++;
+    }
+  });
+
+  return [...rows.values()]
+    .map((row) => {
+      const awaiting = row.answered + row.unanswered;
+      return { ...row, responseRate: awaiting > 0 ? row.answered / awaiting : 0 };
+    })
+    .sort((a, b) => b.conversations - a.conversations || a.name.localeCompare(b.name));
+}
+
+// GHL logs calls as TYPE_CALL messages; meta.call holds the call's status
+// and duration (seconds), and older payloads only set the message status
+const isCall = (m) => m.messageType === "TYPE_CALL";
+const callStatusOf = (m) => String(m.meta?.call?.status || m.status || "").toLowerCase();
+const isConnectedCall = (m) => ["completed", "answered"].includes(callStatusOf(m));
+const talkTimeOf = (m) => (Number(m.meta?.call?.duration) || 0) * 1000;
+
+// A missed call counts as returned by an outbound call within this long
+const CALLBACK_WINDOW_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Every call in the fetched message histories, oldest first
+const allCallsOf = (messages) =>
+  Object.values(messages)
+    .flat()
+    .filter(isCall)
+    .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded));
+
+// Calls placed or received in the period
+const callsOf = (d) =>
+  allCallsOf(d.raw.messages).filter((m) => isWithinRange(m.dateAdded, d.period));
+
+const missedCallsOf = (calls) =>
+  calls.filter((m) => m.direction === "inbound" && !isConnectedCall(m));
+
+/**
+ * When each missed inbound call was returned: the first outbound call to
+ * the same contact (in any of their conversations) after it, whether or
+ * not it connected.
+ *
+ * @param {Array} missed   - Missed inbound calls
+ * @param {Array} allCalls - Every known call, to find callbacks in
+ * @returns {Array} [{ call, callbackMs }] (callbackMs is null when the
+ *   call was never returned)
+ */
+export function buildCallbacks(missed, allCalls) {
+  const callerOf = (m) => m.contactId || m.conversationId;
+  return missed.map((call) => {
+    const calledAt = new Date(call.dateAdded);
+    const callbacks = allCalls
+      .filter(
+        (m) =>
+          m.direction === "outbound" &&
+          callerOf(m) === callerOf(call) &&
+          new Date(m.dateAdded) >= calledAt
+      )
+      .map((m) => new Date(m.dateAdded) - calledAt);
+    return { call, callbackMs: callbacks.length > 0 ? Math.min(...callbacks) : null };
+  });
+}
+
+/**
+ * Call volume by weekday (Monday first) and hour of day, in the
+ * location's time zone (the server's when null).
+ *
+ * Returns [{ day: "Mon", hours: [count at 00:00, ..., count at 23:00] }]
+ */
+export function buildCallHeatmap(calls, timeZone = null) {
+  const rows = WEEKDAYS.map((day) => ({ day, hours: Array(24).fill(0) }));
+  calls.forEach((m) => {
+    const { weekday, hour } = getZonedTime(m.dateAdded, timeZone);
+    rows[weekday].hours[hour]++;
+  });
+  return rows;
+}
+
+// Speed-to-lead distribution buckets (upper bounds, inclusive)
+const SPEED_TO_LEAD_BUCKETS = [
+  { label: "Under 5 min", maxMs: 5 * 60 * 1000 },
+  { label: "5–30 min", maxMs: 30 * 60 * 1000 },
+  { label: "30–60 min", maxMs: 60 * 60 * 1000 },
+  { label: "1–24 hours", maxMs: DAY_MS },
+  { label: "Over 24 hours", maxMs: Infinity },
+];
+
+/**
+ * Time from each new lead's creation (dateAdded) to the first outbound
+ * message or call in any of their conversations, from message history.
+ * Leads with no outbound message since they were added haven't been
+ * contacted (contactedAt and ms are null).
+ *
+ * Returns [{ contact, contactedAt, ms }] in the order of newContacts
+ */
+export function buildSpeedToLead(newContacts, conversations, messages) {
+  const conversationsByContact = new Map();
+  conversations.forEach((c) => {
+    if (!conversationsByContact.has(c.contactId)) conversationsByContact.set(c.contactId, []);
+    conversationsByContact.get(c.contactId).push(c);
+  });
+
+  return newContacts.map((contact) => {
+    const addedAt = new Date(contact.dateAdded);
+    const touches = (conversationsByContact.get(contact.id) || [])
+      .flatMap((c) => messages[c.id] || [])
+      .filter((m) => m.direction === "outbound" && new Date(m.dateAdded) >= addedAt)
+      .map((m) => new Date(m.dateAdded));
+    if (touches.length === 0) return { contact, contactedAt: null, ms: null };
+
+    const contactedAt = new Date(Math.min(...touches));
+    return { contact, contactedAt: contactedAt.toISOString(), ms: contactedAt - addedAt };
+  });
+}
+
+// Speed-to-lead rows for the period's new leads
+const speedToLeadOf = (d) =>
+  buildSpeedToLead(d.newContacts, d.raw.conversations, d.raw.messages);
+
+const contactedTimesOf = (rows) =>
+  rows.filter((row) => row.contactedAt).map((row) => row.ms);
+
+// GHL appointmentStatus values reported on; "new" is booked but not yet
+// confirmed, and "invalid" appointments only count as booked
+const APPOINTMENT_STATUSES = {
+  confirmed: "confirmed",
+  showed: "showed",
+  noShow: "noshow",
+  cancelled: "cancelled",
+};
+
+const countStatus = (appointments, status) =>
+  countWhere(appointments, (a) => a.appointmentStatus === APPOINTMENT_STATUSES[status]);
+
+// Showed over showed + no-shows: appointments still upcoming, cancelled
+// or unconfirmed don't count either way
+const showRateOf = (appointments) => {
+  const showed = countStatus(appointments, "showed");
+  const attended = showed + countStatus(appointments, "noShow");
+  return attended > 0 ? showed / attended : 0;
+};
+
+/**
+ * Group appointments by a key (calendar, lead source, ...) and count
+ * each group's bookings by current status. Sorted by bookings, then name.
+ *
+ * @param {Array}    appointments - Appointments to group
+ * @param {Function} groupOf      - appointment → { id, name }
+ * @returns {Array} [{ id, name, booked, confirmed, showed, noShow, cancelled, showRate }]
+ */
+export function buildAppointmentBreakdown(appointments, groupOf) {
+  const groups = new Map();
+  appointments.forEach((appointment) => {
+    const { id, name } = groupOf(appointment);
+    if (!groups.has(id)) groups.set(id, { id, name, appointments: [] });
+    groups.get(id).appointments.push(appointment);
+  });
+
+  return [...groups.values()]
+    .map(({ id, name, appointments: group }) => ({
+      id,
+      name,
+      booked: group.length,
+      ...Object.fromEntries(
+        Object.keys(APPOINTMENT_STATUSES).map((status) => [status, countStatus(group, status)])
+      ),
+      showRate: showRateOf(group),
+    }))
+    .sort((a, b) => b.booked - a.booked || a.name.localeCompare(b.name));
+}
+
+// Contact field holding each attribution model's touch. Last touch falls
+// back to first touch for contacts that only ever had one.
+const ATTRIBUTION_MODELS = {
+  firstTouch: (c) => c.attributionSource,
+  lastTouch: (c) => c.lastAttributionSource || c.attributionSource,
+};
+
+// Drill-down order of the campaign report
+const ATTRIBUTION_LEVELS = ["utmMedium", "utmCampaign", "utmContent"];
+
+/**
+ * A contact's attribution touch in the shape the API exposes, or null
+ * when GHL has none.
+ */
+export function toTouch(attribution) {
+  if (!attribution) return null;
+  return {
+    source: attribution.utmSource || null,
+    medium: attribution.utmMedium || null,
+    campaign: attribution.utmCampaign || null,
+    content: attribution.utmContent || null,
+    referrer: attribution.referrer || null,
+  };
+}
+
+/**
+ * Count contacts by UTM medium → campaign → content for one attribution
+ * model ("firstTouch" or "lastTouch"). Missing values, including
+ * contacts with no attribution at all, are grouped as "Unknown". Each
+ * level is sorted by leads, then name.
+ *
+ * Returns [{ name, leads, children: [{ name, leads, children: [{ name, leads }] }] }]
+ */
+export function buildAttribution(contacts, model) {
+  const touchOf = ATTRIBUTION_MODELS[model];
+
+  const group = (items, depth) => {
+    const key = ATTRIBUTION_LEVELS[depth];
+    const buckets = new Map();
+    items.forEach((c) => {
+      const name = touchOf(c)?.[key] || "Unknown";
+      if (!buckets.has(name)) buckets.set(name, []);
+      buckets.get(name).push(c);
+    });
+
+    return [...buckets.entries()]
+      .map(([name, members]) => {
+        const node = { name, leads: members.length };
+        if (depth < ATTRIBUTION_LEVELS.length - 1) {
+          node.children = group(members, depth + 1);
+        }
+        return node;
+      })
+      .sort((a, b) => b.leads - a.leads || a.name.localeCompare(b.name));
+  };
+
+  return group(contacts, 0);
+}
+
+// ── Metric Definitions ────────────────────────────────
+
+export const METRICS = [
+  // Contacts
+  {
+    id: "totalContacts",
+    label: "Total Contacts",
+    source: ["contacts"],
+    compute: (d) => d.raw.contacts.length,
+    format: "number",
+  },
+  {
+    id: "newLeads",
+    label: "New Leads",
+    source: ["contacts"],
+    compute: (d) => d.newContacts.length,
+    format: "number",
+  },
+  {
+    id: "sourceBreakdown",
+    label: "Lead Sources",
+    source: ["contacts"],
+    compute: (d) =>
+      buildDimensionBreakdown(findDimension(BUILTIN_DIMENSIONS, "source"), d)
+        .filter((row) => row.value > 0)
+        .map(({ name, value }) => ({ name, value })),
+    format: null,
+  },
+  {
+    id: "reportingDimensions",
+    label: "Reporting Dimensions",
+    source: ["dimensions"],
+    // What the dashboard can group and filter by
+    compute: (d) => d.raw.dimensions.map(({ key, name, model }) => ({ key, name, model })),
+    format: null,
+  },
+  {
+    id: "dimensionBreakdown",
+    label: "Breakdown by Dimension",
+    source: ["contacts", "opportunities", "dimensions"],
+    // { [dimensionKey]: [{ name, value, won, wonValue }] }
+    compute: (d) =>
+      Object.fromEntries(
+        d.raw.dimensions.map((dimension) => [
+          dimension.key,
+          buildDimensionBreakdown(dimension, d),
+        ])
+      ),
+    format: null,
+  },
+  {
+    id: "tagBreakdown",
+    label: "Tags",
+    source: ["contacts"],
+    // A contact counts once under each of its tags; untagged contacts are left out
+    compute: (d) => {
+      const counts = new Map();
+      d.newContacts.forEach((c) =>
+        tagsOf(c).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1))
+      );
+      return [...counts.entries()]
+        .map(([name, value]) => ({ name, value }))
+        .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+    },
+    format: null,
+  },
+  {
+    id: "availableTags",
+    label: "Available Tags",
+    source: ["contacts"],
+    // Every tag in use (within the current filter), for the tag filter picker
+    compute: (d) =>
+      [...new Set(d.raw.contacts.flatMap(tagsOf))].sort((a, b) => a.localeCompare(b)),
+    format: null,
+  },
+  {
+    id: "sourcePerformance",
+    label: "Lead Source Performance",
+    source: ["contacts", "opportunities"],
+    compute: (d) =>
+      buildSourcePerformance(d.newContacts, d.opportunities, d.raw.contacts),
+    format: null,
+  },
+  {
+    id: "recentContacts",
+    label: "Recent Contacts",
+    source: ["contacts"],
+    compute: (d) =>
+      [...d.newContacts]
+        .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
+        .slice(0, 10)
+        .map((c) => ({
+          id: c.id,
+          name: contactName(c),
+          email: c.email || "N/A",
+          phone: c.phone || "N/A",
+          source: c.source || "Unknown",
+          dateAdded: c.dateAdded,
+          tags: c.tags || [],
+          firstTouch: toTouch(ATTRIBUTION_MODELS.firstTouch(c)),
+          lastTouch: toTouch(ATTRIBUTION_MODELS.lastTouch(c)),
+        })),
+    format: null,
+  },
+  {
+    id: "campaignAttribution",
+    label: "Campaign Attribution",
+    source: ["contacts"],
+    compute: (d) => ({
+      firstTouch: buildAttribution(d.newContacts, "firstTouch"),
+      lastTouch: buildAttribution(d.newContacts, "lastTouch"),
+    }),
+    format: null,
+  },
+
+  // Opportunities
+  {
+    id: "opportunityCount",
+    label: "Total Opportunities",
+    source: ["opportunities"],
+    compute: (d) => d.opportunities.length,
+    format: "number",
+  },
+  {
+    id: "createdOpportunities",
+    label: "New Opportunities",
+    source: ["opportunities"],
+    compute: (d) => d.created.length,
+    format: "number",
+  },
+  {
+    id: "pipelineValue",
+    label: "Pipeline Value",
+    source: ["opportunities"],
+    compute: (d) => sumValue(d.opportunities),
+    format: "currency",
+  },
+  {
+    id: "pipelineBreakdown",
+    label: "Pipeline Breakdown",
+    source: ["opportunities", "pipelines"],
+    compute: (d) => groupByPipeline(d.opportunities, d.raw.pipelines),
+    format: null,
+  },
+  {
+    id: "pipelineFunnel",
+    label: "Pipeline Funnel",
+    source: ["opportunities", "pipelines"],
+    compute: (d) => buildFunnel(d.opportunities, d.raw.pipelines),
+    format: null,
+  },
+  {
+    id: "winRate",
+    label: "Win Rate",
+    source: ["opportunities"],
+    compute: (d) => winRateOf(d.closed),
+    format: "percent",
+  },
+  {
+    id: "wonCount",
+    label: "Won",
+    source: ["opportunities"],
+    compute: (d) => countWhere(d.closed, (o) => o.status === "won"),
+    format: "number",
+  },
+  {
+    id: "lostCount",
+    label: "Lost",
+    source: ["opportunities"],
+    compute: (d) => countWhere(d.closed, (o) => o.status === "lost"),
+    format: "number",
+  },
+  {
+    id: "avgDealSize",
+    label: "Avg Deal Size",
+    source: ["opportunities"],
+    compute: (d) => avgDealSizeOf(d.opportunities),
+    format: "currency",
+  },
+
+  // Velocity
+  {
+    id: "avgDaysToClose",
+    label: "Avg Days to Close",
+    source: ["opportunities"],
+    compute: (d) => daysToCloseOf(d.closed),
+    format: "days",
+  },
+  {
+    id: "salesVelocity",
+    label: "Sales Velocity / Day",
+    source: ["opportunities"],
+    // Revenue per day: new opportunities × win rate × avg deal size ÷ cycle
+    compute: (d) => {
+      const cycle = daysToCloseOf(d.closed);
+      if (cycle === 0) return 0;
+      return (
+        (d.created.length * winRateOf(d.closed) * avgDealSizeOf(d.opportunities)) /
+        cycle
+      );
+    },
+    format: "currency",
+  },
+  {
+    id: "stageAging",
+    label: "Time in Stage",
+    source: ["opportunities", "pipelines"],
+    compute: (d) =>
+      buildStageAging(
+        d.raw.opportunities,
+        d.raw.pipelines,
+        new Date(Math.min(d.period.to.getTime(), Date.now()))
+      ),
+    format: null,
+  },
+
+  // Conversations
+  {
+    id: "conversations",
+    label: "Conversations",
+    source: ["conversations"],
+    compute: (d) => d.conversations.length,
+    format: "number",
+  },
+  {
+    id: "openConversations",
+    label: "Open Conversations",
+    source: ["conversations"],
+    compute: (d) => countWhere(d.conversations, isOpenConversation),
+    format: "number",
+  },
+  {
+    id: "closedConversations",
+    label: "Closed Conversations",
+    source: ["conversations"],
+    compute: (d) =>
+      countWhere(d.conversations, (c) => !isOpenConversation(c)),
+    format: "number",
+  },
+  {
+    // Share of conversations awaiting a reply that got one
+    id: "responseRate",
+    label: "Response Rate",
+    source: ["conversations", "messages"],
+    compute: (d) => responseRateOf(d.conversations),
+    format: "percent",
+  },
+  {
+    // null when no conversation with message history was answered
+    id: "medianFirstResponse",
+    label: "Median First Response",
+    source: ["conversations", "messages"],
+    compute: (d) => percentile(responseTimesOf(d.conversations), 0.5),
+    format: "duration",
+  },
+  {
+    id: "p90FirstResponse",
+    label: "90th Percentile First Response",
+    source: ["conversations", "messages"],
+    compute: (d) => percentile(responseTimesOf(d.conversations), 0.9),
+    format: "duration",
+  },
+  {
+    // Share of conversations awaiting a reply answered within each target
+    id: "answeredWithin",
+    label: "Answered Within",
+    source: ["conversations", "messages"],
+    compute: (d) => {
+      const awaiting = d.conversations.filter((c) => c.firstResponse);
+      const times = responseTimesOf(awaiting);
+      return RESPONSE_TARGETS.map(({ label, ms }) => ({
+        label,
+        ms,
+        share: awaiting.length > 0 ? countWhere(times, (t) => t <= ms) / awaiting.length : 0,
+      }));
+    },
+    format: null,
+  },
+  {
+    id: "channelBreakdown",
+    label: "Conversation Channels",
+    source: ["conversations", "messages"],
+    compute: (d) => buildChannelBreakdown(d.conversations),
+    format: null,
+  },
+
+  // Calls (from TYPE_CALL messages in the period)
+  {
+    id: "totalCalls",
+    label: "Calls",
+    source: ["conversations", "messages"],
+    compute: (d) => callsOf(d).length,
+    format: "number",
+  },
+  {
+    id: "inboundCalls",
+    label: "Inbound Calls",
+    source: ["conversations", "messages"],
+    compute: (d) => countWhere(callsOf(d), (m) => m.direction === "inbound"),
+    format: "number",
+  },
+  {
+    id: "outboundCalls",
+    label: "Outbound Calls",
+    source: ["conversations", "messages"],
+    compute: (d) => countWhere(callsOf(d), (m) => m.direction === "outbound"),
+    format: "number",
+  },
+  {
+    id: "answeredCalls",
+    label: "Answered Calls",
+    source: ["conversations", "messages"],
+    compute: (d) =>
+      countWhere(callsOf(d), (m) => m.direction === "inbound" && isConnectedCall(m)),
+    format: "number",
+  },
+  {
+    id: "missedCalls",
+    label: "Missed Calls",
+    source: ["conversations", "messages"],
+    compute: (d) => missedCallsOf(callsOf(d)).length,
+    format: "number",
+  },
+  {
+    // Answered share of inbound calls
+    id: "callAnswerRate",
+    label: "Answer Rate",
+    source: ["conversations", "messages"],
+    compute: (d) => {
+      const inbound = callsOf(d).filter((m) => m.direction === "inbound");
+      return inbound.length > 0 ? countWhere(inbound, isConnectedCall) / inbound.length : 0;
+    },
+    format: "percent",
+  },
+  {
+    // Connected calls in either direction; null when none connected
+    id: "avgTalkTime",
+    label: "Avg. Talk Time",
+    source: ["conversations", "messages"],
+    compute: (d) => {
+      const connected = callsOf(d).filter(isConnectedCall);
+      return connected.length > 0 ? average(connected.map(talkTimeOf)) : null;
+    },
+    format: "duration",
+  },
+  {
+    id: "missedWithoutCallback",
+    label: "Missed, No Callback in 1h",
+    source: ["conversations", "messages"],
+    compute: (d) =>
+      countWhere(
+        buildCallbacks(missedCallsOf(callsOf(d)), allCallsOf(d.raw.messages)),
+        ({ callbackMs }) => callbackMs === null || callbackMs > CALLBACK_WINDOW_MS
+      ),
+    format: "number",
+  },
+  {
+    // Missed calls not returned within the hour, newest first, with how
+    // long the callback took (null if never)
+    id: "unreturnedCalls",
+    label: "Unreturned Calls",
+    source: ["conversations", "messages"],
+    compute: (d) => {
+      const conversations = new Map(d.raw.conversations.map((c) => [c.id, c]));
+      return buildCallbacks(missedCallsOf(callsOf(d)), allCallsOf(d.raw.messages))
+        .filter(({ callbackMs }) => callbackMs === null || callbackMs > CALLBACK_WINDOW_MS)
+        .map(({ call, callbackMs }) => {
+          const conversation = conversations.get(call.conversationId) || {};
+          return {
+            id: call.id,
+            conversationId: call.conversationId,
+            name: conversation.fullName || conversation.contactName || "Unknown",
+            phone: conversation.phone || "N/A",
+            calledAt: call.dateAdded,
+            callbackMs,
+          };
+        })
+        .reverse();
+    },
+    format: null,
+  },
+  {
+    id: "callHeatmap",
+    label: "Calls by Hour",
+    source: ["conversations", "messages"],
+    compute: (d) => buildCallHeatmap(callsOf(d), d.timeZone),
+    format: null,
+  },
+
+  // Speed to lead
+  {
+    id: "contactedLeads",
+    label: "Leads Contacted",
+    source: ["contacts", "conversations", "messages"],
+    compute: (d) => contactedTimesOf(speedToLeadOf(d)).length,
+    format: "number",
+  },
+  {
+    id: "leadContactRate",
+    label: "Lead Contact Rate",
+    source: ["contacts", "conversations", "messages"],
+    compute: (d) =>
+      d.newContacts.length > 0
+        ? contactedTimesOf(speedToLeadOf(d)).length / d.newContacts.length
+        : 0,
+    format: "percent",
+  },
+  {
+    // null when no new lead has been contacted
+    id: "medianSpeedToLead",
+    label: "Median Speed to Lead",
+    source: ["contacts", "conversations", "messages"],
+    compute: (d) => percentile(contactedTimesOf(speedToLeadOf(d)), 0.5),
+    format: "duration",
+  },
+  {
+    // New leads per bucket, with their share of all new leads
+    id: "speedToLeadBuckets",
+    label: "Speed to Lead",
+    source: ["contacts", "conversations", "messages"],
+    compute: (d) => {
+      const times = contactedTimesOf(speedToLeadOf(d));
+      return SPEED_TO_LEAD_BUCKETS.map(({ label, maxMs }, i) => {
+        const minMs = i > 0 ? SPEED_TO_LEAD_BUCKETS[i - 1].maxMs : -1;
+        const count = countWhere(times, (t) => t > minMs && t <= maxMs);
+        return {
+          label,
+          count,
+          share: d.newContacts.length > 0 ? count / d.newContacts.length : 0,
+        };
+      });
+    },
+    format: null,
+  },
+  {
+    // Longest-waiting first, with how long they've been waiting
+    id: "uncontactedLeads",
+    label: "Never Contacted",
+    source: ["contacts", "conversations", "messages", "users"],
+    compute: (d) => {
+      const users = new Map(d.raw.users.map((user) => [user.id, user]));
+      const now = Date.now();
+      return speedToLeadOf(d)
+        .filter((row) => !row.contactedAt)
+        .map(({ contact }) => ({
+          id: contact.id,
+          name: contactName(contact),
+          email: contact.email || "N/A",
+          phone: contact.phone || "N/A",
+          source: contact.source || "Unknown",
+          assignedTo: users.has(contact.assignedTo)
+            ? userName(users.get(contact.assignedTo))
+            : null,
+          dateAdded: contact.dateAdded,
+          waitingMs: Math.max(0, now - new Date(contact.dateAdded)),
+        }))
+        .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded));
+    },
+    format: null,
+  },
+  {
+    // Per day of the period (in the location's time zone): new leads, how
+    // many were contacted and their median speed to lead (null if none)
+    id: "speedToLeadTrend",
+    label: "Speed to Lead Trend",
+    source: ["contacts", "conversations", "messages"],
+    compute: (d) => {
+      const days = eachDay(d.period);
+      const byDay = new Map(days.map((date) => [date, []]));
+      speedToLeadOf(d).forEach((row) => {
+        const day = getZonedTime(row.contact.dateAdded, d.timeZone).day;
+        // Days are counted in the period's time zone, so every lead has a
+        // bucket; clamp to the ends anyway rather than drop one
+        const bucket =
+          byDay.get(day) ?? byDay.get(day < days[0] ? days[0] : days.at(-1));
+        bucket.push(row);
+      });
+      return [...byDay.entries()].map(([date, rows]) => {
+        const times = contactedTimesOf(rows);
+        return {
+          date,
+          leads: rows.length,
+          contacted: times.length,
+          medianMs: percentile(times, 0.5),
+        };
+      });
+    },
+    format: null,
+  },
+
+  // Appointments (booked in the period, by current status)
+  {
+    id: "appointmentsBooked",
+    label: "Appointments Booked",
+    source: ["appointments"],
+    compute: (d) => d.appointments.length,
+    format: "number",
+  },
+  {
+    id: "appointmentsConfirmed",
+    label: "Confirmed",
+    source: ["appointments"],
+    compute: (d) => countStatus(d.appointments, "confirmed"),
+    format: "number",
+  },
+  {
+    id: "appointmentsShowed",
+    label: "Showed",
+    source: ["appointments"],
+    compute: (d) => countStatus(d.appointments, "showed"),
+    format: "number",
+  },
+  {
+    id: "appointmentsNoShow",
+    label: "No-Shows",
+    source: ["appointments"],
+    compute: (d) => countStatus(d.appointments, "noShow"),
+    format: "number",
+  },
+  {
+    id: "appointmentsCancelled",
+    label: "Cancelled",
+    source: ["appointments"],
+    compute: (d) => countStatus(d.appointments, "cancelled"),
+    format: "number",
+  },
+  {
+    id: "showRate",
+    label: "Show Rate",
+    source: ["appointments"],
+    compute: (d) => showRateOf(d.appointments),
+    format: "percent",
+  },
+  {
+    // Calendars that have been deleted since are still listed, by ID
+    id: "appointmentsByCalendar",
+    label: "Bookings by Calendar",
+    source: ["appointments", "calendars"],
+    compute: (d) => {
+      const calendars = new Map(d.raw.calendars.map((c) => [c.id, c]));
+      return buildAppointmentBreakdown(d.appointments, (a) => ({
+        id: a.calendarId,
+        name: calendars.get(a.calendarId)?.name || a.calendarId || "Unknown",
+      }));
+    },
+    format: null,
+  },
+  {
+    // By the booked contact's lead source
+    id: "appointmentsBySource",
+    label: "Bookings by Source",
+    source: ["appointments", "contacts"],
+    compute: (d) => {
+      const contacts = new Map(d.raw.contacts.map((c) => [c.id, c]));
+      return buildAppointmentBreakdown(d.appointments, (a) => {
+        const source = contacts.get(a.contactId)?.source || "Unknown";
+        return { id: source, name: source };
+      });
+    },
+    format: null,
+  },
+
+  // Sales reps
+  {
+    id: "repLeaderboard",
+    label: "Sales Rep Leaderboard",
+    source: ["opportunities", "conversations", "messages", "users"],
+    compute: (d) =>
+      buildRepLeaderboard(d.opportunities, d.conversations, d.raw.users),
+    format: null,
+  },
+];
+
+const METRICS_BY_ID = Object.fromEntries(METRICS.map((m) => [m.id, m]));
+
+// Headline KPIs compared against the previous period
+export const KPI_IDS = [
+  "newLeads",
+  "pipelineValue",
+  "winRate",
+  "conversations",
+  "responseRate",
+];
+
+// API response sections: { [section]: { [responseField]: metricId } }
+// Field names are the public JSON shape of /api/summary and the
+// per-source routes.
+export const SECTIONS = {
+  contacts: {
+    total: "totalContacts",
+    newInPeriod: "newLeads",
+    sourceBreakdown: "sourceBreakdown",
+    sourcePerformance: "sourcePerformance",
+    attribution: "campaignAttribution",
+    tagBreakdown: "tagBreakdown",
+    availableTags: "availableTags",
+    dimensions: "reportingDimensions",
+    dimensionBreakdown: "dimensionBreakdown",
+    recentContacts: "recentContacts",
+  },
+  opportunities: {
+    total: "opportunityCount",
+    createdCount: "createdOpportunities",
+    totalValue: "pipelineValue",
+    pipelineBreakdown: "pipelineBreakdown",
+    funnel: "pipelineFunnel",
+    winRate: "winRate",
+    wonCount: "wonCount",
+    lostCount: "lostCount",
+    avgDealSize: "avgDealSize",
+  },
+  velocity: {
+    salesVelocity: "salesVelocity",
+    opportunities: "createdOpportunities",
+    winRate: "winRate",
+    avgDealSize: "avgDealSize",
+    avgDaysToClose: "avgDaysToClose",
+    stageAging: "stageAging",
+  },
+  conversations: {
+    total: "conversations",
+    openCount: "openConversations",
+    closedCount: "closedConversations",
+    responseRate: "responseRate",
+    medianResponseMs: "medianFirstResponse",
+    p90ResponseMs: "p90FirstResponse",
+    answeredWithin: "answeredWithin",
+    channels: "channelBreakdown",
+  },
+  calls: {
+    total: "totalCalls",
+    inbound: "inboundCalls",
+    outbound: "outboundCalls",
+    answered: "answeredCalls",
+    missed: "missedCalls",
+    answerRate: "callAnswerRate",
+    avgTalkTimeMs: "avgTalkTime",
+    missedWithoutCallback: "missedWithoutCallback",
+    unreturned: "unreturnedCalls",
+    heatmap: "callHeatmap",
+  },
+  speedToLead: {
+    leads: "newLeads",
+    contacted: "contactedLeads",
+    contactRate: "leadContactRate",
+    medianMs: "medianSpeedToLead",
+    buckets: "speedToLeadBuckets",
+    neverContacted: "uncontactedLeads",
+    trend: "speedToLeadTrend",
+  },
+  appointments: {
+    booked: "appointmentsBooked",
+    confirmed: "appointmentsConfirmed",
+    showed: "appointmentsShowed",
+    noShow: "appointmentsNoShow",
+    cancelled: "appointmentsCancelled",
+    showRate: "showRate",
+    byCalendar: "appointmentsByCalendar",
+    bySource: "appointmentsBySource",
+  },
+  reps: {
+    leaderboard: "repLeaderboard",
+  },
+};
+
+// ── Engine ────────────────────────────────────────────
+
+/**
+ * Look up a metric definition. Throws on unknown IDs so typos fail loudly.
+ */
+export function getMetric(id) {
+  const metric = METRICS_BY_ID[id];
+  if (!metric) throw new Error(`Unknown metric "${id}"`);
+  return metric;
+}
+
+/**
+ * The GHL data sources needed to compute a set of metrics.
+ */
+export function getSources(ids) {
+  return [...new Set(ids.flatMap((id) => getMetric(id).source))];
+}
+
+/**
+ * The metric IDs that make up a response section.
+ */
+export function getSectionMetrics(section) {
+  return Object.values(SECTIONS[section]);
+}
+
+/**
+ * Compute metrics from period-scoped data (see scopeToPeriod).
+ * Returns { [id]: value }
+ */
+export function computeMetrics(ids, scoped) {
+  return Object.fromEntries(
+    ids.map((id) => [id, getMetric(id).compute(scoped)])
+  );
+}
+
+/**
+ * Build a response section ({ [responseField]: value }) from scoped data.
+ */
+export function buildSection(section, scoped) {
+  const values = computeMetrics(getSectionMetrics(section), scoped);
+  return Object.fromEntries(
+    Object.entries(SECTIONS[section]).map(([field, id]) => [field, values[id]])
+  );
+}
+
+/**
+ * Pair current and previous metric values with their percentage change.
+ * Returns { [id]: { current, previous, change } }
+ */
+export function compareMetrics(ids, current, previous) {
+  return Object.fromEntries(
+    ids.map((id) => [
+      id,
+      {
+        current: current[id],
+        previous: previous[id],
+        change: calcChange(current[id], previous[id]),
+      },
+    ])
+  );
+}
+
+/**
+ * Read a metric's value out of a /api/summary response.
+ */
+export function readMetric(summary, id) {
+  for (const [section, fields] of Object.entries(SECTIONS)) {
+    const field = Object.keys(fields).find((f) => fields[f] === id);
+    if (field) return summary?.[section]?.[field];
+  }
+  return undefined;
+}
+
+const FORMATTERS = {
+  number: formatNumber,
+  currency: formatCurrency,
+  percent: formatPercent,
+  days: formatDays,
+  duration: formatDuration,
+};
+
+/**
+ * Format a metric value for display using its definition's format.
+ * Missing values display as zero, except durations, where null means
+ * nothing could be measured (shown as a dash).
+ */
+export function formatMetric(id, value) {
+  const { format } = getMetric(id);
+  const formatter = FORMATTERS[format];
+  if (format === "duration") return formatter(value ?? null);
+  return formatter ? formatter(value || 0) : value;
+}
@@ -0,0 +1,104 @@
+/**
+ * Agency Portfolio Aggregation
+ *
+ * Rolls every registered client location up into one row per client for
+ * the /agency overview. Locations are fetched with bounded parallelism and
+ * a per-location timeout, so one slow or failing sub-account only affects
+ * its own row.
+ */
+
+import { getLocations } from "@/lib/locations";
+import { fetchLocationData, compareKpis } from "@/lib/summary";
+import { getSources, KPI_IDS } from "@/lib/metrics";
+import { splitPeriod, isWithinRange, getPreviousPeriod } from "@/lib/dateRange";
+import { mapWithConcurrency, withTimeout } from "@/lib/concurrency";
+
+// Max sub-accounts fetched at the same time
+const CONCURRENCY = Number(process.env.PORTFOLIO_CONCURRENCY) || 4;
+
+// Give up on a single sub-account after this long
+const LOCATION_TIMEOUT_MS =
+  Number(process.env.PORTFOLIO_LOCATION_TIMEOUT_MS) || 30000;
+
+// A KPI that fell by this much (or more) vs the previous period is flagged
+export const DROP_THRESHOLD = -0.2;
+
+// KPIs shown in the portfolio table and checked for drops
+const PORTFOLIO_KPIS = ["newLeads", "pipelineValue", "winRate", "responseRate"];
+
+// Number of points in each sparkline
+const TREND_POINTS = 8;
+
+// Only what the KPIs and the new-leads sparkline need. That includes
+// message history, so the response rate matches the client's dashboard;
+// it is fetched (cached, with bounded parallelism) only for conversations
+// active since the start of the previous period
+const PORTFOLIO_SOURCES = [...new Set([...getSources(KPI_IDS), "contacts"])];
+
+/**
+ * Build one portfolio row from a location's raw data.
+ */
+export function buildPortfolioRow(location, raw, period, previousPeriod) {
+  const comparison = compareKpis(raw, period, previousPeriod);
+
+  // New leads per slice of the period, for the sparkline
+  const trend = splitPeriod(period, TREND_POINTS).map(
+    (slice) =>
+      raw.contacts.filter((c) => isWithinRange(c.dateAdded, slice)).length
+  );
+
+  // Flag KPIs that dropped sharply (ignore drops from a zero baseline)
+  const dropped = PORTFOLIO_KPIS.filter(
+    (key) =>
+      comparison[key].previous > 0 && comparison[key].change <= DROP_THRESHOLD
+  );
+
+  return {
+    client: location.slug,
+    clientName: location.clientName,
+    leads: raw.contacts.length,
+    newLeads: comparison.newLeads.current,
+    pipelineValue: comparison.pipelineValue.current,
+    winRate: comparison.winRate.current,
+    responseRate: comparison.responseRate.current,
+    comparison,
+    trend,
+    dropped,
+    error: null,
+  };
+}
+
+/**
+ * Build the portfolio for every registered location.
+ * Failed or timed-out locations come back as rows with `error` set.
+ * Pass { refresh: true } to bypass the GHL response cache.
+ *
+ * @param {Function} resolvePeriod - (timeZone) => the selected period with
+ *   days in that time zone, e.g. parseDateRange(searchParams, timeZone),
+ *   so each client is compared over its own calendar days
+ */
+export async function buildPortfolio(resolvePeriod, options) {
+  return mapWithConcurrency(getLocations(), CONCURRENCY, async (location) => {
+    try {
+      const period = resolvePeriod(location.timeZone);
+      const previousPeriod = getPreviousPeriod(period);
+      const raw = await withTimeout(
+        fetchLocationData(
+          location,
+          { ...options, since: previousPeriod.from },
+          PORTFOLIO_SOURCES
+        ),
+        LOCATION_TIMEOUT_MS,
+        `Timed out after ${LOCATION_TIMEOUT_MS / 1000}s`
+      );
+      return buildPortfolioRow(location, raw, period, previousPeriod);
+    } catch (error) {
+      console.error(`[portfolio] ${location.slug}:`, error.message);
+      return {
+        client: location.slug,
+        clientName: location.clientName,
+        error: error.message,
+      };
+    }
+  });
+}
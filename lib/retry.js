@@ -0,0 +1,71 @@
+/**
+ * Retry Policy for GHL Requests
+ *
+ * Decides whether a failed request is worth retrying and how long to wait:
+ * - 429 Too Many Requests and transient 5xx gateway errors are retried,
+ *   as are network errors and timeouts
+ * - Retry-After (seconds or an HTTP date) is honored in full when present,
+ *   up to maxDelayMs; a longer one fails the request instead, rather than
+ *   hold the dashboard request open for minutes
+ * - Otherwise exponential backoff with full jitter, capped at maxDelayMs
+ */
+
+// Status codes that indicate a temporary condition
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Network-level failures worth another attempt
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+];
+
+/**
+ * Check if an axios error should be retried.
+ */
+export function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds, or null if absent/invalid.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before retry number `attempt` (0-based), or null when
+ * the request shouldn't be retried because its Retry-After is longer than
+ * maxDelayMs.
+ *
+ * @param {object} error   - The axios error that failed
+ * @param {number} attempt - How many retries have already happened
+ * @param {object} options
+ * @param {number} options.baseDelayMs - First backoff step
+ * @param {number} options.maxDelayMs  - Upper bound for any wait
+ * @param {Function} [options.random]  - Jitter source (defaults to Math.random)
+ */
+export function getRetryDelay(
+  error,
+  attempt,
+  { baseDelayMs, maxDelayMs, random = Math.random }
+) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) return retryAfter <= maxDelayMs ? retryAfter : null;
+
+  // Full jitter: a random wait between 0 and the exponential ceiling
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
@@ -0,0 +1,228 @@
+/**
+ * Location Summary Aggregation
+ *
+ * Fetches a location's GHL data and turns it into the dashboard's
+ * response sections using the metric definitions in lib/metrics.js.
+ * Used by /api/summary, /api/report, the per-source routes and
+ * /api/portfolio, so every view reports identical numbers.
+ */
+
+import { addDays, endOfDay, startOfDay, subYears } from "date-fns";
+import {
+  getContacts,
+  getOpportunities,
+  getConversations,
+  getPipelines,
+  getUsers,
+  getMessages,
+  getCalendars,
+  getCalendarEvents,
+} from "@/lib/ghl";
+import {
+  scopeToPeriod,
+  buildSection,
+  computeMetrics,
+  compareMetrics,
+  KPI_IDS,
+} from "@/lib/metrics";
+import { getPreviousPeriod, serializePeriod } from "@/lib/dateRange";
+import { getDimensions } from "@/lib/dimensionConfig";
+import { applyFilters, getFilterSources } from "@/lib/filters";
+import { mapWithConcurrency } from "@/lib/concurrency";
+
+// Fetcher per metric data source (dimensions are the location's
+// configured reporting dimensions, see lib/dimensionConfig.js;
+// appointments are the events of all its calendars)
+const FETCHERS = {
+  contacts: getContacts,
+  opportunities: getOpportunities,
+  conversations: getConversations,
+  pipelines: getPipelines,
+  users: getUsers,
+  dimensions: getDimensions,
+  calendars: getCalendars,
+  appointments: fetchAppointments,
+};
+
+// Every source fetchLocationData() can fetch. "messages" (message history
+// per conversation ID) is fetched after the conversations it belongs to.
+export const DATA_SOURCES = [...Object.keys(FETCHERS), "messages"];
+
+// Max conversations whose message history is fetched at the same time
+const MESSAGES_CONCURRENCY = Number(process.env.GHL_MESSAGES_CONCURRENCY) || 5;
+
+/**
+ * Fetch message histories for conversations active since `since` (all
+ * of them when omitted), a few at a time.
+ * Returns { [conversationId]: messages }
+ */
+async function fetchMessages(location, conversations, { since, ...options } = {}) {
+  const active = since
+    ? conversations.filter((c) => new Date(c.lastMessageDate || c.dateAdded) >= since)
+    : conversations;
+  const histories = await mapWithConcurrency(active, MESSAGES_CONCURRENCY, (c) =>
+    getMessages(location, c.id, options)
+  );
+  return Object.fromEntries(active.map((c, i) => [c.id, histories[i]]));
+}
+
+// How far past today the appointment window reaches, so appointments
+// booked in a period for a later date are still fetched
+const APPOINTMENTS_LOOKAHEAD_DAYS = Number(process.env.GHL_APPOINTMENTS_LOOKAHEAD_DAYS) || 90;
+
+/**
+ * Fetch the appointments on every calendar of the location starting
+ * from `since` (a year back when omitted) until APPOINTMENTS_LOOKAHEAD_DAYS
+ * from today. The window is aligned to whole days so it stays the same
+ * cache key all day.
+ */
+async function fetchAppointments(location, { since, ...options } = {}) {
+  const now = new Date();
+  const window = {
+    from: since || startOfDay(subYears(now, 1)),
+    to: endOfDay(addDays(now, APPOINTMENTS_LOOKAHEAD_DAYS)),
+  };
+  const calendars = await getCalendars(location, options);
+  const events = await Promise.all(
+    calendars.map((calendar) => getCalendarEvents(location, calendar.id, window, options))
+  );
+  return events.flat();
+}
+
+/**
+ * Fetch the GHL data sources for a location, in parallel.
+ * Only the requested sources are fetched (default: all of them); use
+ * getSources() from lib/metrics.js to find what a set of metrics needs.
+ * Pass { refresh: true } to bypass the GHL response cache.
+ *
+ * Filters (see lib/filters.js) are applied before returning, fetching
+ * any extra source they need to match on.
+ *
+ * Message history costs a request per conversation, so it is only
+ * fetched for conversations left after filtering that were active since
+ * `options.since` (a Date; pass the start of the earliest period
+ * reported on). Appointments are fetched from the same date.
+ */
+export async function fetchLocationData(
+  location,
+  options,
+  sources = DATA_SOURCES,
+  filters = {}
+) {
+  const needed = [...new Set([...sources, ...getFilterSources(filters)])];
+  const withMessages = needed.includes("messages");
+  const fetched = needed.filter((source) => FETCHERS[source]);
+  if (withMessages && !fetched.includes("conversations")) fetched.push("conversations");
+
+  const results = await Promise.all(
+    fetched.map((source) => FETCHERS[source](location, options))
+  );
+  const raw = applyFilters(
+    Object.fromEntries(fetched.map((source, i) => [source, results[i]])),
+    filters
+  );
+  if (!withMessages) return raw;
+
+  return {
+    ...raw,
+    messages: await fetchMessages(location, raw.conversations, options),
+  };
+}
+
+/**
+ * Compute the headline KPIs for a period.
+ */
+export function computeKpis(raw, period) {
+  return computeMetrics(KPI_IDS, scopeToPeriod(raw, period));
+}
+
+/**
+ * Compare headline KPIs between two periods.
+ * Returns { [kpi]: { current, previous, change } }
+ */
+export function compareKpis(raw, period, previousPeriod) {
+  return compareMetrics(
+    KPI_IDS,
+    computeKpis(raw, period),
+    computeKpis(raw, previousPeriod)
+  );
+}
+
+/**
+ * Build the full /api/summary payload (minus meta) for a location.
+ *
+ * @param {object} raw            - Output of fetchLocationData()
+ * @param {object} period         - Resolved period from lib/dateRange.js
+ * @param {object} previousPeriod - Period to compare KPIs against
+ * @param {object} [lockedRange]  - A share link's locked range, if any
+ *                                  (see scopeToPeriod)
+ */
+export function buildSummary(raw, period, previousPeriod, lockedRange = null) {
+  const scoped = scopeToPeriod(raw, period, { lockedRange });
+
+  return {
+    contacts: buildSection("contacts", scoped),
+    opportunities: buildSection("opportunities", scoped),
+    velocity: buildSection("velocity", scoped),
+    conversations: buildSection("conversations", scoped),
+    calls: buildSection("calls", scoped),
+    speedToLead: buildSection("speedToLead", scoped),
+    appointments: buildSection("appointments", scoped),
+    reps: buildSection("reps", scoped),
+    comparison: compareKpis(raw, period, previousPeriod),
+  };
+}
+
+/**
+ * Load the complete /api/summary response for a location, meta included.
+ * /api/report renders the PDF from the same payload the dashboard shows.
+ *
+ * @param {object}  location              - Resolved location from lib/locations.js
+ * @param {object}  options
+ * @param {object}  options.period        - Resolved period from lib/dateRange.js
+ * @param {object}  [options.filters]     - Parsed filters from lib/filters.js
+ * @param {boolean} [options.refresh]     - Bypass the GHL response cache
+ * @param {object}  [options.lockedRange] - Range a share link is locked to:
+ *                                          omits the previous-period
+ *                                          comparison and keeps stage aging
+ *                                          and message lookups inside it
+ *                                          (totalContacts and availableTags
+ *                                          still count every contact)
+ */
+export async function loadSummary(
+  location,
+  { period, filters = {}, refresh = false, lockedRange = null }
+) {
+  const rangeLocked = Boolean(lockedRange);
+  const previousPeriod = getPreviousPeriod(period);
+
+  // Fetch all data sources in parallel for maximum speed (message
+  // history and appointments back to the start of the comparison period)
+  const raw = await fetchLocationData(
+    location,
+    { refresh, since: previousPeriod.from },
+    DATA_SOURCES,
+    filters
+  );
+  const { comparison, ...summary } = buildSummary(
+    raw,
+    period,
+    previousPeriod,
+    lockedRange
+  );
+
+  return {
+    ...summary,
+    comparison: rangeLocked ? null : comparison,
+    // Meta information for display
+    meta: {
+      generatedAt: new Date().toISOString(),
+      period: serializePeriod(period),
+      previousPeriod: rangeLocked ? null : serializePeriod(previousPeriod),
+      client: location.slug,
+      agencyName: location.branding.agencyName,
+      clientName: location.clientName,
+      filters,
+    },
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Request Throttle (sliding window)
+ *
+ * Limits how many requests may start within a rolling time window, so a
+ * location never exceeds GHL's burst limit (100 requests / 10 seconds per
+ * location by default). Callers await acquire() before each request;
+ * slots are handed out in call order.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a throttle.
+ *
+ * @param {object} options
+ * @param {number} options.max        - Requests allowed per window
+ * @param {number} options.intervalMs - Window length in milliseconds
+ */
+export function createThrottle({ max, intervalMs }) {
+  const started = []; // Start times of requests inside the current window
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  return {
+    /**
+     * Resolve once a request may start.
+     */
+    acquire() {
+      // Chain onto the previous caller so slots are granted in order
+      const turn = queue.then(async () => {
+        for (;;) {
+          const now = Date.now();
+          if (now < pausedUntil) {
+            await sleep(pausedUntil - now);
+            continue;
+          }
+          while (started.length > 0 && started[0] <= now - intervalMs) {
+            started.shift();
+          }
+          if (started.length < max) {
+            started.push(now);
+            return;
+          }
+          // Wait until the oldest request leaves the window
+          await sleep(started[0] + intervalMs - now);
+        }
+      });
+      queue = turn;
+      return turn;
+    },
+
+    /**
+     * Hold every request until `time` (epoch ms), e.g. after a 429 or when
+     * the API reports no remaining requests in its window.
+     */
+    pauseUntil(time) {
+      pausedUntil = Math.max(pausedUntil, time);
+    },
+  };
+}
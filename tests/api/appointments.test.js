@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/appointments/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => {
+  stub.requests = [];
+});
+
+describe("GET /api/appointments", () => {
+  it("counts appointments booked in the period by status", async () => {
+    const { status, body } = await callRoute(GET, `/api/appointments?${RANGE_QUERY}&refresh=1`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      // a1–a4 and a6; a5 was booked in February
+      booked: 5,
+      confirmed: 1,
+      showed: 1,
+      noShow: 1,
+      cancelled: 1,
+      // a3 is still upcoming and a4 cancelled, so only a1 and a2 count
+      showRate: 0.5,
+      byCalendar: [
+        { id: "k2", name: "Cleaning", booked: 3, confirmed: 1, showed: 0, noShow: 0, cancelled: 1, showRate: 0 },
+        { id: "k1", name: "Consultation", booked: 2, confirmed: 0, showed: 1, noShow: 1, cancelled: 0, showRate: 0.5 },
+      ],
+      bySource: [
+        { name: "Facebook Ads", booked: 3, confirmed: 1, showed: 1, showRate: 1 },
+        { name: "Google Ads", booked: 1, noShow: 1, showRate: 0 },
+        { name: "Unknown", booked: 1, cancelled: 1, showRate: 0 },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+
+    // One events request per calendar, from the start of the period
+    const eventRequests = stub.requests.filter((r) => r.path === "/calendars/events");
+    expect(eventRequests.map((r) => r.query.calendarId).sort()).toEqual(["k1", "k2"]);
+    expect(eventRequests[0].query.startTime).toBe(String(new Date(2026, 2, 1).getTime()));
+  });
+
+  it("narrows to one rep's appointments", async () => {
+    const { body } = await callRoute(GET, `/api/appointments?${RANGE_QUERY}&rep=u1`);
+
+    expect(body).toMatchObject({ booked: 3, showed: 1, noShow: 1, showRate: 0.5 });
+    expect(body.byCalendar.map((c) => [c.name, c.booked])).toEqual([
+      ["Consultation", 2],
+      ["Cleaning", 1],
+    ]);
+  });
+
+  it("only counts appointments with tagged contacts", async () => {
+    const { body } = await callRoute(GET, `/api/appointments?${RANGE_QUERY}&tag=hot`);
+
+    // c1's a1 and a6; c5's a5 was booked in February
+    expect(body).toMatchObject({ booked: 2, showed: 1, showRate: 1 });
+  });
+});
@@ -0,0 +1,182 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { createShareLink, signToken, verifyToken, SESSION_COOKIE } from "@/lib/auth";
+import { POST as login } from "@/app/api/auth/login/route";
+import { POST as logout } from "@/app/api/auth/logout/route";
+import { GET as openShareLink } from "@/app/s/[token]/route";
+import { DELETE as revokeLink } from "@/app/api/share-links/[id]/route";
+import { GET as getSummary } from "@/app/api/summary/route";
+import { GET as getVelocity } from "@/app/api/velocity/route";
+
+let stub;
+let tmpDir;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+  process.env.ADMIN_PASSWORD = "letmein";
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+  process.env.SHARE_LINKS_FILE = path.join(tmpDir, "share-links.json");
+});
+
+afterAll(async () => {
+  await stub.close();
+  delete process.env.ADMIN_PASSWORD;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The session cookie a response sets, as a request Cookie header
+function sessionCookieOf(response) {
+  const match = response.headers.get("set-cookie")?.match(`${SESSION_COOKIE}=([^;]*)`);
+  return match ? `${SESSION_COOKIE}=${match[1]}` : null;
+}
+
+const open = (token) =>
+  callRoute(openShareLink, `/s/${token}`, { cookie: null, params: { token } });
+
+describe("POST /api/auth/login", () => {
+  it("sets an admin session cookie for ADMIN_PASSWORD", async () => {
+    const response = await callRoute(login, "/api/auth/login", {
+      cookie: null,
+      method: "POST",
+      body: { password: "letmein" },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("set-cookie")).toMatch(/HttpOnly/i);
+    const token = sessionCookieOf(response).split("=")[1];
+    expect(verifyToken(token)).toMatchObject({ typ: "session", role: "admin" });
+  });
+
+  it("rejects a wrong or missing password without a cookie", async () => {
+    for (const body of [{ password: "nope" }, {}]) {
+      const response = await callRoute(login, "/api/auth/login", {
+        cookie: null,
+        method: "POST",
+        body,
+      });
+      expect(response.status).toBe(401);
+      expect(sessionCookieOf(response)).toBeNull();
+    }
+  });
+});
+
+describe("POST /api/auth/logout", () => {
+  it("clears the session cookie", async () => {
+    const response = await callRoute(logout, "/api/auth/logout", { method: "POST" });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("set-cookie")).toMatch(
+      new RegExp(`${SESSION_COOKIE}=;.*Expires=Thu, 01 Jan 1970`, "i")
+    );
+  });
+});
+
+describe("GET /s/[token]", () => {
+  it("exchanges a share token for a viewer session on the client's dashboard", async () => {
+    const { link, token } = createShareLink({
+      client: "default",
+      from: "2026-03-01",
+      to: "2026-03-31",
+    });
+
+    const response = await open(token);
+
+    expect(response.status).toBe(307);
+    expect(response.headers.get("location")).toBe("http://localhost/c/default");
+    const session = verifyToken(sessionCookieOf(response).split("=")[1]);
+    expect(session).toMatchObject({
+      typ: "session",
+      role: "viewer",
+      lid: link.id,
+      client: "default",
+      from: "2026-03-01",
+      to: "2026-03-31",
+      exp: Math.floor(new Date(link.expiresAt).getTime() / 1000),
+    });
+  });
+
+  it.each([
+    ["forged", () => `${createShareLink({ client: "default" }).token.split(".")[0]}.forged`],
+    [
+      "expired",
+      () => {
+        const { link } = createShareLink({ client: "default" });
+        return signToken({ typ: "share", lid: link.id, client: "default", exp: 1 });
+      },
+    ],
+    [
+      "session (not share)",
+      () => signToken({ typ: "session", role: "admin", exp: Date.now() / 1000 + 60 }),
+    ],
+  ])("sends a %s token to /login without a session", async (_, makeToken) => {
+    const response = await open(makeToken());
+
+    expect(response.status).toBe(307);
+    expect(response.headers.get("location")).toBe("http://localhost/login?error=link");
+    expect(sessionCookieOf(response)).toBeNull();
+  });
+
+  it("stops working, with the sessions it opened, once the link is revoked", async () => {
+    const { link, token } = createShareLink({ client: "default" });
+    const cookie = sessionCookieOf(await open(token));
+
+    const before = await callRoute(getSummary, `/api/summary?${RANGE_QUERY}`, { cookie });
+    expect(before.status).toBe(200);
+
+    await callRoute(revokeLink, `/api/share-links/${link.id}`, {
+      method: "DELETE",
+      params: { id: link.id },
+    });
+
+    const after = await callRoute(getSummary, `/api/summary?${RANGE_QUERY}`, { cookie });
+    expect(after.status).toBe(401);
+    expect((await open(token)).headers.get("location")).toBe(
+      "http://localhost/login?error=link"
+    );
+  });
+
+  it("keeps a range-locked session inside its range", async () => {
+    const { token } = createShareLink({ client: "default", from: "2026-03-01", to: "2026-03-31" });
+    const cookie = sessionCookieOf(await open(token));
+
+    const inside = await callRoute(getSummary, `/api/summary?${RANGE_QUERY}`, { cookie });
+    const outside = await callRoute(
+      getSummary,
+      "/api/summary?range=custom&from=2026-03-01&to=2026-04-30",
+      { cookie }
+    );
+    const otherClient = await callRoute(
+      getSummary,
+      `/api/summary?client=other&${RANGE_QUERY}`,
+      { cookie }
+    );
+
+    expect(inside.status).toBe(200);
+    expect(inside.body.comparison).toBeNull();
+    expect(inside.body.meta.previousPeriod).toBeNull();
+    expect(outside.status).toBe(403);
+    expect(otherClient.status).toBe(403);
+  });
+
+  it("keeps lookups outside the period inside the locked range", async () => {
+    const { token } = createShareLink({ client: "default", from: "2026-03-03", to: "2026-03-31" });
+    const cookie = sessionCookieOf(await open(token));
+    const query = "range=custom&from=2026-03-03&to=2026-03-31";
+
+    const locked = await callRoute(getVelocity, `/api/velocity?${query}`, { cookie });
+    const admin = await callRoute(getVelocity, `/api/velocity?${query}`);
+
+    // Open deal o1 was created on March 2, before the locked range
+    const newLeadStage = (body) => body.stageAging[0].stages[0];
+    expect(newLeadStage(admin.body).open).toBe(1);
+    expect(newLeadStage(locked.body).open).toBe(0);
+  });
+});
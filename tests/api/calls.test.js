@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/calls/route";
+
+let stub;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+afterEach(() => {
+  delete process.env.GHL_TIMEZONE;
+});
+
+describe("GET /api/calls", () => {
+  it("reports call volume, outcomes and unreturned missed calls", async () => {
+    const { status, body } = await callRoute(GET, `/api/calls?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      total: 5,
+      inbound: 3,
+      outbound: 2,
+      // m13 answered; m11 and m14 missed
+      answered: 1,
+      missed: 2,
+      answerRate: 1 / 3,
+      // m12 (5 min) and m13 (2 min)
+      avgTalkTimeMs: 3.5 * MINUTE_MS,
+      // m11 was returned after 30 minutes, m14 only after 2 hours
+      missedWithoutCallback: 1,
+      unreturned: [
+        {
+          id: "m14",
+          conversationId: "v3",
+          name: "Mia Brown",
+          phone: "N/A",
+          calledAt: "2026-03-25T11:00:00.000Z",
+          callbackMs: 2 * HOUR_MS,
+        },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("buckets calls by weekday and hour", async () => {
+    const { body } = await callRoute(GET, `/api/calls?${RANGE_QUERY}`);
+
+    expect(body.heatmap.map((row) => row.day)).toEqual([
+      "Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun",
+    ]);
+    expect(body.heatmap.every((row) => row.hours.length === 24)).toBe(true);
+    expect(body.heatmap.flatMap((row) => row.hours).reduce((a, b) => a + b)).toBe(5);
+
+    // Without a location time zone, cells are in the server's
+    const at = new Date("2026-03-22T14:00:00.000Z");
+    expect(body.heatmap[(at.getDay() + 6) % 7].hours[at.getHours()]).toBe(1);
+  });
+
+  it("buckets calls in the location's time zone when one is set", async () => {
+    process.env.GHL_TIMEZONE = "Pacific/Auckland";
+
+    const { body } = await callRoute(GET, `/api/calls?${RANGE_QUERY}`);
+
+    // Sunday 14:00 UTC is 03:00 on Monday in Auckland (UTC+13)
+    expect(body.heatmap[0].hours[3]).toBe(1);
+  });
+
+  it("only counts calls in a rep's conversations", async () => {
+    const { body } = await callRoute(GET, `/api/calls?${RANGE_QUERY}&rep=u1`);
+
+    // v2 is u1's; v3 is assigned to u2
+    expect(body).toMatchObject({ total: 2, missed: 1, missedWithoutCallback: 0, unreturned: [] });
+  });
+});
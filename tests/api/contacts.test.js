@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/contacts/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+describe("GET /api/contacts", () => {
+  it("reports new contacts in the period by source", async () => {
+    const { status, body } = await callRoute(GET, `/api/contacts?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      total: 6,
+      newInPeriod: 4,
+      sourceBreakdown: [
+        { name: "Facebook Ads", value: 2 },
+        { name: "Google Ads", value: 1 },
+        { name: "Unknown", value: 1 },
+      ],
+      sourcePerformance: [
+        // o3 belongs to c5, a February Referral lead
+        { name: "Referral", leads: 0, opportunities: 1, won: 1, lost: 0, wonValue: 5000, winRate: 1 },
+        { name: "Google Ads", leads: 1, opportunities: 1, won: 1, lost: 0, wonValue: 3000, winRate: 1 },
+        // o4 (c3) was lost
+        { name: "Facebook Ads", leads: 2, opportunities: 2, won: 0, lost: 1, wonValue: 0, winRate: 0 },
+        { name: "Unknown", leads: 1, opportunities: 1, won: 0, lost: 0, wonValue: 0, winRate: 0 },
+      ],
+      attribution: {
+        firstTouch: [
+          {
+            name: "paid_social",
+            leads: 2,
+            children: [
+              {
+                name: "spring_sale",
+                leads: 2,
+                children: [
+                  { name: "carousel", leads: 1 },
+                  { name: "video", leads: 1 },
+                ],
+              },
+            ],
+          },
+          { name: "cpc", leads: 1, children: [{ name: "brand", leads: 1, children: [{ name: "Unknown", leads: 1 }] }] },
+          // c4 has no attribution
+          { name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1 }] }] },
+        ],
+        lastTouch: [
+          {
+            name: "paid_social",
+            leads: 2,
+            // c3 was last touched by retargeting; c1 falls back to its first touch
+            children: [
+              { name: "retargeting", leads: 1, children: [{ name: "carousel", leads: 1 }] },
+              { name: "spring_sale", leads: 1, children: [{ name: "video", leads: 1 }] },
+            ],
+          },
+          { name: "cpc", leads: 1, children: [{ name: "brand", leads: 1, children: [{ name: "Unknown", leads: 1 }] }] },
+          { name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1 }] }] },
+        ],
+      },
+      // Tag case differences are merged
+      tagBreakdown: [
+        { name: "webinar-2026", value: 2 },
+        { name: "hot", value: 1 },
+      ],
+      availableTags: ["hot", "webinar-2026"],
+      // No custom fields configured: lead source only
+      dimensions: [{ key: "source", name: "Source", model: "contact" }],
+      dimensionBreakdown: {
+        source: [
+          { name: "Facebook Ads", value: 2, won: 0, wonValue: 0 },
+          { name: "Google Ads", value: 1, won: 1, wonValue: 3000 },
+          { name: "Unknown", value: 1, won: 0, wonValue: 0 },
+          { name: "Referral", value: 0, won: 1, wonValue: 5000 },
+        ],
+      },
+      recentContacts: [
+        { id: "c4", name: "Unknown", email: "anon@example.com", phone: "N/A", source: "Unknown", dateAdded: "2026-03-25T10:00:00.000Z", tags: [], firstTouch: null, lastTouch: null },
+        {
+          id: "c3",
+          name: "Mia Brown",
+          email: "mia@example.com",
+          phone: "N/A",
+          source: "Facebook Ads",
+          dateAdded: "2026-03-20T10:00:00.000Z",
+          tags: [],
+          firstTouch: { source: "facebook", medium: "paid_social", campaign: "spring_sale", content: "carousel", referrer: null },
+          lastTouch: { source: "facebook", medium: "paid_social", campaign: "retargeting", content: "carousel", referrer: null },
+        },
+        {
+          id: "c2",
+          name: "Liam Jones",
+          email: "N/A",
+          phone: "N/A",
+          source: "Google Ads",
+          dateAdded: "2026-03-10T10:00:00.000Z",
+          tags: ["Webinar-2026"],
+          firstTouch: { source: "google", medium: "cpc", campaign: "brand", content: null, referrer: "https://www.google.com/" },
+          lastTouch: { source: "google", medium: "cpc", campaign: "brand", content: null, referrer: "https://www.google.com/" },
+        },
+        {
+          id: "c1",
+          name: "Ava Smith",
+          email: "ava@example.com",
+          phone: "+15550001",
+          source: "Facebook Ads",
+          dateAdded: "2026-03-05T10:00:00.000Z",
+          tags: ["hot", "webinar-2026"],
+          firstTouch: { source: "facebook", medium: "paid_social", campaign: "spring_sale", content: "video", referrer: null },
+          lastTouch: { source: "facebook", medium: "paid_social", campaign: "spring_sale", content: "video", referrer: null },
+        },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("rejects an invalid date range", async () => {
+    const { status, body } = await callRoute(GET, "/api/contacts?range=year");
+    expect(status).toBe(400);
+    expect(body.error).toBe("Invalid date range");
+  });
+
+  it("requires a session", async () => {
+    const { status } = await callRoute(GET, `/api/contacts?${RANGE_QUERY}`, { cookie: null });
+    expect(status).toBe(401);
+  });
+
+  it("returns a 500 with details when GHL fails", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    stub.handler = () => ({ status: 401, body: { message: "Invalid JWT" } });
+
+    const { status, body } = await callRoute(GET, `/api/contacts?${RANGE_QUERY}`);
+
+    stub.handler = null;
+    expect(status).toBe(500);
+    expect(body).toEqual({
+      error: "Failed to fetch contacts",
+      details: "GHL API Error (401): Invalid JWT",
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/conversations/route";
+
+let stub;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+describe("GET /api/conversations", () => {
+  it("counts active conversations and the response rate", async () => {
+    const { status, body } = await callRoute(GET, `/api/conversations?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      total: 4,
+      // v2 and v4 have unread messages
+      openCount: 2,
+      closedCount: 2,
+      // Message history: v1, v2 and v3 were answered, v4 wasn't
+      responseRate: 0.75,
+      // 3 minutes, 2 hours and 30 hours
+      medianResponseMs: 2 * HOUR_MS,
+      p90ResponseMs: expect.closeTo(2 * HOUR_MS + 0.8 * 28 * HOUR_MS),
+      answeredWithin: [
+        { label: "5 minutes", ms: 5 * 60 * 1000, share: 0.25 },
+        { label: "1 hour", ms: HOUR_MS, share: 0.25 },
+        { label: "24 hours", ms: 24 * HOUR_MS, share: 0.5 },
+      ],
+      channels: [
+        { name: "SMS", conversations: 2, open: 0, answered: 2, unanswered: 0, responseRate: 1 },
+        { name: "Email", conversations: 1, open: 1, answered: 1, unanswered: 0, responseRate: 1 },
+        { name: "Facebook", conversations: 1, open: 1, answered: 0, unanswered: 1, responseRate: 0 },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("only fetches message history for conversations active in the period", async () => {
+    stub.requests = [];
+    await callRoute(GET, `/api/conversations?${RANGE_QUERY}`);
+
+    const fetched = stub.requests
+      .map((r) => r.path.match(/^\/conversations\/(\w+)\/messages$/)?.[1])
+      .filter(Boolean)
+      .sort();
+    // v5 was last active in February
+    expect(fetched).toEqual(["v1", "v2", "v3", "v4"]);
+  });
+});
@@ -0,0 +1,93 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute, sessionCookie } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { createShareLink } from "@/lib/auth";
+import { GET, PUT } from "@/app/api/dimensions/route";
+import { GET as getSummary } from "@/app/api/summary/route";
+
+let stub;
+let tmpDir;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dimensions-test-"));
+  process.env.SHARE_LINKS_FILE = path.join(tmpDir, "share-links.json");
+  process.env.DIMENSIONS_FILE = path.join(tmpDir, "dimensions.json");
+});
+
+afterAll(async () => {
+  await stub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+afterEach(() => fs.rmSync(process.env.DIMENSIONS_FILE, { force: true }));
+
+const configure = (fieldIds) =>
+  callRoute(PUT, "/api/dimensions", { method: "PUT", body: { client: "default", fieldIds } });
+
+describe("/api/dimensions", () => {
+  it("lists the location's custom fields and the current selection", async () => {
+    const { status, body } = await callRoute(GET, "/api/dimensions?client=default");
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      client: "default",
+      fields: [
+        { id: "f1", name: "Service Type", fieldKey: "contact.service_type", model: "contact", dataType: "SINGLE_OPTIONS" },
+        { id: "f2", name: "Deal Type", fieldKey: "opportunity.deal_type", model: "opportunity", dataType: "SINGLE_OPTIONS" },
+      ],
+      selected: [],
+    });
+  });
+
+  it("saves a selection of existing fields", async () => {
+    const { status, body } = await configure(["f2", "f1", "f2"]);
+
+    expect(status).toBe(200);
+    expect(body.selected).toEqual(["f2", "f1"]);
+    expect((await callRoute(GET, "/api/dimensions?client=default")).body.selected).toEqual(["f2", "f1"]);
+  });
+
+  it("rejects unknown clients and fields", async () => {
+    expect((await callRoute(GET, "/api/dimensions?client=nope")).status).toBe(400);
+
+    const { status, body } = await configure(["f1", "gone"]);
+    expect(status).toBe(400);
+    expect(body.details).toBe('Unknown custom field "gone"');
+  });
+
+  it("is admin only", async () => {
+    const { link } = createShareLink({ client: "default" });
+    const cookie = sessionCookie({ role: "viewer", lid: link.id, client: "default" });
+    expect((await callRoute(GET, "/api/dimensions?client=default", { cookie })).status).toBe(403);
+  });
+
+  it("makes configured fields available to group and filter the dashboard by", async () => {
+    await configure(["f1", "f2"]);
+
+    const { body } = await callRoute(getSummary, `/api/summary?${RANGE_QUERY}`);
+    expect(body.contacts.dimensions).toEqual([
+      { key: "source", name: "Source", model: "contact" },
+      { key: "f1", name: "Service Type", model: "contact" },
+      { key: "f2", name: "Deal Type", model: "opportunity" },
+    ]);
+    expect(body.contacts.dimensionBreakdown.f1).toEqual([
+      { name: "Implants", value: 2, won: 0, wonValue: 0 },
+      { name: "Cleaning", value: 1, won: 2, wonValue: 8000 },
+      { name: "Unknown", value: 1, won: 0, wonValue: 0 },
+    ]);
+
+    // c1 and c3, with o1 (open) and o4 (lost)
+    const filtered = await callRoute(getSummary, `/api/summary?${RANGE_QUERY}&dim=f1:Implants`);
+    expect(filtered.body.meta.filters.dimensions).toEqual([{ key: "f1", value: "Implants" }]);
+    expect(filtered.body.contacts).toMatchObject({ total: 2, newInPeriod: 2 });
+    expect(filtered.body.opportunities).toMatchObject({ total: 2, totalValue: 1000, winRate: 0 });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/opportunities/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+describe("GET /api/opportunities", () => {
+  it("aggregates opportunities created or closed in the period", async () => {
+    const { status, body } = await callRoute(GET, `/api/opportunities?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      // o1, o2, o4, o5 created in March; o3 created earlier but won in March
+      total: 5,
+      createdCount: 4,
+      totalValue: 11000,
+      pipelineBreakdown: [
+        {
+          id: "p1",
+          name: "Sales Pipeline",
+          total: 5,
+          totalValue: 11000,
+          stages: [
+            { id: "s1", name: "New Lead", value: 1, totalValue: 1000, avgValue: 1000 },
+            { id: "s2", name: "Proposal", value: 1, totalValue: 0, avgValue: 0 },
+            { id: "s3", name: "Closed", value: 2, totalValue: 8000, avgValue: 4000 },
+            // o5's stage no longer exists in the pipeline
+            { id: null, name: "Unknown", value: 1, totalValue: 2000, avgValue: 2000 },
+          ],
+        },
+      ],
+      funnel: [
+        {
+          id: "p1",
+          name: "Sales Pipeline",
+          // o1 at New Lead, o4 lost at Proposal, o2 + o3 won; o5 can't be placed
+          steps: [
+            { id: "s1", name: "New Lead", reached: 4, value: 9000, conversion: null },
+            { id: "s2", name: "Proposal", reached: 3, value: 8000, conversion: 0.75 },
+            { id: "s3", name: "Closed", reached: 2, value: 8000, conversion: 2 / 3 },
+            { id: "won", name: "Won", reached: 2, value: 8000, conversion: 1 },
+          ],
+        },
+      ],
+      // 2 won of 3 closed
+      winRate: 2 / 3,
+      wonCount: 2,
+      lostCount: 1,
+      // o4 has no value: (1000 + 3000 + 5000 + 2000) / 4
+      avgDealSize: 2750,
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("returns zero rates for a period with no activity", async () => {
+    const { body } = await callRoute(
+      GET,
+      "/api/opportunities?range=custom&from=2024-01-01&to=2024-01-31"
+    );
+    expect(body).toMatchObject({
+      total: 0,
+      totalValue: 0,
+      pipelineBreakdown: [
+        {
+          id: "p1",
+          name: "Sales Pipeline",
+          total: 0,
+          stages: [
+            { id: "s1", name: "New Lead", value: 0 },
+            { id: "s2", name: "Proposal", value: 0 },
+            { id: "s3", name: "Closed", value: 0 },
+          ],
+        },
+      ],
+      funnel: [
+        {
+          id: "p1",
+          steps: [
+            { id: "s1", reached: 0, value: 0, conversion: null },
+            { id: "s2", reached: 0, value: 0, conversion: 0 },
+            { id: "s3", reached: 0, value: 0, conversion: 0 },
+            { id: "won", reached: 0, value: 0, conversion: 0 },
+          ],
+        },
+      ],
+      winRate: 0,
+      avgDealSize: 0,
+    });
+  });
+});
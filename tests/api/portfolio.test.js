@@ -0,0 +1,98 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute, sessionCookie } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { createShareLink } from "@/lib/auth";
+import { GET } from "@/app/api/portfolio/route";
+import { GET as getSummary } from "@/app/api/summary/route";
+
+let stub;
+let tmpDir;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+
+  // Two clients: one with data, one missing its API key
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "portfolio-test-"));
+  process.env.GHL_LOCATIONS_FILE = path.join(tmpDir, "locations.json");
+  process.env.SHARE_LINKS_FILE = path.join(tmpDir, "share-links.json");
+  fs.writeFileSync(
+    process.env.GHL_LOCATIONS_FILE,
+    JSON.stringify({
+      locations: [
+        { slug: "alpha", locationId: "test-location", apiKey: "key-a", clientName: "Alpha" },
+        { slug: "beta", locationId: "loc-b", apiKeyEnv: "GHL_API_KEY_BETA", clientName: "Beta" },
+      ],
+    })
+  );
+});
+
+afterAll(async () => {
+  await stub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("GET /api/portfolio", () => {
+  it("returns one row per client, with failures isolated to their row", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const { status, body } = await callRoute(GET, `/api/portfolio?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body.clients).toEqual([
+      {
+        client: "alpha",
+        clientName: "Alpha",
+        leads: 6,
+        newLeads: 4,
+        pipelineValue: 11000,
+        winRate: 2 / 3,
+        responseRate: 0.75,
+        comparison: expect.objectContaining({
+          newLeads: { current: 4, previous: 1, change: 3 },
+          responseRate: { current: 0.75, previous: 1, change: -0.25 },
+        }),
+        trend: expect.any(Array),
+        // Response rate fell from 100% to 75%; win rate rose from a zero baseline
+        dropped: ["responseRate"],
+        error: null,
+      },
+      {
+        client: "beta",
+        clientName: "Beta",
+        error: 'No API key configured for location "beta"',
+      },
+    ]);
+    expect(body.clients[0].trend).toHaveLength(8);
+    expect(body.clients[0].trend.reduce((a, b) => a + b, 0)).toBe(4);
+    // Only the KPI sources: no users or calendars
+    expect(stub.requests.filter((r) => /calendars|users/.test(r.path))).toEqual([]);
+    expect(body.meta).toMatchObject({
+      period: { range: "custom" },
+      previousPeriod: { range: "custom" },
+    });
+  });
+
+  it("reports the same KPIs as the client's dashboard", async () => {
+    const portfolio = await callRoute(GET, `/api/portfolio?${RANGE_QUERY}`);
+    const summary = await callRoute(getSummary, `/api/summary?client=alpha&${RANGE_QUERY}`);
+
+    const [alpha] = portfolio.body.clients;
+    expect(alpha.comparison).toEqual(summary.body.comparison);
+    expect(alpha.responseRate).toBe(summary.body.conversations.responseRate);
+  });
+
+  it("is admin only", async () => {
+    const { link } = createShareLink({ client: "alpha" });
+    const cookie = sessionCookie({ role: "viewer", lid: link.id, client: "alpha" });
+
+    const { status } = await callRoute(GET, `/api/portfolio?${RANGE_QUERY}`, { cookie });
+
+    expect(status).toBe(403);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import { NextRequest } from "next/server";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute, sessionCookie } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/report/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+afterEach(() => {
+  process.env.CLIENT_NAME = "Test Client";
+});
+
+// Request the PDF as an admin
+const getReport = () =>
+  GET(
+    new NextRequest(`http://localhost/api/report?${RANGE_QUERY}`, {
+      headers: { cookie: sessionCookie() },
+    })
+  );
+
+describe("GET /api/report", () => {
+  it("streams the PDF report as a download", async () => {
+    const response = await getReport();
+    const pdf = Buffer.from(await response.arrayBuffer());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toBe("application/pdf");
+    expect(response.headers.get("content-disposition")).toMatch(
+      /^attachment; filename="Test-Client-Report-\d{4}-\d{2}-\d{2}\.pdf"; filename\*=UTF-8''Test-Client-Report-\d{4}-\d{2}-\d{2}\.pdf$/
+    );
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("keeps the header valid for client names outside Latin-1", async () => {
+    process.env.CLIENT_NAME = 'Zoë "Smile" 🦷 Clinic';
+
+    const response = await getReport();
+    const disposition = response.headers.get("content-disposition");
+
+    expect(response.status).toBe(200);
+    expect(disposition).toMatch(/^attachment; filename="Zoe-Smile-Clinic-Report-[\d-]+\.pdf"; /);
+    expect(decodeURIComponent(disposition.split("filename*=UTF-8''")[1])).toMatch(
+      /^Zoë-"Smile"-🦷-Clinic-Report-[\d-]+\.pdf$/
+    );
+  });
+
+  it("rejects an invalid date range", async () => {
+    const { status, body } = await callRoute(GET, "/api/report?range=decade");
+
+    expect(status).toBe(400);
+    expect(body.error).toBe("Invalid date range");
+  });
+
+  it("requires a session", async () => {
+    const { status } = await callRoute(GET, `/api/report?${RANGE_QUERY}`, { cookie: null });
+
+    expect(status).toBe(401);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/reps/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+describe("GET /api/reps", () => {
+  it("ranks reps by won value with their deals and conversations", async () => {
+    const { status, body } = await callRoute(GET, `/api/reps?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      leaderboard: [
+        // o3 won; v3 answered
+        { id: "u2", name: "Taylor Brooks", opportunities: 1, won: 1, lost: 0, wonValue: 5000, winRate: 1, conversations: 1, openConversations: 0, responseRate: 1 },
+        // o1 open, o2 won, o4 lost; v1 answered, v2 unread
+        { id: "u1", name: "Jordan Reyes", opportunities: 3, won: 1, lost: 1, wonValue: 3000, winRate: 0.5, conversations: 2, openConversations: 1, responseRate: 1 },
+        // o5 and v4
+        { id: null, name: "Unassigned", opportunities: 1, won: 0, lost: 0, wonValue: 0, winRate: 0, conversations: 1, openConversations: 1, responseRate: 0 },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("lists every rep for a period with no activity", async () => {
+    const { body } = await callRoute(GET, "/api/reps?range=custom&from=2024-01-01&to=2024-01-31");
+
+    expect(body.leaderboard.map((rep) => [rep.name, rep.opportunities])).toEqual([
+      ["Jordan Reyes", 0],
+      ["Taylor Brooks", 0],
+    ]);
+  });
+});
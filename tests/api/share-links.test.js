@@ -0,0 +1,165 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { callRoute, sessionCookie } from "../helpers/routes";
+import { createShareLink, verifyShareToken } from "@/lib/auth";
+import { GET, POST } from "@/app/api/share-links/route";
+import { DELETE } from "@/app/api/share-links/[id]/route";
+
+let tmpDir;
+
+const DAY_MS = 86400000;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "share-links-test-"));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Each test starts from an empty link store
+beforeEach(() => {
+  process.env.SHARE_LINKS_FILE = path.join(tmpDir, `${crypto.randomUUID()}.json`);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const viewerCookie = (link) =>
+  sessionCookie({ role: "viewer", lid: link.id, client: link.client });
+
+const create = (body, options) =>
+  callRoute(POST, "/api/share-links", { method: "POST", body, ...options });
+
+describe("POST /api/share-links", () => {
+  it("creates a link whose URL carries a verifiable share token", async () => {
+    const { status, body } = await create({
+      client: "default",
+      from: "2026-03-01",
+      to: "2026-03-31",
+      label: "Owner",
+    });
+
+    expect(status).toBe(201);
+    expect(body.link).toMatchObject({
+      client: "default",
+      from: "2026-03-01",
+      to: "2026-03-31",
+      label: "Owner",
+      revokedAt: null,
+      status: "active",
+    });
+    expect(new Date(body.link.expiresAt) - new Date(body.link.createdAt)).toBe(30 * DAY_MS);
+
+    const [, token] = body.url.match(/^http:\/\/localhost\/s\/(.+)$/);
+    expect(verifyShareToken(token)).toMatchObject({
+      typ: "share",
+      lid: body.link.id,
+      client: "default",
+      from: "2026-03-01",
+      to: "2026-03-31",
+    });
+  });
+
+  it("rejects an unknown client", async () => {
+    const { status, body } = await create({ client: "nope" });
+
+    expect(status).toBe(400);
+    expect(body.details).toBe('Unknown client "nope"');
+  });
+
+  it("rejects a date scope with only one end", async () => {
+    const { status } = await create({ client: "default", from: "2026-03-01" });
+
+    expect(status).toBe(400);
+  });
+
+  it.each([-5, 0, 1.5, "soon"])("rejects expiresInDays %s", async (expiresInDays) => {
+    const { status, body } = await create({ client: "default", expiresInDays });
+
+    expect(status).toBe(400);
+    expect(body.details).toBe("expiresInDays must be a positive whole number of days");
+  });
+
+  it("accepts a whole number of days sent as a string", async () => {
+    const { status, body } = await create({ client: "default", expiresInDays: "7" });
+
+    expect(status).toBe(201);
+    expect(new Date(body.link.expiresAt) - new Date(body.link.createdAt)).toBe(7 * DAY_MS);
+  });
+
+  it("is admin only", async () => {
+    const { link } = createShareLink({ client: "default" });
+
+    expect((await create({ client: "default" }, { cookie: null })).status).toBe(401);
+    expect((await create({ client: "default" }, { cookie: viewerCookie(link) })).status).toBe(403);
+  });
+});
+
+describe("GET /api/share-links", () => {
+  it("lists links newest first with their status, without tokens", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-03-01T00:00:00.000Z"));
+    const expired = createShareLink({ client: "default", expiresInDays: 1 }).link;
+    vi.setSystemTime(new Date("2026-03-02T00:00:00.000Z"));
+    const revoked = createShareLink({ client: "default" }).link;
+    await callRoute(DELETE, `/api/share-links/${revoked.id}`, {
+      method: "DELETE",
+      params: { id: revoked.id },
+    });
+    vi.setSystemTime(new Date("2026-03-03T00:00:00.000Z"));
+    const active = createShareLink({ client: "default" }).link;
+
+    const { status, body } = await callRoute(GET, "/api/share-links");
+
+    expect(status).toBe(200);
+    expect(body.links.map((link) => [link.id, link.status])).toEqual([
+      [active.id, "active"],
+      [revoked.id, "revoked"],
+      [expired.id, "expired"],
+    ]);
+    expect(JSON.stringify(body)).not.toMatch(/token/i);
+  });
+
+  it("is admin only", async () => {
+    const { link } = createShareLink({ client: "default" });
+
+    expect((await callRoute(GET, "/api/share-links", { cookie: null })).status).toBe(401);
+    expect(
+      (await callRoute(GET, "/api/share-links", { cookie: viewerCookie(link) })).status
+    ).toBe(403);
+  });
+});
+
+describe("DELETE /api/share-links/[id]", () => {
+  const revoke = (id, options) =>
+    callRoute(DELETE, `/api/share-links/${id}`, { method: "DELETE", params: { id }, ...options });
+
+  it("revokes a link and keeps the first revocation time", async () => {
+    const { link, token } = createShareLink({ client: "default" });
+
+    const first = await revoke(link.id);
+    const second = await revoke(link.id);
+
+    expect(first.status).toBe(200);
+    expect(first.body.link.revokedAt).toEqual(expect.any(String));
+    expect(second.body.link.revokedAt).toBe(first.body.link.revokedAt);
+    expect(verifyShareToken(token)).toBeNull();
+  });
+
+  it("returns 404 for an unknown link", async () => {
+    const { status } = await revoke("nope");
+
+    expect(status).toBe(404);
+  });
+
+  it("is admin only", async () => {
+    const { link } = createShareLink({ client: "default" });
+
+    expect((await revoke(link.id, { cookie: null })).status).toBe(401);
+    expect((await revoke(link.id, { cookie: viewerCookie(link) })).status).toBe(403);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/speed-to-lead/route";
+
+let stub;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+afterEach(() => {
+  delete process.env.GHL_TIMEZONE;
+});
+
+describe("GET /api/speed-to-lead", () => {
+  it("times new leads to their first outbound message", async () => {
+    const { status, body } = await callRoute(GET, `/api/speed-to-lead?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      leads: 4,
+      // c1 after 4 minutes, c2 after 2.5 hours, c3 after 30 hours
+      contacted: 3,
+      contactRate: 0.75,
+      medianMs: 2.5 * HOUR_MS,
+      buckets: [
+        { label: "Under 5 min", count: 1, share: 0.25 },
+        { label: "5–30 min", count: 0, share: 0 },
+        { label: "30–60 min", count: 0, share: 0 },
+        { label: "1–24 hours", count: 1, share: 0.25 },
+        { label: "Over 24 hours", count: 1, share: 0.25 },
+      ],
+      neverContacted: [
+        {
+          id: "c4",
+          name: "Unknown",
+          email: "anon@example.com",
+          phone: "N/A",
+          source: "Unknown",
+          assignedTo: null,
+          dateAdded: "2026-03-25T10:00:00.000Z",
+          waitingMs: expect.any(Number),
+        },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+
+    // One point per day of March
+    expect(body.trend).toHaveLength(31);
+    const day = (date) => body.trend.find((point) => point.date === date);
+    expect(day("2026-03-05")).toEqual({ date: "2026-03-05", leads: 1, contacted: 1, medianMs: 4 * MINUTE_MS });
+    expect(day("2026-03-25")).toEqual({ date: "2026-03-25", leads: 1, contacted: 0, medianMs: null });
+    expect(day("2026-03-06")).toEqual({ date: "2026-03-06", leads: 0, contacted: 0, medianMs: null });
+  });
+
+  it("groups the trend by the location's calendar day", async () => {
+    process.env.GHL_TIMEZONE = "Pacific/Kiritimati";
+
+    const { body } = await callRoute(GET, `/api/speed-to-lead?${RANGE_QUERY}`);
+
+    // c1 arrived at 10:00 UTC on Mar 5, midnight of Mar 6 at UTC+14
+    const day = (date) => body.trend.find((point) => point.date === date);
+    expect(day("2026-03-05")).toMatchObject({ leads: 0 });
+    expect(day("2026-03-06")).toMatchObject({ leads: 1, contacted: 1 });
+  });
+
+  it("only counts a rep's own conversations with their leads", async () => {
+    const { body } = await callRoute(GET, `/api/speed-to-lead?${RANGE_QUERY}&rep=u1`);
+
+    // u1 owns c1–c3, but c3's conversation (v3) is assigned to u2
+    expect(body).toMatchObject({ leads: 3, contacted: 2 });
+    expect(body.neverContacted.map((lead) => [lead.id, lead.assignedTo])).toEqual([
+      ["c3", "Jordan Reyes"],
+    ]);
+  });
+});
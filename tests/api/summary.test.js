@@ -0,0 +1,217 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute, sessionCookie } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { createShareLink } from "@/lib/auth";
+import { GET } from "@/app/api/summary/route";
+
+let stub;
+let tmpDir;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "summary-test-"));
+  process.env.SHARE_LINKS_FILE = path.join(tmpDir, "share-links.json");
+});
+
+afterAll(async () => {
+  await stub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("GET /api/summary", () => {
+  it("combines every section with previous-period comparison", async () => {
+    const { status, body } = await callRoute(GET, `/api/summary?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      contacts: {
+        total: 6,
+        newInPeriod: 4,
+        sourceBreakdown: [
+          { name: "Facebook Ads", value: 2 },
+          { name: "Google Ads", value: 1 },
+          { name: "Unknown", value: 1 },
+        ],
+        sourcePerformance: [
+          // o3 belongs to c5, a February Referral lead
+          { name: "Referral", leads: 0, opportunities: 1, won: 1, lost: 0, wonValue: 5000, winRate: 1 },
+          { name: "Google Ads", leads: 1, opportunities: 1, won: 1, lost: 0, wonValue: 3000, winRate: 1 },
+          // o4 (c3) was lost
+          { name: "Facebook Ads", leads: 2, opportunities: 2, won: 0, lost: 1, wonValue: 0, winRate: 0 },
+          { name: "Unknown", leads: 1, opportunities: 1, won: 0, lost: 0, wonValue: 0, winRate: 0 },
+        ],
+        attribution: { firstTouch: expect.any(Array), lastTouch: expect.any(Array) },
+        tagBreakdown: [
+          { name: "webinar-2026", value: 2 },
+          { name: "hot", value: 1 },
+        ],
+        availableTags: ["hot", "webinar-2026"],
+        dimensions: [{ key: "source", name: "Source", model: "contact" }],
+        dimensionBreakdown: { source: expect.any(Array) },
+        recentContacts: expect.any(Array),
+      },
+      opportunities: {
+        total: 5,
+        createdCount: 4,
+        totalValue: 11000,
+        pipelineBreakdown: [
+          {
+            id: "p1",
+            name: "Sales Pipeline",
+            total: 5,
+            totalValue: 11000,
+            stages: [
+              { id: "s1", name: "New Lead", value: 1, totalValue: 1000, avgValue: 1000 },
+              { id: "s2", name: "Proposal", value: 1, totalValue: 0, avgValue: 0 },
+              { id: "s3", name: "Closed", value: 2, totalValue: 8000, avgValue: 4000 },
+              // o5's stage no longer exists in the pipeline
+              { id: null, name: "Unknown", value: 1, totalValue: 2000, avgValue: 2000 },
+            ],
+          },
+        ],
+        funnel: [
+          {
+            id: "p1",
+            name: "Sales Pipeline",
+            steps: [
+              { id: "s1", name: "New Lead", reached: 4, value: 9000, conversion: null },
+              { id: "s2", name: "Proposal", reached: 3, value: 8000, conversion: 0.75 },
+              { id: "s3", name: "Closed", reached: 2, value: 8000, conversion: 2 / 3 },
+              { id: "won", name: "Won", reached: 2, value: 8000, conversion: 1 },
+            ],
+          },
+        ],
+        winRate: 2 / 3,
+        wonCount: 2,
+        lostCount: 1,
+        avgDealSize: 2750,
+      },
+      velocity: {
+        salesVelocity: expect.closeTo((4 * (2 / 3) * 2750) / 19.5),
+        opportunities: 4,
+        winRate: 2 / 3,
+        avgDealSize: 2750,
+        avgDaysToClose: 19.5,
+        stageAging: expect.any(Array),
+      },
+      conversations: {
+        total: 4,
+        openCount: 2,
+        closedCount: 2,
+        responseRate: 0.75,
+        medianResponseMs: 2 * 60 * 60 * 1000,
+        p90ResponseMs: expect.any(Number),
+        answeredWithin: expect.any(Array),
+        channels: expect.any(Array),
+      },
+      calls: expect.objectContaining({ total: 5, missed: 2, missedWithoutCallback: 1 }),
+      speedToLead: expect.objectContaining({ leads: 4, contacted: 3 }),
+      appointments: expect.objectContaining({ booked: 5, showRate: 0.5 }),
+      reps: { leaderboard: expect.any(Array) },
+      // Previous period (Jan 29 – Feb 28): c5, o3 + o6 created, o6 lost, v5 answered
+      comparison: {
+        newLeads: { current: 4, previous: 1, change: 3 },
+        pipelineValue: { current: 11000, previous: 5400, change: 5600 / 5400 },
+        winRate: { current: 2 / 3, previous: 0, change: 1 },
+        conversations: { current: 4, previous: 1, change: 3 },
+        responseRate: { current: 0.75, previous: 1, change: -0.25 },
+      },
+      meta: {
+        generatedAt: expect.any(String),
+        period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+        previousPeriod: { range: "custom", from: expect.any(String), to: expect.any(String) },
+        client: "default",
+        agencyName: expect.any(String),
+        clientName: "Test Client",
+        filters: { tags: [], dimensions: [], rep: null },
+      },
+    });
+    expect(body.contacts.recentContacts.map((c) => c.id)).toEqual(["c4", "c3", "c2", "c1"]);
+    expect(new Date(body.meta.previousPeriod.to) < new Date(body.meta.period.from)).toBe(true);
+  });
+
+  it("scopes every section to contacts carrying all selected tags", async () => {
+    const { status, body } = await callRoute(GET, `/api/summary?${RANGE_QUERY}&tag=HOT`);
+
+    expect(status).toBe(200);
+    expect(body.meta.filters).toEqual({ tags: ["hot"], dimensions: [], rep: null });
+    // c1 (new in March) and c5; o1 is c1's, o3 (won in March) is c5's
+    expect(body.contacts).toMatchObject({ total: 2, newInPeriod: 1 });
+    expect(body.opportunities).toMatchObject({ total: 2, totalValue: 6000, winRate: 1 });
+    // Only c1's conversation was active in March
+    expect(body.conversations.total).toBe(1);
+    // KPIs are compared within the segment too: c5 was added in February
+    expect(body.comparison.newLeads).toEqual({ current: 1, previous: 1, change: 0 });
+
+    const both = await callRoute(GET, `/api/summary?${RANGE_QUERY}&tag=hot&tag=webinar-2026`);
+    expect(both.body.contacts.total).toBe(1);
+    expect(both.body.opportunities.total).toBe(1);
+  });
+
+  it("omits the comparison for share links locked to a date range", async () => {
+    const { link } = createShareLink({ client: "default", from: "2026-03-01", to: "2026-03-31" });
+    const cookie = sessionCookie({
+      role: "viewer",
+      lid: link.id,
+      client: "default",
+      from: link.from,
+      to: link.to,
+    });
+
+    const { status, body } = await callRoute(GET, `/api/summary?${RANGE_QUERY}`, { cookie });
+
+    expect(status).toBe(200);
+    expect(body.comparison).toBeNull();
+    expect(body.meta.previousPeriod).toBeNull();
+    expect(body.opportunities.winRate).toBe(2 / 3);
+  });
+
+  it("forbids a locked link from reading outside its range", async () => {
+    const { link } = createShareLink({ client: "default", from: "2026-03-01", to: "2026-03-31" });
+    const cookie = sessionCookie({ role: "viewer", lid: link.id, client: "default", from: link.from, to: link.to });
+
+    const { status } = await callRoute(GET, "/api/summary?range=custom&from=2026-02-01&to=2026-03-31", { cookie });
+
+    expect(status).toBe(403);
+  });
+
+  it("rejects an unknown client", async () => {
+    const { status, body } = await callRoute(GET, `/api/summary?client=nope&${RANGE_QUERY}`);
+    expect(status).toBe(404);
+    expect(body.error).toBe("Invalid client");
+  });
+
+  it("does not reveal which clients exist to callers without access", async () => {
+    const { link } = createShareLink({ client: "default" });
+    const viewer = sessionCookie({ role: "viewer", lid: link.id, client: "default" });
+
+    for (const slug of ["nope", "default"]) {
+      const anonymous = await callRoute(GET, `/api/summary?client=${slug}&${RANGE_QUERY}`, {
+        cookie: null,
+      });
+      expect(anonymous.status).toBe(401);
+    }
+    const unknown = await callRoute(GET, `/api/summary?client=nope&${RANGE_QUERY}`, {
+      cookie: viewer,
+    });
+    expect(unknown.status).toBe(403);
+  });
+
+  it("scopes every section to one sales rep", async () => {
+    const { body } = await callRoute(GET, `/api/summary?${RANGE_QUERY}&rep=u2`);
+
+    expect(body.meta.filters.rep).toBe("u2");
+    // c5 (February) and o3 (won in March); v3 answered
+    expect(body.contacts).toMatchObject({ total: 1, newInPeriod: 0 });
+    expect(body.opportunities).toMatchObject({ total: 1, wonCount: 1, totalValue: 5000 });
+    expect(body.conversations).toMatchObject({ total: 1, responseRate: 1 });
+    expect(body.reps.leaderboard.map((rep) => rep.opportunities)).toEqual([1, 0]);
+  });
+});
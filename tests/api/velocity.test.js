@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+import { callRoute } from "../helpers/routes";
+import { dataset, RANGE_QUERY } from "../helpers/dataset";
+import { GET } from "@/app/api/velocity/route";
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  stub.datasets["test-location"] = dataset;
+  process.env.GHL_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+describe("GET /api/velocity", () => {
+  it("reports days to close, sales velocity and time in stage", async () => {
+    const { status, body } = await callRoute(GET, `/api/velocity?${RANGE_QUERY}`);
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      // 4 created × 2/3 won × $2,750 ÷ 19.5 days
+      salesVelocity: expect.closeTo((4 * (2 / 3) * 2750) / 19.5),
+      opportunities: 4,
+      winRate: 2 / 3,
+      avgDealSize: 2750,
+      // o2 won after 9 days, o3 after 30
+      avgDaysToClose: 19.5,
+      stageAging: [
+        {
+          id: "p1",
+          name: "Sales Pipeline",
+          // o1 is the only open deal in a known stage, created Mar 2
+          stages: [
+            { id: "s1", name: "New Lead", open: 1, avgDays: expect.closeTo(29.6, 0) },
+            { id: "s2", name: "Proposal", open: 0, avgDays: 0 },
+            { id: "s3", name: "Closed", open: 0, avgDays: 0 },
+          ],
+        },
+      ],
+      period: { range: "custom", from: expect.any(String), to: expect.any(String) },
+    });
+  });
+
+  it("returns zeros for a period with no activity", async () => {
+    const { body } = await callRoute(GET, "/api/velocity?range=custom&from=2024-01-01&to=2024-01-31");
+
+    expect(body).toMatchObject({ salesVelocity: 0, opportunities: 0, avgDaysToClose: 0 });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Hand-Written GHL Dataset for Route Tests
+ *
+ * Small enough to verify every expected number by hand. The reporting
+ * period is March 2026 (RANGE_QUERY); the equivalent previous period is
+ * the 31 days before it (Jan 29 – Feb 28).
+ *
+ * In March:
+ * - 4 new contacts (c1–c4), one without a source; c1–c3 carry UTM
+ *   attribution, and c3 was last touched by a retargeting campaign
+ * - Tags: c1 "hot" + "webinar-2026", c2 "Webinar-2026" (mixed case),
+ *   c5 "hot"
+ * - Opportunities created or closed: o1–o5 (o3 was created in February
+ *   but won in March); closed = o2 won, o3 won, o4 lost
+ * - 4 active conversations, 2 unread; v1 and v3 are SMS, v2 email and v4
+ *   Facebook (from its conversation type only)
+ * - Message history: the lead wrote first in every conversation. v1 was
+ *   answered after 3 minutes, v2 after 2 hours (then the lead wrote back
+ *   last), v3 after 30 hours; v4 is unanswered. In February, v5 was
+ *   answered after 30 minutes
+ * - Calls (m11–m15): on v2 a missed inbound call was returned after 30
+ *   minutes (talk time 5 min); on v3 one inbound call was answered (2 min)
+ *   and a later one went to voicemail and was only returned, unanswered,
+ *   after 2 hours
+ * - Speed to lead (contact added → first outbound message): c1 4 minutes,
+ *   c2 2.5 hours, c3 30 hours; c4 was never contacted
+ * - Users u1 (Jordan Reyes) and u2 (Taylor Brooks): u1 is assigned c1–c3,
+ *   o1, o2, o4, v1 and v2; u2 is assigned c5, o3 and v3; o5 and v4 are
+ *   unassigned
+ * - Custom fields: "Service Type" (contact) is Implants on c1 and c3,
+ *   Cleaning on c2 and c5; "Deal Type" (opportunity) is New Business on
+ *   o1 and o3, Upsell on o2
+ * - Appointments booked in March: a1 (showed) and a2 (no-show) on the
+ *   Consultation calendar k1; a3 (confirmed, for April 2), a4 (cancelled)
+ *   and a6 (new) on Cleaning k2. a5 showed in March but was booked in
+ *   February. u1 is assigned a1, a2 and a6; u2 a3 and a5
+ */
+
+export const RANGE_QUERY = "range=custom&from=2026-03-01&to=2026-03-31";
+
+export const pipelines = [
+  {
+    id: "p1",
+    name: "Sales Pipeline",
+    stages: [
+      { id: "s1", name: "New Lead", position: 0 },
+      { id: "s2", name: "Proposal", position: 1 },
+      { id: "s3", name: "Closed", position: 2 },
+    ],
+  },
+];
+
+export const customFields = [
+  { id: "f1", name: "Service Type", fieldKey: "contact.service_type", model: "contact", dataType: "SINGLE_OPTIONS" },
+  { id: "f2", name: "Deal Type", fieldKey: "opportunity.deal_type", model: "opportunity", dataType: "SINGLE_OPTIONS" },
+];
+
+export const users = [
+  { id: "u1", name: "Jordan Reyes", firstName: "Jordan", lastName: "Reyes", email: "jordan@agency.example.com" },
+  { id: "u2", firstName: "Taylor", lastName: "Brooks", email: "taylor@agency.example.com" },
+];
+
+export const contacts = [
+  { id: "c1", firstName: "Ava", lastName: "Smith", email: "ava@example.com", phone: "+15550001", source: "Facebook Ads", customFields: [{ id: "f1", value: "Implants" }], assignedTo: "u1", dateAdded: "2026-03-05T10:00:00.000Z", tags: ["hot", "webinar-2026"],
+    attributionSource: { utmSource: "facebook", utmMedium: "paid_social", utmCampaign: "spring_sale", utmContent: "video" } },
+  { id: "c2", firstName: "Liam", lastName: "Jones", source: "Google Ads", customFields: [{ id: "f1", value: "Cleaning" }], assignedTo: "u1", dateAdded: "2026-03-10T10:00:00.000Z", tags: ["Webinar-2026"],
+    attributionSource: { utmSource: "google", utmMedium: "cpc", utmCampaign: "brand", referrer: "https://www.google.com/" } },
+  { id: "c3", firstName: "Mia", lastName: "Brown", email: "mia@example.com", source: "Facebook Ads", customFields: [{ id: "f1", value: "Implants" }], assignedTo: "u1", dateAdded: "2026-03-20T10:00:00.000Z", tags: [],
+    attributionSource: { utmSource: "facebook", utmMedium: "paid_social", utmCampaign: "spring_sale", utmContent: "carousel" },
+    lastAttributionSource: { utmSource: "facebook", utmMedium: "paid_social", utmCampaign: "retargeting", utmContent: "carousel" } },
+  { id: "c4", email: "anon@example.com", dateAdded: "2026-03-25T10:00:00.000Z" },
+  { id: "c5", firstName: "Noah", lastName: "Lee", source: "Referral", customFields: [{ id: "f1", value: "Cleaning" }], assignedTo: "u2", dateAdded: "2026-02-15T10:00:00.000Z", tags: ["hot"] },
+  { id: "c6", firstName: "Old", lastName: "Lead", source: "Referral", dateAdded: "2025-12-01T10:00:00.000Z" },
+];
+
+export const opportunities = [
+  { id: "o1", pipelineId: "p1", pipelineStageId: "s1", status: "open", monetaryValue: 1000, contactId: "c1", assignedTo: "u1", customFields: [{ id: "f2", fieldValue: "New Business" }], createdAt: "2026-03-02T10:00:00.000Z", updatedAt: "2026-03-02T10:00:00.000Z" },
+  { id: "o2", pipelineId: "p1", pipelineStageId: "s3", status: "won", monetaryValue: 3000, contactId: "c2", assignedTo: "u1", customFields: [{ id: "f2", fieldValue: "Upsell" }], createdAt: "2026-03-06T10:00:00.000Z", lastStatusChangeAt: "2026-03-15T10:00:00.000Z" },
+  { id: "o3", pipelineId: "p1", pipelineStageId: "s3", status: "won", monetaryValue: 5000, contactId: "c5", assignedTo: "u2", customFields: [{ id: "f2", fieldValue: "New Business" }], createdAt: "2026-02-10T10:00:00.000Z", lastStatusChangeAt: "2026-03-12T10:00:00.000Z" },
+  { id: "o4", pipelineId: "p1", pipelineStageId: "s2", status: "lost", monetaryValue: 0, contactId: "c3", assignedTo: "u1", createdAt: "2026-03-08T10:00:00.000Z", lastStatusChangeAt: "2026-03-18T10:00:00.000Z" },
+  { id: "o5", pipelineId: "p1", pipelineStageId: "gone", status: "open", monetaryValue: 2000, contactId: "c4", createdAt: "2026-03-09T10:00:00.000Z" },
+  { id: "o6", pipelineId: "p1", pipelineStageId: "s2", status: "lost", monetaryValue: 400, contactId: "c5", createdAt: "2026-02-05T10:00:00.000Z", lastStatusChangeAt: "2026-02-20T10:00:00.000Z" },
+  { id: "o7", pipelineId: "p1", pipelineStageId: "s3", status: "won", monetaryValue: 9000, contactId: "c6", createdAt: "2025-11-01T10:00:00.000Z", lastStatusChangeAt: "2025-11-30T10:00:00.000Z" },
+];
+
+const ms = (iso) => new Date(iso).getTime();
+
+export const conversations = [
+  { id: "v1", contactId: "c1", assignedTo: "u1", type: "TYPE_PHONE", lastMessageType: "TYPE_SMS", lastMessageDirection: "outbound", unreadCount: 0, lastMessageDate: ms("2026-03-05T10:04:00.000Z") },
+  { id: "v2", contactId: "c2", assignedTo: "u1", type: "TYPE_EMAIL", lastMessageType: "TYPE_EMAIL", lastMessageDirection: "inbound", unreadCount: 2, lastMessageDate: ms("2026-03-11T10:00:00.000Z") },
+  // Legacy payload shape: direction folded into lastMessageType
+  { id: "v3", contactId: "c3", fullName: "Mia Brown", assignedTo: "u2", type: "TYPE_PHONE", lastMessageType: "TYPE_OUTBOUND", unreadCount: 0, lastMessageDate: ms("2026-03-21T16:00:00.000Z") },
+  { id: "v4", contactId: "c4", type: "TYPE_FB_MESSENGER", lastMessageDirection: "inbound", unreadCount: 1, lastMessageDate: ms("2026-03-28T10:00:00.000Z") },
+  { id: "v5", contactId: "c5", type: "TYPE_PHONE", lastMessageType: "TYPE_SMS", lastMessageDirection: "outbound", unreadCount: 0, lastMessageDate: ms("2026-02-15T10:40:00.000Z") },
+];
+
+// Message history per conversation, newest first like GHL returns it
+const message = (id, conversationId, direction, iso) => ({
+  id,
+  conversationId,
+  direction,
+  dateAdded: iso,
+});
+
+// A logged call, with its outcome and talk time (seconds) in meta.call
+const call = (id, conversationId, direction, iso, status, duration = 0) => ({
+  ...message(id, conversationId, direction, iso),
+  messageType: "TYPE_CALL",
+  status,
+  meta: { call: { status, duration } },
+});
+
+export const messages = {
+  v1: [
+    message("m2", "v1", "outbound", "2026-03-05T10:04:00.000Z"),
+    message("m1", "v1", "inbound", "2026-03-05T10:01:00.000Z"),
+  ],
+  v2: [
+    call("m12", "v2", "outbound", "2026-03-12T09:30:00.000Z", "completed", 300),
+    call("m11", "v2", "inbound", "2026-03-12T09:00:00.000Z", "no-answer"),
+    message("m5", "v2", "inbound", "2026-03-11T10:00:00.000Z"),
+    message("m4", "v2", "outbound", "2026-03-10T12:30:00.000Z"),
+    message("m3", "v2", "inbound", "2026-03-10T10:30:00.000Z"),
+  ],
+  v3: [
+    call("m15", "v3", "outbound", "2026-03-25T13:00:00.000Z", "no-answer"),
+    call("m14", "v3", "inbound", "2026-03-25T11:00:00.000Z", "voicemail"),
+    call("m13", "v3", "inbound", "2026-03-22T14:00:00.000Z", "completed", 120),
+    message("m7", "v3", "outbound", "2026-03-21T16:00:00.000Z"),
+    message("m6", "v3", "inbound", "2026-03-20T10:00:00.000Z"),
+  ],
+  v4: [message("m8", "v4", "inbound", "2026-03-28T10:00:00.000Z")],
+  v5: [
+    message("m10", "v5", "outbound", "2026-02-15T10:40:00.000Z"),
+    message("m9", "v5", "inbound", "2026-02-15T10:10:00.000Z"),
+  ],
+};
+
+export const calendars = [
+  { id: "k1", name: "Consultation" },
+  { id: "k2", name: "Cleaning" },
+];
+
+export const appointments = [
+  { id: "a1", calendarId: "k1", contactId: "c1", assignedUserId: "u1", appointmentStatus: "showed", dateAdded: "2026-03-05T11:00:00.000Z", startTime: "2026-03-07T10:00:00.000Z" },
+  { id: "a2", calendarId: "k1", contactId: "c2", assignedUserId: "u1", appointmentStatus: "noshow", dateAdded: "2026-03-10T13:00:00.000Z", startTime: "2026-03-12T10:00:00.000Z" },
+  { id: "a3", calendarId: "k2", contactId: "c3", assignedUserId: "u2", appointmentStatus: "confirmed", dateAdded: "2026-03-21T16:30:00.000Z", startTime: "2026-04-02T10:00:00.000Z" },
+  { id: "a4", calendarId: "k2", contactId: "c4", appointmentStatus: "cancelled", dateAdded: "2026-03-26T09:00:00.000Z", startTime: "2026-03-30T10:00:00.000Z" },
+  { id: "a5", calendarId: "k1", contactId: "c5", assignedUserId: "u2", appointmentStatus: "showed", dateAdded: "2026-02-16T10:00:00.000Z", startTime: "2026-03-03T10:00:00.000Z" },
+  { id: "a6", calendarId: "k2", contactId: "c1", assignedUserId: "u1", appointmentStatus: "new", dateAdded: "2026-03-28T12:00:00.000Z", startTime: "2026-03-31T15:00:00.000Z" },
+];
+
+export const dataset = {
+  contacts,
+  opportunities,
+  conversations,
+  messages,
+  pipelines,
+  users,
+  customFields,
+  calendars,
+  appointments,
+};
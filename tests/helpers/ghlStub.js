@@ -0,0 +1,176 @@
+/**
+ * Stub GHL API Server
+ *
+ * A local HTTP server that answers the GHL v2 endpoints lib/ghl.js calls,
+ * so tests exercise the real axios client, pagination and error handling
+ * without network access. Point GHL_BASE_URL at `stub.url`.
+ *
+ * Data is served per location ID from `stub.datasets[locationId]`:
+ *   { contacts, opportunities, conversations, pipelines, users, customFields,
+ *     messages: { [conversationId]: [...] }, calendars, appointments }
+ * Set `stub.handler = (req) => response | undefined` to override a
+ * response (e.g. to return a 429 or a malformed page); returning
+ * undefined falls through to the default routes.
+ */
+
+import http from "http";
+
+// Page through a list the way GHL's POST search endpoints do
+function pagePost(items, { page = 1, limit = 20 }) {
+  const start = (page - 1) * limit;
+  return { items: items.slice(start, start + limit), total: items.length };
+}
+
+// Page through a list the way GHL's GET search endpoints do (cursor)
+function pageGet(items, { limit = 20, startAfterId }) {
+  const start = startAfterId
+    ? items.findIndex((item) => item.id === startAfterId) + 1
+    : 0;
+  const pageItems = items.slice(start, start + Number(limit));
+  const hasMore = start + Number(limit) < items.length;
+  return { items: pageItems, total: items.length, hasMore };
+}
+
+// Page through a conversation's messages (lastMessageId cursor)
+function pageMessages(items, { limit = 20, lastMessageId }) {
+  const start = lastMessageId
+    ? items.findIndex((item) => item.id === lastMessageId) + 1
+    : 0;
+  const pageItems = items.slice(start, start + Number(limit));
+  const hasMore = start + Number(limit) < items.length;
+  return { items: pageItems, hasMore };
+}
+
+// Message requests only name the conversation
+const MESSAGES_PATH = /^\/conversations\/([^/]+)\/messages$/;
+
+// Default GHL routes → { status, body }
+function route(req, dataset) {
+  const key = `${req.method} ${req.path}`;
+
+  if (key === "POST /contacts/search") {
+    const { items, total } = pagePost(dataset.contacts, req.body);
+    return { status: 200, body: { contacts: items, total } };
+  }
+  if (key === "POST /opportunities/search") {
+    const { items, total } = pagePost(dataset.opportunities, req.body);
+    return { status: 200, body: { opportunities: items, meta: { total } } };
+  }
+  if (key === "GET /conversations/search") {
+    const { items, total, hasMore } = pageGet(dataset.conversations, req.query);
+    return {
+      status: 200,
+      body: { conversations: items, total, meta: { nextPage: hasMore || null } },
+    };
+  }
+  if (key === "GET /opportunities/pipelines") {
+    return { status: 200, body: { pipelines: dataset.pipelines } };
+  }
+  if (key === "GET /users/") {
+    return { status: 200, body: { users: dataset.users } };
+  }
+  if (key === "GET /calendars/") {
+    return { status: 200, body: { calendars: dataset.calendars } };
+  }
+  if (key === "GET /calendars/events") {
+    // One calendar's events starting within the window (epoch ms)
+    const { calendarId, startTime, endTime } = req.query;
+    const events = dataset.appointments.filter((event) => {
+      const start = new Date(event.startTime).getTime();
+      return (
+        event.calendarId === calendarId &&
+        start >= Number(startTime) &&
+        start <= Number(endTime)
+      );
+    });
+    return { status: 200, body: { events } };
+  }
+  if (/^GET \/locations\/[^/]+\/customFields$/.test(key)) {
+    return { status: 200, body: { customFields: dataset.customFields } };
+  }
+  const conversationId = req.method === "GET" && req.path.match(MESSAGES_PATH)?.[1];
+  if (conversationId) {
+    const { items, hasMore } = pageMessages(dataset.messages[conversationId] || [], req.query);
+    return {
+      status: 200,
+      body: {
+        messages: {
+          messages: items,
+          nextPage: hasMore,
+          lastMessageId: items.at(-1)?.id ?? null,
+        },
+      },
+    };
+  }
+  return { status: 404, body: { message: `No stub for ${key}` } };
+}
+
+/**
+ * Start a stub server on a random local port.
+ *
+ * @returns {Promise<object>} { url, datasets, requests, handler, close() }
+ */
+export async function startGhlStub() {
+  const stub = {
+    url: null,
+    datasets: {},
+    requests: [],
+    handler: null,
+  };
+
+  const server = http.createServer((request, response) => {
+    let raw = "";
+    request.on("data", (chunk) => (raw += chunk));
+    request.on("end", () => {
+      const url = new URL(request.url, "http://stub");
+      const req = {
+        method: request.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: raw ? JSON.parse(raw) : {},
+        headers: request.headers,
+      };
+      stub.requests.push(req);
+
+      // Most endpoints take locationId as a param; a few put it in the
+      // path, and message requests are matched through their conversation
+      const conversationId = req.path.match(MESSAGES_PATH)?.[1];
+      const locationId =
+        req.body.locationId ||
+        req.query.locationId ||
+        req.path.match(/^\/locations\/([^/]+)/)?.[1] ||
+        Object.keys(stub.datasets).find(
+          (id) => stub.datasets[id].messages?.[conversationId]
+        );
+      const dataset = {
+        contacts: [],
+        opportunities: [],
+        conversations: [],
+        pipelines: [],
+        users: [],
+        customFields: [],
+        messages: {},
+        calendars: [],
+        appointments: [],
+        ...stub.datasets[locationId],
+      };
+
+      const result =
+        (stub.handler && stub.handler(req)) ||
+        (req.headers.authorization?.startsWith("Bearer ")
+          ? route(req, dataset)
+          : { status: 401, body: { message: "Invalid JWT" } });
+
+      response.writeHead(result.status, {
+        "Content-Type": "application/json",
+        ...result.headers,
+      });
+      response.end(JSON.stringify(result.body ?? {}));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+}
@@ -0,0 +1,55 @@
+/**
+ * Route Test Helpers
+ *
+ * Call App Router handlers directly with a NextRequest, authenticated as
+ * an admin via a signed session cookie.
+ */
+
+import { NextRequest } from "next/server";
+import { signToken, SESSION_COOKIE } from "@/lib/auth";
+
+/**
+ * Build a session cookie header for a session payload (admin by default).
+ */
+export function sessionCookie(session = { role: "admin" }) {
+  const token = signToken({
+    typ: "session",
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...session,
+  });
+  return `${SESSION_COOKIE}=${token}`;
+}
+
+/**
+ * Invoke a route handler and parse its JSON response.
+ *
+ * @param {Function} handler - Exported GET/POST/... handler
+ * @param {string}   path    - Path and query, e.g. "/api/summary?range=week"
+ * @param {object}   [options]
+ * @param {string|null} [options.cookie] - Cookie header (default: admin session, null for none)
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {object} [options.body]   - JSON request body
+ * @param {object} [options.params] - Dynamic route params, e.g. { id: "..." }
+ * @returns {Promise<{ status: number, headers: Headers, body: object|null }>}
+ *          body is null for non-JSON responses (e.g. redirects)
+ */
+export async function callRoute(
+  handler,
+  path,
+  { cookie = sessionCookie(), method = "GET", body, params = {} } = {}
+) {
+  const headers = cookie ? { cookie } : {};
+  if (body !== undefined) headers["content-type"] = "application/json";
+  const request = new NextRequest(`http://localhost${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const response = await handler(request, { params });
+  const isJson = response.headers.get("content-type")?.includes("application/json");
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson ? await response.json() : null,
+  };
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createCache } from "@/lib/cache";
+
+const TTL_MS = 1000;
+const STALE_MS = 4000;
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("createCache", () => {
+  it("shares one in-flight fetch between concurrent callers", async () => {
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    const fetcher = vi.fn(async () => "value");
+
+    const results = await Promise.all([cache.get("a", fetcher), cache.get("a", fetcher)]);
+
+    expect(results).toEqual(["value", "value"]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves fresh entries without fetching", async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    await cache.get("a", async () => 1);
+
+    vi.advanceTimersByTime(TTL_MS);
+    const fetcher = vi.fn(async () => 2);
+
+    expect(await cache.get("a", fetcher)).toBe(1);
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  it("serves a stale entry at once and refreshes it in the background", async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    await cache.get("a", async () => 1);
+
+    vi.advanceTimersByTime(TTL_MS + 1);
+    let resolveRefresh;
+    const fetcher = vi.fn(() => new Promise((resolve) => (resolveRefresh = resolve)));
+
+    expect(await cache.get("a", fetcher)).toBe(1);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    // Later callers join the running refresh rather than starting another
+    expect(await cache.get("a", fetcher)).toBe(1);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    resolveRefresh(2);
+    await vi.waitFor(async () => expect(await cache.get("a", fetcher)).toBe(2));
+  });
+
+  it("keeps the stale value when a background refresh fails", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    await cache.get("a", async () => 1);
+
+    vi.advanceTimersByTime(TTL_MS + 1);
+    expect(
+      await cache.get("a", async () => {
+        throw new Error("GHL down");
+      })
+    ).toBe(1);
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Still served stale, and the next caller's refresh can succeed
+    expect(await cache.get("a", async () => 2)).toBe(1);
+    await vi.waitFor(async () => expect(await cache.get("a", async () => 3)).toBe(2));
+    expect(console.error).toHaveBeenCalledWith(
+      "[cache] Background refresh failed for a:",
+      "GHL down"
+    );
+  });
+
+  it("refetches and waits when asked to refresh", async () => {
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    await cache.get("a", async () => 1);
+
+    expect(await cache.get("a", async () => 2, { refresh: true })).toBe(2);
+  });
+
+  it("waits for a fresh fetch once an entry is too old to serve", async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+    await cache.get("a", async () => 1);
+
+    vi.advanceTimersByTime(TTL_MS + STALE_MS + 1);
+
+    expect(await cache.get("a", async () => 2)).toBe(2);
+  });
+
+  it("does not cache when ttlMs is 0", async () => {
+    const cache = createCache({ ttlMs: 0, staleMs: STALE_MS });
+    const fetcher = vi.fn(async () => "value");
+
+    await cache.get("a", fetcher);
+    await cache.get("a", fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(cache.size).toBe(0);
+  });
+});
+
+describe("createCache eviction", () => {
+  it("deletes entries past ttlMs + staleMs that nobody asks for again", async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+
+    await cache.get("a", async () => 1);
+    await cache.get("b", async () => 2);
+    expect(cache.size).toBe(2);
+
+    // Still servable (stale): kept
+    vi.advanceTimersByTime(TTL_MS + STALE_MS);
+    await cache.get("c", async () => 3);
+    expect(cache.size).toBe(3);
+
+    // Expired: swept by a get() once ttlMs passed since the last sweep
+    vi.advanceTimersByTime(TTL_MS);
+    await cache.get("c", async () => 3);
+    expect(cache.size).toBe(1);
+  });
+
+  it("does not keep a key whose first fetch failed", async () => {
+    const cache = createCache({ ttlMs: TTL_MS, staleMs: STALE_MS });
+
+    await expect(
+      cache.get("a", async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+
+    expect(cache.size).toBe(0);
+  });
+});
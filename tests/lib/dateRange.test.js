@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import {
+  resolveDateRange,
+  getPreviousPeriod,
+  eachDay,
+  getZonedTime,
+} from "@/lib/dateRange";
+
+const iso = (period) => [period.from.toISOString(), period.to.toISOString()];
+
+describe("resolveDateRange in a time zone", () => {
+  it("starts and ends custom days at the zone's midnight", () => {
+    const period = resolveDateRange({
+      range: "custom",
+      from: "2026-10-01",
+      to: "2026-10-02",
+      timeZone: "America/Denver",
+    });
+
+    expect(iso(period)).toEqual(["2026-10-01T06:00:00.000Z", "2026-10-03T05:59:59.999Z"]);
+    expect(period.timeZone).toBe("America/Denver");
+    expect(eachDay(period)).toEqual(["2026-10-01", "2026-10-02"]);
+  });
+
+  it("starts presets at midnight on the zone's calendar", () => {
+    // Still February 28 in Denver
+    const now = new Date("2026-03-01T03:00:00.000Z");
+
+    const period = resolveDateRange({ range: "month", timeZone: "America/Denver" }, now);
+
+    expect(iso(period)).toEqual(["2026-02-01T07:00:00.000Z", now.toISOString()]);
+    expect(eachDay(period).at(-1)).toBe("2026-02-28");
+  });
+
+  it("shifts presets back by the zone's calendar across a DST change", () => {
+    // Chicago moves to daylight time on March 8, 2026
+    const period = resolveDateRange(
+      { range: "month", timeZone: "America/Chicago" },
+      new Date("2026-03-20T12:00:00.000Z")
+    );
+
+    expect(iso(getPreviousPeriod(period))).toEqual([
+      "2026-02-01T06:00:00.000Z",
+      "2026-02-20T13:00:00.000Z",
+    ]);
+  });
+});
+
+describe("getZonedTime", () => {
+  it("reads the day, weekday and hour in the zone", () => {
+    expect(getZonedTime("2026-03-22T14:00:00.000Z", "Pacific/Auckland")).toEqual({
+      day: "2026-03-23",
+      weekday: 0,
+      hour: 3,
+    });
+  });
+});
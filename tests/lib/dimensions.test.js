@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import {
+  BUILTIN_DIMENSIONS,
+  toDimension,
+  findDimension,
+  dimensionValue,
+} from "@/lib/dimensions";
+
+const serviceType = toDimension({ id: "f1", name: "Service Type", model: "contact" });
+
+describe("toDimension", () => {
+  it("keys custom field dimensions by field ID", () => {
+    expect(serviceType).toEqual({ key: "f1", id: "f1", name: "Service Type", model: "contact" });
+    expect(toDimension({ id: "f2", fieldKey: "opportunity.deal_type", model: "opportunity" }))
+      .toMatchObject({ name: "opportunity.deal_type", model: "opportunity" });
+  });
+
+  it("finds dimensions by key", () => {
+    expect(findDimension(BUILTIN_DIMENSIONS, "source")).toMatchObject({ name: "Source" });
+    expect(findDimension(BUILTIN_DIMENSIONS, "f1")).toBeNull();
+  });
+});
+
+describe("dimensionValue", () => {
+  const source = findDimension(BUILTIN_DIMENSIONS, "source");
+
+  it("reads built-in fields and custom field values", () => {
+    expect(dimensionValue({ source: "Referral" }, source)).toBe("Referral");
+    expect(dimensionValue({ customFields: [{ id: "f1", value: "Implants" }] }, serviceType)).toBe("Implants");
+    expect(dimensionValue({ customFields: [{ id: "f1", fieldValue: "Upsell" }] }, serviceType)).toBe("Upsell");
+    expect(dimensionValue({ customFields: [{ id: "f1", value: ["A", "B"] }] }, serviceType)).toBe("A, B");
+  });
+
+  it("reports missing and blank values as Unknown", () => {
+    expect(dimensionValue({}, source)).toBe("Unknown");
+    expect(dimensionValue({ source: "  " }, source)).toBe("Unknown");
+    expect(dimensionValue({ customFields: [{ id: "f9", value: "x" }] }, serviceType)).toBe("Unknown");
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from "vitest";
+import { parseFilters, hasFilters, applyFilters, toFilterQuery } from "@/lib/filters";
+import { BUILTIN_DIMENSIONS, toDimension } from "@/lib/dimensions";
+import { dataset, customFields } from "../helpers/dataset";
+
+// The dataset with both custom fields configured as dimensions
+const withDimensions = {
+  ...dataset,
+  dimensions: [...BUILTIN_DIMENSIONS, ...customFields.map(toDimension)],
+};
+const ids = (items) => items.map((item) => item.id);
+
+describe("parseFilters", () => {
+  it("reads repeated tag params, normalized and de-duplicated", () => {
+    const params = new URLSearchParams("tag=Hot&tag=hot&tag=%20vip%20&tag=");
+    expect(parseFilters(params)).toEqual({ tags: ["hot", "vip"], dimensions: [], rep: null });
+    expect(parseFilters(new URLSearchParams())).toEqual({ tags: [], dimensions: [], rep: null });
+  });
+
+  it("reads dimension params, splitting on the first colon", () => {
+    const params = new URLSearchParams("dim=f1:Implants&dim=f1:Implants&dim=f9:10:30&dim=bad&dim=:x&dim=f1:");
+    expect(parseFilters(params).dimensions).toEqual([
+      { key: "f1", value: "Implants" },
+      { key: "f9", value: "10:30" },
+    ]);
+  });
+
+  it("round-trips through toFilterQuery", () => {
+    const filters = {
+      tags: ["hot-lead", "webinar 2026"],
+      dimensions: [{ key: "source", value: "Google Ads" }],
+      rep: "u1",
+    };
+    expect(parseFilters(new URLSearchParams(toFilterQuery(filters)))).toEqual(filters);
+    expect(toFilterQuery({ tags: [] })).toBe("");
+  });
+});
+
+describe("applyFilters", () => {
+  it("returns the data untouched without filters", () => {
+    expect(hasFilters({ tags: [] })).toBe(false);
+    expect(applyFilters(dataset, { tags: [] })).toBe(dataset);
+  });
+
+  it("keeps contacts with every tag and their opportunities, conversations and appointments", () => {
+    const filtered = applyFilters(dataset, { tags: ["webinar-2026"] });
+
+    expect(filtered.contacts.map((c) => c.id)).toEqual(["c1", "c2"]);
+    expect(filtered.opportunities.map((o) => o.id)).toEqual(["o1", "o2"]);
+    expect(filtered.conversations.map((c) => c.id)).toEqual(["v1", "v2"]);
+    expect(filtered.appointments.map((a) => a.id)).toEqual(["a1", "a2", "a6"]);
+    expect(filtered.pipelines).toBe(dataset.pipelines);
+    expect(filtered.calendars).toBe(dataset.calendars);
+  });
+
+  it("only filters the sources that were fetched", () => {
+    const filtered = applyFilters({ contacts: dataset.contacts }, { tags: ["hot"] });
+    expect(filtered).toEqual({ contacts: [dataset.contacts[0], dataset.contacts[4]] });
+  });
+
+  it("narrows contacts and their records by a contact dimension", () => {
+    const filtered = applyFilters(withDimensions, {
+      dimensions: [{ key: "f1", value: "Implants" }],
+    });
+
+    expect(ids(filtered.contacts)).toEqual(["c1", "c3"]);
+    expect(ids(filtered.opportunities)).toEqual(["o1", "o4"]);
+    expect(ids(filtered.conversations)).toEqual(["v1", "v3"]);
+  });
+
+  it("treats values of the same dimension as alternatives", () => {
+    const filtered = applyFilters(withDimensions, {
+      dimensions: [
+        { key: "f1", value: "Implants" },
+        { key: "f1", value: "Cleaning" },
+        { key: "source", value: "Facebook Ads" },
+      ],
+    });
+    expect(ids(filtered.contacts)).toEqual(["c1", "c3"]);
+  });
+
+  it("only narrows opportunities by an opportunity dimension", () => {
+    const filtered = applyFilters(withDimensions, {
+      dimensions: [{ key: "f2", value: "New Business" }],
+    });
+
+    expect(filtered.contacts).toBe(dataset.contacts);
+    expect(ids(filtered.opportunities)).toEqual(["o1", "o3"]);
+    expect(filtered.conversations).toBe(dataset.conversations);
+  });
+
+  it("ignores dimensions that aren't configured", () => {
+    const filtered = applyFilters(withDimensions, {
+      dimensions: [{ key: "removed-field", value: "x" }],
+    });
+    expect(filtered.contacts).toBe(dataset.contacts);
+    expect(filtered.opportunities).toBe(dataset.opportunities);
+  });
+
+  it("narrows every source to the records assigned to one rep", () => {
+    const filtered = applyFilters(dataset, { rep: "u1" });
+
+    expect(ids(filtered.contacts)).toEqual(["c1", "c2", "c3"]);
+    expect(ids(filtered.opportunities)).toEqual(["o1", "o2", "o4"]);
+    expect(ids(filtered.conversations)).toEqual(["v1", "v2"]);
+    // Appointments go by the user they're with
+    expect(ids(filtered.appointments)).toEqual(["a1", "a2", "a6"]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { generateFixtures, createRandom } from "@/lib/fixtures";
+
+const now = new Date("2026-03-31T12:00:00.000Z");
+
+// A small fixture set, pinned to `now`
+const generate = (options) =>
+  generateFixtures({ contacts: 60, days: 30, now, locationId: "loc-1", ...options });
+
+describe("createRandom", () => {
+  it("repeats the same sequence for the same seed", () => {
+    const draw = (seed) => {
+      const rng = createRandom(seed);
+      return [rng.random(), rng.int(1, 6), rng.id()];
+    };
+
+    expect(draw("a")).toEqual(draw("a"));
+    expect(draw("a")).not.toEqual(draw("b"));
+  });
+});
+
+describe("generateFixtures", () => {
+  it("produces the same data for the same seed, location and now", () => {
+    expect(generate({ seed: "demo" })).toEqual(generate({ seed: "demo" }));
+  });
+
+  it("produces different data for another seed or location", () => {
+    const ids = (fixtures) => fixtures.contacts.map((c) => c.id);
+
+    expect(ids(generate({ seed: "other" }))).not.toEqual(ids(generate({ seed: "demo" })));
+    expect(ids(generate({ locationId: "loc-2" }))).not.toEqual(ids(generate()));
+  });
+
+  it("relates records the way GHL does", () => {
+    const data = generate();
+    const contactIds = new Set(data.contacts.map((c) => c.id));
+    const stageIds = new Map(
+      data.pipelines.map((p) => [p.id, new Set(p.stages.map((s) => s.id))])
+    );
+    const calendarIds = new Set(data.calendars.map((c) => c.id));
+
+    expect(data.contacts).toHaveLength(60);
+    expect(data.opportunities.length).toBeGreaterThan(0);
+    data.opportunities.forEach((o) => {
+      expect(contactIds.has(o.contactId)).toBe(true);
+      expect(stageIds.get(o.pipelineId).has(o.pipelineStageId)).toBe(true);
+    });
+    data.conversations.forEach((c) => {
+      expect(contactIds.has(c.contactId)).toBe(true);
+      // Every conversation has a history, newest first, ending at its last message
+      const history = data.messages[c.id];
+      expect(history.length).toBeGreaterThan(0);
+      expect(new Date(history[0].dateAdded).getTime()).toBe(c.lastMessageDate);
+      expect(history.map((m) => m.dateAdded)).toEqual(
+        [...history.map((m) => m.dateAdded)].sort().reverse()
+      );
+    });
+    data.appointments.forEach((a) => expect(calendarIds.has(a.calendarId)).toBe(true));
+  });
+
+  it("lists records newest first and never dates them after now", () => {
+    const data = generate();
+    const times = (records, key) => records.map((r) => new Date(r[key]).getTime());
+
+    const added = times(data.contacts, "dateAdded");
+    expect(added).toEqual([...added].sort((a, b) => b - a));
+    expect(Math.max(...added)).toBeLessThanOrEqual(now.getTime());
+    expect(Math.max(...times(data.opportunities, "updatedAt"))).toBeLessThanOrEqual(now.getTime());
+    expect(Math.max(...data.conversations.map((c) => c.lastMessageDate))).toBeLessThanOrEqual(
+      now.getTime()
+    );
+  });
+
+  it("adds pipelines without opportunities", () => {
+    const data = generate({ pipelines: 1, emptyPipelines: 2 });
+    const [active, ...empty] = data.pipelines;
+
+    expect(data.pipelines).toHaveLength(3);
+    expect(empty.map((p) => p.name)).toEqual(["Unused Pipeline 1", "Unused Pipeline 2"]);
+    expect(data.opportunities.every((o) => o.pipelineId === active.id)).toBe(true);
+  });
+
+  it("generates no opportunities without active pipelines", () => {
+    const data = generate({ pipelines: 0, emptyPipelines: 1 });
+
+    expect(data.pipelines).toHaveLength(1);
+    expect(data.opportunities).toEqual([]);
+  });
+
+  it("handles a location with no contacts", () => {
+    const data = generate({ contacts: 0 });
+
+    expect(data).toMatchObject({
+      contacts: [],
+      opportunities: [],
+      conversations: [],
+      messages: {},
+      appointments: [],
+    });
+    expect(data.pipelines.length).toBeGreaterThan(0);
+  });
+});
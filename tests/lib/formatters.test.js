@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  formatCurrency,
+  formatPercent,
+  formatNumber,
+  formatDays,
+  formatDuration,
+  formatDate,
+  isWithinDays,
+  groupBy,
+  calcChange,
+  toChartData,
+  getChartColor,
+} from "@/lib/formatters";
+
+describe("formatCurrency", () => {
+  it("formats small amounts as whole dollars", () => {
+    expect(formatCurrency(0)).toBe("$0");
+    expect(formatCurrency(950)).toBe("$950");
+    expect(formatCurrency(12.4)).toBe("$12");
+  });
+
+  it("abbreviates thousands and millions", () => {
+    expect(formatCurrency(1_000)).toBe("$1.0K");
+    expect(formatCurrency(12_500)).toBe("$12.5K");
+    expect(formatCurrency(1_250_000)).toBe("$1.3M");
+  });
+
+  it("rolls over to the next unit when rounding reaches it", () => {
+    expect(formatCurrency(999.6)).toBe("$1.0K");
+    expect(formatCurrency(999_960)).toBe("$1.0M");
+    expect(formatCurrency(999_940)).toBe("$999.9K");
+  });
+
+  it("never shows a fractional zero like $0.0K", () => {
+    expect(formatCurrency(0.4)).toBe("$0");
+    expect(formatCurrency(-0.4)).toBe("$0");
+    expect(formatCurrency(-0)).toBe("$0");
+  });
+
+  it("puts the sign before the symbol for negatives", () => {
+    expect(formatCurrency(-950)).toBe("-$950");
+    expect(formatCurrency(-1_500)).toBe("-$1.5K");
+    expect(formatCurrency(-2_000_000)).toBe("-$2.0M");
+  });
+
+  it("treats missing or invalid values as zero", () => {
+    expect(formatCurrency(undefined)).toBe("$0");
+    expect(formatCurrency(null)).toBe("$0");
+    expect(formatCurrency(NaN)).toBe("$0");
+  });
+});
+
+describe("formatPercent", () => {
+  it("formats a decimal with one fraction digit", () => {
+    expect(formatPercent(0.354)).toBe("35.4%");
+    expect(formatPercent(0)).toBe("0.0%");
+    expect(formatPercent(1)).toBe("100.0%");
+    expect(formatPercent(-0.125)).toBe("-12.5%");
+  });
+});
+
+describe("formatDays", () => {
+  it("rounds to one decimal and pluralizes", () => {
+    expect(formatDays(4.25)).toBe("4.3 days");
+    expect(formatDays(12)).toBe("12 days");
+    expect(formatDays(1)).toBe("1 day");
+    expect(formatDays(undefined)).toBe("0 days");
+  });
+});
+
+describe("formatDuration", () => {
+  it("uses the two largest units", () => {
+    expect(formatDuration(45 * 1000)).toBe("45s");
+    expect(formatDuration(12 * 60 * 1000)).toBe("12m");
+    expect(formatDuration(75 * 60 * 1000)).toBe("1h 15m");
+    expect(formatDuration(2 * 60 * 60 * 1000)).toBe("2h");
+    expect(formatDuration(51 * 60 * 60 * 1000)).toBe("2d 3h");
+    expect(formatDuration(0)).toBe("0s");
+  });
+
+  it("shows a dash when nothing was measured", () => {
+    expect(formatDuration(null)).toBe("—");
+    expect(formatDuration(undefined)).toBe("—");
+  });
+});
+
+describe("formatNumber", () => {
+  it("adds thousands separators", () => {
+    expect(formatNumber(1234567)).toBe("1,234,567");
+    expect(formatNumber("42")).toBe("42");
+  });
+});
+
+describe("formatDate", () => {
+  it("formats ISO strings as a readable date", () => {
+    expect(formatDate("2024-03-15")).toBe("Mar 15, 2024");
+  });
+
+  it("returns N/A for missing or invalid input", () => {
+    expect(formatDate(null)).toBe("N/A");
+    expect(formatDate("")).toBe("N/A");
+    expect(formatDate("not a date")).toBe("N/A");
+  });
+});
+
+describe("isWithinDays", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("checks whether a date is after the cutoff", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-31T12:00:00Z"));
+    expect(isWithinDays("2026-03-30T12:00:00Z", 7)).toBe(true);
+    expect(isWithinDays("2026-03-01T12:00:00Z", 7)).toBe(false);
+  });
+
+  it("returns false for missing input", () => {
+    expect(isWithinDays(undefined, 30)).toBe(false);
+  });
+});
+
+describe("groupBy", () => {
+  it("groups items by key, bucketing missing values as Unknown", () => {
+    const items = [
+      { id: 1, source: "Google" },
+      { id: 2, source: "Facebook" },
+      { id: 3, source: "Google" },
+      { id: 4 },
+    ];
+    expect(groupBy(items, "source")).toEqual({
+      Google: [items[0], items[2]],
+      Facebook: [items[1]],
+      Unknown: [items[3]],
+    });
+  });
+
+  it("returns an empty object for no items", () => {
+    expect(groupBy([], "source")).toEqual({});
+  });
+});
+
+describe("calcChange", () => {
+  it("returns the signed relative change", () => {
+    expect(calcChange(115, 100)).toBeCloseTo(0.15);
+    expect(calcChange(50, 100)).toBe(-0.5);
+  });
+
+  it("handles a zero baseline", () => {
+    expect(calcChange(5, 0)).toBe(1);
+    expect(calcChange(0, 0)).toBe(0);
+  });
+});
+
+describe("toChartData", () => {
+  it("converts grouped arrays and plain counts to name/value pairs", () => {
+    expect(toChartData({ Won: [1, 2], Lost: 3 })).toEqual([
+      { name: "Won", value: 2 },
+      { name: "Lost", value: 3 },
+    ]);
+  });
+});
+
+describe("getChartColor", () => {
+  it("cycles through the palette", () => {
+    expect(getChartColor(0)).toBe("#3b82f6");
+    expect(getChartColor(8)).toBe(getChartColor(0));
+    expect(getChartColor(9)).toBe(getChartColor(1));
+  });
+});
@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { startGhlStub } from "../helpers/ghlStub";
+
+let stub;
+let ghl;
+
+const location = { slug: "test", locationId: "loc-1", apiKey: "key-1" };
+
+// Let the stub's real HTTP round trips run while setTimeout and Date are
+// faked: settle() until `condition` holds, flushIO() for a fixed number
+// of event loop turns (before asserting that nothing was sent)
+const nextTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+async function settle(condition) {
+  for (let i = 0; i < 500 && !condition(); i++) await nextTurn();
+  expect(condition()).toBe(true);
+}
+
+async function flushIO() {
+  for (let i = 0; i < 50; i++) await nextTurn();
+}
+
+// n records with sequential IDs
+const makeItems = (prefix, n) =>
+  Array.from({ length: n }, (_, i) => ({ id: `${prefix}${i + 1}` }));
+
+beforeAll(async () => {
+  stub = await startGhlStub();
+  process.env.GHL_BASE_URL = stub.url;
+  process.env.GHL_MAX_RETRIES = "2";
+  process.env.GHL_RETRY_BASE_DELAY_MS = "1";
+  ghl = await import("@/lib/ghl");
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => {
+  stub.datasets = {};
+  stub.requests = [];
+  stub.handler = null;
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("fetchAllPagesPost (via getContacts / getOpportunities)", () => {
+  it("requests successive pages until meta.total items are collected", async () => {
+    stub.datasets["loc-1"] = { opportunities: makeItems("o", 250) };
+
+    const opportunities = await ghl.getOpportunities(location);
+
+    expect(opportunities).toHaveLength(250);
+    expect(opportunities.at(-1).id).toBe("o250");
+    expect(stub.requests.map((r) => r.body.page)).toEqual([1, 2, 3]);
+    expect(stub.requests[0].body).toMatchObject({ locationId: "loc-1", limit: 100 });
+  });
+
+  it("falls back to a top-level total", async () => {
+    stub.datasets["loc-1"] = { contacts: makeItems("c", 150) };
+
+    const contacts = await ghl.getContacts(location);
+
+    expect(contacts).toHaveLength(150);
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it("stops at an exact page boundary without an extra request", async () => {
+    stub.datasets["loc-1"] = { contacts: makeItems("c", 200) };
+
+    await ghl.getContacts(location);
+
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it("stops on an empty page even if total overstates the count", async () => {
+    const pages = { 1: makeItems("c", 100), 2: makeItems("d", 20) };
+    stub.handler = (req) => ({
+      status: 200,
+      body: { contacts: pages[req.body.page] || [], total: 500 },
+    });
+
+    const contacts = await ghl.getContacts(location);
+
+    expect(contacts).toHaveLength(120);
+    expect(stub.requests.map((r) => r.body.page)).toEqual([1, 2, 3]);
+  });
+
+  it("returns nothing for an empty location", async () => {
+    expect(await ghl.getContacts(location)).toEqual([]);
+    expect(stub.requests).toHaveLength(1);
+  });
+});
+
+describe("fetchAllPagesGet (via getConversations)", () => {
+  it("follows the startAfterId cursor while meta.nextPage is set", async () => {
+    stub.datasets["loc-1"] = { conversations: makeItems("v", 230) };
+
+    const conversations = await ghl.getConversations(location);
+
+    expect(conversations).toHaveLength(230);
+    expect(stub.requests.map((r) => r.query.startAfterId)).toEqual([
+      undefined,
+      "v100",
+      "v200",
+    ]);
+  });
+});
+
+describe("getMessages", () => {
+  it("follows the lastMessageId cursor while messages.nextPage is set", async () => {
+    stub.datasets["loc-1"] = { messages: { v1: makeItems("m", 150) } };
+
+    const messages = await ghl.getMessages(location, "v1");
+
+    expect(messages).toHaveLength(150);
+    expect(stub.requests.map((r) => r.path)).toEqual([
+      "/conversations/v1/messages",
+      "/conversations/v1/messages",
+    ]);
+    expect(stub.requests.map((r) => r.query.lastMessageId)).toEqual([undefined, "m100"]);
+  });
+});
+
+describe("getCalendarEvents", () => {
+  it("requests one calendar's events within the window as epoch milliseconds", async () => {
+    stub.datasets["loc-1"] = {
+      appointments: [
+        { id: "a1", calendarId: "k1", startTime: "2026-03-10T10:00:00.000Z" },
+        { id: "a2", calendarId: "k1", startTime: "2026-05-10T10:00:00.000Z" },
+        { id: "a3", calendarId: "k2", startTime: "2026-03-10T10:00:00.000Z" },
+      ],
+    };
+    const from = new Date("2026-03-01T00:00:00.000Z");
+    const to = new Date("2026-03-31T23:59:59.999Z");
+
+    const events = await ghl.getCalendarEvents(location, "k1", { from, to });
+
+    expect(events.map((e) => e.id)).toEqual(["a1"]);
+    expect(stub.requests[0].query).toMatchObject({
+      locationId: "loc-1",
+      calendarId: "k1",
+      startTime: String(from.getTime()),
+      endTime: String(to.getTime()),
+    });
+  });
+});
+
+describe("throttling and rate-limit waits", () => {
+  // Each test uses its own location, so it gets a fresh throttle
+  // configured from the env at that point
+  const freshLocation = (locationId) => ({ slug: locationId, locationId, apiKey: "key-1" });
+
+  beforeEach(() => {
+    process.env.GHL_RATE_LIMIT_MAX = "2";
+    process.env.GHL_RATE_LIMIT_INTERVAL_MS = "1000";
+    vi.useFakeTimers({ toFake: ["setTimeout", "Date"] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.GHL_RATE_LIMIT_MAX;
+    delete process.env.GHL_RATE_LIMIT_INTERVAL_MS;
+  });
+
+  it("holds requests beyond max per interval until the window moves on", async () => {
+    const location = freshLocation("loc-throttle");
+
+    const done = Promise.all([1, 2, 3].map(() => ghl.getPipelines(location)));
+    await settle(() => stub.requests.length === 2);
+
+    await vi.advanceTimersByTimeAsync(999);
+    await flushIO();
+    expect(stub.requests).toHaveLength(2);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await settle(() => stub.requests.length === 3);
+    await done;
+  });
+
+  it("pauses the location when x-ratelimit-remaining reaches zero", async () => {
+    const location = freshLocation("loc-exhausted");
+    stub.handler = () =>
+      stub.requests.length === 1
+        ? {
+            status: 200,
+            headers: {
+              "x-ratelimit-remaining": "0",
+              "x-ratelimit-interval-milliseconds": "5000",
+            },
+            body: { pipelines: [] },
+          }
+        : undefined;
+
+    await ghl.getPipelines(location);
+    const next = ghl.getPipelines(location);
+
+    await vi.advanceTimersByTimeAsync(4999);
+    await flushIO();
+    expect(stub.requests).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await settle(() => stub.requests.length === 2);
+    await next;
+  });
+
+  it("waits the full Retry-After of a 429 before retrying", async () => {
+    const location = freshLocation("loc-retry-after");
+    stub.handler = () =>
+      stub.requests.length === 1
+        ? { status: 429, headers: { "Retry-After": "3" }, body: { message: "Too many requests" } }
+        : undefined;
+
+    const result = ghl.getPipelines(location);
+    await settle(() => stub.requests.length === 1);
+
+    await vi.advanceTimersByTimeAsync(2999);
+    await flushIO();
+    expect(stub.requests).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await settle(() => stub.requests.length === 2);
+    expect(await result).toEqual([]);
+  });
+});
+
+describe("errors and retries", () => {
+  it("sends the API key and version headers", async () => {
+    await ghl.getPipelines(location);
+    expect(stub.requests[0].headers).toMatchObject({
+      authorization: "Bearer key-1",
+      version: "2021-07-28",
+    });
+  });
+
+  it("retries 429s, honoring Retry-After", async () => {
+    stub.datasets["loc-1"] = { pipelines: [{ id: "p1" }] };
+    let calls = 0;
+    stub.handler = () =>
+      ++calls === 1
+        ? { status: 429, headers: { "Retry-After": "0" }, body: { message: "Too many requests" } }
+        : undefined;
+
+    expect(await ghl.getPipelines(location)).toEqual([{ id: "p1" }]);
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it.each([
+    ["seconds", () => "3600"],
+    ["an HTTP date", () => new Date(Date.now() + 3600 * 1000).toUTCString()],
+  ])("fails a 429 at once when Retry-After (%s) is past the max delay", async (_, retryAfter) => {
+    stub.handler = () => ({
+      status: 429,
+      headers: { "Retry-After": retryAfter() },
+      body: { message: "Too many requests" },
+    });
+
+    await expect(ghl.getPipelines(location)).rejects.toThrow(
+      "GHL API Error (429): Too many requests"
+    );
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it("gives up after GHL_MAX_RETRIES and surfaces the status", async () => {
+    stub.handler = () => ({ status: 503, body: { message: "Unavailable" } });
+
+    await expect(ghl.getPipelines(location)).rejects.toThrow(
+      "GHL API Error (503): Unavailable"
+    );
+    expect(stub.requests).toHaveLength(3);
+  });
+
+  it("does not retry client errors", async () => {
+    stub.handler = () => ({ status: 400, body: { message: "Bad locationId" } });
+
+    await expect(ghl.getPipelines(location)).rejects.toThrow(
+      "GHL API Error (400): Bad locationId"
+    );
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it("rejects a location without an API key before any request", async () => {
+    await expect(
+      ghl.getContacts({ slug: "nokey", locationId: "loc-2", apiKey: null })
+    ).rejects.toThrow('No API key configured for location "nokey"');
+    expect(stub.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createMockClient, getMockOptions, isMockMode } from "@/lib/ghlMock";
+import { getContacts, getConversations, getMessages, getPipelines } from "@/lib/ghl";
+
+const options = { seed: "test", contacts: 45, days: 30, pipelines: 2, emptyPipelines: 0 };
+
+const location = { slug: "mock", locationId: "mock-test" };
+
+afterEach(() => {
+  process.env.GHL_MOCK = "";
+  delete process.env.GHL_MOCK_CONTACTS;
+  delete process.env.GHL_MOCK_EMPTY_PIPELINES;
+  delete process.env.GHL_MOCK_SEED;
+});
+
+describe("getMockOptions", () => {
+  it("reads GHL_MOCK_* overrides and keeps defaults for the rest", () => {
+    process.env.GHL_MOCK_SEED = "acme";
+    process.env.GHL_MOCK_CONTACTS = "0";
+    process.env.GHL_MOCK_EMPTY_PIPELINES = "2";
+
+    expect(getMockOptions()).toEqual({
+      seed: "acme",
+      contacts: 0,
+      days: 180,
+      pipelines: 2,
+      emptyPipelines: 2,
+    });
+  });
+
+  it("ignores values that aren't numbers", () => {
+    process.env.GHL_MOCK_CONTACTS = "lots";
+
+    expect(getMockOptions().contacts).toBe(250);
+  });
+});
+
+describe("isMockMode", () => {
+  it.each([
+    ["1", true],
+    ["true", true],
+    ["TRUE", true],
+    ["", false],
+    ["0", false],
+  ])("GHL_MOCK=%j → %s", (value, expected) => {
+    process.env.GHL_MOCK = value;
+
+    expect(isMockMode()).toBe(expected);
+  });
+});
+
+describe("createMockClient", () => {
+  const client = createMockClient(location, options);
+  const { fixtures } = client;
+
+  it("pages POST searches with page/limit and meta.total", async () => {
+    const first = await client.post("/contacts/search", { page: 1, limit: 20 });
+    const last = await client.post("/contacts/search", { page: 3, limit: 20 });
+
+    expect(first.contacts).toEqual(fixtures.contacts.slice(0, 20));
+    expect(first.meta).toEqual({ total: 45, currentPage: 1, nextPage: 2, prevPage: null });
+    expect(last.contacts).toEqual(fixtures.contacts.slice(40));
+    expect(last.meta).toEqual({ total: 45, currentPage: 3, nextPage: null, prevPage: 2 });
+  });
+
+  it("pages GET searches with a startAfterId cursor", async () => {
+    const total = fixtures.conversations.length;
+    const first = await client.get("/conversations/search", { params: { limit: 10 } });
+    const second = await client.get("/conversations/search", {
+      params: { limit: 10, startAfterId: first.meta.nextPage },
+    });
+    const lastId = fixtures.conversations[total - 1].id;
+    const end = await client.get("/conversations/search", {
+      params: { limit: 10, startAfterId: lastId },
+    });
+
+    expect(first.conversations).toEqual(fixtures.conversations.slice(0, 10));
+    expect(first.meta).toEqual({ total, nextPage: fixtures.conversations[9].id });
+    expect(second.conversations).toEqual(fixtures.conversations.slice(10, 20));
+    expect(end).toMatchObject({ conversations: [], meta: { nextPage: null } });
+  });
+
+  it("returns an empty page for an unknown cursor", async () => {
+    const page = await client.get("/conversations/search", {
+      params: { startAfterId: "nope" },
+    });
+
+    expect(page.conversations).toEqual([]);
+    expect(page.meta.nextPage).toBeNull();
+  });
+
+  it("pages messages inside the messages envelope", async () => {
+    const [conversationId, history] = Object.entries(fixtures.messages).find(
+      ([, thread]) => thread.length >= 2
+    );
+    const endpoint = `/conversations/${conversationId}/messages`;
+
+    const first = await client.get(endpoint, { params: { limit: 1 } });
+    const rest = await client.get(endpoint, {
+      params: { limit: 100, lastMessageId: first.messages.lastMessageId },
+    });
+
+    expect(first).toEqual({
+      messages: { messages: [history[0]], nextPage: true, lastMessageId: history[0].id },
+    });
+    expect(rest.messages).toEqual({
+      messages: history.slice(1),
+      nextPage: false,
+      lastMessageId: history[history.length - 1].id,
+    });
+  });
+
+  it("filters calendar events by calendar and start time window", async () => {
+    const [event] = fixtures.appointments;
+    const start = new Date(event.startTime).getTime();
+
+    const { events } = await client.get("/calendars/events", {
+      params: { calendarId: event.calendarId, startTime: start, endTime: start },
+    });
+
+    expect(events).toContainEqual(event);
+    expect(
+      events.every((e) => e.calendarId === event.calendarId && e.startTime === event.startTime)
+    ).toBe(true);
+  });
+
+  it("rejects endpoints it doesn't serve like the real client", async () => {
+    await expect(client.get("/nope")).rejects.toThrow(
+      "GHL API Error (404): Mock has no route for GET /nope"
+    );
+  });
+});
+
+describe("lib/ghl.js in mock mode", () => {
+  it("collects every page of the generated data through the real fetchers", async () => {
+    process.env.GHL_MOCK = "1";
+    process.env.GHL_MOCK_SEED = "test";
+    process.env.GHL_MOCK_CONTACTS = "230";
+    process.env.GHL_MOCK_EMPTY_PIPELINES = "1";
+    const { fixtures } = createMockClient(location, getMockOptions());
+
+    const contacts = await getContacts(location);
+    const conversations = await getConversations(location);
+    const pipelines = await getPipelines(location);
+    const [conversation] = conversations;
+    const messages = await getMessages(location, conversation.id);
+
+    // Same records (timestamps follow the clock), over three pages of 100
+    const ids = (records) => records.map((record) => record.id);
+    expect(ids(contacts)).toEqual(ids(fixtures.contacts));
+    expect(ids(conversations)).toEqual(ids(fixtures.conversations));
+    expect(ids(pipelines)).toEqual(ids(fixtures.pipelines));
+    expect(pipelines.at(-1).name).toBe("Unused Pipeline 1");
+    expect(ids(messages)).toEqual(ids(fixtures.messages[conversation.id]));
+  });
+});
@@ -0,0 +1,144 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import {
+  getLocations,
+  getLocation,
+  resolveLocation,
+  toPublicLocation,
+} from "@/lib/locations";
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "locations-test-"));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  process.env.GHL_LOCATIONS_FILE = "tests/.no-registry.json";
+  delete process.env.GHL_API_KEY_ACME;
+  delete process.env.GHL_TIMEZONE;
+});
+
+// Point GHL_LOCATIONS_FILE at a registry with these entries
+function writeRegistry(locations) {
+  process.env.GHL_LOCATIONS_FILE = path.join(tmpDir, `${crypto.randomUUID()}.json`);
+  fs.writeFileSync(process.env.GHL_LOCATIONS_FILE, JSON.stringify({ locations }));
+}
+
+const query = (params) => new URLSearchParams(params);
+
+describe("getLocations", () => {
+  it("falls back to the env-configured default location", () => {
+    expect(getLocations()).toEqual([
+      {
+        slug: "default",
+        locationId: "test-location",
+        apiKey: "test-key",
+        clientName: "Test Client",
+        timeZone: null,
+        branding: { agencyName: "Agency", logoUrl: null },
+      },
+    ]);
+  });
+
+  it("reads registry entries, with API keys from env and branding defaults", () => {
+    process.env.GHL_API_KEY_ACME = "acme-key";
+    writeRegistry([
+      {
+        slug: "acme",
+        locationId: "loc-acme",
+        apiKeyEnv: "GHL_API_KEY_ACME",
+        clientName: "Acme",
+        timezone: "America/Denver",
+        branding: { agencyName: "Agency Co" },
+      },
+      { slug: "summit", locationId: "loc-summit" },
+    ]);
+
+    expect(getLocations()).toEqual([
+      {
+        slug: "acme",
+        locationId: "loc-acme",
+        apiKey: "acme-key",
+        clientName: "Acme",
+        timeZone: "America/Denver",
+        branding: { agencyName: "Agency Co", logoUrl: null },
+      },
+      {
+        slug: "summit",
+        locationId: "loc-summit",
+        apiKey: null,
+        clientName: "summit",
+        timeZone: null,
+        branding: { agencyName: "Agency", logoUrl: null },
+      },
+    ]);
+  });
+
+  it("uses GHL_TIMEZONE for entries without their own", () => {
+    process.env.GHL_TIMEZONE = "Europe/London";
+    writeRegistry([{ slug: "acme", locationId: "loc-acme" }]);
+
+    expect(getLocation("acme").timeZone).toBe("Europe/London");
+  });
+
+  it.each([
+    [[{ slug: "Acme Co", locationId: "x" }], 'Invalid location slug "Acme Co"'],
+    [[{ slug: "acme" }], 'Location "acme" is missing locationId'],
+    [
+      [{ slug: "acme", locationId: "x", timezone: "Mars/Base" }],
+      'Location "acme" has an invalid timezone "Mars/Base"',
+    ],
+    [
+      [
+        { slug: "acme", locationId: "x" },
+        { slug: "acme", locationId: "y" },
+      ],
+      'Duplicate location slug "acme"',
+    ],
+  ])("rejects a bad registry: %j", (locations, message) => {
+    writeRegistry(locations);
+
+    expect(() => getLocations()).toThrow(message);
+  });
+});
+
+describe("resolveLocation", () => {
+  it("defaults to the only location", () => {
+    expect(resolveLocation(query({})).slug).toBe("default");
+  });
+
+  it("requires ?client when several locations are registered", () => {
+    writeRegistry([
+      { slug: "acme", locationId: "loc-acme" },
+      { slug: "summit", locationId: "loc-summit" },
+    ]);
+
+    expect(resolveLocation(query({}))).toEqual({
+      error: "Missing ?client=<slug> parameter",
+      status: 400,
+    });
+    expect(resolveLocation(query({ client: "summit" })).locationId).toBe("loc-summit");
+    expect(resolveLocation(query({ client: "nope" }))).toEqual({
+      error: 'Unknown client "nope"',
+      status: 404,
+    });
+  });
+});
+
+describe("toPublicLocation", () => {
+  it("leaves out the location ID and API key", () => {
+    expect(toPublicLocation(getLocation("default"))).toEqual({
+      slug: "default",
+      clientName: "Test Client",
+      agencyName: "Agency",
+      logoUrl: null,
+    });
+  });
+});
@@ -0,0 +1,708 @@
+import { describe, it, expect } from "vitest";
+import {
+  METRICS,
+  SECTIONS,
+  KPI_IDS,
+  scopeToPeriod,
+  getMetric,
+  getSources,
+  getSectionMetrics,
+  computeMetrics,
+  buildSection,
+  compareMetrics,
+  readMetric,
+  formatMetric,
+  groupByPipeline,
+  buildFunnel,
+  buildStageAging,
+  buildSourcePerformance,
+  buildAttribution,
+  buildDimensionBreakdown,
+  buildRepLeaderboard,
+  buildChannelBreakdown,
+  channelOf,
+  findFirstResponse,
+  buildSpeedToLead,
+  buildAppointmentBreakdown,
+  buildCallbacks,
+  buildCallHeatmap,
+} from "@/lib/metrics";
+import { resolveDateRange } from "@/lib/dateRange";
+import { toDimension } from "@/lib/dimensions";
+import { dataset, customFields } from "../helpers/dataset";
+
+const HOUR_MS = 60 * 60 * 1000;
+const ms = (iso) => new Date(iso).getTime();
+
+const march = resolveDateRange({ range: "custom", from: "2026-03-01", to: "2026-03-31" });
+
+describe("metric definitions", () => {
+  it("have unique IDs and the required fields", () => {
+    expect(new Set(METRICS.map((m) => m.id)).size).toBe(METRICS.length);
+    METRICS.forEach((m) => {
+      expect(m).toEqual({
+        id: expect.any(String),
+        label: expect.any(String),
+        source: expect.any(Array),
+        compute: expect.any(Function),
+        format: expect.toBeOneOf(["number", "currency", "percent", "days", "duration", null]),
+      });
+    });
+  });
+
+  it("only reference defined metrics from sections and KPIs", () => {
+    const ids = [...KPI_IDS, ...Object.keys(SECTIONS).flatMap(getSectionMetrics)];
+    ids.forEach((id) => expect(() => getMetric(id)).not.toThrow());
+  });
+
+  it("throws on an unknown metric", () => {
+    expect(() => getMetric("nope")).toThrow('Unknown metric "nope"');
+  });
+});
+
+describe("getSources", () => {
+  it("returns the unique data sources a set of metrics needs", () => {
+    expect(getSources(["winRate", "pipelineBreakdown", "avgDealSize"])).toEqual([
+      "opportunities",
+      "pipelines",
+    ]);
+    expect(getSources(getSectionMetrics("conversations"))).toEqual(["conversations", "messages"]);
+  });
+});
+
+describe("computing", () => {
+  const scoped = scopeToPeriod(dataset, march);
+
+  it("computes values from period-scoped data", () => {
+    expect(computeMetrics(KPI_IDS, scoped)).toEqual({
+      newLeads: 4,
+      pipelineValue: 11000,
+      winRate: 2 / 3,
+      conversations: 4,
+      // v1, v2 and v3 were answered; v4 wasn't
+      responseRate: 0.75,
+    });
+  });
+
+  it("treats missing sources as empty", () => {
+    const empty = scopeToPeriod({ contacts: dataset.contacts }, march);
+    expect(computeMetrics(["newLeads", "winRate", "avgDealSize"], empty)).toEqual({
+      newLeads: 4,
+      winRate: 0,
+      avgDealSize: 0,
+    });
+  });
+
+  it("builds sections under their public field names", () => {
+    expect(buildSection("conversations", scoped)).toEqual({
+      total: 4,
+      openCount: 2,
+      closedCount: 2,
+      responseRate: 0.75,
+      // 3 minutes, 2 hours and 30 hours
+      medianResponseMs: 2 * HOUR_MS,
+      p90ResponseMs: 2 * HOUR_MS + 0.8 * (30 * HOUR_MS - 2 * HOUR_MS),
+      answeredWithin: [
+        { label: "5 minutes", ms: 5 * 60 * 1000, share: 0.25 },
+        { label: "1 hour", ms: HOUR_MS, share: 0.25 },
+        { label: "24 hours", ms: 24 * HOUR_MS, share: 0.5 },
+      ],
+      channels: expect.any(Array),
+    });
+  });
+
+  it.each([
+    ["America/Denver", [0, 1]],
+    ["Asia/Tokyo", [1, 0]],
+  ])("counts every new lead in the trend in %s", (timeZone, leadsByDay) => {
+    // Early Oct 1 and late Oct 2 UTC: outside the period in one zone each
+    const raw = {
+      contacts: [
+        { id: "c1", dateAdded: "2026-10-01T03:00:00.000Z" },
+        { id: "c2", dateAdded: "2026-10-02T20:00:00.000Z" },
+      ],
+    };
+    const period = resolveDateRange({ range: "custom", from: "2026-10-01", to: "2026-10-02", timeZone });
+
+    const { newLeads, speedToLeadTrend } = computeMetrics(
+      ["newLeads", "speedToLeadTrend"],
+      scopeToPeriod(raw, period)
+    );
+
+    expect(speedToLeadTrend.map((point) => point.date)).toEqual(["2026-10-01", "2026-10-02"]);
+    expect(speedToLeadTrend.map((point) => point.leads)).toEqual(leadsByDay);
+    expect(newLeads).toBe(1);
+  });
+
+  it("keeps stage aging and callbacks inside a share link's locked range", () => {
+    const lockedRange = resolveDateRange({ range: "custom", from: "2026-03-03", to: "2026-03-31" });
+    // A missed call on the last day, returned the next morning
+    const missedCall = {
+      id: "k1",
+      conversationId: "v9",
+      direction: "inbound",
+      messageType: "TYPE_CALL",
+      status: "no-answer",
+      dateAdded: "2026-03-31T09:00:00.000Z",
+    };
+    const raw = {
+      ...dataset,
+      conversations: [{ id: "v9", contactId: "c9", lastMessageDate: Date.parse("2026-03-31T09:00:00.000Z") }],
+      messages: {
+        v9: [
+          { ...missedCall, id: "k2", direction: "outbound", status: "completed", dateAdded: "2026-04-01T09:00:00.000Z" },
+          missedCall,
+        ],
+      },
+    };
+    const ids = ["stageAging", "unreturnedCalls"];
+
+    const open = computeMetrics(ids, scopeToPeriod(raw, lockedRange));
+    const locked = computeMetrics(ids, scopeToPeriod(raw, lockedRange, { lockedRange }));
+
+    // o1 was created on March 2
+    expect(open.stageAging[0].stages[0].open).toBe(1);
+    expect(locked.stageAging[0].stages[0].open).toBe(0);
+    expect(open.unreturnedCalls[0].callbackMs).toBe(24 * HOUR_MS);
+    expect(locked.unreturnedCalls[0].callbackMs).toBeNull();
+  });
+
+  it("compares values with their percentage change", () => {
+    expect(compareMetrics(["newLeads"], { newLeads: 6 }, { newLeads: 4 })).toEqual({
+      newLeads: { current: 6, previous: 4, change: 0.5 },
+    });
+  });
+});
+
+describe("buildSourcePerformance", () => {
+  const contacts = [
+    { id: "a", source: "Google" },
+    { id: "b", source: "Google" },
+    { id: "c", source: "Facebook" },
+    { id: "d" },
+  ];
+
+  it("credits opportunities to their contact's source", () => {
+    const opps = [
+      { contactId: "a", status: "won", monetaryValue: 1200 },
+      { contactId: "b", status: "lost", monetaryValue: 800 },
+      { contactId: "b", status: "open", monetaryValue: 500 },
+      { contactId: "c", status: "won", monetaryValue: 300 },
+      { contactId: "missing", status: "open" },
+    ];
+
+    expect(buildSourcePerformance(contacts.slice(0, 3), opps, contacts)).toEqual([
+      { name: "Google", leads: 2, opportunities: 3, won: 1, lost: 1, wonValue: 1200, winRate: 0.5 },
+      { name: "Facebook", leads: 1, opportunities: 1, won: 1, lost: 0, wonValue: 300, winRate: 1 },
+      { name: "Unknown", leads: 0, opportunities: 1, won: 0, lost: 0, wonValue: 0, winRate: 0 },
+    ]);
+  });
+
+  it("lists sources with leads but no opportunities", () => {
+    expect(buildSourcePerformance([contacts[3]], [], contacts)).toEqual([
+      { name: "Unknown", leads: 1, opportunities: 0, won: 0, lost: 0, wonValue: 0, winRate: 0 },
+    ]);
+  });
+});
+
+describe("buildDimensionBreakdown", () => {
+  const scoped = scopeToPeriod(dataset, march);
+  const [serviceType, dealType] = customFields.map(toDimension);
+
+  it("counts new leads per contact field value, crediting won deals to the contact", () => {
+    // o2 (c2) and o3 (c5, a February lead) were won by Cleaning contacts
+    expect(buildDimensionBreakdown(serviceType, scoped)).toEqual([
+      { name: "Implants", value: 2, won: 0, wonValue: 0 },
+      { name: "Cleaning", value: 1, won: 2, wonValue: 8000 },
+      { name: "Unknown", value: 1, won: 0, wonValue: 0 },
+    ]);
+  });
+
+  it("counts created opportunities per opportunity field value", () => {
+    expect(buildDimensionBreakdown(dealType, scoped)).toEqual([
+      { name: "Unknown", value: 2, won: 0, wonValue: 0 },
+      { name: "New Business", value: 1, won: 1, wonValue: 5000 },
+      { name: "Upsell", value: 1, won: 1, wonValue: 3000 },
+    ]);
+  });
+});
+
+describe("buildRepLeaderboard", () => {
+  const users = [
+    { id: "u1", name: "Jordan Reyes" },
+    { id: "u2", firstName: "Taylor", lastName: "Brooks" },
+    { id: "u3", name: "Idle Rep" },
+  ];
+
+  it("credits opportunities and conversations to their assigned rep", () => {
+    const opps = [
+      { assignedTo: "u1", status: "won", monetaryValue: 1000 },
+      { assignedTo: "u1", status: "lost", monetaryValue: 500 },
+      { assignedTo: "u2", status: "won", monetaryValue: 4000 },
+      { assignedTo: "gone", status: "open" },
+      { status: "open" },
+    ];
+    const conversations = [
+      { assignedTo: "u1", lastMessageDirection: "outbound", unreadCount: 0 },
+      { assignedTo: "u1", lastMessageDirection: "inbound", unreadCount: 2 },
+      { lastMessageDirection: "inbound", unreadCount: 1 },
+    ];
+
+    const rows = buildRepLeaderboard(opps, conversations, users);
+
+    expect(rows.map((r) => [r.id, r.name])).toEqual([
+      ["u2", "Taylor Brooks"],
+      ["u1", "Jordan Reyes"],
+      // Ties on won value, won count and opportunities: most conversations first
+      [null, "Unassigned"],
+      ["gone", "Unknown user"],
+      ["u3", "Idle Rep"],
+    ]);
+    expect(rows[1]).toEqual({
+      id: "u1",
+      name: "Jordan Reyes",
+      opportunities: 2,
+      won: 1,
+      lost: 1,
+      wonValue: 1000,
+      winRate: 0.5,
+      conversations: 2,
+      openConversations: 1,
+      responseRate: 0.5,
+    });
+    expect(rows[2]).toMatchObject({ opportunities: 1, conversations: 1, openConversations: 1, responseRate: 0 });
+  });
+});
+
+describe("findFirstResponse", () => {
+  const message = (direction, iso) => ({ direction, dateAdded: iso });
+
+  it("times the reply to the lead's first message in the period", () => {
+    const history = [
+      message("inbound", "2026-03-05T12:00:00.000Z"),
+      message("outbound", "2026-03-05T09:10:00.000Z"),
+      message("inbound", "2026-03-05T09:00:00.000Z"),
+      // Before the period: ignored
+      message("inbound", "2026-02-20T09:00:00.000Z"),
+    ];
+
+    expect(findFirstResponse(history, march)).toEqual({
+      inboundAt: "2026-03-05T09:00:00.000Z",
+      respondedAt: "2026-03-05T09:10:00.000Z",
+      responseMs: 10 * 60 * 1000,
+    });
+  });
+
+  it("counts replies sent after the period", () => {
+    const history = [
+      message("inbound", "2026-03-31T22:00:00.000Z"),
+      message("outbound", "2026-04-01T08:00:00.000Z"),
+    ];
+    expect(findFirstResponse(history, march).responseMs).toBe(10 * HOUR_MS);
+  });
+
+  it("reports unanswered and outbound-only threads", () => {
+    expect(findFirstResponse([message("inbound", "2026-03-05T09:00:00.000Z")], march)).toEqual({
+      inboundAt: "2026-03-05T09:00:00.000Z",
+      respondedAt: null,
+      responseMs: null,
+    });
+    expect(findFirstResponse([message("outbound", "2026-03-05T09:00:00.000Z")], march)).toBeNull();
+  });
+
+  it("replaces the last-message heuristic once history is fetched", () => {
+    const conversations = [
+      // The lead wrote back last, but had been answered
+      { id: "a", lastMessageDirection: "inbound", lastMessageDate: ms("2026-03-05T12:00:00.000Z") },
+      // Outbound only: nothing to reply to
+      { id: "b", lastMessageDirection: "outbound", lastMessageDate: ms("2026-03-06T09:00:00.000Z") },
+    ];
+    const messages = {
+      a: [
+        message("inbound", "2026-03-05T09:00:00.000Z"),
+        message("outbound", "2026-03-05T09:10:00.000Z"),
+        message("inbound", "2026-03-05T12:00:00.000Z"),
+      ],
+      b: [message("outbound", "2026-03-06T09:00:00.000Z")],
+    };
+
+    const withoutHistory = scopeToPeriod({ conversations }, march);
+    const withHistory = scopeToPeriod({ conversations, messages }, march);
+
+    expect(computeMetrics(["responseRate", "medianFirstResponse"], withoutHistory)).toEqual({
+      responseRate: 0.5,
+      medianFirstResponse: null,
+    });
+    expect(computeMetrics(["responseRate", "medianFirstResponse"], withHistory)).toEqual({
+      responseRate: 1,
+      medianFirstResponse: 10 * 60 * 1000,
+    });
+  });
+});
+
+describe("buildSpeedToLead", () => {
+  it("uses the earliest outbound message across a lead's conversations", () => {
+    const contacts = [
+      { id: "a", dateAdded: "2026-03-05T09:00:00.000Z" },
+      { id: "b", dateAdded: "2026-03-06T09:00:00.000Z" },
+      { id: "c", dateAdded: "2026-03-07T09:00:00.000Z" },
+    ];
+    const conversations = [
+      { id: "sms", contactId: "a" },
+      { id: "call", contactId: "a" },
+      { id: "email", contactId: "b" },
+    ];
+    const messages = {
+      sms: [{ direction: "outbound", dateAdded: "2026-03-05T10:00:00.000Z" }],
+      call: [{ direction: "outbound", dateAdded: "2026-03-05T09:20:00.000Z" }],
+      // Sent before the lead was added: not a response to it
+      email: [{ direction: "outbound", dateAdded: "2026-03-01T09:00:00.000Z" }],
+    };
+
+    const rows = buildSpeedToLead(contacts, conversations, messages);
+
+    expect(rows.map(({ contactedAt, ms }) => ({ contactedAt, ms }))).toEqual([
+      { contactedAt: "2026-03-05T09:20:00.000Z", ms: 20 * 60 * 1000 },
+      { contactedAt: null, ms: null },
+      { contactedAt: null, ms: null },
+    ]);
+  });
+});
+
+describe("channelOf", () => {
+  it("prefers the last message type, then the conversation type", () => {
+    expect(channelOf({ type: "TYPE_PHONE", lastMessageType: "TYPE_CALL" })).toBe("Calls");
+    expect(channelOf({ type: "TYPE_IG_DM" })).toBe("Instagram");
+    expect(channelOf({ type: "TYPE_PHONE", lastMessageType: "TYPE_OUTBOUND" })).toBe("SMS");
+    expect(channelOf({ lastMessageType: "TYPE_WHATSAPP" })).toBe("WhatsApp");
+    expect(channelOf({})).toBe("Other");
+  });
+});
+
+describe("buildChannelBreakdown", () => {
+  it("counts volume, open and answered conversations per channel", () => {
+    const conversations = [
+      { lastMessageType: "TYPE_EMAIL", lastMessageDirection: "outbound", unreadCount: 0 },
+      { lastMessageType: "TYPE_SMS", lastMessageDirection: "inbound", unreadCount: 1 },
+      { lastMessageType: "TYPE_SMS", lastMessageDirection: "outbound", unreadCount: 0 },
+      { lastMessageType: "TYPE_SMS", lastMessageDirection: "outbound", status: "open" },
+      { lastMessageType: "TYPE_GMB", lastMessageDirection: "inbound", unreadCount: 1 },
+    ];
+
+    expect(buildChannelBreakdown(conversations)).toEqual([
+      { name: "SMS", conversations: 3, open: 2, answered: 2, unanswered: 1, responseRate: 2 / 3 },
+      // Ties on volume are alphabetical
+      { name: "Email", conversations: 1, open: 0, answered: 1, unanswered: 0, responseRate: 1 },
+      { name: "Google Business", conversations: 1, open: 1, answered: 0, unanswered: 1, responseRate: 0 },
+    ]);
+  });
+});
+
+describe("buildCallbacks", () => {
+  it("times the first outbound call to the same contact after a missed call", () => {
+    const missed = { id: "k1", contactId: "c1", conversationId: "v1", direction: "inbound", dateAdded: "2026-03-05T10:00:00.000Z" };
+    const calls = [
+      missed,
+      { id: "k0", contactId: "c1", conversationId: "v1", direction: "outbound", dateAdded: "2026-03-05T09:00:00.000Z" },
+      // Returned from another of the contact's conversations
+      { id: "k2", contactId: "c1", conversationId: "v9", direction: "outbound", dateAdded: "2026-03-05T10:45:00.000Z" },
+      { id: "k3", contactId: "c1", conversationId: "v1", direction: "outbound", dateAdded: "2026-03-05T11:00:00.000Z" },
+      { id: "k4", contactId: "c2", conversationId: "v2", direction: "outbound", dateAdded: "2026-03-05T10:05:00.000Z" },
+    ];
+    const unreturned = { ...missed, id: "k5", contactId: "c3", conversationId: "v3" };
+
+    expect(buildCallbacks([missed, unreturned], calls)).toEqual([
+      { call: missed, callbackMs: 45 * 60 * 1000 },
+      { call: unreturned, callbackMs: null },
+    ]);
+  });
+});
+
+describe("buildCallHeatmap", () => {
+  it("buckets calls by weekday and hour in the given time zone", () => {
+    const calls = [
+      { id: "k1", dateAdded: "2026-03-22T14:00:00.000Z" },
+      { id: "k2", dateAdded: "2026-03-22T14:30:00.000Z" },
+      { id: "k3", dateAdded: "2026-03-23T02:00:00.000Z" },
+    ];
+
+    const rows = buildCallHeatmap(calls, "America/Chicago");
+
+    // Sunday 09:00 and Saturday 21:00 in Chicago (UTC-5)
+    expect(rows[6]).toMatchObject({ day: "Sun" });
+    expect(rows[6].hours[9]).toBe(2);
+    expect(rows[6].hours[21]).toBe(1);
+  });
+});
+
+describe("buildAppointmentBreakdown", () => {
+  it("counts bookings per group by current status", () => {
+    const appointments = [
+      { calendarId: "k1", appointmentStatus: "showed" },
+      { calendarId: "k1", appointmentStatus: "noshow" },
+      { calendarId: "k1", appointmentStatus: "showed" },
+      { calendarId: "k2", appointmentStatus: "new" },
+      { calendarId: "k3", appointmentStatus: "invalid" },
+    ];
+    const byCalendar = (a) => ({ id: a.calendarId, name: a.calendarId.toUpperCase() });
+
+    expect(buildAppointmentBreakdown(appointments, byCalendar)).toEqual([
+      { id: "k1", name: "K1", booked: 3, confirmed: 0, showed: 2, noShow: 1, cancelled: 0, showRate: 2 / 3 },
+      // Nothing attended yet: no show rate either way
+      { id: "k2", name: "K2", booked: 1, confirmed: 0, showed: 0, noShow: 0, cancelled: 0, showRate: 0 },
+      { id: "k3", name: "K3", booked: 1, confirmed: 0, showed: 0, noShow: 0, cancelled: 0, showRate: 0 },
+    ]);
+  });
+});
+
+describe("buildAttribution", () => {
+  const contacts = [
+    { attributionSource: { utmMedium: "cpc", utmCampaign: "brand", utmContent: "a" } },
+    {
+      attributionSource: { utmMedium: "cpc", utmCampaign: "brand", utmContent: "b" },
+      lastAttributionSource: { utmMedium: "email", utmCampaign: "newsletter" },
+    },
+    {},
+  ];
+
+  it("nests leads by medium, campaign and content for each model", () => {
+    expect(buildAttribution(contacts, "firstTouch")).toEqual([
+      {
+        name: "cpc",
+        leads: 2,
+        children: [
+          {
+            name: "brand",
+            leads: 2,
+            children: [
+              { name: "a", leads: 1 },
+              { name: "b", leads: 1 },
+            ],
+          },
+        ],
+      },
+      { name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1, children: [{ name: "Unknown", leads: 1 }] }] },
+    ]);
+
+    // Last touch falls back to first touch when there is no later one
+    expect(buildAttribution(contacts, "lastTouch").map((m) => [m.name, m.leads])).toEqual([
+      ["cpc", 1],
+      ["email", 1],
+      ["Unknown", 1],
+    ]);
+  });
+});
+
+describe("groupByPipeline", () => {
+  const pipelines = [
+    {
+      id: "sales",
+      name: "Sales",
+      // Deliberately out of order
+      stages: [
+        { id: "won", name: "Won", position: 2 },
+        { id: "new-a", name: "New Lead", position: 0 },
+        { id: "quote", name: "Quote", position: 1 },
+      ],
+    },
+    { id: "referral", name: "Referral", stages: [{ id: "new-b", name: "New Lead", position: 0 }] },
+    { id: "empty", name: "Empty", stages: [] },
+  ];
+
+  it("keeps same-named stages in separate pipelines, ordered by position", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "new-a" },
+      { pipelineId: "sales", pipelineStageId: "won" },
+      { pipelineId: "referral", pipelineStageId: "new-b" },
+      { pipelineId: "referral", pipelineStageId: "new-b" },
+    ];
+
+    expect(groupByPipeline(opps, pipelines).map((p) => [p.id, p.total, p.stages])).toEqual([
+      [
+        "sales",
+        2,
+        [
+          { id: "new-a", name: "New Lead", value: 1, totalValue: 0, avgValue: 0 },
+          { id: "quote", name: "Quote", value: 0, totalValue: 0, avgValue: 0 },
+          { id: "won", name: "Won", value: 1, totalValue: 0, avgValue: 0 },
+        ],
+      ],
+      ["referral", 2, [{ id: "new-b", name: "New Lead", value: 2, totalValue: 0, avgValue: 0 }]],
+      ["empty", 0, []],
+    ]);
+  });
+
+  it("sums and averages monetary value per stage, skipping unvalued deals in the average", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "quote", monetaryValue: 3000 },
+      { pipelineId: "sales", pipelineStageId: "quote", monetaryValue: 1000 },
+      { pipelineId: "sales", pipelineStageId: "quote", monetaryValue: 0 },
+      { pipelineId: "sales", pipelineStageId: "won", monetaryValue: 500 },
+    ];
+
+    const [sales] = groupByPipeline(opps, pipelines);
+
+    expect(sales.totalValue).toBe(4500);
+    expect(sales.stages[1]).toEqual({
+      id: "quote",
+      name: "Quote",
+      value: 3,
+      totalValue: 4000,
+      avgValue: 2000,
+    });
+  });
+
+  it("counts deleted stages and pipelines as Unknown", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "deleted" },
+      { pipelineId: "gone", pipelineStageId: "x" },
+      { pipelineId: "also-gone", pipelineStageId: "y" },
+    ];
+
+    const groups = groupByPipeline(opps, pipelines);
+
+    expect(groups[0].stages.at(-1)).toMatchObject({ id: null, name: "Unknown", value: 1 });
+    expect(groups.at(-1)).toMatchObject({
+      id: null,
+      name: "Unknown",
+      total: 2,
+      stages: [{ id: null, name: "Unknown", value: 2 }],
+    });
+  });
+});
+
+describe("buildFunnel", () => {
+  const pipelines = [
+    {
+      id: "sales",
+      name: "Sales",
+      stages: [
+        { id: "demo", name: "Demo", position: 1 },
+        { id: "new", name: "New Lead", position: 0 },
+        { id: "quote", name: "Quote", position: 2 },
+      ],
+    },
+  ];
+
+  it("counts an opportunity as reaching every stage up to its current one", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "new", status: "open", monetaryValue: 100 },
+      { pipelineId: "sales", pipelineStageId: "new", status: "lost", monetaryValue: 200 },
+      { pipelineId: "sales", pipelineStageId: "demo", status: "open", monetaryValue: 300 },
+      { pipelineId: "sales", pipelineStageId: "quote", status: "open", monetaryValue: 400 },
+      // Won from an early stage still passed through the whole pipeline
+      { pipelineId: "sales", pipelineStageId: "new", status: "won", monetaryValue: 500 },
+    ];
+
+    expect(buildFunnel(opps, pipelines)).toEqual([
+      {
+        id: "sales",
+        name: "Sales",
+        steps: [
+          { id: "new", name: "New Lead", reached: 5, value: 1500, conversion: null },
+          { id: "demo", name: "Demo", reached: 3, value: 1200, conversion: 0.6 },
+          { id: "quote", name: "Quote", reached: 2, value: 900, conversion: 2 / 3 },
+          { id: "won", name: "Won", reached: 1, value: 500, conversion: 0.5 },
+        ],
+      },
+    ]);
+  });
+
+  it("leaves out opportunities it can't place and reports zero conversion after an empty step", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "deleted", status: "open", monetaryValue: 100 },
+      { pipelineId: "gone", pipelineStageId: "new", status: "open", monetaryValue: 100 },
+    ];
+
+    const [funnel] = buildFunnel(opps, pipelines);
+
+    expect(funnel.steps.map((s) => s.reached)).toEqual([0, 0, 0, 0]);
+    expect(funnel.steps.map((s) => s.conversion)).toEqual([null, 0, 0, 0]);
+  });
+});
+
+describe("velocity", () => {
+  it("averages days to close over won deals and derives revenue per day", () => {
+    const values = computeMetrics(
+      ["avgDaysToClose", "salesVelocity"],
+      scopeToPeriod(dataset, march)
+    );
+
+    // o2 won after 9 days, o3 after 30
+    expect(values.avgDaysToClose).toBe(19.5);
+    // 4 new opportunities × 2/3 win rate × $2,750 ÷ 19.5 days
+    expect(values.salesVelocity).toBeCloseTo((4 * (2 / 3) * 2750) / 19.5);
+  });
+
+  it("reports zero velocity when nothing was won", () => {
+    const april = resolveDateRange({ range: "custom", from: "2026-04-01", to: "2026-04-30" });
+    expect(computeMetrics(["salesVelocity"], scopeToPeriod(dataset, april))).toEqual({
+      salesVelocity: 0,
+    });
+  });
+});
+
+describe("buildStageAging", () => {
+  const pipelines = [
+    {
+      id: "sales",
+      name: "Sales",
+      stages: [
+        { id: "new", name: "New Lead", position: 0 },
+        { id: "quote", name: "Quote", position: 1 },
+      ],
+    },
+  ];
+  const asOf = new Date("2026-03-31T00:00:00Z");
+
+  it("averages how long open deals have been in their current stage", () => {
+    const opps = [
+      { pipelineId: "sales", pipelineStageId: "new", status: "open", createdAt: "2026-03-21T00:00:00Z" },
+      {
+        pipelineId: "sales",
+        pipelineStageId: "quote",
+        status: "open",
+        createdAt: "2026-01-01T00:00:00Z",
+        lastStageChangeAt: "2026-03-27T00:00:00Z",
+      },
+      { pipelineId: "sales", pipelineStageId: "quote", status: "open", createdAt: "2026-03-29T00:00:00Z" },
+      // Closed, or not created yet at asOf
+      { pipelineId: "sales", pipelineStageId: "new", status: "won", createdAt: "2026-01-01T00:00:00Z" },
+      { pipelineId: "sales", pipelineStageId: "new", status: "open", createdAt: "2026-04-02T00:00:00Z" },
+    ];
+
+    expect(buildStageAging(opps, pipelines, asOf)).toEqual([
+      {
+        id: "sales",
+        name: "Sales",
+        stages: [
+          { id: "new", name: "New Lead", open: 1, avgDays: 10 },
+          { id: "quote", name: "Quote", open: 2, avgDays: 3 },
+        ],
+      },
+    ]);
+  });
+});
+
+describe("reading and formatting", () => {
+  const summary = {
+    contacts: { newInPeriod: 12 },
+    opportunities: { totalValue: 12500, winRate: 0.354 },
+  };
+
+  it("reads metrics out of a summary response", () => {
+    expect(readMetric(summary, "newLeads")).toBe(12);
+    expect(readMetric(summary, "pipelineValue")).toBe(12500);
+    expect(readMetric(summary, "responseRate")).toBeUndefined();
+    expect(readMetric(null, "newLeads")).toBeUndefined();
+  });
+
+  it("formats with the metric's formatter, defaulting to zero", () => {
+    expect(formatMetric("pipelineValue", 12500)).toBe("$12.5K");
+    expect(formatMetric("winRate", 0.354)).toBe("35.4%");
+    expect(formatMetric("newLeads", 1234)).toBe("1,234");
+    expect(formatMetric("responseRate", undefined)).toBe("0.0%");
+    expect(formatMetric("medianFirstResponse", 90 * 60 * 1000)).toBe("1h 30m");
+    expect(formatMetric("medianFirstResponse", null)).toBe("—");
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { getRetryDelay, parseRetryAfter } from "@/lib/retry";
+
+const limits = { baseDelayMs: 500, maxDelayMs: 30000, random: () => 0.5 };
+
+// An axios-like error carrying a response status and headers
+const errorWith = (status, headers = {}) => ({ response: { status, headers } });
+
+describe("parseRetryAfter", () => {
+  const now = Date.parse("2026-03-01T00:00:00.000Z");
+
+  it("reads seconds or an HTTP date", () => {
+    expect(parseRetryAfter("5", now)).toBe(5000);
+    expect(parseRetryAfter("Sun, 01 Mar 2026 00:00:10 GMT", now)).toBe(10000);
+    expect(parseRetryAfter("Sat, 28 Feb 2026 00:00:00 GMT", now)).toBe(0);
+  });
+
+  it("returns null when absent or unreadable", () => {
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter("", now)).toBeNull();
+    expect(parseRetryAfter("soon", now)).toBeNull();
+  });
+});
+
+describe("getRetryDelay", () => {
+  it("backs off exponentially with jitter, up to maxDelayMs", () => {
+    expect(getRetryDelay(errorWith(503), 0, limits)).toBe(250);
+    expect(getRetryDelay(errorWith(503), 3, limits)).toBe(2000);
+    expect(getRetryDelay(errorWith(503), 10, limits)).toBe(15000);
+  });
+
+  it("waits the full Retry-After up to maxDelayMs", () => {
+    expect(getRetryDelay(errorWith(429, { "retry-after": "30" }), 0, limits)).toBe(30000);
+  });
+
+  it("returns null for a Retry-After past maxDelayMs", () => {
+    expect(getRetryDelay(errorWith(429, { "retry-after": "31" }), 0, limits)).toBeNull();
+    const later = new Date(Date.now() + 3600 * 1000).toUTCString();
+    expect(getRetryDelay(errorWith(429, { "retry-after": later }), 0, limits)).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+// Vitest config — unit tests for lib/ and integration tests for API routes
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    // Mirror the "@/*" path alias from jsconfig.json
+    alias: { "@": fileURLToPath(new URL(".", import.meta.url)) },
+  },
+  // Compile JSX like Next does, without importing React (components
+  // rendered by API routes, e.g. the PDF report)
+  esbuild: { jsx: "automatic" },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    // Deterministic environment: no caching, no retries, no real GHL,
+    // a single env-configured location unless a test writes a registry
+    env: {
+      GHL_MOCK: "",
+      GHL_LOCATIONS_FILE: "tests/.no-registry.json",
+      GHL_LOCATION_ID: "test-location",
+      GHL_API_KEY: "test-key",
+      CLIENT_NAME: "Test Client",
+      GHL_CACHE_TTL_SECONDS: "0",
+      GHL_MAX_RETRIES: "0",
+      AUTH_SECRET: "test-secret",
+      SHARE_LINKS_FILE: "tests/.share-links.json",
+      DIMENSIONS_FILE: "tests/.dimensions.json",
+    },
+  },
+});